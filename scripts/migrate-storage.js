@@ -0,0 +1,112 @@
+require("dotenv").config();
+
+const databaseConfig = require("../src/config/database.config");
+const Photo = require("../src/models/photo.model");
+const storageService = require("../src/services/storage.service");
+const logger = require("../src/utils/logger.util");
+
+/**
+ * Move photo files between storage drivers
+ *
+ * Usage:
+ *   npm run storage:migrate -- --to s3 [--from local] [--delete-source]
+ *                              [--limit 100] [--dry-run]
+ *
+ * Copies every rendition of each matching photo to the target driver under the
+ * current key layout, then points the Photo record at the new keys. Photos
+ * already on the target with current keys are skipped, so the command can be
+ * re-run after a failure.
+ */
+// Command line flags and the options they set
+const FLAGS = { "--delete-source": "deleteSource", "--dry-run": "dryRun" };
+const OPTIONS = { "--to": "to", "--from": "from", "--limit": "limit" };
+
+const parseArgs = (argv) => {
+  const args = { deleteSource: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (FLAGS[argv[i]]) {
+      args[FLAGS[argv[i]]] = true;
+    } else if (OPTIONS[argv[i]]) {
+      args[OPTIONS[argv[i]]] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!args.to) {
+    throw new Error("Missing --to <driver>");
+  }
+  args.limit = parseInt(args.limit) || 0;
+  return args;
+};
+
+/**
+ * Whether a photo already lives on the target driver under the current keys
+ */
+const isMigrated = (photo, target) =>
+  (photo.storage?.driver || "local") === target &&
+  storageService
+    .listPhotoFiles(photo)
+    .every((file) => file.key === file.targetKey);
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Fail fast on unknown or unconfigured drivers
+  storageService.getDriver(args.to);
+  if (args.from) {
+    storageService.getDriver(args.from);
+  }
+
+  await databaseConfig.connect();
+
+  const query = {};
+  if (args.from === "local") {
+    query.$or = [{ "storage.driver": "local" }, { "storage.driver": null }];
+  } else if (args.from) {
+    query["storage.driver"] = args.from;
+  }
+
+  const summary = { migrated: 0, skipped: 0, failed: 0 };
+  const cursor = Photo.find(query).sort({ _id: 1 }).lean().cursor();
+
+  for await (const photo of cursor) {
+    if (args.limit && summary.migrated >= args.limit) {
+      break;
+    }
+    if (isMigrated(photo, args.to)) {
+      summary.skipped++;
+      continue;
+    }
+
+    if (args.dryRun) {
+      logger.info("🔎 Would migrate photo", {
+        photoId: photo._id,
+        from: photo.storage?.driver || "local",
+        to: args.to,
+      });
+      summary.migrated++;
+      continue;
+    }
+
+    try {
+      await storageService.migratePhoto(photo, args.to, {
+        deleteSource: args.deleteSource,
+      });
+      summary.migrated++;
+    } catch (error) {
+      summary.failed++;
+    }
+  }
+
+  logger.info("✅ Storage migration finished", { ...args, ...summary });
+  await databaseConfig.disconnect();
+  return summary;
+};
+
+run()
+  .then((summary) => process.exit(summary.failed > 0 ? 1 : 0))
+  .catch(async (error) => {
+    logger.error("❌ Storage migration aborted", { error: error.message });
+    await databaseConfig.disconnect().catch(() => {});
+    process.exit(1);
+  });
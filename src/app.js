@@ -1,10 +1,10 @@
 const express = require("express");
-const path = require("path");
 require("dotenv").config();
 
 // Import configurations and middleware
 const databaseConfig = require("./config/database.config");
 const aiConfig = require("./config/ai.config");
+const eventSubscribers = require("./services/eventSubscribers.service");
 const basicMiddleware = require("./middleware/basic.middleware");
 const errorHandler = require("./middleware/error-handler.middleware");
 const logger = require("./utils/logger.util");
@@ -32,12 +32,12 @@ const initializeApp = async () => {
     app.use(express.json(basicMiddleware.bodyParser.json));
     app.use(express.urlencoded(basicMiddleware.bodyParser.urlencoded));
 
-    // Static file serving for uploads
-    app.use("/uploads", express.static(path.join(__dirname, "uploads")));
-
     // Initialize AI configuration
     aiConfig.initialize();
 
+    // Register domain event subscribers (XP, streaks, live updates...)
+    eventSubscribers.register();
+
     // Health check endpoint
     app.get("/health", (req, res) => {
       res.json({
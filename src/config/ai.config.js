@@ -1,16 +1,29 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const aiProviders = require("../services/aiProviders");
+const helpers = require("../utils/helpers.util");
+const { ENV } = require("../utils/constants.util");
 const logger = require("../utils/logger.util");
 
+// AI features; each one can use its own provider and model
+const FEATURES = [
+  "mealAnalysis",
+  "bodyAnalysis",
+  "nutritionRecommendations",
+  "workoutRecommendations",
+  "progressInsights",
+  "coaching",
+];
+
 /**
- * AI configuration for Gemini integration
- * Handles AI model setup, caching, and confidence thresholds
+ * AI configuration
+ * Handles per-feature provider setup, caching, and confidence thresholds
+ *
+ * Provider per feature: AI_<FEATURE>_PROVIDER (e.g. AI_MEAL_ANALYSIS_PROVIDER),
+ * falling back to AI_PROVIDER; model per feature: AI_<FEATURE>_MODEL
  */
 const aiConfig = {
-  genAI: null,
-  models: {
-    geminiPro: null,
-    geminiProVision: null,
-  },
+  // Map of feature -> model
+  models: new Map(),
+  cleanupTimer: null,
 
   // AI confidence thresholds
   thresholds: {
@@ -28,46 +41,107 @@ const aiConfig = {
    * Initialize AI configuration
    */
   initialize() {
-    try {
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
-        logger.warn(
-          "⚠️ GEMINI_API_KEY not found - AI features will be disabled"
+    this.models.clear();
+
+    for (const feature of FEATURES) {
+      const { provider, model } = this.getFeatureSettings(feature);
+
+      try {
+        if (!aiProviders.get(provider)?.isConfigured()) {
+          logger.warn(`⚠️ AI provider "${provider}" not configured`, {
+            feature,
+          });
+          continue;
+        }
+
+        this.models.set(
+          feature,
+          aiProviders.createModel(provider, { feature, model }),
         );
-        return false;
+      } catch (error) {
+        logger.error("❌ AI model initialization failed", {
+          error: error.message,
+          feature,
+          provider,
+        });
       }
+    }
 
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.models.geminiPro = this.genAI.getGenerativeModel({
-        model: "gemini-pro",
-      });
-      this.models.geminiProVision = this.genAI.getGenerativeModel({
-        model: "gemini-pro-vision",
-      });
+    if (this.models.size === 0) {
+      logger.warn("⚠️ No AI provider configured - AI features will be disabled");
+      return false;
+    }
 
-      // Set up cache cleanup
-      this.setupCacheCleanup();
+    // Set up cache cleanup
+    this.setupCacheCleanup();
 
-      logger.info("✅ AI configuration initialized successfully");
-      return true;
-    } catch (error) {
-      logger.error("❌ AI configuration initialization failed:", error);
-      return false;
+    logger.info("✅ AI configuration initialized successfully", {
+      features: this.getFeatureStatus(),
+    });
+    return true;
+  },
+
+  /**
+   * Resolve the provider and model name of a feature
+   */
+  getFeatureSettings(feature) {
+    const key = helpers.camelToSnake(feature).toUpperCase();
+
+    return {
+      provider: (
+        process.env[`AI_${key}_PROVIDER`] || this.getDefaultProvider()
+      ).toLowerCase(),
+      model: process.env[`AI_${key}_MODEL`] || null,
+    };
+  },
+
+  /**
+   * Provider used when AI_PROVIDER is not set: Gemini when a key is set,
+   * otherwise the offline stub outside production
+   */
+  getDefaultProvider() {
+    if (process.env.AI_PROVIDER) {
+      return process.env.AI_PROVIDER;
     }
+    if (process.env.GEMINI_API_KEY) {
+      return "gemini";
+    }
+    return process.env.NODE_ENV === ENV.TYPES.PRODUCTION ? "none" : "stub";
+  },
+
+  /**
+   * Get the AI model of a feature
+   */
+  getModel(feature) {
+    const model = this.models.get(feature);
+    if (!model) {
+      throw new Error("AI service not available");
+    }
+    return model;
   },
 
   /**
-   * Get AI model
+   * Check if AI is available, for one feature or any
    */
-  getModel(modelType = "geminiPro") {
-    return this.models[modelType];
+  isAvailable(feature) {
+    return feature ? this.models.has(feature) : this.models.size > 0;
   },
 
   /**
-   * Check if AI is available
+   * Describe the provider and model used by each feature
    */
-  isAvailable() {
-    return !!this.genAI && !!this.models.geminiPro;
+  getFeatureStatus() {
+    return Object.fromEntries(
+      FEATURES.map((feature) => {
+        const model = this.models.get(feature);
+        return [
+          feature,
+          model
+            ? { provider: model.provider, model: model.name }
+            : { provider: null, model: null },
+        ];
+      }),
+    );
   },
 
   /**
@@ -76,8 +150,8 @@ const aiConfig = {
   getStatus() {
     return {
       available: this.isAvailable(),
-      models: Object.keys(this.models).filter((key) => this.models[key]),
-      provider: "Google Gemini",
+      features: this.getFeatureStatus(),
+      providers: aiProviders.list(),
       thresholds: this.thresholds,
       cacheSize: this.cache.size,
       cacheTTL: this.cacheTTL,
@@ -141,8 +215,12 @@ const aiConfig = {
    * Setup cache cleanup
    */
   setupCacheCleanup() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
     // Clean up expired cache every hour
-    setInterval(() => {
+    this.cleanupTimer = setInterval(() => {
       const now = Date.now();
       let cleanedCount = 0;
 
@@ -157,6 +235,7 @@ const aiConfig = {
         logger.info(`🧹 Cleaned up ${cleanedCount} expired AI cache entries`);
       }
     }, 60 * 60 * 1000); // Every hour
+    this.cleanupTimer.unref();
   },
 
   /**
@@ -172,7 +251,7 @@ const aiConfig = {
    */
   getConfig() {
     return {
-      models: Object.keys(this.models).filter((key) => this.models[key]),
+      models: this.getFeatureStatus(),
       thresholds: this.thresholds,
       cache: {
         size: this.cache.size,
@@ -39,23 +39,20 @@ const multerConfig = {
   },
 
   /**
-   * Configure storage for different contexts
+   * Configure storage
+   * Uploads stay in memory and are written through the storage service,
+   * so API instances do not depend on a shared disk
    */
-  getStorageConfig(context) {
-    return multer.diskStorage({
-      destination: (req, file, cb) => {
-        const contextPath = path.join(this.uploadPath, context);
-        cb(null, contextPath);
-      },
-      filename: (req, file, cb) => {
-        const timestamp = Date.now();
-        const userId = req.user?._id || "anonymous";
-        const originalName = file.originalname.replace(/[^a-zA-Z0-9.]/g, "_");
-        const filename = `${timestamp}_${userId}_${originalName}`;
+  getStorageConfig() {
+    return multer.memoryStorage();
+  },
 
-        cb(null, filename);
-      },
-    });
+  /**
+   * Generate the file key of an upload
+   */
+  generateFileKey(userId, originalName) {
+    const safeName = originalName.replace(/[^a-zA-Z0-9.]/g, "_");
+    return `${Date.now()}_${userId || "anonymous"}_${safeName}`;
   },
 
   /**
@@ -90,7 +87,7 @@ const multerConfig = {
    */
   getMulterInstance(context, maxFiles = 5) {
     return multer({
-      storage: this.getStorageConfig(context),
+      storage: this.getStorageConfig(),
       fileFilter: this.fileFilter.bind(this),
       limits: {
         fileSize: this.maxFileSize,
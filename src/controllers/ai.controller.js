@@ -1,4 +1,5 @@
 const aiService = require("../services/ai.service");
+const aiJobQueue = require("../services/aiJobQueue.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -352,7 +353,7 @@ const aiController = {
   async getAIStatus(req, res) {
     try {
       const status = aiService.getStatus();
-      const stats = await aiService.getServiceStats();
+      const stats = await aiJobQueue.getStats();
 
       logger.info("✅ AI status retrieved");
 
@@ -401,11 +402,7 @@ const aiController = {
       }
 
       // Create analysis job
-      const job = await aiService.createAnalysisJob(
-        photoId,
-        userId,
-        analysisType
-      );
+      const job = await aiJobQueue.enqueue(photoId, userId, analysisType);
 
       logger.info("✅ AI analysis job created", {
         userId,
@@ -434,6 +431,13 @@ const aiController = {
         });
       }
 
+      if (error.message === "Photo not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy ảnh",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Tạo job phân tích AI thất bại. Vui lòng thử lại sau",
@@ -458,16 +462,8 @@ const aiController = {
         });
       }
 
-      // Get job status
-      const job = await aiService.getJobStatus(jobId);
-
-      // Verify job ownership
-      if (job.userId && job.userId !== userId.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: "Không có quyền truy cập job này",
-        });
-      }
+      // Get job status (scoped to the owner)
+      const job = await aiJobQueue.getJob(jobId, userId);
 
       logger.info("✅ AI job status retrieved", {
         userId,
@@ -503,6 +499,53 @@ const aiController = {
     }
   },
 
+  /**
+   * Cancel a pending or running AI analysis job
+   */
+  async cancelJob(req, res) {
+    try {
+      const userId = req.user._id;
+      const { jobId } = req.params;
+
+      const job = await aiJobQueue.cancel(jobId, userId);
+
+      logger.info("✅ AI job cancelled", { userId, jobId });
+
+      res.json({
+        success: true,
+        message: "Đã hủy job phân tích AI",
+        data: { job },
+      });
+    } catch (error) {
+      logger.error("❌ Cancel AI job failed", {
+        error: error.message,
+        userId: req.user?._id,
+        jobId: req.params.jobId,
+      });
+
+      if (error.message === "Job not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy job",
+        });
+      }
+
+      if (error.message === "Job already finished") {
+        return res.status(409).json({
+          success: false,
+          message: "Job đã kết thúc, không thể hủy",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Hủy job thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
   /**
    * Get user's AI analysis jobs
    */
@@ -512,7 +555,7 @@ const aiController = {
       const { limit = 20 } = req.query;
 
       // Get user jobs
-      const jobs = await aiService.getUserJobs(userId, parseInt(limit));
+      const jobs = await aiJobQueue.getUserJobs(userId, parseInt(limit));
 
       logger.info("✅ User AI jobs retrieved", {
         userId,
@@ -1,6 +1,15 @@
 const authService = require("../services/auth.service");
+const twoFactorService = require("../services/twoFactor.service");
 const logger = require("../utils/logger.util");
 
+/**
+ * Device details stored with the session a request opens or refreshes
+ */
+const getClientContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
 /**
  * Authentication controller for user management
  * Handles login, register, token refresh, and security
@@ -27,12 +36,15 @@ const authController = {
       }
 
       // Register user
-      const result = await authService.registerUser({
-        email,
-        password,
-        name,
-        ...otherData,
-      });
+      const result = await authService.registerUser(
+        {
+          email,
+          password,
+          name,
+          ...otherData,
+        },
+        getClientContext(req),
+      );
 
       logger.info("✅ User registered successfully", {
         userId: result.user._id,
@@ -99,7 +111,25 @@ const authController = {
       }
 
       // Authenticate user
-      const result = await authService.authenticateUser(email, password);
+      const result = await authService.authenticateUser(
+        email,
+        password,
+        getClientContext(req),
+      );
+
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: result.setupRequired
+            ? "Tài khoản của bạn cần bật xác thực hai bước để đăng nhập"
+            : "Vui lòng nhập mã xác thực hai bước",
+          data: {
+            twoFactorRequired: true,
+            setupRequired: result.setupRequired,
+            challengeToken: result.challengeToken,
+          },
+        });
+      }
 
       logger.info("✅ User logged in successfully", {
         userId: result.user._id,
@@ -144,6 +174,211 @@ const authController = {
         });
       }
 
+      if (error.message === "Account temporarily locked") {
+        return res.status(423).json({
+          success: false,
+          message:
+            "Tài khoản tạm thời bị khóa do đăng nhập sai nhiều lần. Vui lòng thử lại sau",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Đăng nhập thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Sign in with a Google or Apple ID token
+   */
+  async oauthLogin(req, res) {
+    try {
+      const { provider } = req.params;
+      const { idToken, nonce, name } = req.body;
+
+      const result = await authService.loginWithProvider(
+        provider,
+        { idToken, nonce, name },
+        getClientContext(req),
+      );
+
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: result.setupRequired
+            ? "Tài khoản của bạn cần bật xác thực hai bước để đăng nhập"
+            : "Vui lòng nhập mã xác thực hai bước",
+          data: {
+            twoFactorRequired: true,
+            setupRequired: result.setupRequired,
+            challengeToken: result.challengeToken,
+          },
+        });
+      }
+
+      logger.info("✅ User logged in with identity provider", {
+        userId: result.user._id,
+        provider,
+      });
+
+      res.status(result.isNewUser ? 201 : 200).json({
+        success: true,
+        message: result.isNewUser
+          ? "Đăng ký thành công! Chào mừng bạn đến với BreakFit"
+          : "Đăng nhập thành công! Chào mừng bạn trở lại",
+        data: {
+          user: {
+            _id: result.user._id,
+            email: result.user.email,
+            name: result.user.name,
+            isActive: result.user.isActive,
+            lastLoginAt: result.user.lastLoginAt,
+          },
+          tokens: {
+            accessToken: result.tokens.accessToken,
+            refreshToken: result.tokens.refreshToken,
+          },
+          isNewUser: result.isNewUser,
+        },
+      });
+    } catch (error) {
+      logger.error("❌ Identity provider login failed", {
+        error: error.message,
+        provider: req.params.provider,
+      });
+
+      if (error.message === "Unknown OAuth provider") {
+        return res.status(404).json({
+          success: false,
+          message: "Nhà cung cấp đăng nhập không được hỗ trợ",
+        });
+      }
+
+      if (error.message === "OAuth provider not configured") {
+        return res.status(503).json({
+          success: false,
+          message: "Đăng nhập bằng nhà cung cấp này hiện chưa khả dụng",
+        });
+      }
+
+      if (error.message === "Invalid ID token") {
+        return res.status(401).json({
+          success: false,
+          message: "Token đăng nhập không hợp lệ hoặc đã hết hạn",
+        });
+      }
+
+      if (error.message === "Verified email required") {
+        return res.status(400).json({
+          success: false,
+          message: "Tài khoản cần có email đã xác minh để đăng nhập",
+        });
+      }
+
+      if (error.message === "Email already registered") {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Email đã được đăng ký. Vui lòng đăng nhập bằng mật khẩu rồi liên kết tài khoản",
+        });
+      }
+
+      if (error.message === "Account locked") {
+        return res.status(423).json({
+          success: false,
+          message: "Tài khoản đã bị khóa. Vui lòng liên hệ hỗ trợ",
+        });
+      }
+
+      if (error.message === "Account temporarily locked") {
+        return res.status(423).json({
+          success: false,
+          message:
+            "Tài khoản tạm thời bị khóa do đăng nhập sai nhiều lần. Vui lòng thử lại sau",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Đăng nhập thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Second login step with an authenticator or recovery code
+   */
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const result = await authService.verifyTwoFactorLogin(
+        challengeToken,
+        code,
+        getClientContext(req),
+      );
+
+      logger.info("✅ User logged in with two-factor", {
+        userId: result.user._id,
+      });
+
+      res.json({
+        success: true,
+        message: "Đăng nhập thành công! Chào mừng bạn trở lại",
+        data: {
+          user: {
+            _id: result.user._id,
+            email: result.user.email,
+            name: result.user.name,
+            isActive: result.user.isActive,
+            lastLoginAt: result.user.lastLoginAt,
+          },
+          tokens: {
+            accessToken: result.tokens.accessToken,
+            refreshToken: result.tokens.refreshToken,
+          },
+          recoveryCodes: result.recoveryCodes,
+        },
+      });
+    } catch (error) {
+      logger.error("❌ Two-factor login failed", {
+        error: error.message,
+      });
+
+      if (error.message === "Invalid or expired challenge") {
+        return res.status(401).json({
+          success: false,
+          message: "Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại",
+        });
+      }
+
+      if (error.message === "Invalid two-factor code") {
+        return res.status(401).json({
+          success: false,
+          message: "Mã xác thực không chính xác",
+        });
+      }
+
+      if (error.message === "Two-factor setup not started") {
+        return res.status(400).json({
+          success: false,
+          message: "Vui lòng thiết lập xác thực hai bước trước",
+        });
+      }
+
+      if (error.message === "Account temporarily locked") {
+        return res.status(423).json({
+          success: false,
+          message:
+            "Tài khoản tạm thời bị khóa do đăng nhập sai nhiều lần. Vui lòng thử lại sau",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Đăng nhập thất bại. Vui lòng thử lại sau",
@@ -153,6 +388,56 @@ const authController = {
     }
   },
 
+  /**
+   * Start required two-factor enrollment during login
+   */
+  async setupTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken } = req.body;
+
+      const setup = await authService.startTwoFactorLoginSetup(challengeToken);
+
+      res.json({
+        success: true,
+        message: "Quét mã QR bằng ứng dụng xác thực rồi nhập mã để hoàn tất",
+        data: setup,
+      });
+    } catch (error) {
+      logger.error("❌ Two-factor login setup failed", {
+        error: error.message,
+      });
+
+      if (error.message === "Invalid or expired challenge") {
+        return res.status(401).json({
+          success: false,
+          message: "Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại",
+        });
+      }
+
+      if (error.message === "Two-factor already enabled") {
+        return res.status(409).json({
+          success: false,
+          message: "Xác thực hai bước đã được bật",
+        });
+      }
+
+      if (error.message === "Account temporarily locked") {
+        return res.status(423).json({
+          success: false,
+          message:
+            "Tài khoản tạm thời bị khóa do đăng nhập sai nhiều lần. Vui lòng thử lại sau",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Thiết lập xác thực hai bước thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
   /**
    * Refresh access token
    */
@@ -168,7 +453,10 @@ const authController = {
       }
 
       // Refresh token
-      const result = await authService.refreshAccessToken(refreshToken);
+      const result = await authService.refreshAccessToken(
+        refreshToken,
+        getClientContext(req),
+      );
 
       logger.info("✅ Token refreshed successfully", {
         userId: result.userId,
@@ -218,9 +506,10 @@ const authController = {
       const { refreshToken } = req.body;
       const userId = req.user._id;
 
-      if (refreshToken) {
-        await authService.revokeRefreshToken(refreshToken);
-      }
+      await authService.logoutUser(userId, {
+        sessionId: req.sessionId,
+        refreshToken,
+      });
 
       logger.info("✅ User logged out successfully", { userId });
 
@@ -244,52 +533,28 @@ const authController = {
   },
 
   /**
-   * Change password
+   * Sign-in methods of the current user
    */
-  async changePassword(req, res) {
+  async getLinkedProviders(req, res) {
     try {
-      const { currentPassword, newPassword } = req.body;
       const userId = req.user._id;
 
-      // Validate required fields
-      if (!currentPassword || !newPassword) {
-        return res.status(400).json({
-          success: false,
-          message: "Mật khẩu hiện tại và mật khẩu mới là bắt buộc",
-          errors: {
-            currentPassword: !currentPassword
-              ? "Mật khẩu hiện tại là bắt buộc"
-              : null,
-            newPassword: !newPassword ? "Mật khẩu mới là bắt buộc" : null,
-          },
-        });
-      }
-
-      // Change password
-      await authService.changePassword(userId, currentPassword, newPassword);
-
-      logger.info("✅ Password changed successfully", { userId });
+      const result = await authService.getLinkedProviders(userId);
 
       res.json({
         success: true,
-        message: "Mật khẩu đã được thay đổi thành công",
+        message: "Phương thức đăng nhập đã được lấy thành công",
+        data: result,
       });
     } catch (error) {
-      logger.error("❌ Password change failed", {
+      logger.error("❌ Get linked providers failed", {
         error: error.message,
         userId: req.user?._id,
       });
 
-      if (error.message === "Current password is incorrect") {
-        return res.status(400).json({
-          success: false,
-          message: "Mật khẩu hiện tại không chính xác",
-        });
-      }
-
       res.status(500).json({
         success: false,
-        message: "Thay đổi mật khẩu thất bại. Vui lòng thử lại sau",
+        message: "Lấy phương thức đăng nhập thất bại. Vui lòng thử lại sau",
         error:
           process.env.NODE_ENV === "development" ? error.message : undefined,
       });
@@ -297,50 +562,484 @@ const authController = {
   },
 
   /**
-   * Request password reset
+   * Link a Google or Apple account to the current user
    */
-  async requestPasswordReset(req, res) {
+  async linkProvider(req, res) {
     try {
-      const { email } = req.body;
-
-      if (!email) {
-        return res.status(400).json({
-          success: false,
-          message: "Email là bắt buộc",
-        });
-      }
-
-      // Request password reset
-      await authService.requestPasswordReset(email);
+      const userId = req.user._id;
+      const { provider } = req.params;
+      const { idToken, nonce } = req.body;
 
-      logger.info("✅ Password reset requested", { email });
+      const result = await authService.linkProvider(userId, provider, {
+        idToken,
+        nonce,
+      });
 
       res.json({
         success: true,
-        message:
-          "Yêu cầu đặt lại mật khẩu đã được gửi. Vui lòng kiểm tra email",
+        message: "Liên kết tài khoản thành công",
+        data: result,
       });
     } catch (error) {
-      logger.error("❌ Password reset request failed", {
+      logger.error("❌ Link identity provider failed", {
         error: error.message,
-        email: req.body.email,
+        userId: req.user?._id,
+        provider: req.params.provider,
       });
 
-      // Don't reveal if user exists or not
-      res.json({
-        success: true,
-        message:
-          "Yêu cầu đặt lại mật khẩu đã được gửi. Vui lòng kiểm tra email",
-      });
-    }
-  },
+      if (error.message === "Unknown OAuth provider") {
+        return res.status(404).json({
+          success: false,
+          message: "Nhà cung cấp đăng nhập không được hỗ trợ",
+        });
+      }
 
-  /**
-   * Reset password with token
-   */
-  async resetPassword(req, res) {
-    try {
-      const { token, newPassword } = req.body;
+      if (error.message === "OAuth provider not configured") {
+        return res.status(503).json({
+          success: false,
+          message: "Đăng nhập bằng nhà cung cấp này hiện chưa khả dụng",
+        });
+      }
+
+      if (error.message === "Invalid ID token") {
+        return res.status(401).json({
+          success: false,
+          message: "Token đăng nhập không hợp lệ hoặc đã hết hạn",
+        });
+      }
+
+      if (error.message === "Provider account already linked") {
+        return res.status(409).json({
+          success: false,
+          message: "Tài khoản này đã được liên kết với người dùng khác",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Liên kết tài khoản thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Unlink a Google or Apple account from the current user
+   */
+  async unlinkProvider(req, res) {
+    try {
+      const userId = req.user._id;
+      const { provider } = req.params;
+
+      const result = await authService.unlinkProvider(userId, provider);
+
+      res.json({
+        success: true,
+        message: "Đã hủy liên kết tài khoản",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("❌ Unlink identity provider failed", {
+        error: error.message,
+        userId: req.user?._id,
+        provider: req.params.provider,
+      });
+
+      if (error.message === "Unknown OAuth provider") {
+        return res.status(404).json({
+          success: false,
+          message: "Nhà cung cấp đăng nhập không được hỗ trợ",
+        });
+      }
+
+      if (error.message === "Provider not linked") {
+        return res.status(400).json({
+          success: false,
+          message: "Tài khoản chưa được liên kết với nhà cung cấp này",
+        });
+      }
+
+      if (error.message === "Cannot remove last sign-in method") {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Không thể hủy liên kết phương thức đăng nhập cuối cùng. Hãy đặt mật khẩu trước",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Hủy liên kết tài khoản thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * List active sessions of the current user
+   */
+  async getSessions(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const sessions = await authService.getSessions(userId, req.sessionId);
+
+      res.json({
+        success: true,
+        message: "Danh sách phiên đăng nhập đã được lấy thành công",
+        data: { sessions },
+      });
+    } catch (error) {
+      logger.error("❌ Get sessions failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy danh sách phiên đăng nhập thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Sign out one session of the current user
+   */
+  async revokeSession(req, res) {
+    try {
+      const userId = req.user._id;
+      const { sessionId } = req.params;
+
+      await authService.revokeSession(userId, sessionId);
+
+      logger.info("✅ Session revoked", { userId, sessionId });
+
+      res.json({
+        success: true,
+        message: "Phiên đăng nhập đã được đăng xuất",
+      });
+    } catch (error) {
+      logger.error("❌ Revoke session failed", {
+        error: error.message,
+        userId: req.user?._id,
+        sessionId: req.params.sessionId,
+      });
+
+      if (error.message === "Session not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy phiên đăng nhập",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Đăng xuất phiên thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Start two-factor enrollment for the current user
+   */
+  async setupTwoFactor(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const setup = await twoFactorService.startSetup(userId);
+
+      res.json({
+        success: true,
+        message: "Quét mã QR bằng ứng dụng xác thực rồi nhập mã để hoàn tất",
+        data: setup,
+      });
+    } catch (error) {
+      logger.error("❌ Two-factor setup failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Two-factor already enabled") {
+        return res.status(409).json({
+          success: false,
+          message: "Xác thực hai bước đã được bật",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Thiết lập xác thực hai bước thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Confirm two-factor enrollment with a first code
+   */
+  async enableTwoFactor(req, res) {
+    try {
+      const userId = req.user._id;
+      const { code } = req.body;
+
+      const { recoveryCodes } = await twoFactorService.enable(userId, code);
+
+      res.json({
+        success: true,
+        message:
+          "Xác thực hai bước đã được bật. Hãy lưu các mã khôi phục ở nơi an toàn",
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      logger.error("❌ Two-factor enable failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Two-factor already enabled") {
+        return res.status(409).json({
+          success: false,
+          message: "Xác thực hai bước đã được bật",
+        });
+      }
+
+      if (error.message === "Two-factor setup not started") {
+        return res.status(400).json({
+          success: false,
+          message: "Vui lòng thiết lập xác thực hai bước trước",
+        });
+      }
+
+      if (error.message === "Invalid two-factor code") {
+        return res.status(400).json({
+          success: false,
+          message: "Mã xác thực không chính xác",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Bật xác thực hai bước thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Turn two-factor off for the current user
+   */
+  async disableTwoFactor(req, res) {
+    try {
+      const userId = req.user._id;
+      const { password, code } = req.body;
+
+      await twoFactorService.disable(userId, password, code);
+
+      res.json({
+        success: true,
+        message: "Xác thực hai bước đã được tắt",
+      });
+    } catch (error) {
+      logger.error("❌ Two-factor disable failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Two-factor not enabled") {
+        return res.status(400).json({
+          success: false,
+          message: "Xác thực hai bước chưa được bật",
+        });
+      }
+
+      if (error.message === "Two-factor required for role") {
+        return res.status(403).json({
+          success: false,
+          message: "Tài khoản admin bắt buộc sử dụng xác thực hai bước",
+        });
+      }
+
+      if (error.message === "Current password is incorrect") {
+        return res.status(400).json({
+          success: false,
+          message: "Mật khẩu hiện tại không chính xác",
+        });
+      }
+
+      if (error.message === "Invalid two-factor code") {
+        return res.status(400).json({
+          success: false,
+          message: "Mã xác thực không chính xác",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Tắt xác thực hai bước thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Replace the recovery codes of the current user
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const userId = req.user._id;
+      const { code } = req.body;
+
+      const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(
+        userId,
+        code,
+      );
+
+      res.json({
+        success: true,
+        message: "Mã khôi phục mới đã được tạo. Các mã cũ không còn hiệu lực",
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      logger.error("❌ Regenerate recovery codes failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Two-factor not enabled") {
+        return res.status(400).json({
+          success: false,
+          message: "Xác thực hai bước chưa được bật",
+        });
+      }
+
+      if (error.message === "Invalid two-factor code") {
+        return res.status(400).json({
+          success: false,
+          message: "Mã xác thực không chính xác",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Tạo mã khôi phục thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Change password
+   */
+  async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const userId = req.user._id;
+
+      // Validate required fields
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: "Mật khẩu hiện tại và mật khẩu mới là bắt buộc",
+          errors: {
+            currentPassword: !currentPassword
+              ? "Mật khẩu hiện tại là bắt buộc"
+              : null,
+            newPassword: !newPassword ? "Mật khẩu mới là bắt buộc" : null,
+          },
+        });
+      }
+
+      // Change password
+      await authService.changePassword(
+        userId,
+        currentPassword,
+        newPassword,
+        req.sessionId,
+      );
+
+      logger.info("✅ Password changed successfully", { userId });
+
+      res.json({
+        success: true,
+        message: "Mật khẩu đã được thay đổi thành công",
+      });
+    } catch (error) {
+      logger.error("❌ Password change failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Current password is incorrect") {
+        return res.status(400).json({
+          success: false,
+          message: "Mật khẩu hiện tại không chính xác",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Thay đổi mật khẩu thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Request password reset
+   */
+  async requestPasswordReset(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: "Email là bắt buộc",
+        });
+      }
+
+      // Request password reset
+      await authService.requestPasswordReset(email);
+
+      logger.info("✅ Password reset requested", { email });
+
+      res.json({
+        success: true,
+        message:
+          "Yêu cầu đặt lại mật khẩu đã được gửi. Vui lòng kiểm tra email",
+      });
+    } catch (error) {
+      logger.error("❌ Password reset request failed", {
+        error: error.message,
+        email: req.body.email,
+      });
+
+      // Don't reveal if user exists or not
+      res.json({
+        success: true,
+        message:
+          "Yêu cầu đặt lại mật khẩu đã được gửi. Vui lòng kiểm tra email",
+      });
+    }
+  },
+
+  /**
+   * Reset password with token
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
 
       if (!token || !newPassword) {
         return res.status(400).json({
@@ -384,6 +1083,82 @@ const authController = {
     }
   },
 
+  /**
+   * Verify email address with the token from the verification link
+   */
+  async verifyEmail(req, res) {
+    try {
+      const { token } = req.body;
+
+      await authService.verifyEmail(token);
+
+      res.json({
+        success: true,
+        message: "Email đã được xác minh thành công",
+      });
+    } catch (error) {
+      logger.error("❌ Email verification failed", {
+        error: error.message,
+      });
+
+      if (error.message === "Invalid or expired token") {
+        return res.status(400).json({
+          success: false,
+          message: "Token không hợp lệ hoặc đã hết hạn",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Xác minh email thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Send a new verification email to the current user
+   */
+  async resendVerification(req, res) {
+    try {
+      const userId = req.user._id;
+
+      await authService.resendVerification(userId);
+
+      res.json({
+        success: true,
+        message: "Email xác minh đã được gửi. Vui lòng kiểm tra hộp thư",
+      });
+    } catch (error) {
+      logger.error("❌ Resend verification failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Email already verified") {
+        return res.status(400).json({
+          success: false,
+          message: "Email đã được xác minh",
+        });
+      }
+
+      if (error.message === "User not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy người dùng",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Gửi email xác minh thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
   /**
    * Get current user info
    */
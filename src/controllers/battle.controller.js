@@ -263,6 +263,20 @@ const battleController = {
         });
       }
 
+      if (error.message.includes("computed automatically")) {
+        return res.status(400).json({
+          success: false,
+          message: "Baseline của chỉ số này được tính tự động từ dữ liệu đã ghi",
+        });
+      }
+
+      if (error.message === "User is not a participant in this battle") {
+        return res.status(403).json({
+          success: false,
+          message: "Bạn không tham gia trận đấu này",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Thiết lập baseline thất bại. Vui lòng thử lại sau",
@@ -279,12 +293,13 @@ const battleController = {
     try {
       const userId = req.user._id;
       const { battleId } = req.params;
+      // currentValue is ignored for metrics computed from tracked records
       const { currentValue, note = "" } = req.body;
 
-      if (!battleId || currentValue === undefined) {
+      if (!battleId) {
         return res.status(400).json({
           success: false,
-          message: "Battle ID và giá trị hiện tại là bắt buộc",
+          message: "Battle ID là bắt buộc",
         });
       }
 
@@ -322,6 +337,20 @@ const battleController = {
         });
       }
 
+      if (error.message === "Current value is required for this metric") {
+        return res.status(400).json({
+          success: false,
+          message: "Giá trị hiện tại là bắt buộc",
+        });
+      }
+
+      if (error.message === "User is not a participant in this battle") {
+        return res.status(403).json({
+          success: false,
+          message: "Bạn không tham gia trận đấu này",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Cập nhật tiến độ thất bại. Vui lòng thử lại sau",
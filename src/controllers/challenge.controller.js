@@ -390,35 +390,21 @@ const challengeController = {
   },
 
   /**
-   * Update challenge progress
+   * Recompute challenge progress from the user's logged data
    */
   async updateProgress(req, res) {
     try {
       const userId = req.user._id;
       const { challengeId } = req.params;
-      const { dayNumber, score, completed = true } = req.body;
-
-      if (!challengeId || dayNumber === undefined || score === undefined) {
-        return res.status(400).json({
-          success: false,
-          message: "Challenge ID, ngày và điểm số là bắt buộc",
-        });
-      }
 
       const challenge = await challengeService.updateProgress(
         challengeId,
-        userId,
-        parseInt(dayNumber),
-        parseInt(score),
-        completed
+        userId
       );
 
       logger.info("✅ Challenge progress updated successfully", {
         userId,
         challengeId,
-        dayNumber,
-        score,
-        completed,
       });
 
       res.json({
@@ -441,6 +427,13 @@ const challengeController = {
         });
       }
 
+      if (error.message === "User is not a participant") {
+        return res.status(403).json({
+          success: false,
+          message: "Bạn không tham gia thử thách này",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Cập nhật tiến độ thất bại. Vui lòng thử lại sau",
@@ -1,4 +1,5 @@
 const gamificationService = require("../services/gamification.service");
+const rewardRulesService = require("../services/rewardRules.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -42,12 +43,12 @@ const gamificationController = {
   },
 
   /**
-   * Award XP to user
+   * Award XP to user (admin only)
    */
   async awardXP(req, res) {
     try {
-      const userId = req.user._id;
-      const { amount, source, description, category = "general" } = req.body;
+      const adminId = req.user._id;
+      const { userId = adminId, amount, source, description } = req.body;
 
       if (!amount || !source) {
         return res.status(400).json({
@@ -63,15 +64,22 @@ const gamificationController = {
         });
       }
 
-      const result = await gamificationService.awardXP(
-        userId,
-        amount,
-        source,
-        description,
-        category
-      );
+      const result = await rewardRulesService.grantManual(adminId, userId, {
+        xp: amount,
+        note: description || source,
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
+
+      if (!result.awarded) {
+        return res.status(409).json({
+          success: false,
+          message: "Yêu cầu trao XP này đã được xử lý",
+          code: "DUPLICATE_REWARD",
+        });
+      }
 
       logger.info("✅ XP awarded successfully", {
+        adminId,
         userId,
         amount,
         source,
@@ -406,12 +414,12 @@ const gamificationController = {
   },
 
   /**
-   * Award coins to user
+   * Award coins to user (admin only)
    */
   async awardCoins(req, res) {
     try {
-      const userId = req.user._id;
-      const { amount, source } = req.body;
+      const adminId = req.user._id;
+      const { userId = adminId, amount, source } = req.body;
 
       if (!amount || !source) {
         return res.status(400).json({
@@ -427,13 +435,22 @@ const gamificationController = {
         });
       }
 
-      const result = await gamificationService.awardCoins(
-        userId,
-        amount,
-        source
-      );
+      const result = await rewardRulesService.grantManual(adminId, userId, {
+        coins: amount,
+        note: source,
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
+
+      if (!result.awarded) {
+        return res.status(409).json({
+          success: false,
+          message: "Yêu cầu trao coins này đã được xử lý",
+          code: "DUPLICATE_REWARD",
+        });
+      }
 
       logger.info("✅ Coins awarded successfully", {
+        adminId,
         userId,
         amount,
         source,
@@ -799,6 +816,17 @@ const gamificationController = {
       });
     }
   },
+
+  /**
+   * Get XP and coin reward rules
+   */
+  getRewardRules(req, res) {
+    res.json({
+      success: true,
+      message: "Quy tắc thưởng đã được lấy thành công",
+      data: { rules: rewardRulesService.getRules() },
+    });
+  },
 };
 
 module.exports = gamificationController;
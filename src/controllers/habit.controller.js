@@ -0,0 +1,352 @@
+const habitService = require("../services/habit.service");
+const logger = require("../utils/logger.util");
+
+/**
+ * Habit controller for daily water, sleep and step tracking
+ * Handles habit logs, goals and summaries
+ */
+const habitController = {
+  /**
+   * Log a drink
+   */
+  async addWater(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const log = await habitService.addWater(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Lượng nước đã được ghi nhận thành công",
+        data: { log },
+      });
+    } catch (error) {
+      logger.error("❌ Log water failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Ghi nhận lượng nước thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Remove a drink
+   */
+  async removeWater(req, res) {
+    try {
+      const userId = req.user._id;
+      const { entryId } = req.params;
+
+      const log = await habitService.removeWater(userId, entryId);
+
+      res.json({
+        success: true,
+        message: "Đã xóa lượt uống nước",
+        data: { log },
+      });
+    } catch (error) {
+      logger.error("❌ Remove water entry failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Water entry not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy lượt uống nước",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Xóa lượt uống nước thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Log a night of sleep
+   */
+  async logSleep(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const log = await habitService.logSleep(userId, req.body);
+
+      res.json({
+        success: true,
+        message: "Giấc ngủ đã được ghi nhận thành công",
+        data: { log },
+      });
+    } catch (error) {
+      logger.error("❌ Log sleep failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Invalid sleep duration") {
+        return res.status(400).json({
+          success: false,
+          message: "Thời gian ngủ phải từ 0-24 giờ",
+        });
+      }
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Ghi nhận giấc ngủ thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Remove the sleep entry of a day
+   */
+  async deleteSleep(req, res) {
+    try {
+      const userId = req.user._id;
+      const { dateISO } = req.params;
+
+      const log = await habitService.deleteSleep(userId, dateISO);
+
+      res.json({
+        success: true,
+        message: "Đã xóa giấc ngủ",
+        data: { log },
+      });
+    } catch (error) {
+      logger.error("❌ Remove sleep entry failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Sleep entry not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy giấc ngủ cho ngày này",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Xóa giấc ngủ thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Set the step count of a day
+   */
+  async logSteps(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const log = await habitService.logSteps(userId, req.body);
+
+      res.json({
+        success: true,
+        message: "Số bước đã được ghi nhận thành công",
+        data: { log },
+      });
+    } catch (error) {
+      logger.error("❌ Log steps failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Ghi nhận số bước thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get habit goals
+   */
+  async getGoals(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const goals = await habitService.getGoals(userId);
+
+      res.json({
+        success: true,
+        message: "Mục tiêu thói quen đã được lấy thành công",
+        data: { goals },
+      });
+    } catch (error) {
+      logger.error("❌ Get habit goals failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy mục tiêu thói quen thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Update habit goals
+   */
+  async updateGoals(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const goals = await habitService.updateGoals(userId, req.body);
+
+      res.json({
+        success: true,
+        message: "Mục tiêu thói quen đã được cập nhật thành công",
+        data: { goals },
+      });
+    } catch (error) {
+      logger.error("❌ Update habit goals failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Cập nhật mục tiêu thói quen thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get the summary of one day
+   */
+  async getDailySummary(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const summary = await habitService.getDailySummary(
+        userId,
+        req.query.date,
+      );
+
+      res.json({
+        success: true,
+        message: "Tổng kết thói quen trong ngày đã được lấy thành công",
+        data: { summary },
+      });
+    } catch (error) {
+      logger.error("❌ Get daily habit summary failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy tổng kết thói quen thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get the summary of the week ending on a date
+   */
+  async getWeeklySummary(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const summary = await habitService.getWeeklySummary(
+        userId,
+        req.query.date,
+      );
+
+      res.json({
+        success: true,
+        message: "Tổng kết thói quen trong tuần đã được lấy thành công",
+        data: { summary },
+      });
+    } catch (error) {
+      logger.error("❌ Get weekly habit summary failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy tổng kết thói quen thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+};
+
+module.exports = habitController;
@@ -53,6 +53,19 @@ const integrationController = {
         });
       }
 
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Tạo integration thất bại. Vui lòng thử lại sau",
@@ -210,6 +223,19 @@ const integrationController = {
         });
       }
 
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Cập nhật integration thất bại. Vui lòng thử lại sau",
@@ -317,6 +343,13 @@ const integrationController = {
         });
       }
 
+      if (error.message.includes("not supported")) {
+        return res.status(400).json({
+          success: false,
+          message: "Nhà cung cấp này chưa hỗ trợ đồng bộ",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Kiểm tra kết nối integration thất bại. Vui lòng thử lại sau",
@@ -382,6 +415,25 @@ const integrationController = {
         });
       }
 
+      if (
+        error.message.includes("not supported") ||
+        error.message.includes("Unsupported data type")
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.startsWith("Sync failed")) {
+        return res.status(502).json({
+          success: false,
+          message: "Nhà cung cấp trả về lỗi khi đồng bộ dữ liệu",
+          error:
+            process.env.NODE_ENV === "development" ? error.message : undefined,
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Đồng bộ dữ liệu integration thất bại. Vui lòng thử lại sau",
@@ -414,16 +466,16 @@ const integrationController = {
         data
       );
 
-      logger.info("✅ Webhook triggered successfully", {
+      logger.info("✅ Webhook deliveries queued", {
         userId,
         integrationId,
         event,
         resultsCount: results.length,
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: "Webhook đã được kích hoạt thành công",
+        message: "Webhook đã được đưa vào hàng đợi gửi",
         data: { results },
       });
     } catch (error) {
@@ -441,6 +493,13 @@ const integrationController = {
         });
       }
 
+      if (error.message === "Invalid webhook URL") {
+        return res.status(400).json({
+          success: false,
+          message: "URL webhook phải là địa chỉ http(s) hợp lệ",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Kích hoạt webhook thất bại. Vui lòng thử lại sau",
@@ -450,6 +509,109 @@ const integrationController = {
     }
   },
 
+  /**
+   * Queue a logged webhook delivery again
+   */
+  async redeliverWebhook(req, res) {
+    try {
+      const userId = req.user._id;
+      const { integrationId, webhookId } = req.params;
+      const { deliveryId } = req.body;
+
+      const result = await integrationService.redeliverWebhook(
+        integrationId,
+        userId,
+        webhookId,
+        deliveryId,
+      );
+
+      res.status(202).json({
+        success: true,
+        message: "Webhook đã được đưa vào hàng đợi gửi lại",
+        data: { delivery: result },
+      });
+    } catch (error) {
+      logger.error("❌ Redeliver webhook failed", {
+        error: error.message,
+        userId: req.user?._id,
+        integrationId: req.params.integrationId,
+        webhookId: req.params.webhookId,
+      });
+
+      if (error.message.includes("not found")) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === "Invalid webhook URL") {
+        return res.status(400).json({
+          success: false,
+          message: "URL webhook phải là địa chỉ http(s) hợp lệ",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Gửi lại webhook thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get webhook delivery log
+   */
+  async getWebhookDeliveries(req, res) {
+    try {
+      const userId = req.user._id;
+      const { integrationId, webhookId } = req.params;
+      const { limit = 20, page = 1 } = req.query;
+
+      const options = {
+        limit: Math.min(parseInt(limit) || 20, 100),
+        page: parseInt(page) || 1,
+        includeResponseBody: !!req.user.roles?.includes("admin"),
+      };
+
+      const deliveries = await integrationService.getWebhookDeliveries(
+        integrationId,
+        userId,
+        webhookId,
+        options,
+      );
+
+      res.json({
+        success: true,
+        message: "Lịch sử gửi webhook đã được lấy thành công",
+        data: { deliveries },
+      });
+    } catch (error) {
+      logger.error("❌ Get webhook deliveries failed", {
+        error: error.message,
+        userId: req.user?._id,
+        integrationId: req.params.integrationId,
+        webhookId: req.params.webhookId,
+      });
+
+      if (error.message.includes("not found")) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy lịch sử gửi webhook thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
   /**
    * Add webhook to integration
    */
@@ -499,6 +661,23 @@ const integrationController = {
         });
       }
 
+      if (error.message === "Invalid webhook URL") {
+        return res.status(400).json({
+          success: false,
+          message: "URL webhook phải là địa chỉ http(s) hợp lệ",
+        });
+      }
+
+      if (
+        error.message === "Webhook URL resolves to a private address" ||
+        error.code === "ENOTFOUND"
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "URL webhook phải trỏ tới một máy chủ công khai",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Thêm webhook thất bại. Vui lòng thử lại sau",
@@ -340,6 +340,148 @@ const mealController = {
       });
     }
   },
+
+  /**
+   * Create draft meal entries from a completed AI meal analysis job
+   */
+  async createDrafts(req, res) {
+    try {
+      const userId = req.user._id;
+      const { jobId, mealType, dateISO } = req.body;
+
+      const drafts = await mealService.createDraftsFromJob(userId, jobId, {
+        mealType,
+        dateISO,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Đã tạo bữa ăn nháp từ phân tích AI",
+        data: { drafts },
+      });
+    } catch (error) {
+      logger.error("❌ Create draft meals failed", {
+        error: error.message,
+        userId: req.user?._id,
+        jobId: req.body.jobId,
+      });
+
+      if (error.message === "Job not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy job",
+        });
+      }
+
+      if (
+        error.message === "Job has no completed meal analysis" ||
+        error.message === "No food items in analysis" ||
+        error.name === "ValidationError"
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Job chưa có kết quả phân tích bữa ăn hợp lệ",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Tạo bữa ăn nháp thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get draft meal entries awaiting review
+   */
+  async getDrafts(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const drafts = await mealService.getDraftEntries(userId);
+
+      res.json({
+        success: true,
+        message: "Danh sách bữa ăn nháp đã được lấy thành công",
+        data: { drafts },
+      });
+    } catch (error) {
+      logger.error("❌ Get draft meals failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy bữa ăn nháp thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Confirm, edit or reject draft meal entries in one call
+   */
+  async reviewDrafts(req, res) {
+    try {
+      const userId = req.user._id;
+      const { confirm = [], edit = [], reject = [] } = req.body;
+
+      if (confirm.length + edit.length + reject.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Cần ít nhất một bữa ăn nháp để xác nhận, sửa hoặc từ chối",
+        });
+      }
+
+      const result = await mealService.reviewDrafts(userId, {
+        confirm,
+        edit,
+        reject,
+      });
+
+      res.json({
+        success: true,
+        message: "Bữa ăn nháp đã được xử lý thành công",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("❌ Review draft meals failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Draft meal entry not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy bữa ăn nháp",
+        });
+      }
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu chỉnh sửa không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Xử lý bữa ăn nháp thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
 };
 
 module.exports = mealController;
@@ -0,0 +1,277 @@
+const measurementService = require("../services/measurement.service");
+const logger = require("../utils/logger.util");
+
+/**
+ * Measurement controller for body circumference tracking
+ * Handles measurement entries and progress between dates
+ */
+const measurementController = {
+  /**
+   * Add measurement entry
+   */
+  async addMeasurement(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const measurement = await measurementService.addMeasurement(
+        userId,
+        req.body,
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Số đo đã được ghi nhận thành công",
+        data: { measurement },
+      });
+    } catch (error) {
+      logger.error("❌ Add measurement failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Measurement already exists for this date") {
+        return res.status(409).json({
+          success: false,
+          message: "Đã có số đo cho ngày này",
+        });
+      }
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Ghi nhận số đo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get measurement entries
+   */
+  async getMeasurements(req, res) {
+    try {
+      const userId = req.user._id;
+      const { from, to, limit = 30, page = 1 } = req.query;
+
+      const result = await measurementService.getMeasurements(userId, {
+        from,
+        to,
+        limit: parseInt(limit),
+        page: parseInt(page),
+      });
+
+      res.json({
+        success: true,
+        message: "Danh sách số đo đã được lấy thành công",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("❌ Get measurements failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy danh sách số đo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Compare measurements between two dates
+   */
+  async getProgress(req, res) {
+    try {
+      const userId = req.user._id;
+      const { from, to } = req.query;
+
+      const progress = await measurementService.getProgress(userId, {
+        from,
+        to,
+      });
+
+      res.json({
+        success: true,
+        message: "Tiến độ số đo đã được lấy thành công",
+        data: { progress },
+      });
+    } catch (error) {
+      logger.error("❌ Get measurement progress failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Invalid date range") {
+        return res.status(400).json({
+          success: false,
+          message: "Ngày bắt đầu phải trước ngày kết thúc",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy tiến độ số đo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get measurement entry
+   */
+  async getMeasurement(req, res) {
+    try {
+      const userId = req.user._id;
+      const { measurementId } = req.params;
+
+      const measurement = await measurementService.getMeasurement(
+        userId,
+        measurementId,
+      );
+
+      res.json({
+        success: true,
+        message: "Số đo đã được lấy thành công",
+        data: { measurement },
+      });
+    } catch (error) {
+      logger.error("❌ Get measurement failed", {
+        error: error.message,
+        userId: req.user?._id,
+        measurementId: req.params.measurementId,
+      });
+
+      if (error.message === "Measurement not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy số đo",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy số đo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Update measurement entry
+   */
+  async updateMeasurement(req, res) {
+    try {
+      const userId = req.user._id;
+      const { measurementId } = req.params;
+
+      const measurement = await measurementService.updateMeasurement(
+        userId,
+        measurementId,
+        req.body,
+      );
+
+      res.json({
+        success: true,
+        message: "Số đo đã được cập nhật thành công",
+        data: { measurement },
+      });
+    } catch (error) {
+      logger.error("❌ Update measurement failed", {
+        error: error.message,
+        userId: req.user?._id,
+        measurementId: req.params.measurementId,
+      });
+
+      if (error.message === "Measurement not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy số đo",
+        });
+      }
+
+      if (error.message === "Measurement already exists for this date") {
+        return res.status(409).json({
+          success: false,
+          message: "Đã có số đo cho ngày này",
+        });
+      }
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Cập nhật số đo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Delete measurement entry
+   */
+  async deleteMeasurement(req, res) {
+    try {
+      const userId = req.user._id;
+      const { measurementId } = req.params;
+
+      await measurementService.deleteMeasurement(userId, measurementId);
+
+      res.json({
+        success: true,
+        message: "Số đo đã được xóa thành công",
+      });
+    } catch (error) {
+      logger.error("❌ Delete measurement failed", {
+        error: error.message,
+        userId: req.user?._id,
+        measurementId: req.params.measurementId,
+      });
+
+      if (error.message === "Measurement not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy số đo",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Xóa số đo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+};
+
+module.exports = measurementController;
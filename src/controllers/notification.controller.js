@@ -0,0 +1,330 @@
+const notificationService = require("../services/notification.service");
+const logger = require("../utils/logger.util");
+
+/**
+ * Notification controller
+ * Handles the in-app inbox, push device registration and notification preferences
+ */
+const notificationController = {
+  /**
+   * Get inbox notifications
+   */
+  async getNotifications(req, res) {
+    try {
+      const userId = req.user._id;
+      const { page = 1, limit = 20, unreadOnly } = req.query;
+
+      const result = await notificationService.getInbox(userId, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+        unreadOnly: unreadOnly === "true",
+      });
+
+      res.json({
+        success: true,
+        message: "Danh sách thông báo đã được lấy thành công",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("❌ Get notifications failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy danh sách thông báo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get the number of unread notifications
+   */
+  async getUnreadCount(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const unreadCount = await notificationService.getUnreadCount(userId);
+
+      res.json({
+        success: true,
+        message: "Số thông báo chưa đọc đã được lấy thành công",
+        data: { unreadCount },
+      });
+    } catch (error) {
+      logger.error("❌ Get unread notification count failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy số thông báo chưa đọc thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Mark a notification as read
+   */
+  async markAsRead(req, res) {
+    try {
+      const userId = req.user._id;
+      const { notificationId } = req.params;
+
+      const result = await notificationService.markAsRead(
+        userId,
+        notificationId,
+      );
+
+      res.json({
+        success: true,
+        message: "Thông báo đã được đánh dấu là đã đọc",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("❌ Mark notification as read failed", {
+        error: error.message,
+        userId: req.user?._id,
+        notificationId: req.params.notificationId,
+      });
+
+      if (error.message === "Notification not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy thông báo",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Đánh dấu thông báo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Mark every notification as read
+   */
+  async markAllAsRead(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const result = await notificationService.markAllAsRead(userId);
+
+      res.json({
+        success: true,
+        message: "Tất cả thông báo đã được đánh dấu là đã đọc",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("❌ Mark all notifications as read failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Đánh dấu thông báo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Register a device push token
+   */
+  async registerDevice(req, res) {
+    try {
+      const userId = req.user._id;
+      const { token, platform, appVersion, deviceName } = req.body;
+
+      const device = await notificationService.registerDevice(userId, {
+        token,
+        platform,
+        appVersion,
+        deviceName,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Thiết bị đã được đăng ký nhận thông báo",
+        data: { device },
+      });
+    } catch (error) {
+      logger.error("❌ Register device failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Invalid push token") {
+        return res.status(400).json({
+          success: false,
+          message: "Push token không hợp lệ",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Đăng ký thiết bị thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Unregister a device push token
+   */
+  async unregisterDevice(req, res) {
+    try {
+      const userId = req.user._id;
+      const { token } = req.params;
+
+      await notificationService.unregisterDevice(userId, token);
+
+      res.json({
+        success: true,
+        message: "Thiết bị đã ngừng nhận thông báo",
+      });
+    } catch (error) {
+      logger.error("❌ Unregister device failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Device not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy thiết bị",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Hủy đăng ký thiết bị thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get registered devices
+   */
+  async getDevices(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const devices = await notificationService.getUserDevices(userId);
+
+      res.json({
+        success: true,
+        message: "Danh sách thiết bị đã được lấy thành công",
+        data: { devices },
+      });
+    } catch (error) {
+      logger.error("❌ Get devices failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy danh sách thiết bị thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Get notification preferences
+   */
+  async getPreferences(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const preferences = await notificationService.getPreferences(userId);
+
+      res.json({
+        success: true,
+        message: "Cài đặt thông báo đã được lấy thành công",
+        data: { preferences },
+      });
+    } catch (error) {
+      logger.error("❌ Get notification preferences failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Lấy cài đặt thông báo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Update notification preferences
+   */
+  async updatePreferences(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const preferences = await notificationService.updatePreferences(
+        userId,
+        req.body,
+      );
+
+      res.json({
+        success: true,
+        message: "Cài đặt thông báo đã được cập nhật",
+        data: { preferences },
+      });
+    } catch (error) {
+      logger.error("❌ Update notification preferences failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Unknown notification template") {
+        return res.status(400).json({
+          success: false,
+          message: "Loại thông báo không tồn tại",
+        });
+      }
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, err]) => [
+              field,
+              err.message,
+            ]),
+          ),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Cập nhật cài đặt thông báo thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+};
+
+module.exports = notificationController;
@@ -1,4 +1,6 @@
 const photoService = require("../services/photo.service");
+const photoAccessService = require("../services/photoAccess.service");
+const storageService = require("../services/storage.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -66,7 +68,7 @@ const photoController = {
       res.status(201).json({
         success: true,
         message: "Ảnh đã được tải lên thành công",
-        data: { photo },
+        data: { photo: photoAccessService.withUrls(photo) },
       });
     } catch (error) {
       logger.error("❌ Photo upload failed", {
@@ -117,7 +119,7 @@ const photoController = {
       res.json({
         success: true,
         message: "Ảnh đã được lấy thành công",
-        data: { photo },
+        data: { photo: photoAccessService.withUrls(photo) },
       });
     } catch (error) {
       logger.error("❌ Get photo failed", {
@@ -133,7 +135,7 @@ const photoController = {
         });
       }
 
-      if (error.message === "Unauthorized access") {
+      if (error.message === "Access denied") {
         return res.status(403).json({
           success: false,
           message: "Bạn không có quyền xem ảnh này",
@@ -149,6 +151,181 @@ const photoController = {
     }
   },
 
+  /**
+   * Get a signed URL of one photo size
+   */
+  async getPhotoUrl(req, res) {
+    try {
+      const userId = req.user._id;
+      const { photoId } = req.params;
+      const { size = "full", format } = req.query;
+
+      const photo = await photoService.getPhotoById(photoId, userId);
+      const { url, expiresAt } = photoAccessService.getSignedUrl(
+        photo,
+        size,
+        format,
+      );
+
+      res.json({
+        success: true,
+        message: "Liên kết ảnh đã được tạo thành công",
+        data: { size, url, expiresAt },
+      });
+    } catch (error) {
+      logger.error("❌ Get photo URL failed", {
+        error: error.message,
+        userId: req.user?._id,
+        photoId: req.params.photoId,
+      });
+
+      if (error.message === "Photo not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy ảnh",
+        });
+      }
+
+      if (error.message === "Access denied") {
+        return res.status(403).json({
+          success: false,
+          message: "Bạn không có quyền xem ảnh này",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Tạo liên kết ảnh thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Serve a photo file through a signed URL
+   * Supports conditional requests (ETag, Last-Modified) and single byte ranges;
+   * with STORAGE_PRESIGNED_DOWNLOADS=true, drivers that can presign redirect
+   * to the storage service instead
+   */
+  async servePhotoFile(req, res) {
+    try {
+      const { photoId, size } = req.params;
+
+      const { photo, format, maxAge } =
+        await photoAccessService.resolveSignedFile(photoId, size, req.query);
+
+      if (process.env.STORAGE_PRESIGNED_DOWNLOADS === "true") {
+        const url = await storageService.presignPhotoFile(
+          photo,
+          size,
+          format,
+          maxAge,
+        );
+        if (url) {
+          return res.redirect(302, url);
+        }
+      }
+
+      const file = await storageService.statPhotoFile(photo, size, format);
+      if (!file) {
+        throw new Error("Photo file not found");
+      }
+
+      res.set({
+        "Accept-Ranges": "bytes",
+        "Cache-Control": `private, max-age=${maxAge}`,
+        "Content-Type": file.contentType,
+        ETag: file.etag,
+        "Last-Modified": file.lastModified.toUTCString(),
+      });
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      // A stale If-Range means the client's partial copy is outdated
+      const ifRange = req.get("If-Range");
+      const ranges =
+        !ifRange || ifRange === file.etag ? req.range(file.size) : undefined;
+      if (ranges === -1) {
+        res.set("Content-Range", `bytes */${file.size}`);
+        return res.status(416).end();
+      }
+
+      let range = {};
+      if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+        [range] = ranges;
+        res.status(206);
+        res.set("Content-Range", `bytes ${range.start}-${range.end}/${file.size}`);
+        res.set("Content-Length", String(range.end - range.start + 1));
+      } else {
+        res.set("Content-Length", String(file.size));
+      }
+
+      if (req.method === "HEAD") {
+        return res.end();
+      }
+
+      const stream = await storageService.streamPhotoFile(
+        photo,
+        size,
+        format,
+        range,
+      );
+      stream.on("error", (error) => {
+        logger.error("❌ Photo stream failed", {
+          error: error.message,
+          photoId,
+          size,
+          format,
+        });
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      if (error.message === "Invalid photo rendition") {
+        return res.status(400).json({
+          success: false,
+          message: "Kích thước ảnh không hợp lệ",
+        });
+      }
+
+      if (error.message === "Invalid or expired signature") {
+        return res.status(403).json({
+          success: false,
+          message: "Liên kết ảnh không hợp lệ hoặc đã hết hạn",
+        });
+      }
+
+      if (
+        [
+          "Photo not found",
+          "Photo rendition not found",
+          "Photo file not found",
+          "Storage object not found",
+        ].includes(error.message)
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy ảnh",
+        });
+      }
+
+      logger.error("❌ Serve photo file failed", {
+        error: error.message,
+        photoId: req.params.photoId,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Tải ảnh thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
   /**
    * Get user photos
    */
@@ -173,7 +350,12 @@ const photoController = {
       res.json({
         success: true,
         message: "Danh sách ảnh đã được lấy thành công",
-        data: result,
+        data: {
+          ...result,
+          photos: result.photos.map((photo) =>
+            photoAccessService.withUrls(photo),
+          ),
+        },
       });
     } catch (error) {
       logger.error("❌ Get user photos failed", {
@@ -211,7 +393,7 @@ const photoController = {
       res.json({
         success: true,
         message: "Ảnh đã được cập nhật thành công",
-        data: { photo },
+        data: { photo: photoAccessService.withUrls(photo) },
       });
     } catch (error) {
       logger.error("❌ Update photo failed", {
@@ -1,4 +1,7 @@
 const userService = require("../services/user.service");
+const tdeeService = require("../services/tdee.service");
+const accountDataService = require("../services/accountData.service");
+const helpers = require("../utils/helpers.util");
 const logger = require("../utils/logger.util");
 
 /**
@@ -177,14 +180,19 @@ const userController = {
         });
       }
 
-      // Delete account
-      await userService.deleteUserAccount(userId, password);
+      // Deactivate now; data is erased in the background
+      const audit = await accountDataService.requestErasure(userId, password, {
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      });
 
-      logger.info("✅ User account deleted", { userId });
+      logger.info("✅ User account erasure queued", { userId });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: "Tài khoản đã được xóa thành công",
+        message:
+          "Tài khoản đã bị vô hiệu hóa, dữ liệu của bạn đang được xóa",
+        data: { erasureId: audit._id },
       });
     } catch (error) {
       logger.error("❌ Delete user account failed", {
@@ -207,6 +215,170 @@ const userController = {
       });
     }
   },
+
+  /**
+   * Export all personal data as a ZIP archive or JSON document
+   */
+  async exportData(req, res) {
+    try {
+      const userId = req.user._id;
+      const format = req.query.format || "zip";
+
+      if (!["zip", "json"].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: "Định dạng xuất dữ liệu phải là zip hoặc json",
+        });
+      }
+
+      const filename = `breakfit-export-${helpers.formatDateISO(new Date())}`;
+      let summary;
+
+      if (format === "zip") {
+        res.attachment(`${filename}.zip`);
+        res.type("application/zip");
+        summary = await accountDataService.writeExportArchive(userId, res);
+      } else {
+        const data = await accountDataService.collectUserData(userId);
+        summary = accountDataService.summarize(data);
+        res.attachment(`${filename}.json`);
+        res.json(data);
+      }
+
+      await accountDataService.recordExport(userId, summary, {
+        format,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+      logger.info("✅ User data exported", { userId, format });
+    } catch (error) {
+      logger.error("❌ Export user data failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      // The archive may already be streaming
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Xuất dữ liệu thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Estimate TDEE from logged intake and weight trend
+   */
+  async getAdaptiveTDEE(req, res) {
+    try {
+      const userId = req.user._id;
+      const windowDays = parseInt(req.query.windowDays) || undefined;
+
+      if (windowDays !== undefined && (windowDays < 14 || windowDays > 90)) {
+        return res.status(400).json({
+          success: false,
+          message: "Khoảng thời gian phải từ 14 đến 90 ngày",
+        });
+      }
+
+      const { estimate, suggestion } = await tdeeService.estimateAdaptiveTDEE(
+        userId,
+        { windowDays },
+      );
+
+      res.json({
+        success: true,
+        message: "Ước tính TDEE đã được tính thành công",
+        data: { estimate, suggestion },
+      });
+    } catch (error) {
+      logger.error("❌ Get adaptive TDEE failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Profile not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy hồ sơ người dùng",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Ước tính TDEE thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
+
+  /**
+   * Apply adaptive targets or switch back to formula targets
+   */
+  async applyTDEE(req, res) {
+    try {
+      const userId = req.user._id;
+      const { source = "adaptive" } = req.body;
+      const windowDays = parseInt(req.body.windowDays) || undefined;
+
+      if (!["adaptive", "formula"].includes(source)) {
+        return res.status(400).json({
+          success: false,
+          message: "Nguồn TDEE phải là 'adaptive' hoặc 'formula'",
+        });
+      }
+
+      if (windowDays !== undefined && (windowDays < 14 || windowDays > 90)) {
+        return res.status(400).json({
+          success: false,
+          message: "Khoảng thời gian phải từ 14 đến 90 ngày",
+        });
+      }
+
+      const profile = await tdeeService.applyTDEESource(userId, source, {
+        windowDays,
+      });
+
+      res.json({
+        success: true,
+        message: "Mục tiêu dinh dưỡng đã được cập nhật",
+        data: { profile },
+      });
+    } catch (error) {
+      logger.error("❌ Apply TDEE failed", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+
+      if (error.message === "Profile not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy hồ sơ người dùng",
+        });
+      }
+
+      if (error.message === "No adaptive TDEE estimate available") {
+        return res.status(409).json({
+          success: false,
+          message: "Chưa đủ dữ liệu để ước tính TDEE",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Cập nhật mục tiêu thất bại. Vui lòng thử lại sau",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  },
 };
 
 module.exports = userController;
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
 const logger = require("../utils/logger.util");
 
 /**
@@ -25,8 +26,15 @@ const authMiddleware = {
       const token = authHeader.substring(7); // Remove "Bearer " prefix
 
       try {
-        // Verify token
+        // Verify token; reset and login challenge tokens share the secret
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.type !== "access") {
+          return res.status(401).json({
+            success: false,
+            message: "Token không hợp lệ",
+            code: "INVALID_TOKEN",
+          });
+        }
 
         // Check if user exists and is active
         const user = await User.findById(decoded.userId)
@@ -49,8 +57,18 @@ const authMiddleware = {
           });
         }
 
-        // Add user to request object
+        // Tokens of a signed-out session stop working before they expire
+        if (decoded.sid && !(await Session.isActive(decoded.sid))) {
+          return res.status(401).json({
+            success: false,
+            message: "Phiên đăng nhập đã kết thúc. Vui lòng đăng nhập lại",
+            code: "SESSION_REVOKED",
+          });
+        }
+
+        // Add user and session to request object
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
       } catch (jwtError) {
         if (jwtError.name === "TokenExpiredError") {
@@ -108,8 +126,14 @@ const authMiddleware = {
           .select("-passwordHash")
           .lean();
 
-        if (user && user.isActive) {
+        if (
+          decoded.type === "access" &&
+          user &&
+          user.isActive &&
+          (!decoded.sid || (await Session.isActive(decoded.sid)))
+        ) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
 
         next();
@@ -141,7 +165,7 @@ const authMiddleware = {
         });
       }
 
-      if (req.user.role !== role) {
+      if (!req.user.roles?.includes(role)) {
         return res.status(403).json({
           success: false,
           message: "Không có quyền truy cập",
@@ -165,7 +189,7 @@ const authMiddleware = {
       });
     }
 
-    if (req.user.role !== "admin") {
+    if (!req.user.roles?.includes("admin")) {
       return res.status(403).json({
         success: false,
         message: "Chỉ admin mới có quyền truy cập",
@@ -173,6 +197,15 @@ const authMiddleware = {
       });
     }
 
+    // Sessions opened before two-factor became mandatory do not count
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: "Admin phải bật xác thực hai bước",
+        code: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
     next();
   },
 
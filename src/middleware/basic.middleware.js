@@ -68,14 +68,6 @@ const basicMiddleware = {
   bodyParser: {
     json: { limit: '10mb' },
     urlencoded: { extended: true, limit: '10mb' }
-  },
-
-  /**
-   * Static file serving for uploads
-   */
-  static: {
-    directory: 'src/uploads',
-    prefix: '/uploads'
   }
 };
 
@@ -152,6 +152,71 @@ const validationMiddleware = {
   ],
   // ... existing code ...
 
+  /**
+   * Validation for creating AI draft meals from an analysis job
+   */
+  validateMealDraftCreate: [
+    body("jobId")
+      .trim()
+      .notEmpty()
+      .withMessage("Job ID là bắt buộc")
+      .bail()
+      .isLength({ max: 100 })
+      .withMessage("Job ID không hợp lệ"),
+    body("mealType")
+      .optional()
+      .isIn(["breakfast", "lunch", "dinner", "snack"])
+      .withMessage("Loại bữa ăn không hợp lệ"),
+    body("dateISO").optional().isISO8601().withMessage("Ngày không hợp lệ"),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        const errorMessages = errors.array().map((error) => ({
+          field: error.path,
+          message: error.msg,
+          value: error.value,
+          code: `VALIDATION_${error.path.toUpperCase()}_${error.type.toUpperCase()}`,
+        }));
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: errorMessages,
+        });
+      }
+      next();
+    },
+  ],
+
+  /**
+   * Validation for confirming, editing or rejecting AI draft meals
+   */
+  validateMealDraftReview: [
+    body(["confirm", "edit", "reject"])
+      .optional()
+      .isArray()
+      .withMessage("Danh sách bữa ăn nháp phải là mảng"),
+    body(["confirm.*", "edit.*.id", "reject.*"])
+      .isMongoId()
+      .withMessage("ID bữa ăn nháp không hợp lệ"),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        const errorMessages = errors.array().map((error) => ({
+          field: error.path,
+          message: error.msg,
+          value: error.value,
+          code: `VALIDATION_${error.path.toUpperCase()}_${error.type.toUpperCase()}`,
+        }));
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: errorMessages,
+        });
+      }
+      next();
+    },
+  ],
+
   /**
    * Validation for workout entry
    */
@@ -5358,6 +5423,33 @@ const validationMiddleware = {
     },
   ],
 
+  /**
+   * Validation for user statistics queries
+   */
+  validateStatsQuery: [
+    query("days")
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage("Số ngày phải từ 1-365"),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        const errorMessages = errors.array().map((error) => ({
+          field: error.path,
+          message: error.msg,
+          value: error.value,
+          code: `VALIDATION_${error.path.toUpperCase()}_${error.type.toUpperCase()}`,
+        }));
+        return res.status(400).json({
+          success: false,
+          message: "Dữ liệu không hợp lệ",
+          errors: errorMessages,
+        });
+      }
+      next();
+    },
+  ],
+
   /**
    * Validation for user profile update
    */
@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+
+/**
+ * AI analysis job model
+ * Persistent queue entry shared by every API instance; workers lease jobs
+ * so each one is processed by a single worker at a time
+ */
+const aiJobSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    photoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Photo",
+      required: [true, "Photo ID là bắt buộc"],
+    },
+    type: {
+      type: String,
+      enum: ["meal", "body"],
+      required: [true, "Loại phân tích là bắt buộc"],
+    },
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "processing",
+        "completed",
+        "cancelled",
+        "dead_letter",
+      ],
+      default: "pending",
+    },
+
+    // Scheduling & leasing
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+
+    // Retry bookkeeping
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 4,
+    },
+    errorHistory: [
+      {
+        attempt: Number,
+        error: String,
+        failedAt: Date,
+      },
+    ],
+
+    // Outcome
+    startedAt: Date,
+    completedAt: Date,
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Indexes
+aiJobSchema.index({ status: 1, runAt: 1 });
+aiJobSchema.index({ status: 1, lockedUntil: 1 });
+aiJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Virtuals
+aiJobSchema.virtual("isFinished").get(function () {
+  return ["completed", "cancelled", "dead_letter"].includes(this.status);
+});
+
+// Instance methods
+aiJobSchema.methods = {
+  /**
+   * Shape the job for API responses
+   */
+  toStatus() {
+    const response = {
+      jobId: this.jobId,
+      status: this.status,
+      type: this.type,
+      photoId: this.photoId,
+      attempts: this.attempts,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+    };
+
+    if (this.status === "completed") {
+      response.result = this.result;
+    } else if (this.status === "dead_letter" || this.error) {
+      response.error = this.error;
+    }
+    if (this.status === "pending" && this.attempts > 0) {
+      response.nextAttemptAt = this.runAt;
+    }
+
+    return response;
+  },
+};
+
+// Static methods
+aiJobSchema.statics = {
+  /**
+   * Atomically lease the next runnable job
+   * Jobs whose lease expired (crashed worker) are picked up again
+   */
+  claimNext(workerId, leaseMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", runAt: { $lte: now } },
+          { status: "processing", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "processing",
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true },
+    );
+  },
+
+  /**
+   * Extend the lease of a job held by a worker
+   */
+  extendLease(jobId, workerId, leaseMs) {
+    return this.updateOne(
+      { _id: jobId, lockedBy: workerId, status: "processing" },
+      { $set: { lockedUntil: new Date(Date.now() + leaseMs) } },
+    );
+  },
+
+  /**
+   * Update a job only while the worker still holds its lease
+   * A cancelled or re-leased job is left untouched
+   */
+  finishLeased(jobId, workerId, update) {
+    return this.updateOne(
+      { _id: jobId, lockedBy: workerId, status: "processing" },
+      update,
+    );
+  },
+};
+
+module.exports = mongoose.model("AiJob", aiJobSchema);
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+/**
+ * Audit log model
+ * Records privacy-relevant actions; entries outlive the account they describe
+ * and hold no personal data beyond the account ID
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["account.erasure", "account.export"],
+      required: [true, "Action là bắt buộc"],
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+    },
+    request: {
+      ipAddress: String,
+      userAgent: String,
+      format: String,
+    },
+
+    // Per-collection counts of deleted, anonymised or exported records
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    error: String,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Erasure queue lookups
+auditLogSchema.index({ action: 1, status: 1, lockedUntil: 1 });
+
+// Static methods
+auditLogSchema.statics = {
+  /**
+   * Atomically claim the next erasure to run
+   * Erasures whose lock expired (crashed instance) are claimed again
+   */
+  claimErasure(lockMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+      {
+        action: "account.erasure",
+        $or: [
+          { status: { $in: ["pending", "failed"] } },
+          { status: "processing", lockedUntil: { $lte: now } },
+        ],
+        attempts: { $lt: 5 },
+      },
+      {
+        $set: {
+          status: "processing",
+          lockedUntil: new Date(now.getTime() + lockMs),
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { createdAt: 1 }, new: true },
+    );
+  },
+};
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
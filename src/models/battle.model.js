@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const logger = require("../utils/logger.util");
+const { BATTLES } = require("../utils/constants.util");
 
 /**
  * Battle Schema
@@ -94,12 +95,15 @@ const battleSchema = new mongoose.Schema(
     acceptedAt: Date,
     startedAt: Date,
     completedAt: Date,
+    expiredAt: Date,
+    stakesPaidAt: Date,
 
     // Progress Tracking
     creatorProgress: {
       baseline: mongoose.Schema.Types.Mixed,
       current: mongoose.Schema.Types.Mixed,
       improvement: Number, // Percentage improvement
+      score: Number, // Final score for tracked metrics
       lastUpdated: Date,
       dailyLogs: [
         {
@@ -113,6 +117,7 @@ const battleSchema = new mongoose.Schema(
       baseline: mongoose.Schema.Types.Mixed,
       current: mongoose.Schema.Types.Mixed,
       improvement: Number,
+      score: Number,
       lastUpdated: Date,
       dailyLogs: [
         {
@@ -212,6 +217,7 @@ battleSchema.index({ creatorId: 1, status: 1 });
 battleSchema.index({ opponentId: 1, status: 1 });
 battleSchema.index({ battleType: 1, status: 1 });
 battleSchema.index({ "spectators.userId": 1 });
+battleSchema.index({ status: 1, endDate: 1 });
 
 // Virtual fields
 battleSchema.virtual("isActive").get(function () {
@@ -241,6 +247,10 @@ battleSchema.virtual("canStart").get(function () {
   return this.status === "pending" && this.opponentId && this.acceptedAt;
 });
 
+battleSchema.virtual("isTracked").get(function () {
+  return BATTLES.TRACKED_METRICS.includes(this.metric);
+});
+
 // Instance methods
 battleSchema.methods.canUserAccept = function (userId) {
   if (this.status !== "pending") {
@@ -290,16 +300,22 @@ battleSchema.methods.startBattle = function () {
   this.status = "active";
   this.startedAt = new Date();
 
-  // Initialize baseline measurements
-  this.creatorProgress.baseline = null;
-  this.opponentProgress.baseline = null;
-
   return this;
 };
 
+battleSchema.methods.getProgress = function (userId) {
+  if (this.creatorId.equals(userId)) {
+    return this.creatorProgress;
+  }
+  if (this.opponentId && this.opponentId.equals(userId)) {
+    return this.opponentProgress;
+  }
+  throw new Error("User is not a participant in this battle");
+};
+
 battleSchema.methods.setBaseline = function (userId, baselineValue) {
-  if (this.status !== "active") {
-    throw new Error("Battle is not active");
+  if (!this.opponentId || !["pending", "active"].includes(this.status)) {
+    throw new Error("Battle is not accepted");
   }
 
   if (this.creatorId.equals(userId)) {
@@ -324,14 +340,7 @@ battleSchema.methods.updateProgress = function (
     throw new Error("Battle is not active");
   }
 
-  let progress;
-  if (this.creatorId.equals(userId)) {
-    progress = this.creatorProgress;
-  } else if (this.opponentId.equals(userId)) {
-    progress = this.opponentProgress;
-  } else {
-    throw new Error("User is not a participant in this battle");
-  }
+  const progress = this.getProgress(userId);
 
   // Update current value
   progress.current = currentValue;
@@ -372,8 +381,33 @@ battleSchema.methods.updateProgress = function (
   return this;
 };
 
+/**
+ * Replace a participant's progress with values computed from their records
+ */
+battleSchema.methods.setComputedProgress = function (userId, computed) {
+  const progress = this.getProgress(userId);
+
+  progress.baseline = computed.baseline;
+  progress.current = computed.current;
+  progress.score = computed.score;
+  progress.improvement = this.calculateImprovement(
+    computed.baseline,
+    computed.current,
+  );
+  progress.dailyLogs = computed.dailyLogs;
+  progress.lastUpdated = new Date();
+
+  return this;
+};
+
 battleSchema.methods.calculateImprovement = function (baseline, current) {
   if (baseline === null || current === null) return 0;
+  if (baseline === undefined || current === undefined) {
+    return 0;
+  }
+  if (baseline === 0) {
+    return 0;
+  }
 
   // For weight loss, negative improvement is better
   if (this.metric === "weight_pct") {
@@ -394,9 +428,11 @@ battleSchema.methods.completeBattle = function () {
     throw new Error("Battle is not active");
   }
 
-  // Calculate final scores
-  const creatorScore = this.creatorProgress.improvement || 0;
-  const opponentScore = this.opponentProgress.improvement || 0;
+  // Calculate final scores (tracked metrics carry their own score)
+  const creatorScore =
+    this.creatorProgress.score ?? (this.creatorProgress.improvement || 0);
+  const opponentScore =
+    this.opponentProgress.score ?? (this.opponentProgress.improvement || 0);
 
   // Determine winner
   let winner = null;
@@ -429,6 +465,17 @@ battleSchema.methods.completeBattle = function () {
   return this;
 };
 
+battleSchema.methods.expireBattle = function () {
+  if (this.status !== "pending") {
+    throw new Error("Battle is not pending");
+  }
+
+  this.status = "expired";
+  this.expiredAt = new Date();
+
+  return this;
+};
+
 battleSchema.methods.addUpdate = function (userId, userName, type, message) {
   if (
     !this.allowSpectators &&
@@ -485,6 +532,18 @@ battleSchema.statics.getUserBattles = function (userId) {
   }).sort({ createdAt: -1 });
 };
 
+battleSchema.statics.getDueBattles = function (now = new Date()) {
+  return this.find({ status: "active", endDate: { $lte: now } });
+};
+
+battleSchema.statics.getUnpaidBattles = function () {
+  return this.find({
+    status: "completed",
+    winner: { $ne: null },
+    stakesPaidAt: null,
+  });
+};
+
 battleSchema.statics.getBattlesByType = function (battleType, limit = 20) {
   return this.find({
     battleType,
@@ -498,19 +557,20 @@ battleSchema.statics.getBattlesByType = function (battleType, limit = 20) {
 battleSchema.pre("save", function (next) {
   this.updatedAt = new Date();
 
-  // Auto-start battle if both participants have set baselines
+  // Auto-start battle once accepted and both participants have baselines
   if (
     this.status === "pending" &&
+    this.opponentId &&
     this.creatorProgress.baseline !== null &&
-    this.opponentProgress.baseline !== null
+    this.creatorProgress.baseline !== undefined &&
+    this.opponentProgress.baseline !== null &&
+    this.opponentProgress.baseline !== undefined
   ) {
     this.startBattle();
   }
 
-  // Auto-complete battle if duration has passed
-  if (this.status === "active" && this.endDate && new Date() > this.endDate) {
-    this.completeBattle();
-  }
+  // Finished battles are completed by the battle lifecycle job so that
+  // final scores are recomputed and stakes are paid out
 
   next();
 });
@@ -144,7 +144,17 @@ const challengeSchema = new mongoose.Schema(
           totalScore: { type: Number, default: 0 },
           streakDays: { type: Number, default: 0 },
           lastActivity: Date,
+          lastScoredAt: Date,
         },
+        // Daily scores computed from logged Weight/Meal/Workout data
+        dailyScores: [
+          {
+            dayNumber: Number,
+            dateISO: String,
+            score: { type: Number, min: 0, max: 100 },
+            completed: Boolean,
+          },
+        ],
         status: {
           type: String,
           enum: ["active", "completed", "dropped", "disqualified"],
@@ -328,53 +338,6 @@ challengeSchema.methods.removeParticipant = function (userId) {
   return participant;
 };
 
-challengeSchema.methods.updateParticipantProgress = function (
-  userId,
-  dayNumber,
-  score,
-  completed = true
-) {
-  const participant = this.participants.find((p) => p.userId.equals(userId));
-  if (!participant) {
-    throw new Error("User is not a participant");
-  }
-
-  if (participant.status !== "active") {
-    throw new Error("Participant is not active");
-  }
-
-  // Update progress
-  participant.progress.currentDay = Math.max(
-    participant.progress.currentDay,
-    dayNumber
-  );
-  if (completed) {
-    participant.progress.completedDays++;
-    participant.progress.totalScore += score;
-
-    // Update streak
-    const lastActivity = new Date(participant.progress.lastActivity);
-    const today = new Date();
-    const daysDiff = Math.floor((today - lastActivity) / (1000 * 60 * 60 * 24));
-
-    if (daysDiff <= 1) {
-      participant.progress.streakDays++;
-    } else {
-      participant.progress.streakDays = 1;
-    }
-
-    participant.progress.lastActivity = today;
-  }
-
-  // Check if participant completed the challenge
-  if (participant.progress.completedDays >= this.durationDays) {
-    participant.status = "completed";
-    this.activeParticipants--;
-  }
-
-  return participant;
-};
-
 challengeSchema.methods.getLeaderboard = function (limit = 50) {
   return this.participants
     .filter((p) => p.status === "active" || p.status === "completed")
@@ -403,7 +366,163 @@ challengeSchema.methods.getLeaderboard = function (limit = 50) {
     }));
 };
 
+/**
+ * Progress fields rebuilt from server-computed daily scores, never incremented
+ */
+const buildParticipantProgress = (dailyScores) => {
+  const completedDays = dailyScores.filter((day) => day.completed);
+
+  // Current streak counts back from the most recent scored day
+  let streakDays = 0;
+  for (let i = dailyScores.length - 1; i >= 0; i--) {
+    if (!dailyScores[i].completed) {
+      // Today may still be in progress, so it does not break the streak
+      if (i === dailyScores.length - 1) {
+        continue;
+      }
+      break;
+    }
+    streakDays++;
+  }
+
+  const progress = {
+    currentDay: dailyScores.length,
+    completedDays: completedDays.length,
+    totalScore: Math.round(
+      dailyScores.reduce((sum, day) => sum + day.score, 0),
+    ),
+    streakDays,
+    lastScoredAt: new Date(),
+  };
+  if (completedDays.length > 0) {
+    progress.lastActivity = new Date(
+      completedDays[completedDays.length - 1].dateISO,
+    );
+  }
+
+  return progress;
+};
+
+// Participants that count towards scores and metrics, and those that finished
+const SCORED_PARTICIPANTS = {
+  $filter: {
+    input: "$participants",
+    as: "participant",
+    cond: { $in: ["$$participant.status", ["active", "completed"]] },
+  },
+};
+const COMPLETED_PARTICIPANTS = {
+  $filter: {
+    input: "$$scored",
+    as: "participant",
+    cond: { $eq: ["$$participant.status", "completed"] },
+  },
+};
+
 // Static methods
+
+/**
+ * Store a participant's recomputed scores with a positional update, so
+ * concurrent rescoring, joins and leaves never overwrite each other
+ * Returns whether this call completed the challenge for the participant
+ */
+challengeSchema.statics.applyParticipantScores = async function (
+  challenge,
+  userId,
+  dailyScores,
+) {
+  const progress = buildParticipantProgress(dailyScores);
+  const $set = { "participants.$.dailyScores": dailyScores };
+  for (const [field, value] of Object.entries(progress)) {
+    $set[`participants.$.progress.${field}`] = value;
+  }
+
+  const result = await this.updateOne(
+    {
+      _id: challenge._id,
+      participants: {
+        $elemMatch: { userId, status: { $in: ["active", "completed"] } },
+      },
+    },
+    { $set },
+  );
+  if (result.matchedCount === 0) {
+    throw new Error("Participant is not active");
+  }
+
+  if (progress.completedDays < challenge.durationDays) {
+    return false;
+  }
+
+  // Only the update that moves the participant out of "active" completes it
+  const completed = await this.updateOne(
+    {
+      _id: challenge._id,
+      participants: { $elemMatch: { userId, status: "active" } },
+    },
+    {
+      $set: { "participants.$.status": "completed" },
+      $inc: { activeParticipants: -1 },
+    },
+  );
+  return completed.modifiedCount === 1;
+};
+
+/**
+ * Recompute the current day and metrics from the stored participants in a
+ * single pipeline update
+ */
+challengeSchema.statics.refreshMetrics = function (challengeId) {
+  return this.updateOne({ _id: challengeId }, [
+    {
+      $set: {
+        currentDay: {
+          $max: [0, { $max: "$participants.progress.currentDay" }],
+        },
+        metrics: {
+          $let: {
+            vars: { scored: SCORED_PARTICIPANTS },
+            in: {
+              totalXP: "$metrics.totalXP",
+              averageScore: {
+                $round: [
+                  { $ifNull: [{ $avg: "$$scored.progress.totalScore" }, 0] },
+                  0,
+                ],
+              },
+              topScore: {
+                $ifNull: [{ $max: "$$scored.progress.totalScore" }, 0],
+              },
+              completionRate: {
+                $cond: [
+                  { $eq: [{ $size: "$$scored" }, 0] },
+                  0,
+                  {
+                    $round: [
+                      {
+                        $multiply: [
+                          100,
+                          {
+                            $divide: [
+                              { $size: COMPLETED_PARTICIPANTS },
+                              { $size: "$$scored" },
+                            ],
+                          },
+                        ],
+                      },
+                      0,
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+  ]);
+};
+
 challengeSchema.statics.getActiveChallenges = function () {
   return this.find({ status: "active" }).sort({ createdAt: -1 });
 };
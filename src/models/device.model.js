@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+/**
+ * Device model for push notification delivery
+ * One document per Expo push token; a token moves to whichever user registered it last
+ */
+const deviceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID là bắt buộc"],
+      index: true,
+    },
+    token: {
+      type: String,
+      required: [true, "Push token là bắt buộc"],
+      unique: true,
+      trim: true,
+    },
+    platform: {
+      type: String,
+      enum: {
+        values: ["ios", "android", "web"],
+        message: "Nền tảng phải là ios, android hoặc web",
+      },
+      required: [true, "Nền tảng là bắt buộc"],
+    },
+    appVersion: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Phiên bản ứng dụng không được quá 50 ký tự"],
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Tên thiết bị không được quá 100 ký tự"],
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Static methods
+deviceSchema.statics = {
+  /**
+   * Push tokens of all devices of a user
+   */
+  async getTokens(userId) {
+    const devices = await this.find({ userId }).select("token").lean();
+    return devices.map((device) => device.token);
+  },
+
+  /**
+   * Remove devices whose tokens Expo no longer accepts
+   */
+  async pruneTokens(tokens) {
+    if (tokens.length === 0) {
+      return 0;
+    }
+
+    const { deletedCount } = await this.deleteMany({ token: { $in: tokens } });
+    return deletedCount;
+  },
+};
+
+module.exports = mongoose.model("Device", deviceSchema);
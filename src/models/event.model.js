@@ -23,6 +23,10 @@ const eventSchema = new mongoose.Schema(
         "user.profile_update",
         "user.password_change",
         "user.email_verify",
+        "user.login_failed",
+        "user.locked",
+        "user.two_factor_enable",
+        "user.two_factor_disable",
 
         // Fitness tracking
         "weight.logged",
@@ -36,6 +40,7 @@ const eventSchema = new mongoose.Schema(
         "workout.deleted",
         "plan.completed",
         "plan.skipped",
+        "habit.goal_met",
 
         // Gamification
         "xp.earned",
@@ -204,12 +209,17 @@ eventSchema.statics = {
         "user.logout",
         "user.register",
         "user.profile_update",
+        "user.login_failed",
+        "user.locked",
+        "user.two_factor_enable",
+        "user.two_factor_disable",
       ],
       fitness: [
         "weight.logged",
         "meal.logged",
         "workout.completed",
         "plan.completed",
+        "habit.goal_met",
       ],
       gamification: [
         "xp.earned",
@@ -56,7 +56,15 @@ const gamificationSchema = new mongoose.Schema(
     lastActivityDate: Date,
     streakType: {
       type: String,
-      enum: ["workout", "nutrition", "weight", "general"],
+      enum: [
+        "workout",
+        "nutrition",
+        "weight",
+        "hydration",
+        "sleep",
+        "steps",
+        "general",
+      ],
       default: "general",
     },
 
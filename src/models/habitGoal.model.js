@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { FITNESS } = require("../utils/constants.util");
+
+/**
+ * Habit goal model for daily water, sleep and step targets
+ * Users without a document use the default goals
+ */
+const habitGoalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    waterMl: {
+      type: Number,
+      default: FITNESS.HABIT_DEFAULT_GOALS.waterMl,
+      min: [500, "Mục tiêu nước phải từ 500ml trở lên"],
+      max: [10000, "Mục tiêu nước không được quá 10000ml"],
+    },
+    sleepHours: {
+      type: Number,
+      default: FITNESS.HABIT_DEFAULT_GOALS.sleepHours,
+      min: [4, "Mục tiêu ngủ phải từ 4 giờ trở lên"],
+      max: [12, "Mục tiêu ngủ không được quá 12 giờ"],
+    },
+    steps: {
+      type: Number,
+      default: FITNESS.HABIT_DEFAULT_GOALS.steps,
+      min: [1000, "Mục tiêu bước chân phải từ 1000 trở lên"],
+      max: [100000, "Mục tiêu bước chân không được quá 100000"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Static methods
+habitGoalSchema.statics = {
+  /**
+   * Goals of a user, falling back to the defaults
+   */
+  async getForUser(userId) {
+    const goals = await this.findOne({ userId }).lean();
+    return {
+      waterMl: goals?.waterMl ?? FITNESS.HABIT_DEFAULT_GOALS.waterMl,
+      sleepHours: goals?.sleepHours ?? FITNESS.HABIT_DEFAULT_GOALS.sleepHours,
+      steps: goals?.steps ?? FITNESS.HABIT_DEFAULT_GOALS.steps,
+    };
+  },
+};
+
+module.exports = mongoose.model("HabitGoal", habitGoalSchema);
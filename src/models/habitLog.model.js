@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+/**
+ * Daily habit log for water, sleep and steps
+ * One document per user per day; water is kept as individual drinks
+ */
+const waterEntrySchema = new mongoose.Schema(
+  {
+    amountMl: {
+      type: Number,
+      required: [true, "Lượng nước là bắt buộc"],
+      min: [1, "Lượng nước phải lớn hơn 0ml"],
+      max: [10000, "Lượng nước không được quá 10000ml"],
+    },
+    loggedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true },
+);
+
+const habitLogSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    dateISO: {
+      type: String,
+      required: [true, "Ngày là bắt buộc"],
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Định dạng ngày phải là YYYY-MM-DD"],
+    },
+
+    // Hydration
+    waterEntries: [waterEntrySchema],
+
+    // Sleep ending on this day
+    sleep: {
+      startAt: Date,
+      endAt: Date,
+      durationHours: {
+        type: Number,
+        min: [0, "Thời gian ngủ không được âm"],
+        max: [24, "Thời gian ngủ không được quá 24 giờ"],
+      },
+      quality: {
+        type: Number,
+        min: [1, "Chất lượng giấc ngủ phải từ 1-5"],
+        max: [5, "Chất lượng giấc ngủ phải từ 1-5"],
+      },
+    },
+
+    // Step count
+    steps: {
+      type: Number,
+      min: [0, "Số bước không được âm"],
+      max: [100000, "Số bước không được quá 100000"],
+    },
+
+    // When each daily goal was first reached
+    goalsMet: {
+      water: Date,
+      sleep: Date,
+      steps: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Compound index to ensure one habit log per user per day
+habitLogSchema.index({ userId: 1, dateISO: 1 }, { unique: true });
+
+// Virtual for total water of the day
+habitLogSchema.virtual("waterMl").get(function () {
+  return (this.waterEntries || []).reduce(
+    (total, entry) => total + entry.amountMl,
+    0,
+  );
+});
+
+// Static methods
+habitLogSchema.statics = {
+  /**
+   * Logs of a user between two dates, oldest first
+   */
+  findRange(userId, from, to) {
+    return this.find({ userId, dateISO: { $gte: from, $lte: to } }).sort({
+      dateISO: 1,
+    });
+  },
+};
+
+module.exports = mongoose.model("HabitLog", habitLogSchema);
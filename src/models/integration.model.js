@@ -73,9 +73,24 @@ const integrationSchema = new mongoose.Schema(
         window: Number, // seconds
       },
       retryConfig: {
-        maxRetries: { type: Number, default: 3 },
-        backoffMultiplier: { type: Number, default: 2 },
-        initialDelay: { type: Number, default: 1000 }, // ms
+        maxRetries: {
+          type: Number,
+          default: 3,
+          min: [0, "Số lần thử lại không được âm"],
+          max: [5, "Số lần thử lại tối đa là 5"],
+        },
+        backoffMultiplier: {
+          type: Number,
+          default: 2,
+          min: [1, "Hệ số backoff phải từ 1 trở lên"],
+          max: [10, "Hệ số backoff tối đa là 10"],
+        },
+        initialDelay: {
+          type: Number,
+          default: 1000, // ms
+          min: [100, "Độ trễ ban đầu phải từ 100ms trở lên"],
+          max: [60000, "Độ trễ ban đầu tối đa là 60000ms"],
+        },
       },
     },
 
@@ -119,6 +134,7 @@ const integrationSchema = new mongoose.Schema(
       recordsProcessed: Number,
       recordsCreated: Number,
       recordsUpdated: Number,
+      recordsSkipped: Number,
       recordsFailed: Number,
       errorMessage: String,
       duration: Number, // milliseconds
@@ -130,6 +146,7 @@ const integrationSchema = new mongoose.Schema(
         recordsProcessed: Number,
         recordsCreated: Number,
         recordsUpdated: Number,
+        recordsSkipped: Number,
         recordsFailed: Number,
         errorMessage: String,
         duration: Number,
@@ -275,148 +292,72 @@ integrationSchema.pre("save", function (next) {
 // Instance methods
 integrationSchema.methods = {
   /**
-   * Test connection to external service
+   * Record the outcome of a provider connection test
    */
-  async testConnection() {
-    try {
-      // This would implement actual connection testing
-      // For now, return a mock result
-      const isConnected = this.status === "active";
-
-      this.healthCheck = {
-        lastCheck: new Date(),
-        status: isConnected ? "healthy" : "unhealthy",
-        responseTime: isConnected ? Math.random() * 1000 : null,
-        uptime: isConnected ? 95 + Math.random() * 5 : 0,
-        errorRate: isConnected ? Math.random() * 5 : 100,
-      };
-
-      return {
-        success: isConnected,
-        status: this.healthCheck.status,
-        responseTime: this.healthCheck.responseTime,
-      };
-    } catch (error) {
-      this.healthCheck = {
-        lastCheck: new Date(),
-        status: "error",
-        errorRate: 100,
-      };
-      throw error;
-    }
-  },
+  recordHealthCheck({ success, responseTime, errorMessage = null }) {
+    const { totalRequests, successfulRequests } = this.usage;
 
-  /**
-   * Sync data from external service
-   */
-  async syncData(dataType = null) {
-    try {
-      const startTime = Date.now();
-      const syncStart = new Date();
-
-      // Mock sync process
-      const recordsProcessed = Math.floor(Math.random() * 100) + 10;
-      const recordsCreated = Math.floor(Math.random() * recordsProcessed * 0.3);
-      const recordsUpdated = Math.floor(Math.random() * recordsProcessed * 0.5);
-      const recordsFailed = Math.floor(Math.random() * 5);
-
-      const syncResult = {
-        timestamp: syncStart,
-        status: recordsFailed === 0 ? "success" : "partial",
-        recordsProcessed,
-        recordsCreated,
-        recordsUpdated,
-        recordsFailed,
-        errorMessage: recordsFailed > 0 ? "Some records failed to sync" : null,
-        duration: Date.now() - startTime,
-        metadata: { dataType, syncMethod: "api" },
-      };
-
-      this.lastSync = syncResult;
-      this.syncHistory.push(syncResult);
-
-      // Update usage stats
-      this.usage.totalRequests++;
+    this.usage.totalRequests++;
+    if (success) {
       this.usage.successfulRequests++;
-      this.usage.lastRequest = new Date();
-
-      return syncResult;
-    } catch (error) {
-      const syncResult = {
-        timestamp: new Date(),
-        status: "error",
-        recordsProcessed: 0,
-        recordsCreated: 0,
-        recordsUpdated: 0,
-        recordsFailed: 0,
-        errorMessage: error.message,
-        duration: 0,
-        metadata: { dataType },
-      };
-
-      this.lastSync = syncResult;
-      this.syncHistory.push(syncResult);
-
-      // Update usage stats
-      this.usage.totalRequests++;
+    } else {
       this.usage.failedRequests++;
-      this.usage.lastRequest = new Date();
+    }
+    this.usage.lastRequest = new Date();
+
+    this.healthCheck = {
+      lastCheck: new Date(),
+      status: success ? "healthy" : "unhealthy",
+      responseTime,
+      // Uptime is the share of successful requests, including this one
+      uptime:
+        ((successfulRequests + (success ? 1 : 0)) / (totalRequests + 1)) * 100,
+      errorRate: this.errorRate,
+    };
 
-      // Log error
+    if (!success) {
       this.errors.push({
         timestamp: new Date(),
-        type: "sync_error",
-        message: error.message,
-        stack: error.stack,
-        metadata: { dataType },
+        type: "connection_error",
+        message: errorMessage,
       });
-
-      throw error;
     }
+
+    return {
+      success,
+      status: this.healthCheck.status,
+      responseTime,
+      errorMessage,
+    };
   },
 
   /**
-   * Trigger webhook for specific event
+   * Record a finished sync run
    */
-  async triggerWebhook(event, data) {
-    const webhooks = this.webhooks.filter((w) => w.event === event && w.active);
-
-    const results = [];
-
-    for (const webhook of webhooks) {
-      try {
-        // Mock webhook call
-        const success = Math.random() > 0.1; // 90% success rate
-
-        if (success) {
-          webhook.successCount++;
-          webhook.lastTriggered = new Date();
-          results.push({
-            webhookId: webhook._id,
-            status: "success",
-            timestamp: new Date(),
-          });
-        } else {
-          webhook.failureCount++;
-          results.push({
-            webhookId: webhook._id,
-            status: "failed",
-            timestamp: new Date(),
-            error: "Webhook call failed",
-          });
-        }
-      } catch (error) {
-        webhook.failureCount++;
-        results.push({
-          webhookId: webhook._id,
-          status: "error",
-          timestamp: new Date(),
-          error: error.message,
-        });
-      }
+  recordSync(syncResult) {
+    this.lastSync = syncResult;
+    this.syncHistory.push(syncResult);
+
+    // Keep only last 50 sync runs
+    if (this.syncHistory.length > 50) {
+      this.syncHistory = this.syncHistory.slice(-50);
+    }
+
+    this.usage.totalRequests++;
+    if (syncResult.status === "error") {
+      this.usage.failedRequests++;
+      this.errors.push({
+        timestamp: syncResult.timestamp,
+        type: "sync_error",
+        message: syncResult.errorMessage,
+        metadata: syncResult.metadata,
+      });
+    } else {
+      this.usage.successfulRequests++;
     }
+    this.usage.lastRequest = new Date();
 
-    return results;
+    return syncResult;
   },
 
   /**
@@ -94,6 +94,30 @@ const mealSchema = new mongoose.Schema(
       min: [0, "Độ tin cậy phải từ 0 trở lên"],
       max: [1, "Độ tin cậy không được quá 1"],
     },
+
+    // AI drafts are excluded from nutrition totals until the user confirms them
+    status: {
+      type: String,
+      enum: ["draft", "confirmed"],
+      default: "confirmed",
+    },
+    // Set when the AI confidence is below the review threshold
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when the AI gave no portion size and a default weight was used
+    estimatedPortion: {
+      type: Boolean,
+      default: false,
+    },
+    aiJobId: {
+      type: String,
+    },
+    // Position of the food item in the analysis; one draft per item and job
+    aiItemIndex: {
+      type: Number,
+    },
   },
   {
     timestamps: true,
@@ -106,6 +130,12 @@ const mealSchema = new mongoose.Schema(
 mealSchema.index({ userId: 1, dateISO: 1 });
 mealSchema.index({ userId: 1, mealType: 1 });
 mealSchema.index({ userId: 1, source: 1 });
+mealSchema.index({ userId: 1, status: 1 });
+mealSchema.index({ aiJobId: 1 }, { sparse: true });
+mealSchema.index(
+  { aiJobId: 1, aiItemIndex: 1 },
+  { unique: true, partialFilterExpression: { aiItemIndex: { $exists: true } } },
+);
 
 // Virtuals
 mealSchema.virtual("totalMacros").get(function () {
@@ -163,7 +193,11 @@ mealSchema.statics = {
   async getDailyNutrition(userId, dateISO) {
     const result = await this.aggregate([
       {
-        $match: { userId: new mongoose.Types.ObjectId(userId), dateISO },
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          dateISO,
+          status: { $ne: "draft" },
+        },
       },
       {
         $group: {
@@ -190,6 +224,7 @@ mealSchema.statics = {
         $match: {
           userId: new mongoose.Types.ObjectId(userId),
           dateISO: { $gte: startDate, $lte: endDate },
+          status: { $ne: "draft" },
         },
       },
       {
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const { FITNESS } = require("../utils/constants.util");
+
+/**
+ * Body measurement model for circumference tracking
+ * One entry per user per day; every measurement is optional but at least one is required
+ */
+const measurementSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    dateISO: {
+      type: String,
+      required: [true, "Ngày là bắt buộc"],
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Định dạng ngày phải là YYYY-MM-DD"],
+    },
+    waistCm: {
+      type: Number,
+      min: [50, "Vòng eo phải từ 50cm trở lên"],
+      max: [200, "Vòng eo không được quá 200cm"],
+    },
+    hipCm: {
+      type: Number,
+      min: [60, "Vòng mông phải từ 60cm trở lên"],
+      max: [200, "Vòng mông không được quá 200cm"],
+    },
+    chestCm: {
+      type: Number,
+      min: [10, "Vòng ngực phải từ 10cm trở lên"],
+      max: [300, "Vòng ngực không được quá 300cm"],
+    },
+    armCm: {
+      type: Number,
+      min: [10, "Vòng tay phải từ 10cm trở lên"],
+      max: [300, "Vòng tay không được quá 300cm"],
+    },
+    thighCm: {
+      type: Number,
+      min: [10, "Vòng đùi phải từ 10cm trở lên"],
+      max: [300, "Vòng đùi không được quá 300cm"],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Ghi chú không được quá 500 ký tự"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Compound index to ensure one measurement entry per user per day
+measurementSchema.index({ userId: 1, dateISO: 1 }, { unique: true });
+
+// At least one measurement per entry
+measurementSchema.pre("validate", function (next) {
+  const hasValue = FITNESS.MEASUREMENT_FIELDS.some(
+    (field) => this[field] !== undefined && this[field] !== null,
+  );
+  if (!hasValue) {
+    this.invalidate("waistCm", "Cần nhập ít nhất một số đo");
+  }
+  next();
+});
+
+// Static methods
+measurementSchema.statics = {
+  /**
+   * Entries of a user up to a date, oldest first
+   */
+  findUntil(userId, dateISO) {
+    return this.find({ userId, dateISO: { $lte: dateISO } })
+      .sort({ dateISO: 1 })
+      .lean();
+  },
+};
+
+module.exports = mongoose.model("Measurement", measurementSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { NOTIFICATIONS, TIME } = require("../utils/constants.util");
+
+/**
+ * Notification model for the in-app inbox
+ * Keeps rendered notifications so users can catch up on what they missed
+ * while offline
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Template key the notification was rendered from
+    type: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Inbox listing and unread counts
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (NOTIFICATIONS.INBOX_RETENTION_DAYS * TIME.MILLISECONDS.DAY) / 1000,
+  },
+);
+
+// Virtual for read state
+notificationSchema.virtual("isRead").get(function () {
+  return !!this.readAt;
+});
+
+// Static methods
+notificationSchema.statics = {
+  /**
+   * Count unread notifications of a user
+   */
+  countUnread(userId) {
+    return this.countDocuments({ userId, readAt: null });
+  },
+};
+
+module.exports = mongoose.model("Notification", notificationSchema);
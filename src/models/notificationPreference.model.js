@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const helpers = require("../utils/helpers.util");
+const validators = require("../utils/validators.util");
+const { NOTIFICATIONS, TIME } = require("../utils/constants.util");
+
+const timeOfDay = (defaultValue, message) => ({
+  type: String,
+  default: defaultValue,
+  validate: {
+    validator: (value) => validators.isValidTime(value),
+    message,
+  },
+});
+
+/**
+ * Notification preference model
+ * Per-user channels, template opt-outs, quiet hours and reminder times;
+ * users without a document get the defaults
+ */
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    timezone: {
+      type: String,
+      default: TIME.DEFAULT_TIMEZONE,
+      validate: {
+        validator: (value) => validators.isValidTimezone(value),
+        message: "Múi giờ không hợp lệ",
+      },
+    },
+    channels: {
+      push: { type: Boolean, default: true },
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+    },
+    // Template keys the user does not want to receive
+    optOuts: [String],
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: timeOfDay(
+        NOTIFICATIONS.QUIET_HOURS.START,
+        "Giờ bắt đầu yên lặng không hợp lệ",
+      ),
+      end: timeOfDay(
+        NOTIFICATIONS.QUIET_HOURS.END,
+        "Giờ kết thúc yên lặng không hợp lệ",
+      ),
+    },
+    weighInTime: timeOfDay(
+      NOTIFICATIONS.DEFAULT_REMINDER_TIME,
+      "Giờ cân không hợp lệ",
+    ),
+    workoutReminderTime: timeOfDay(
+      NOTIFICATIONS.WORKOUT_REMINDER_TIME,
+      "Giờ nhắc tập luyện không hợp lệ",
+    ),
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Instance methods
+notificationPreferenceSchema.methods = {
+  /**
+   * Local date and minutes since midnight in the user's time zone
+   */
+  getLocalTime(date = new Date()) {
+    return helpers.getLocalTime(date, this.timezone);
+  },
+
+  /**
+   * Whether an instant falls inside the user's quiet hours
+   */
+  isQuietAt(date = new Date()) {
+    if (!this.quietHours?.enabled) {
+      return false;
+    }
+
+    const { minutes } = this.getLocalTime(date);
+    const start = helpers.parseTimeOfDay(this.quietHours.start);
+    const end = helpers.parseTimeOfDay(this.quietHours.end);
+
+    // Quiet hours usually wrap around midnight (22:00 - 07:00)
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  },
+
+  /**
+   * Whether a template may be delivered on a channel
+   */
+  allows(templateKey, channel = "push") {
+    return (
+      this.channels?.[channel] !== false && !this.optOuts.includes(templateKey)
+    );
+  },
+};
+
+// Static methods
+notificationPreferenceSchema.statics = {
+  /**
+   * Preferences of a user, falling back to unsaved defaults
+   */
+  async getForUser(userId) {
+    return (await this.findOne({ userId })) || new this({ userId });
+  },
+
+  /**
+   * Map of userId -> preferences for several users
+   */
+  async getForUsers(userIds) {
+    const preferences = await this.find({ userId: { $in: userIds } });
+    const byUser = new Map(
+      preferences.map((preference) => [preference.userId.toString(), preference]),
+    );
+
+    return new Map(
+      userIds.map((userId) => [
+        userId.toString(),
+        byUser.get(userId.toString()) || new this({ userId }),
+      ]),
+    );
+  },
+};
+
+module.exports = mongoose.model(
+  "NotificationPreference",
+  notificationPreferenceSchema,
+);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { UPLOAD } = require("../utils/constants.util");
 
 /**
  * Photo model for storing image metadata
@@ -26,6 +27,39 @@ const photoSchema = new mongoose.Schema(
       required: [true, "File key là bắt buộc"],
       unique: true,
     },
+    // Storage driver and object keys; photos uploaded before storage
+    // drivers have none and live on local disk under the legacy layout
+    storage: {
+      driver: String,
+      keys: {
+        original: String,
+        thumbnail: String,
+      },
+    },
+    // Resized, auto-rotated copies without metadata; photos uploaded before
+    // renditions only have the original and thumbnail keys above
+    renditions: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          enum: Object.keys(UPLOAD.RENDITIONS),
+          required: true,
+        },
+        format: {
+          type: String,
+          enum: UPLOAD.RENDITION_FORMATS,
+          required: true,
+        },
+        key: {
+          type: String,
+          required: true,
+        },
+        width: Number,
+        height: Number,
+        size: Number,
+      },
+    ],
     originalName: {
       type: String,
       required: true,
@@ -135,18 +169,25 @@ photoSchema.virtual("isSquare").get(function () {
 
 // Instance methods
 photoSchema.methods = {
+  /**
+   * Get the URL of a rendition (needs a signature, see photoAccess.service)
+   */
+  getFileUrl(size = "full") {
+    return `/api/v1/photos/${this._id}/file/${size}`;
+  },
+
   /**
    * Get photo URL
    */
   getPhotoUrl() {
-    return `/uploads/${this.contextType}/${this.fileKey}`;
+    return this.getFileUrl("full");
   },
 
   /**
    * Get thumbnail URL
    */
   getThumbnailUrl() {
-    return `/uploads/${this.contextType}/thumbnails/${this.fileKey}`;
+    return this.getFileUrl("thumb");
   },
 
   /**
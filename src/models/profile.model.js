@@ -92,6 +92,30 @@ const profileSchema = new mongoose.Schema(
       min: [-2, "Mục tiêu giảm cân không được quá 2kg/tuần"],
       max: [1, "Mục tiêu tăng cân không được quá 1kg/tuần"],
     },
+
+    // Where tdee comes from: the formula or the adaptive estimate
+    tdeeSource: {
+      type: String,
+      enum: ["formula", "adaptive"],
+      default: "formula",
+    },
+    // Adaptive estimate the user applied; only POST /users/tdee/apply sets it
+    appliedAdaptiveKcal: Number,
+    // Estimate from logged intake and weight trend the adaptive targets use
+    adaptiveTdee: {
+      kcal: Number,
+      formulaKcal: Number,
+      confidence: {
+        type: String,
+        enum: ["insufficient", "low", "medium", "high"],
+      },
+      trendKgPerWeek: Number,
+      avgIntakeKcal: Number,
+      intakeDays: Number,
+      weighIns: Number,
+      windowDays: Number,
+      estimatedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -165,6 +189,11 @@ profileSchema.methods = {
 
     this.tdee = Math.round(bmr * activityMultipliers[this.activity]);
 
+    // An applied adaptive estimate replaces the formula value
+    if (this.tdeeSource === "adaptive" && this.appliedAdaptiveKcal) {
+      this.tdee = this.appliedAdaptiveKcal;
+    }
+
     // Adjust kcal target based on goal
     this.adjustKcalTarget();
 
@@ -175,16 +204,19 @@ profileSchema.methods = {
    * Adjust calorie target based on weight goal
    */
   adjustKcalTarget() {
+    this.kcalTarget = this.getKcalTargetFor(this.tdee);
+  },
+
+  /**
+   * Calorie target for a given TDEE and the profile's weight goal
+   */
+  getKcalTargetFor(tdee) {
     const weeklyDeficit = this.weeklyGoalKg * 7700; // 7700 kcal = 1kg fat
     const dailyDeficit = weeklyDeficit / 7;
 
-    this.kcalTarget = Math.round(this.tdee + dailyDeficit);
-
     // Ensure minimum calorie intake
     const minKcal = this.sex === "male" ? 1500 : 1200;
-    if (this.kcalTarget < minKcal) {
-      this.kcalTarget = minKcal;
-    }
+    return Math.max(minKcal, Math.round(tdee + dailyDeficit));
   },
 
   /**
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+/**
+ * Push ticket model
+ * Expo answers a send with ticket IDs whose delivery receipts become available
+ * later; tickets are kept until their receipt has been checked
+ */
+const pushTicketSchema = new mongoose.Schema(
+  {
+    ticketId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    token: {
+      type: String,
+      required: true,
+    },
+    templateKey: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Expo keeps receipts for a day, so older tickets can no longer be checked
+pushTicketSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("PushTicket", pushTicketSchema);
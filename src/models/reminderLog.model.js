@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+/**
+ * Reminder log model
+ * One document per reminder sent; the unique index lets exactly one API
+ * instance claim a reminder, so users never get it twice
+ */
+const reminderLogSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Template key, optionally suffixed with the related record (challenge_reminder:<id>)
+    key: {
+      type: String,
+      required: true,
+    },
+    // User-local date the reminder belongs to
+    dateISO: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reminderLogSchema.index({ userId: 1, key: 1, dateISO: 1 }, { unique: true });
+reminderLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 14 * 24 * 60 * 60 },
+);
+
+// Static methods
+reminderLogSchema.statics = {
+  /**
+   * Claim a reminder; false when it was already sent
+   */
+  async claim(userId, key, dateISO) {
+    try {
+      await this.create({ userId, key, dateISO });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  },
+};
+
+module.exports = mongoose.model("ReminderLog", reminderLogSchema);
@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+
+/**
+ * Reward ledger model for server-authoritative XP and coin awards
+ * One entry per awarded action; the idempotency key makes repeated awards impossible
+ * and the awarded flags record which parts reached the gamification profile
+ */
+const rewardLedgerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    action: {
+      type: String,
+      required: [true, "Hành động là bắt buộc"],
+      trim: true,
+    },
+    idempotencyKey: {
+      type: String,
+      required: [true, "Idempotency key là bắt buộc"],
+      unique: true,
+    },
+    sourceId: String,
+    // Position of a capped award within its day, from 1 to the daily cap
+    slot: {
+      type: Number,
+      min: [1, "Slot phải lớn hơn 0"],
+    },
+    dateISO: {
+      type: String,
+      required: [true, "Ngày là bắt buộc"],
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Định dạng ngày phải là YYYY-MM-DD"],
+    },
+    xp: {
+      type: Number,
+      default: 0,
+      min: [0, "XP không được âm"],
+    },
+    coins: {
+      type: Number,
+      default: 0,
+      min: [0, "Coins không được âm"],
+    },
+    // Parts already applied to the user's gamification profile
+    xpAwarded: {
+      type: Boolean,
+      default: false,
+    },
+    coinsAwarded: {
+      type: Boolean,
+      default: false,
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Ghi chú không được quá 500 ký tự"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Daily cap lookups
+rewardLedgerSchema.index({ userId: 1, action: 1, dateISO: 1 });
+
+// A daily cap slot can only be taken once, so concurrent awards cannot exceed the cap
+rewardLedgerSchema.index(
+  { userId: 1, action: 1, dateISO: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } },
+);
+
+// Static methods
+rewardLedgerSchema.statics = {
+  /**
+   * Count awards of an action for a user on a given day
+   */
+  countForDay(userId, action, dateISO) {
+    return this.countDocuments({ userId, action, dateISO });
+  },
+
+  /**
+   * Create an entry, taking a free daily cap slot when the action is capped
+   * Returns null when every slot of the day is taken
+   */
+  async record(entry, dailyCap = null) {
+    if (!dailyCap) {
+      return this.create(entry);
+    }
+
+    const used = await this.countForDay(
+      entry.userId,
+      entry.action,
+      entry.dateISO,
+    );
+    for (let slot = used + 1; slot <= dailyCap; slot++) {
+      try {
+        return await this.create({ ...entry, slot });
+      } catch (error) {
+        // Another award took this slot first; try the next one
+        if (error.code !== 11000 || !error.keyPattern?.slot) {
+          throw error;
+        }
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Claim a part ("xp" or "coins") of an entry for awarding
+   * Only one caller can claim a part, so retries never award it twice
+   */
+  async claimPart(id, part) {
+    const field = `${part}Awarded`;
+    const result = await this.updateOne(
+      { _id: id, [field]: { $ne: true } },
+      { $set: { [field]: true } },
+    );
+    return result.modifiedCount === 1;
+  },
+
+  /**
+   * Release a claimed part after its award failed so a retry can apply it
+   */
+  releasePart(id, part) {
+    return this.updateOne({ _id: id }, { $set: { [`${part}Awarded`]: false } });
+  },
+
+  /**
+   * Get XP and coin totals awarded to a user on a given day
+   */
+  async getDailyTotals(userId, dateISO) {
+    const result = await this.aggregate([
+      {
+        $match: { userId: new mongoose.Types.ObjectId(userId), dateISO },
+      },
+      {
+        $group: {
+          _id: null,
+          xp: { $sum: "$xp" },
+          coins: { $sum: "$coins" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    return result[0] || { xp: 0, coins: 0, count: 0 };
+  },
+};
+
+module.exports = mongoose.model("RewardLedger", rewardLedgerSchema);
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+/**
+ * Scheduled job model
+ * Shared state of recurring jobs, so each run happens on exactly one API
+ * instance and schedules survive restarts
+ */
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    intervalMs: Number,
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    lastRunAt: Date,
+    lastDurationMs: Number,
+    lastError: String,
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Static methods
+scheduledJobSchema.statics = {
+  /**
+   * Claim a due run of a job and schedule the next one
+   * Returns null when the job is not due or another instance holds it
+   */
+  async claim(name, intervalMs, owner, leaseMs) {
+    const now = new Date();
+
+    await this.updateOne(
+      { name },
+      { $setOnInsert: { nextRunAt: new Date(now.getTime() + intervalMs) } },
+      { upsert: true },
+    );
+
+    return this.findOneAndUpdate(
+      {
+        name,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          intervalMs,
+          nextRunAt: new Date(now.getTime() + intervalMs),
+          lockedBy: owner,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+        },
+      },
+      { new: true },
+    );
+  },
+
+  /**
+   * Release a claimed job and record the outcome of the run
+   */
+  release(name, owner, { durationMs, error }) {
+    return this.updateOne(
+      { name, lockedBy: owner },
+      {
+        $set: {
+          lockedUntil: null,
+          lastRunAt: new Date(),
+          lastDurationMs: durationMs,
+          lastError: error || null,
+        },
+        $inc: { runCount: 1 },
+      },
+    );
+  },
+};
+
+module.exports = mongoose.model("ScheduledJob", scheduledJobSchema);
@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+
+/**
+ * Session model for refresh token rotation
+ * One document per signed-in device; only the hash of the latest refresh token is kept,
+ * so presenting an older token of the same session reveals reuse
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID là bắt buộc"],
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash là bắt buộc"],
+    },
+    userAgent: {
+      type: String,
+      maxlength: [500, "User agent không được quá 500 ký tự"],
+    },
+    ipAddress: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "reuse_detected",
+        "password_change",
+        "password_reset",
+        "user_revoked",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Virtual for active state
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static methods
+sessionSchema.statics = {
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  findActive(userId) {
+    return this.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+  },
+
+  /**
+   * Revoke sessions matching a filter
+   */
+  async revoke(filter, reason) {
+    const { modifiedCount } = await this.updateMany(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+    return modifiedCount;
+  },
+
+  /**
+   * Whether a session can still be used
+   */
+  async isActive(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return false;
+    }
+
+    const session = await this.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    return !!session;
+  },
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { AUTH } = require("../utils/constants.util");
 
 /**
  * User model for authentication and basic user information
@@ -18,9 +19,15 @@ const userSchema = new mongoose.Schema(
         "Email không hợp lệ",
       ],
     },
+    // Accounts created through Google or Apple may have no password
     passwordHash: {
       type: String,
-      required: [true, "Mật khẩu là bắt buộc"],
+      required: [
+        function () {
+          return !this.googleSub && !this.appleUserId;
+        },
+        "Mật khẩu là bắt buộc",
+      ],
       minlength: [6, "Mật khẩu phải có ít nhất 6 ký tự"],
     },
     name: {
@@ -35,11 +42,55 @@ const userSchema = new mongoose.Schema(
       default: ["user"],
     },
     appleSub: String, // Apple subscription ID for iOS users
+    // Subject IDs of linked identity providers
+    googleSub: String,
+    appleUserId: String, // Sign in with Apple user ID
+    // Language of emails and other messages sent to the user
+    language: {
+      type: String,
+      enum: {
+        values: ["vi", "en"],
+        message: "Ngôn ngữ phải là 'vi' hoặc 'en'",
+      },
+      default: "vi",
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
     lastLoginAt: Date,
+    // Failed login tracking; lockCount grows the next lockout until a successful login
+    loginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    // Bumped when logged data changes; part of the statistics cache key, so
+    // every API instance stops serving statistics cached before the change
+    statsVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Devices and IP addresses the user signed in from, most recent first
+    knownDevices: [
+      {
+        _id: false,
+        userAgent: String,
+        ipAddress: String,
+        firstSeenAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastSeenAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     emailVerified: {
       type: Boolean,
       default: false,
@@ -48,6 +99,33 @@ const userSchema = new mongoose.Schema(
     emailVerificationExpires: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    // TOTP two-factor authentication; secrets are only loaded on request
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret shown during enrollment until the first code confirms it
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
   },
   {
     timestamps: true, // Tự động tạo createdAt và updatedAt
@@ -60,6 +138,8 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ roles: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ googleSub: 1 }, { unique: true, sparse: true });
+userSchema.index({ appleUserId: 1 }, { unique: true, sparse: true });
 
 // Virtual for user ID (without ObjectId)
 userSchema.virtual("userId").get(function () {
@@ -85,6 +165,9 @@ userSchema.methods = {
    * Compare provided password with stored hash
    */
   async comparePassword(password) {
+    if (!this.passwordHash || !password) {
+      return false;
+    }
     return bcrypt.compare(password, this.passwordHash);
   },
 
@@ -102,6 +185,51 @@ userSchema.methods = {
     return this.hasRole("admin");
   },
 
+  /**
+   * Check if sign-in needs a second factor, either set up or still to enroll
+   */
+  requiresTwoFactor() {
+    return (
+      !!this.twoFactor?.enabled ||
+      this.roles.some((role) => AUTH.TWO_FACTOR.REQUIRED_ROLES.includes(role))
+    );
+  },
+
+  /**
+   * Check if sign-in is blocked after too many failed attempts
+   */
+  isLocked() {
+    return !!this.lockUntil && this.lockUntil > new Date();
+  },
+
+  /**
+   * Remember the device of a sign-in
+   * Returns true when the user agent or the IP address was not seen before
+   */
+  trackDevice({ userAgent, ipAddress }, limit) {
+    if (!userAgent && !ipAddress) {
+      return false;
+    }
+
+    const devices = this.knownDevices || [];
+    const isNew =
+      devices.length > 0 &&
+      (!devices.some((device) => device.userAgent === userAgent) ||
+        !devices.some((device) => device.ipAddress === ipAddress));
+
+    const now = new Date();
+    const existing = devices.find(
+      (device) =>
+        device.userAgent === userAgent && device.ipAddress === ipAddress,
+    );
+    const others = devices.filter((device) => device !== existing);
+    const current = existing || { userAgent, ipAddress, firstSeenAt: now };
+    current.lastSeenAt = now;
+
+    this.knownDevices = [current, ...others].slice(0, limit);
+    return isNew;
+  },
+
   /**
    * Get public profile (without sensitive data)
    */
@@ -112,6 +240,12 @@ userSchema.methods = {
       passwordResetToken,
       ...publicData
     } = this.toObject();
+    if (publicData.twoFactor) {
+      publicData.twoFactor = {
+        enabled: publicData.twoFactor.enabled,
+        enabledAt: publicData.twoFactor.enabledAt,
+      };
+    }
     return publicData;
   },
 };
@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+
+/**
+ * Webhook delivery model
+ * One document per outbound delivery with the signed request and every attempt.
+ * Doubles as the delivery queue: workers lease pending deliveries so each
+ * attempt is made by a single worker
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    deliveryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    integrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Integration",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: [true, "Event là bắt buộc"],
+    },
+
+    // Request as sent (signature headers are recomputed per attempt)
+    request: {
+      url: String,
+      method: String,
+      headers: mongoose.Schema.Types.Mixed,
+      body: String,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "processing", "success", "failed"],
+      default: "pending",
+    },
+
+    // Scheduling & leasing
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    leaseCount: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 4,
+    },
+
+    attempts: [
+      {
+        attempt: Number,
+        attemptedAt: Date,
+        responseCode: Number,
+        latencyMs: Number,
+        responseBody: String,
+        error: String,
+      },
+    ],
+    completedAt: Date,
+
+    // Original delivery when this one is a manual redelivery
+    redeliveryOf: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Delivery log lookups
+webhookDeliverySchema.index({ integrationId: 1, webhookId: 1, createdAt: -1 });
+
+webhookDeliverySchema.index({ status: 1, runAt: 1 });
+webhookDeliverySchema.index({ status: 1, lockedUntil: 1 });
+
+// Static methods
+webhookDeliverySchema.statics = {
+  /**
+   * Atomically lease the next due delivery
+   * Deliveries whose lease expired (crashed worker) are picked up again
+   */
+  claimNext(workerId, leaseMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", runAt: { $lte: now } },
+          { status: "processing", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "processing",
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+        },
+        $inc: { leaseCount: 1 },
+      },
+      { sort: { runAt: 1 }, new: true },
+    );
+  },
+
+  /**
+   * Update a delivery only while the worker still holds its lease
+   */
+  finishLeased(deliveryId, workerId, update) {
+    return this.updateOne(
+      { _id: deliveryId, lockedBy: workerId, status: "processing" },
+      update,
+    );
+  },
+};
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
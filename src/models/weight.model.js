@@ -53,6 +53,15 @@ const weightSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Record identity at the tracker provider, used to dedupe synced records
+    externalRef: {
+      provider: String,
+      recordId: String,
+      integrationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Integration",
+      },
+    },
   },
   {
     timestamps: true,
@@ -64,6 +73,15 @@ const weightSchema = new mongoose.Schema(
 // Compound index to ensure unique weight per user per day
 weightSchema.index({ userId: 1, dateISO: 1 }, { unique: true });
 
+// One document per provider record
+weightSchema.index(
+  { userId: 1, "externalRef.provider": 1, "externalRef.recordId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "externalRef.recordId": { $exists: true } },
+  },
+);
+
 // Virtuals
 weightSchema.virtual("weightLbs").get(function () {
   return (this.weightKg * 2.20462).toFixed(1);
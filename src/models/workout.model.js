@@ -113,6 +113,15 @@ const workoutSchema = new mongoose.Schema(
       enum: ["manual", "app", "device"],
       default: "manual",
     },
+    // Record identity at the tracker provider, used to dedupe synced records
+    externalRef: {
+      provider: String,
+      recordId: String,
+      integrationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Integration",
+      },
+    },
   },
   {
     timestamps: true,
@@ -126,6 +135,15 @@ workoutSchema.index({ userId: 1, dateISO: 1 });
 workoutSchema.index({ userId: 1, type: 1 });
 workoutSchema.index({ userId: 1, intensity: 1 });
 
+// One document per provider record
+workoutSchema.index(
+  { userId: 1, "externalRef.provider": 1, "externalRef.recordId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "externalRef.recordId": { $exists: true } },
+  },
+);
+
 // Virtuals
 workoutSchema.virtual("totalDurationMinutes").get(function () {
   return this.duration.minutes + this.duration.seconds / 60;
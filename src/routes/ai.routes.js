@@ -10,6 +10,7 @@ const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
  * AI routes for Gemini-powered features
  * POST /api/v1/ai/jobs - Create AI analysis job
  * GET /api/v1/ai/jobs/:jobId - Get job status
+ * POST /api/v1/ai/jobs/:jobId/cancel - Cancel a pending or running job
  * GET /api/v1/ai/jobs - Get user's jobs
  * POST /api/v1/ai/meal/analyze/:photoId - Analyze meal photo (sync)
  * POST /api/v1/ai/body/analyze/:photoId - Analyze body photo (sync)
@@ -28,6 +29,7 @@ router.use(rateLimitMiddleware.strictLimiter);
 // AI Job Management (Async processing)
 router.post("/jobs", aiController.createAnalysisJob);
 router.get("/jobs/:jobId", aiController.getJobStatus);
+router.post("/jobs/:jobId/cancel", aiController.cancelJob);
 router.get("/jobs", aiController.getUserJobs);
 
 // Direct Analysis (Sync processing)
@@ -11,11 +11,25 @@ const validationMiddleware = require("../middleware/validation.middleware");
  * Authentication routes
  * POST /api/v1/auth/register - User registration
  * POST /api/v1/auth/login - User login
+ * POST /api/v1/auth/login/2fa - Second login step with a two-factor code
+ * POST /api/v1/auth/login/2fa/setup - Start required two-factor enrollment during login
+ * POST /api/v1/auth/oauth/:provider - Sign in with a Google or Apple ID token
+ * GET /api/v1/auth/oauth - List sign-in methods of the current user
+ * POST /api/v1/auth/oauth/:provider/link - Link a provider account
+ * DELETE /api/v1/auth/oauth/:provider - Unlink a provider account
  * POST /api/v1/auth/refresh - Refresh access token
  * POST /api/v1/auth/logout - User logout
+ * POST /api/v1/auth/2fa/setup - Start two-factor enrollment
+ * POST /api/v1/auth/2fa/enable - Confirm enrollment and get recovery codes
+ * POST /api/v1/auth/2fa/disable - Turn two-factor off
+ * POST /api/v1/auth/2fa/recovery-codes - Replace recovery codes
+ * GET /api/v1/auth/sessions - List active sessions
+ * DELETE /api/v1/auth/sessions/:sessionId - Sign out a session
  * POST /api/v1/auth/change-password - Change password
  * POST /api/v1/auth/request-reset - Request password reset
  * POST /api/v1/auth/reset-password - Reset password with token
+ * POST /api/v1/auth/verify-email - Verify email address with token
+ * POST /api/v1/auth/resend-verification - Resend verification email
  * GET /api/v1/auth/me - Get current user info
  */
 
@@ -35,6 +49,99 @@ router.post(
   authController.login
 );
 
+// Second login step
+router.post(
+  "/login/2fa",
+  rateLimitMiddleware.authLimiter,
+  [
+    validationMiddleware
+      .body("challengeToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Challenge token không được để trống"),
+    validationMiddleware
+      .body("code")
+      .isString()
+      .notEmpty()
+      .withMessage("Mã xác thực không được để trống"),
+  ],
+  validationMiddleware.checkValidation,
+  authController.verifyTwoFactorLogin,
+);
+
+// Required two-factor enrollment during login
+router.post(
+  "/login/2fa/setup",
+  rateLimitMiddleware.authLimiter,
+  [
+    validationMiddleware
+      .body("challengeToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Challenge token không được để trống"),
+  ],
+  validationMiddleware.checkValidation,
+  authController.setupTwoFactorLogin,
+);
+
+// Validation for identity provider ID tokens
+const validateIdToken = [
+  validationMiddleware
+    .body("idToken")
+    .isString()
+    .notEmpty()
+    .withMessage("ID token không được để trống"),
+  validationMiddleware
+    .body("nonce")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Nonce không hợp lệ"),
+];
+
+// Sign in with an identity provider
+router.post(
+  "/oauth/:provider",
+  rateLimitMiddleware.authLimiter,
+  [
+    ...validateIdToken,
+    validationMiddleware
+      .body("name")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Tên phải từ 1-100 ký tự"),
+  ],
+  validationMiddleware.checkValidation,
+  authController.oauthLogin,
+);
+
+// Sign-in methods of the current user
+router.get(
+  "/oauth",
+  authMiddleware.verifyToken,
+  authController.getLinkedProviders,
+);
+
+// Link an identity provider
+router.post(
+  "/oauth/:provider/link",
+  authMiddleware.verifyToken,
+  rateLimitMiddleware.strictLimiter,
+  validateIdToken,
+  validationMiddleware.checkValidation,
+  authController.linkProvider,
+);
+
+// Unlink an identity provider
+router.delete(
+  "/oauth/:provider",
+  authMiddleware.verifyToken,
+  rateLimitMiddleware.strictLimiter,
+  authController.unlinkProvider,
+);
+
 // Refresh access token
 router.post(
   "/refresh",
@@ -45,6 +152,82 @@ router.post(
 // User logout
 router.post("/logout", authMiddleware.verifyToken, authController.logout);
 
+// Two-factor enrollment
+router.post(
+  "/2fa/setup",
+  authMiddleware.verifyToken,
+  rateLimitMiddleware.strictLimiter,
+  authController.setupTwoFactor,
+);
+
+router.post(
+  "/2fa/enable",
+  authMiddleware.verifyToken,
+  rateLimitMiddleware.strictLimiter,
+  [
+    validationMiddleware
+      .body("code")
+      .isString()
+      .notEmpty()
+      .withMessage("Mã xác thực không được để trống"),
+  ],
+  validationMiddleware.checkValidation,
+  authController.enableTwoFactor,
+);
+
+router.post(
+  "/2fa/disable",
+  authMiddleware.verifyToken,
+  rateLimitMiddleware.strictLimiter,
+  [
+    validationMiddleware
+      .body("password")
+      .isString()
+      .notEmpty()
+      .withMessage("Mật khẩu không được để trống"),
+    validationMiddleware
+      .body("code")
+      .isString()
+      .notEmpty()
+      .withMessage("Mã xác thực không được để trống"),
+  ],
+  validationMiddleware.checkValidation,
+  authController.disableTwoFactor,
+);
+
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware.verifyToken,
+  rateLimitMiddleware.strictLimiter,
+  [
+    validationMiddleware
+      .body("code")
+      .isString()
+      .notEmpty()
+      .withMessage("Mã xác thực không được để trống"),
+  ],
+  validationMiddleware.checkValidation,
+  authController.regenerateRecoveryCodes,
+);
+
+// List active sessions
+router.get("/sessions", authMiddleware.verifyToken, authController.getSessions);
+
+// Sign out a session
+router.delete(
+  "/sessions/:sessionId",
+  authMiddleware.verifyToken,
+  rateLimitMiddleware.strictLimiter,
+  [
+    validationMiddleware
+      .param("sessionId")
+      .isMongoId()
+      .withMessage("Session ID không hợp lệ"),
+  ],
+  validationMiddleware.checkValidation,
+  authController.revokeSession,
+);
+
 // Change password
 router.post(
   "/change-password",
@@ -70,6 +253,29 @@ router.post(
   authController.resetPassword
 );
 
+// Verify email address with token
+router.post(
+  "/verify-email",
+  rateLimitMiddleware.authLimiter,
+  [
+    validationMiddleware
+      .body("token")
+      .isString()
+      .notEmpty()
+      .withMessage("Token không được để trống"),
+  ],
+  validationMiddleware.checkValidation,
+  authController.verifyEmail,
+);
+
+// Resend verification email
+router.post(
+  "/resend-verification",
+  authMiddleware.verifyToken,
+  rateLimitMiddleware.strictLimiter,
+  authController.resendVerification,
+);
+
 // Get current user info
 router.get("/me", authMiddleware.verifyToken, authController.getCurrentUser);
 
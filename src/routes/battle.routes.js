@@ -12,8 +12,8 @@ const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
  * GET /api/v1/battles - Get battles with filtering
  * GET /api/v1/battles/:id - Get battle by ID
  * POST /api/v1/battles/:id/accept - Accept battle
- * POST /api/v1/battles/:id/baseline - Set baseline measurement
- * POST /api/v1/battles/:id/progress - Update battle progress
+ * POST /api/v1/battles/:id/baseline - Set baseline measurement (custom metrics only)
+ * POST /api/v1/battles/:id/progress - Update battle progress (tracked metrics are recomputed)
  * POST /api/v1/battles/:id/updates - Add battle update
  * GET /api/v1/battles/user/me - Get user's battles
  * GET /api/v1/battles/stats/me - Get user's battle stats
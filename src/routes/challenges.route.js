@@ -15,7 +15,7 @@ const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
  * POST /api/v1/challenges/:id/leave - Leave challenge
  * GET /api/v1/challenges/:id/leaderboard - Get challenge leaderboard
  * GET /api/v1/challenges/user/me - Get user's challenges
- * POST /api/v1/challenges/:id/progress - Update challenge progress
+ * POST /api/v1/challenges/:id/progress - Recompute challenge progress from logged data
  */
 
 // Apply authentication to all routes
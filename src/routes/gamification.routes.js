@@ -9,22 +9,23 @@ const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
 /**
  * Gamification routes for XP, levels, achievements, and rewards
  * GET /api/v1/gamification/profile - Get user gamification profile
- * POST /api/v1/gamification/xp - Award XP to user
- * POST /api/v1/gamification/streak - Update user streak
- * POST /api/v1/gamification/achievements - Unlock achievement
- * POST /api/v1/gamification/challenges/daily - Add daily challenge
- * POST /api/v1/gamification/challenges/progress - Update challenge progress
- * POST /api/v1/gamification/quests - Add quest to user
- * POST /api/v1/gamification/quests/progress - Update quest progress
- * POST /api/v1/gamification/coins/award - Award coins to user
+ * POST /api/v1/gamification/xp - Award XP to user (admin)
+ * POST /api/v1/gamification/streak - Update user streak (admin)
+ * POST /api/v1/gamification/achievements - Unlock achievement (admin)
+ * POST /api/v1/gamification/challenges/daily - Add daily challenge (admin)
+ * POST /api/v1/gamification/challenges/progress - Update challenge progress (admin)
+ * POST /api/v1/gamification/quests - Add quest to user (admin)
+ * POST /api/v1/gamification/quests/progress - Update quest progress (admin)
+ * POST /api/v1/gamification/coins/award - Award coins to user (admin)
  * POST /api/v1/gamification/coins/spend - Spend coins from user
- * POST /api/v1/gamification/stats - Update user statistics
- * POST /api/v1/gamification/records - Add record for user
+ * POST /api/v1/gamification/stats - Update user statistics (admin)
+ * POST /api/v1/gamification/records - Add record for user (admin)
  * GET /api/v1/gamification/achievements - Get user achievements
  * GET /api/v1/gamification/challenges - Get user challenges
  * GET /api/v1/gamification/quests - Get user quests
  * GET /api/v1/gamification/leaderboard - Get leaderboard
  * GET /api/v1/gamification/achievers - Get top achievers
+ * GET /api/v1/gamification/rules - Get XP and coin reward rules
  */
 
 // Apply authentication to all routes
@@ -37,36 +38,66 @@ router.use(rateLimitMiddleware.strictLimiter);
 router.get("/profile", gamificationController.getUserProfile);
 
 // XP and progression
-router.post("/xp", gamificationController.awardXP);
-router.post("/streak", gamificationController.updateStreak);
+router.post("/xp", authMiddleware.requireAdmin, gamificationController.awardXP);
+router.post(
+  "/streak",
+  authMiddleware.requireAdmin,
+  gamificationController.updateStreak,
+);
 
 // Achievements and badges
-router.post("/achievements", gamificationController.unlockAchievement);
+router.post(
+  "/achievements",
+  authMiddleware.requireAdmin,
+  gamificationController.unlockAchievement,
+);
 router.get("/achievements", gamificationController.getUserAchievements);
 
 // Challenges
-router.post("/challenges/daily", gamificationController.addDailyChallenge);
+router.post(
+  "/challenges/daily",
+  authMiddleware.requireAdmin,
+  gamificationController.addDailyChallenge,
+);
 router.post(
   "/challenges/progress",
-  gamificationController.updateChallengeProgress
+  authMiddleware.requireAdmin,
+  gamificationController.updateChallengeProgress,
 );
 router.get("/challenges", gamificationController.getUserChallenges);
 
 // Quests
-router.post("/quests", gamificationController.addQuest);
-router.post("/quests/progress", gamificationController.updateQuestProgress);
+router.post("/quests", authMiddleware.requireAdmin, gamificationController.addQuest);
+router.post(
+  "/quests/progress",
+  authMiddleware.requireAdmin,
+  gamificationController.updateQuestProgress,
+);
 router.get("/quests", gamificationController.getUserQuests);
 
 // Virtual currency
-router.post("/coins/award", gamificationController.awardCoins);
+router.post(
+  "/coins/award",
+  authMiddleware.requireAdmin,
+  gamificationController.awardCoins,
+);
 router.post("/coins/spend", gamificationController.spendCoins);
 
 // Statistics and records
-router.post("/stats", gamificationController.updateStats);
-router.post("/records", gamificationController.addRecord);
+router.post(
+  "/stats",
+  authMiddleware.requireAdmin,
+  gamificationController.updateStats,
+);
+router.post(
+  "/records",
+  authMiddleware.requireAdmin,
+  gamificationController.addRecord,
+);
 
 // Leaderboards and rankings
 router.get("/leaderboard", gamificationController.getLeaderboard);
 router.get("/achievers", gamificationController.getTopAchievers);
+router.get("/rules", gamificationController.getRewardRules);
 
 module.exports = router;
@@ -0,0 +1,181 @@
+const express = require("express");
+const router = express.Router();
+
+// Import controller and middleware
+const habitController = require("../controllers/habit.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+
+/**
+ * Daily habit routes
+ * GET /api/v1/habits/daily - Get habit summary of a day
+ * GET /api/v1/habits/weekly - Get habit summary of the week ending on a day
+ * GET /api/v1/habits/goals - Get habit goals
+ * PUT /api/v1/habits/goals - Update habit goals
+ * POST /api/v1/habits/water - Log a drink
+ * DELETE /api/v1/habits/water/:entryId - Remove a drink
+ * PUT /api/v1/habits/sleep - Log a night of sleep
+ * DELETE /api/v1/habits/sleep/:dateISO - Remove the sleep entry of a day
+ * PUT /api/v1/habits/steps - Set the step count of a day
+ */
+
+// All routes require authentication
+router.use(authMiddleware.verifyToken);
+
+const validateDate = (location, field) =>
+  validationMiddleware[location](field)
+    .optional()
+    .isISO8601()
+    .withMessage("Ngày không hợp lệ");
+
+const validateGoals = [
+  validationMiddleware
+    .body("waterMl")
+    .optional()
+    .isInt({ min: 500, max: 10000 })
+    .withMessage("Mục tiêu nước phải từ 500-10000 ml")
+    .toInt(),
+  validationMiddleware
+    .body("sleepHours")
+    .optional()
+    .isFloat({ min: 4, max: 12 })
+    .withMessage("Mục tiêu ngủ phải từ 4-12 giờ")
+    .toFloat(),
+  validationMiddleware
+    .body("steps")
+    .optional()
+    .isInt({ min: 1000, max: 100000 })
+    .withMessage("Mục tiêu bước chân phải từ 1000-100000")
+    .toInt(),
+];
+
+const validateWater = [
+  validationMiddleware
+    .body("amountMl")
+    .custom(
+      (value) => validationMiddleware.isWaterIntake(value) && parseInt(value) > 0,
+    )
+    .withMessage("Lượng nước phải từ 1-10000 ml")
+    .toInt(),
+  validationMiddleware
+    .body("loggedAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Thời điểm uống không hợp lệ"),
+  validateDate("body", "dateISO"),
+];
+
+const validateSleep = [
+  validationMiddleware
+    .body("startAt")
+    .isISO8601()
+    .withMessage("Giờ đi ngủ không hợp lệ"),
+  validationMiddleware
+    .body("endAt")
+    .isISO8601()
+    .withMessage("Giờ thức dậy không hợp lệ")
+    .bail()
+    .custom((value, { req }) => {
+      const hours = (new Date(value) - new Date(req.body.startAt)) / 3600000;
+      return hours > 0 && validationMiddleware.isSleepDuration(hours);
+    })
+    .withMessage("Thời gian ngủ phải từ 0-24 giờ"),
+  validationMiddleware
+    .body("quality")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Chất lượng giấc ngủ phải từ 1-5")
+    .toInt(),
+  validateDate("body", "dateISO"),
+];
+
+const validateSteps = [
+  validationMiddleware
+    .body("count")
+    .custom((value) => validationMiddleware.isStepCount(value))
+    .withMessage("Số bước phải từ 0-100000")
+    .toInt(),
+  validateDate("body", "dateISO"),
+];
+
+// Get habit summary of a day
+router.get(
+  "/daily",
+  validateDate("query", "date"),
+  validationMiddleware.checkValidation,
+  habitController.getDailySummary,
+);
+
+// Get habit summary of the week ending on a day
+router.get(
+  "/weekly",
+  validateDate("query", "date"),
+  validationMiddleware.checkValidation,
+  habitController.getWeeklySummary,
+);
+
+// Get habit goals
+router.get("/goals", habitController.getGoals);
+
+// Update habit goals
+router.put(
+  "/goals",
+  rateLimitMiddleware.generalLimiter,
+  validateGoals,
+  validationMiddleware.checkValidation,
+  habitController.updateGoals,
+);
+
+// Log a drink
+router.post(
+  "/water",
+  rateLimitMiddleware.generalLimiter,
+  validateWater,
+  validationMiddleware.checkValidation,
+  habitController.addWater,
+);
+
+// Remove a drink
+router.delete(
+  "/water/:entryId",
+  rateLimitMiddleware.generalLimiter,
+  validationMiddleware
+    .param("entryId")
+    .isMongoId()
+    .withMessage("ID lượt uống nước không hợp lệ"),
+  validationMiddleware.checkValidation,
+  habitController.removeWater,
+);
+
+// Log a night of sleep
+router.put(
+  "/sleep",
+  rateLimitMiddleware.generalLimiter,
+  validateSleep,
+  validationMiddleware.checkValidation,
+  habitController.logSleep,
+);
+
+// Remove the sleep entry of a day
+router.delete(
+  "/sleep/:dateISO",
+  rateLimitMiddleware.generalLimiter,
+  validationMiddleware
+    .param("dateISO")
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Định dạng ngày phải là YYYY-MM-DD"),
+  validationMiddleware.checkValidation,
+  habitController.deleteSleep,
+);
+
+// Set the step count of a day
+router.put(
+  "/steps",
+  rateLimitMiddleware.generalLimiter,
+  validateSteps,
+  validationMiddleware.checkValidation,
+  habitController.logSteps,
+);
+
+module.exports = router;
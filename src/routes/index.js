@@ -5,6 +5,8 @@ const router = express.Router();
 const authRoutes = require("./auth.routes");
 const userRoutes = require("./user.routes");
 const weightRoutes = require("./weight.routes");
+const measurementRoutes = require("./measurement.routes");
+const habitRoutes = require("./habit.routes");
 const mealRoutes = require("./meal.routes");
 const workoutRoutes = require("./workout.routes");
 const planRoutes = require("./plan.routes");
@@ -18,6 +20,7 @@ const battleRoutes = require("./battle.routes");
 const aiCoachRoutes = require("./aiCoach.routes");
 const socialFeedRoutes = require("./socialFeed.routes");
 const integrationRoutes = require("./integration.routes");
+const notificationRoutes = require("./notification.routes");
 
 /**
  * Main API routes configuration
@@ -53,6 +56,8 @@ router.get("/status", (req, res) => {
 router.use("/auth", authRoutes);
 router.use("/users", userRoutes);
 router.use("/weights", weightRoutes);
+router.use("/measurements", measurementRoutes);
+router.use("/habits", habitRoutes);
 router.use("/meals", mealRoutes);
 router.use("/workouts", workoutRoutes);
 router.use("/plans", planRoutes);
@@ -66,6 +71,7 @@ router.use("/battles", battleRoutes);
 router.use("/ai-coach", aiCoachRoutes);
 router.use("/social-feed", socialFeedRoutes);
 router.use("/integrations", integrationRoutes);
+router.use("/notifications", notificationRoutes);
 
 
 module.exports = router;
@@ -18,6 +18,8 @@ const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
  * POST /api/v1/integrations/:integrationId/webhooks - Add webhook to integration
  * DELETE /api/v1/integrations/:integrationId/webhooks/:webhookId - Remove webhook
  * POST /api/v1/integrations/:integrationId/webhooks/trigger - Trigger webhook
+ * POST /api/v1/integrations/:integrationId/webhooks/:webhookId/redeliver - Redeliver a logged delivery
+ * GET /api/v1/integrations/:integrationId/webhooks/:webhookId/deliveries - Get webhook delivery log
  * PUT /api/v1/integrations/:integrationId/credentials - Update integration credentials
  * GET /api/v1/integrations/stats - Get integration statistics
  * GET /api/v1/integrations/errors - Get integrations with errors
@@ -67,6 +69,14 @@ router.post(
   "/:integrationId/webhooks/trigger",
   integrationController.triggerWebhook
 );
+router.post(
+  "/:integrationId/webhooks/:webhookId/redeliver",
+  integrationController.redeliverWebhook,
+);
+router.get(
+  "/:integrationId/webhooks/:webhookId/deliveries",
+  integrationController.getWebhookDeliveries,
+);
 
 // Update integration credentials
 router.put(
@@ -15,6 +15,9 @@ const validationMiddleware = require("../middleware/validation.middleware");
  * DELETE /api/v1/meals/:id - Delete meal entry
  * GET /api/v1/meals/nutrition - Get nutrition summary
  * GET /api/v1/meals/stats - Get meal statistics
+ * GET /api/v1/meals/drafts - Get AI draft meal entries
+ * POST /api/v1/meals/drafts - Create drafts from an AI meal analysis job
+ * POST /api/v1/meals/drafts/review - Confirm, edit or reject drafts
  */
 
 // All routes require authentication
@@ -68,4 +71,19 @@ router.get(
   mealController.getMealStats
 );
 
+// AI draft meal entries
+router.get("/drafts", mealController.getDrafts);
+router.post(
+  "/drafts",
+  rateLimitMiddleware.generalLimiter,
+  validationMiddleware.validateMealDraftCreate,
+  mealController.createDrafts,
+);
+router.post(
+  "/drafts/review",
+  rateLimitMiddleware.generalLimiter,
+  validationMiddleware.validateMealDraftReview,
+  mealController.reviewDrafts,
+);
+
 module.exports = router;
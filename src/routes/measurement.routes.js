@@ -0,0 +1,111 @@
+const express = require("express");
+const router = express.Router();
+
+// Import controller and middleware
+const measurementController = require("../controllers/measurement.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+
+/**
+ * Body measurement routes
+ * POST /api/v1/measurements - Add measurement entry
+ * GET /api/v1/measurements - Get measurement entries
+ * GET /api/v1/measurements/progress - Compare measurements between two dates
+ * GET /api/v1/measurements/:measurementId - Get measurement entry
+ * PUT /api/v1/measurements/:measurementId - Update measurement entry
+ * DELETE /api/v1/measurements/:measurementId - Delete measurement entry
+ */
+
+// All routes require authentication
+router.use(authMiddleware.verifyToken);
+
+// Circumference checks shared by create and update; null clears a value on update
+const measurementFields = [
+  ["waistCm", "isWaistCircumference", "Vòng eo phải từ 50-200 cm"],
+  ["hipCm", "isHipCircumference", "Vòng mông phải từ 60-200 cm"],
+  ["chestCm", "isBodyMeasurement", "Vòng ngực phải từ 10-300 cm"],
+  ["armCm", "isBodyMeasurement", "Vòng tay phải từ 10-300 cm"],
+  ["thighCm", "isBodyMeasurement", "Vòng đùi phải từ 10-300 cm"],
+].map(([field, validator, message]) =>
+  validationMiddleware
+    .body(field)
+    .optional({ values: "null" })
+    .custom((value) => validationMiddleware[validator](value))
+    .withMessage(message)
+    .toFloat(),
+);
+
+const validateMeasurement = [
+  ...measurementFields,
+  validationMiddleware
+    .body("dateISO")
+    .optional()
+    .isISO8601()
+    .withMessage("Ngày không hợp lệ"),
+  validationMiddleware
+    .body("note")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Ghi chú không được quá 500 ký tự"),
+];
+
+const validateMeasurementId = [
+  validationMiddleware
+    .param("measurementId")
+    .isMongoId()
+    .withMessage("ID số đo không hợp lệ"),
+];
+
+// Add measurement entry
+router.post(
+  "/",
+  rateLimitMiddleware.generalLimiter,
+  validateMeasurement,
+  validationMiddleware.checkValidation,
+  measurementController.addMeasurement,
+);
+
+// Get measurement entries
+router.get(
+  "/",
+  validationMiddleware.validatePagination,
+  validationMiddleware.validateDateRange,
+  measurementController.getMeasurements,
+);
+
+// Compare measurements between two dates
+router.get(
+  "/progress",
+  validationMiddleware.validateDateRange,
+  measurementController.getProgress,
+);
+
+// Get measurement entry
+router.get(
+  "/:measurementId",
+  validateMeasurementId,
+  validationMiddleware.checkValidation,
+  measurementController.getMeasurement,
+);
+
+// Update measurement entry
+router.put(
+  "/:measurementId",
+  rateLimitMiddleware.generalLimiter,
+  [...validateMeasurementId, ...validateMeasurement],
+  validationMiddleware.checkValidation,
+  measurementController.updateMeasurement,
+);
+
+// Delete measurement entry
+router.delete(
+  "/:measurementId",
+  rateLimitMiddleware.generalLimiter,
+  validateMeasurementId,
+  validationMiddleware.checkValidation,
+  measurementController.deleteMeasurement,
+);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require("express");
+const router = express.Router();
+
+// Import controller and middleware
+const notificationController = require("../controllers/notification.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+const validators = require("../utils/validators.util");
+
+/**
+ * Notification routes
+ * GET /api/v1/notifications - Get inbox notifications (?page, limit, unreadOnly)
+ * GET /api/v1/notifications/unread-count - Get the number of unread notifications
+ * POST /api/v1/notifications/read-all - Mark every notification as read
+ * POST /api/v1/notifications/:notificationId/read - Mark a notification as read
+ * GET /api/v1/notifications/devices - Get registered push devices
+ * POST /api/v1/notifications/devices - Register a push token (refreshes last-seen)
+ * DELETE /api/v1/notifications/devices/:token - Unregister a push token
+ * GET /api/v1/notifications/preferences - Get notification preferences
+ * PUT /api/v1/notifications/preferences - Update channels, opt-outs, quiet hours and reminder times
+ */
+
+// All routes require authentication
+router.use(authMiddleware.verifyToken);
+
+// Inbox
+router.get("/", notificationController.getNotifications);
+router.get("/unread-count", notificationController.getUnreadCount);
+router.post("/read-all", notificationController.markAllAsRead);
+router.post(
+  "/:notificationId/read",
+  [
+    validationMiddleware
+      .param("notificationId")
+      .isMongoId()
+      .withMessage("ID thông báo không hợp lệ"),
+  ],
+  validationMiddleware.checkValidation,
+  notificationController.markAsRead,
+);
+
+// Push devices
+router.get("/devices", notificationController.getDevices);
+router.post(
+  "/devices",
+  rateLimitMiddleware.generalLimiter,
+  [
+    validationMiddleware
+      .body("token")
+      .isString()
+      .withMessage("Push token không hợp lệ")
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Push token không hợp lệ"),
+    validationMiddleware
+      .body("platform")
+      .isIn(["ios", "android", "web"])
+      .withMessage("Nền tảng phải là ios, android hoặc web"),
+    validationMiddleware
+      .body("appVersion")
+      .optional()
+      .isString()
+      .withMessage("Phiên bản ứng dụng không hợp lệ")
+      .bail()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Phiên bản ứng dụng không được quá 50 ký tự"),
+    validationMiddleware
+      .body("deviceName")
+      .optional()
+      .isString()
+      .withMessage("Tên thiết bị không hợp lệ")
+      .bail()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Tên thiết bị không được quá 100 ký tự"),
+  ],
+  validationMiddleware.checkValidation,
+  notificationController.registerDevice,
+);
+router.delete(
+  "/devices/:token",
+  [
+    validationMiddleware
+      .param("token")
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Push token không hợp lệ"),
+  ],
+  validationMiddleware.checkValidation,
+  notificationController.unregisterDevice,
+);
+
+// Notification preferences
+router.get("/preferences", notificationController.getPreferences);
+router.put(
+  "/preferences",
+  rateLimitMiddleware.generalLimiter,
+  [
+    validationMiddleware
+      .body("timezone")
+      .optional()
+      .custom((value) => validators.isValidTimezone(value))
+      .withMessage("Múi giờ không hợp lệ"),
+    validationMiddleware
+      .body(["channels.push", "channels.inApp", "channels.email"])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("Kênh thông báo phải là true hoặc false"),
+    validationMiddleware
+      .body("optOuts")
+      .optional()
+      .isArray()
+      .withMessage("Danh sách tắt thông báo không hợp lệ"),
+    validationMiddleware
+      .body("quietHours.enabled")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("Chế độ yên lặng phải là true hoặc false"),
+    validationMiddleware
+      .body([
+        "quietHours.start",
+        "quietHours.end",
+        "weighInTime",
+        "workoutReminderTime",
+      ])
+      .optional()
+      .custom((value) => validators.isValidTime(value))
+      .withMessage("Thời gian phải có dạng HH:MM"),
+  ],
+  validationMiddleware.checkValidation,
+  notificationController.updatePreferences,
+);
+
+module.exports = router;
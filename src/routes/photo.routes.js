@@ -7,6 +7,7 @@ const authMiddleware = require("../middleware/auth.middleware");
 const rateLimitMiddleware = require("../middleware/rate-limit.middleware");
 const validationMiddleware = require("../middleware/validation.middleware");
 const multerConfig = require("../config/multer.config");
+const { UPLOAD } = require("../utils/constants.util");
 
 /**
  * Photo routes for image upload and management
@@ -16,8 +17,21 @@ const multerConfig = require("../config/multer.config");
  * PUT /api/v1/photos/:photoId - Update photo
  * DELETE /api/v1/photos/:photoId - Delete photo
  * GET /api/v1/photos/stats - Get photo statistics
+ * GET /api/v1/photos/:photoId/url - Get a signed URL of one size (thumb, medium, full)
+ * GET /api/v1/photos/:photoId/file/:size - Download photo through a signed URL
  */
 
+// Signed downloads carry their own authorization in the URL
+router.get(
+  "/:photoId/file/:size",
+  validationMiddleware
+    .param("photoId")
+    .isMongoId()
+    .withMessage("ID ảnh không hợp lệ"),
+  validationMiddleware.checkValidation,
+  photoController.servePhotoFile,
+);
+
 // Apply authentication to all routes
 router.use(authMiddleware.verifyToken);
 
@@ -35,6 +49,27 @@ router.post(
 // Get photo by ID
 router.get("/:photoId", photoController.getPhoto);
 
+// Get a signed URL of one photo size
+router.get(
+  "/:photoId/url",
+  validationMiddleware
+    .param("photoId")
+    .isMongoId()
+    .withMessage("ID ảnh không hợp lệ"),
+  validationMiddleware
+    .query("size")
+    .optional()
+    .isIn(Object.keys(UPLOAD.RENDITIONS))
+    .withMessage("Kích thước ảnh phải là thumb, medium hoặc full"),
+  validationMiddleware
+    .query("format")
+    .optional()
+    .isIn(UPLOAD.RENDITION_FORMATS)
+    .withMessage("Định dạng ảnh phải là webp hoặc jpeg"),
+  validationMiddleware.checkValidation,
+  photoController.getPhotoUrl,
+);
+
 // Get user photos
 router.get("/", photoController.getUserPhotos);
 
@@ -12,8 +12,11 @@ const validationMiddleware = require("../middleware/validation.middleware");
  * GET /api/v1/users/profile - Get user profile
  * PUT /api/v1/users/profile - Update user profile
  * GET /api/v1/users/stats - Get user statistics
+ * GET /api/v1/users/tdee - Estimate TDEE from logged data and suggest targets
+ * POST /api/v1/users/tdee/apply - Use adaptive or formula TDEE for targets
  * PUT /api/v1/users/preferences - Update user preferences
- * DELETE /api/v1/users/account - Delete user account
+ * GET /api/v1/users/export - Export all personal data (?format=zip|json)
+ * DELETE /api/v1/users/account - Deactivate account and erase all data
  */
 
 // All routes require authentication
@@ -33,10 +36,18 @@ router.put(
 // Get user statistics
 router.get(
   "/stats",
-  validationMiddleware.validatePagination,
+  validationMiddleware.validateStatsQuery,
   userController.getUserStats
 );
 
+// Adaptive TDEE
+router.get("/tdee", userController.getAdaptiveTDEE);
+router.post(
+  "/tdee/apply",
+  rateLimitMiddleware.generalLimiter,
+  userController.applyTDEE,
+);
+
 // Update user preferences
 router.put(
   "/preferences",
@@ -45,6 +56,13 @@ router.put(
   userController.updatePreferences,
 );
 
+// Export personal data
+router.get(
+  "/export",
+  rateLimitMiddleware.strictLimiter,
+  userController.exportData,
+);
+
 // Delete user account
 router.delete(
   "/account",
@@ -1,6 +1,14 @@
 const http = require("http");
 const { startApp } = require("./app");
 const webSocketConfig = require("./config/websocket.config");
+const schedulerService = require("./services/scheduler.service");
+const battleService = require("./services/battle.service");
+const integrationService = require("./services/integration.service");
+const aiJobQueue = require("./services/aiJobQueue.service");
+const webhookDeliveryService = require("./services/webhookDelivery.service");
+const accountDataService = require("./services/accountData.service");
+const notificationService = require("./services/notification.service");
+const reminderService = require("./services/reminder.service");
 const logger = require("./utils/logger.util");
 
 /**
@@ -36,9 +44,43 @@ const startServer = async () => {
         baseUrl: `http://${host}:${port}`,
         healthCheck: `http://${host}:${port}/health`,
         apiStatus: `http://${host}:${port}/api/status`,
-        uploads: `http://${host}:${port}/uploads`,
         websocket: `ws://${host}:${webSocketConfig.port || port}`,
       });
+
+      // Start background jobs
+      schedulerService.register(
+        "battles.lifecycle",
+        parseInt(process.env.BATTLE_LIFECYCLE_INTERVAL_MS) || 5 * 60 * 1000,
+        () => battleService.runLifecycle(),
+      );
+      schedulerService.register(
+        "integrations.autoSync",
+        parseInt(process.env.TRACKER_SYNC_INTERVAL_MS) || 10 * 60 * 1000,
+        () => integrationService.syncDueIntegrations(),
+      );
+      schedulerService.register(
+        "ai.cleanupJobs",
+        24 * 60 * 60 * 1000,
+        () => aiJobQueue.cleanupOldJobs(),
+      );
+      schedulerService.register(
+        "account.erasure",
+        parseInt(process.env.ACCOUNT_ERASURE_INTERVAL_MS) || 5 * 60 * 1000,
+        () => accountDataService.processPendingErasures(),
+      );
+      schedulerService.register(
+        "notifications.receipts",
+        parseInt(process.env.PUSH_RECEIPT_INTERVAL_MS) || 15 * 60 * 1000,
+        () => notificationService.pollPushReceipts(),
+      );
+      schedulerService.register(
+        "notifications.reminders",
+        parseInt(process.env.REMINDER_INTERVAL_MS) || 5 * 60 * 1000,
+        () => reminderService.runDueReminders(),
+      );
+      schedulerService.start();
+      aiJobQueue.start();
+      webhookDeliveryService.start();
     });
 
     // Server error handling
@@ -67,6 +109,11 @@ const startServer = async () => {
     const gracefulShutdown = async (signal) => {
       logger.info(`🔄 Nhận tín hiệu ${signal}, đang đóng server...`);
 
+      // Stop background jobs
+      schedulerService.stop();
+      aiJobQueue.stop();
+      webhookDeliveryService.stop();
+
       server.close(async () => {
         logger.info("✅ HTTP server đã đóng");
 
@@ -0,0 +1,474 @@
+const mongoose = require("mongoose");
+const archiver = require("archiver");
+const User = require("../models/user.model");
+const Profile = require("../models/profile.model");
+const Weight = require("../models/weight.model");
+const Measurement = require("../models/measurement.model");
+const HabitLog = require("../models/habitLog.model");
+const HabitGoal = require("../models/habitGoal.model");
+const Meal = require("../models/meal.model");
+const Workout = require("../models/workout.model");
+const Plan = require("../models/plan.model");
+const Photo = require("../models/photo.model");
+const Post = require("../models/post.model");
+const SocialFeed = require("../models/socialFeed.model");
+const Friend = require("../models/friend.model");
+const Battle = require("../models/battle.model");
+const Challenge = require("../models/challenge.model");
+const AICoach = require("../models/aiCoach.model");
+const Gamification = require("../models/gamification.model");
+const RewardLedger = require("../models/rewardLedger.model");
+const Event = require("../models/event.model");
+const AiJob = require("../models/aiJob.model");
+const Integration = require("../models/integration.model");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+const AuditLog = require("../models/auditLog.model");
+const Device = require("../models/device.model");
+const PushTicket = require("../models/pushTicket.model");
+const NotificationPreference = require("../models/notificationPreference.model");
+const ReminderLog = require("../models/reminderLog.model");
+const Notification = require("../models/notification.model");
+const Session = require("../models/session.model");
+const storageService = require("./storage.service");
+const logger = require("../utils/logger.util");
+
+// Placeholder identity for anonymised records shared with other users
+const ERASED_USER_ID = new mongoose.Types.ObjectId("000000000000000000000000");
+const ERASED_USER_NAME = "Người dùng đã xóa";
+
+// Fields never included in an export
+const USER_PRIVATE_FIELDS = [
+  "passwordHash",
+  "emailVerificationToken",
+  "passwordResetToken",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret",
+  "twoFactor.recoveryCodes",
+  "twoFactor.lastUsedStep",
+];
+const INTEGRATION_PRIVATE_FIELDS = ["credentials", "config.webhookSecret"];
+
+// Collections owned by a single user: exported in full and deleted on erasure
+const OWNED_COLLECTIONS = [
+  { name: "weights", model: Weight },
+  { name: "measurements", model: Measurement },
+  { name: "habitLogs", model: HabitLog },
+  { name: "habitGoals", model: HabitGoal },
+  { name: "meals", model: Meal },
+  { name: "workouts", model: Workout },
+  { name: "plans", model: Plan },
+  { name: "photos", model: Photo },
+  { name: "posts", model: Post, field: "authorId" },
+  { name: "feedPosts", model: SocialFeed, field: "authorId" },
+  { name: "aiCoach", model: AICoach },
+  { name: "aiJobs", model: AiJob },
+  { name: "gamification", model: Gamification },
+  { name: "rewardLedger", model: RewardLedger },
+  { name: "events", model: Event },
+  {
+    name: "integrations",
+    model: Integration,
+    exclude: INTEGRATION_PRIVATE_FIELDS,
+  },
+  { name: "webhookDeliveries", model: WebhookDelivery },
+  { name: "devices", model: Device },
+  { name: "pushTickets", model: PushTicket },
+  { name: "notificationPreferences", model: NotificationPreference },
+  { name: "reminderLogs", model: ReminderLog },
+  { name: "notifications", model: Notification },
+  { name: "sessions", model: Session, exclude: ["tokenHash"] },
+];
+
+// Interactions on other users' posts that are anonymised on erasure
+const SHARED_INTERACTIONS = [
+  { model: Post, path: "likes" },
+  { model: Post, path: "comments" },
+  { model: Post, path: "comments.$[].likes" },
+  { model: Post, path: "shares" },
+  { model: SocialFeed, path: "likes", names: ["userName"] },
+  {
+    model: SocialFeed,
+    path: "comments",
+    names: ["userName"],
+    clear: ["userAvatar"],
+  },
+  { model: SocialFeed, path: "comments.$[].likes" },
+  { model: SocialFeed, path: "comments.$[].replies", names: ["userName"] },
+  { model: SocialFeed, path: "shares", names: ["userName"] },
+  { model: SocialFeed, path: "views" },
+];
+
+// How long an instance may work on one erasure before another takes over
+const ERASURE_LOCK_MS = 15 * 60 * 1000;
+
+/**
+ * Account data service
+ * Handles personal data export and cascading account erasure
+ */
+const accountDataService = {
+  /**
+   * Collect everything stored about a user
+   */
+  async collectUserData(userId) {
+    const user = await User.findById(userId)
+      .select(USER_PRIVATE_FIELDS.map((field) => `-${field}`).join(" "))
+      .lean();
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    const data = {
+      exportedAt: new Date().toISOString(),
+      user,
+      profile: await Profile.findOne({ userId }).lean(),
+    };
+
+    for (const { name, model, field = "userId", exclude } of OWNED_COLLECTIONS) {
+      const query = model.find({ [field]: userId });
+      if (exclude) {
+        query.select(exclude.map((field) => `-${field}`).join(" "));
+      }
+      data[name] = await query.lean();
+    }
+
+    const [friends, battles, challenges, comments] = await Promise.all([
+      Friend.find({
+        $or: [{ requesterId: userId }, { recipientId: userId }],
+      }).lean(),
+      Battle.find({
+        $or: [{ creatorId: userId }, { opponentId: userId }],
+      }).lean(),
+      Challenge.find({ "participants.userId": userId })
+        .select("title category startDate endDate participants.$")
+        .lean(),
+      Post.aggregate([
+        { $match: { "comments.userId": new mongoose.Types.ObjectId(userId) } },
+        { $unwind: "$comments" },
+        {
+          $match: { "comments.userId": new mongoose.Types.ObjectId(userId) },
+        },
+        {
+          $project: {
+            postId: "$_id",
+            content: "$comments.content",
+            createdAt: "$comments.createdAt",
+          },
+        },
+      ]),
+    ]);
+
+    Object.assign(data, { friends, battles, challenges, comments });
+
+    return data;
+  },
+
+  /**
+   * Write a ZIP export to a stream: one JSON file per collection plus the
+   * original photo files
+   */
+  async writeExportArchive(userId, output) {
+    const data = await this.collectUserData(userId);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    const finished = new Promise((resolve, reject) => {
+      output.on("close", resolve);
+      output.on("finish", resolve);
+      archive.on("error", reject);
+    });
+    archive.pipe(output);
+
+    for (const [name, value] of Object.entries(data)) {
+      if (name === "exportedAt") {
+        continue;
+      }
+      archive.append(JSON.stringify(value, null, 2), {
+        name: `data/${name}.json`,
+      });
+    }
+
+    // Photos are streamed one at a time so only one file is open and none is
+    // held in memory; missing files are left out
+    let photoFiles = 0;
+    for (const photo of data.photos) {
+      const file = await storageService
+        .streamPhotoFile(photo, "full", "jpeg")
+        .catch(() => null);
+      if (file) {
+        const { key } = storageService.getPhotoFile(photo, "full", "jpeg");
+        const name = `photos/${photo.contextType}/${key.split("/").pop()}`;
+        const written = this.waitForEntry(archive, name);
+        archive.append(file, { name });
+        await written;
+        photoFiles++;
+      }
+    }
+
+    archive.append(
+      JSON.stringify(
+        { exportedAt: data.exportedAt, userId, photoFiles },
+        null,
+        2,
+      ),
+      { name: "manifest.json" },
+    );
+
+    await archive.finalize();
+    await finished;
+
+    return this.summarize(data);
+  },
+
+  /**
+   * Resolve once an archive entry has been written, reject on archive errors
+   */
+  waitForEntry(archive, name) {
+    return new Promise((resolve, reject) => {
+      const onEntry = (entry) => {
+        if (entry.name === name) {
+          archive.off("entry", onEntry);
+          archive.off("error", reject);
+          resolve();
+        }
+      };
+      archive.on("entry", onEntry);
+      archive.once("error", reject);
+    });
+  },
+
+  /**
+   * Record an export in the audit log
+   */
+  recordExport(userId, summary, request) {
+    return AuditLog.create({
+      action: "account.export",
+      subjectId: userId,
+      actorId: userId,
+      status: "completed",
+      request,
+      summary,
+      completedAt: new Date(),
+    });
+  },
+
+  /**
+   * Verify the password, deactivate the account and queue its erasure
+   */
+  async requestErasure(userId, password, request = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error("User not found");
+      }
+
+      // Verify password
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        throw new Error("Invalid password");
+      }
+
+      // Block further logins while the erasure runs
+      user.isActive = false;
+      await user.save();
+
+      let audit = await AuditLog.findOne({
+        action: "account.erasure",
+        subjectId: userId,
+        status: { $ne: "completed" },
+      });
+      if (!audit) {
+        audit = await AuditLog.create({
+          action: "account.erasure",
+          subjectId: userId,
+          actorId: userId,
+          request,
+        });
+      }
+
+      setImmediate(() =>
+        this.processPendingErasures().catch((error) =>
+          logger.error("❌ Account erasure run failed", {
+            error: error.message,
+          }),
+        ),
+      );
+
+      logger.info("✅ Account erasure requested", {
+        userId,
+        auditId: audit._id,
+      });
+      return audit;
+    } catch (error) {
+      logger.error("❌ Account erasure request failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Run queued erasures; safe to call from several instances
+   */
+  async processPendingErasures() {
+    let processed = 0;
+
+    let audit = await AuditLog.claimErasure(ERASURE_LOCK_MS);
+    while (audit) {
+      try {
+        audit.summary = await this.eraseAccount(audit.subjectId);
+        audit.status = "completed";
+        audit.completedAt = new Date();
+        audit.error = undefined;
+      } catch (error) {
+        audit.status = "failed";
+        audit.error = error.message;
+        logger.error("❌ Account erasure failed", {
+          error: error.message,
+          userId: audit.subjectId,
+          attempts: audit.attempts,
+        });
+      }
+
+      audit.lockedUntil = undefined;
+      await audit.save();
+      processed++;
+
+      audit = await AuditLog.claimErasure(ERASURE_LOCK_MS);
+    }
+
+    return processed;
+  },
+
+  /**
+   * Delete or anonymise everything stored about a user
+   * Every step is idempotent so a failed erasure can simply run again; the
+   * User document goes last
+   */
+  async eraseAccount(userId) {
+    const summary = {};
+
+    // Uploaded files and thumbnails
+    const photos = await Photo.find({ userId }).lean();
+    summary.files = 0;
+    for (const photo of photos) {
+      summary.files += await storageService.deletePhotoFiles(photo);
+    }
+
+    // Records owned by the user
+    for (const { name, model, field = "userId" } of OWNED_COLLECTIONS) {
+      const { deletedCount } = await model.deleteMany({ [field]: userId });
+      summary[name] = deletedCount;
+    }
+
+    const { deletedCount: friends } = await Friend.deleteMany({
+      $or: [{ requesterId: userId }, { recipientId: userId }],
+    });
+    summary.friends = friends;
+
+    summary.battles = await this.eraseBattles(userId);
+    summary.challenges = await this.eraseChallengeParticipation(userId);
+
+    // Likes, comments and replies on other users' posts
+    summary.interactions = 0;
+    for (const interaction of SHARED_INTERACTIONS) {
+      summary.interactions += await this.anonymise(userId, interaction);
+    }
+
+    await Profile.deleteOne({ userId });
+    await User.deleteOne({ _id: userId });
+
+    logger.info("✅ Account erased", { userId, summary });
+    return summary;
+  },
+
+  /**
+   * Delete solo battles; cancel open ones and anonymise the user elsewhere
+   */
+  async eraseBattles(userId) {
+    const { deletedCount } = await Battle.deleteMany({
+      creatorId: userId,
+      opponentId: null,
+    });
+
+    const involved = { $or: [{ creatorId: userId }, { opponentId: userId }] };
+    await Battle.updateMany(
+      { ...involved, status: { $in: ["pending", "active"] } },
+      { $set: { status: "cancelled" } },
+    );
+
+    const updates = await Promise.all([
+      Battle.updateMany(
+        { creatorId: userId },
+        { $set: { creatorId: ERASED_USER_ID, creatorName: ERASED_USER_NAME } },
+      ),
+      Battle.updateMany(
+        { opponentId: userId },
+        {
+          $set: { opponentId: ERASED_USER_ID, opponentName: ERASED_USER_NAME },
+        },
+      ),
+      Battle.updateMany(
+        { winner: userId },
+        { $set: { winner: ERASED_USER_ID, winnerName: ERASED_USER_NAME } },
+      ),
+      this.anonymise(userId, { model: Battle, path: "spectators" }),
+      this.anonymise(userId, {
+        model: Battle,
+        path: "updates",
+        names: ["userName"],
+      }),
+    ]);
+
+    return deletedCount + updates[0].modifiedCount + updates[1].modifiedCount;
+  },
+
+  /**
+   * Leave every challenge and anonymise challenges the user created
+   */
+  async eraseChallengeParticipation(userId) {
+    const { modifiedCount } = await Challenge.updateMany(
+      { "participants.userId": userId },
+      { $pull: { participants: { userId } } },
+    );
+    await Challenge.updateMany(
+      { creatorId: userId },
+      { $set: { creatorId: ERASED_USER_ID, creatorName: ERASED_USER_NAME } },
+    );
+
+    return modifiedCount;
+  },
+
+  /**
+   * Replace the user's identity in an array of subdocuments
+   */
+  async anonymise(userId, { model, path: arrayPath, names = [], clear = [] }) {
+    const target = `${arrayPath}.$[entry]`;
+    const update = { [`${target}.userId`]: ERASED_USER_ID };
+    for (const field of names) {
+      update[`${target}.${field}`] = ERASED_USER_NAME;
+    }
+    for (const field of clear) {
+      update[`${target}.${field}`] = null;
+    }
+
+    const { modifiedCount } = await model.updateMany(
+      { [`${arrayPath.replace(/\.\$\[\]/g, "")}.userId`]: userId },
+      { $set: update },
+      { arrayFilters: [{ "entry.userId": userId }] },
+    );
+    return modifiedCount;
+  },
+
+  /**
+   * Count records per collection of an export
+   */
+  summarize(data) {
+    return Object.fromEntries(
+      Object.entries(data)
+        .filter(([, value]) => Array.isArray(value))
+        .map(([name, value]) => [name, value.length]),
+    );
+  },
+};
+
+module.exports = accountDataService;
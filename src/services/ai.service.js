@@ -1,9 +1,10 @@
 const aiConfig = require("../config/ai.config");
 const Photo = require("../models/photo.model");
+const storageService = require("./storage.service");
 const logger = require("../utils/logger.util");
 
 /**
- * AI service for Gemini-powered features
+ * AI service for provider-backed features
  * Handles meal analysis, body analysis, and AI recommendations
  */
 const aiService = {
@@ -12,7 +13,7 @@ const aiService = {
    */
   async analyzeMealPhoto(photoId, userId) {
     try {
-      if (!aiConfig.isAvailable()) {
+      if (!aiConfig.isAvailable("mealAnalysis")) {
         throw new Error("AI service not available");
       }
 
@@ -23,8 +24,8 @@ const aiService = {
       }
 
       // Read image file
-      const imageBuffer = await this.readImageFile(photo.filePath);
-      if (!imageBuffer) {
+      const image = await this.readImageFile(photo);
+      if (!image) {
         throw new Error("Could not read image file");
       }
 
@@ -33,7 +34,7 @@ const aiService = {
         Analyze this food image and provide detailed nutrition information in Vietnamese.
         
         Please identify:
-        1. Food items present in the image
+        1. Food items present in the image, each with its estimated portion and nutrition
         2. Estimated calories (kcal)
         3. Protein content (grams)
         4. Carbohydrate content (grams)
@@ -42,7 +43,10 @@ const aiService = {
         
         Format the response as JSON with the following structure:
         {
-          "foodItems": ["item1", "item2"],
+          "foodItems": [
+            { "name": "item1", "grams": 150, "kcal": 200, "protein": 15, "carb": 20, "fat": 6, "confidence": 0.9 },
+            { "name": "item2", "grams": 80, "kcal": 100, "protein": 10, "carb": 10, "fat": 4, "confidence": 0.75 }
+          ],
           "estimatedCalories": 300,
           "protein": 25,
           "carbohydrates": 30,
@@ -55,14 +59,11 @@ const aiService = {
         Be as accurate as possible with Vietnamese food items.
       `;
 
-      // Analyze with Gemini Vision
-      const model = aiConfig.getModel("geminiProVision");
-      const result = await model.generateContent([prompt, imageBuffer]);
-      const response = await result.response;
-      const text = response.text();
-
-      // Parse JSON response
-      const analysis = this.parseAIResponse(text);
+      // Ask the configured provider for a JSON answer
+      const model = aiConfig.getModel("mealAnalysis");
+      const analysis = await model.generateJSON(prompt, {
+        image,
+      });
 
       logger.info("✅ Meal photo analyzed successfully", {
         photoId,
@@ -87,7 +88,7 @@ const aiService = {
    */
   async analyzeBodyPhoto(photoId, userId) {
     try {
-      if (!aiConfig.isAvailable()) {
+      if (!aiConfig.isAvailable("bodyAnalysis")) {
         throw new Error("AI service not available");
       }
 
@@ -98,8 +99,8 @@ const aiService = {
       }
 
       // Read image file
-      const imageBuffer = await this.readImageFile(photo.filePath);
-      if (!imageBuffer) {
+      const image = await this.readImageFile(photo);
+      if (!image) {
         throw new Error("Could not read image file");
       }
 
@@ -128,14 +129,11 @@ const aiService = {
         Be encouraging and constructive in your analysis.
       `;
 
-      // Analyze with Gemini Vision
-      const model = aiConfig.getModel("geminiProVision");
-      const result = await model.generateContent([prompt, imageBuffer]);
-      const response = await result.response;
-      const text = response.text();
-
-      // Parse JSON response
-      const analysis = this.parseAIResponse(text);
+      // Ask the configured provider for a JSON answer
+      const model = aiConfig.getModel("bodyAnalysis");
+      const analysis = await model.generateJSON(prompt, {
+        image,
+      });
 
       logger.info("✅ Body photo analyzed successfully", {
         photoId,
@@ -159,7 +157,7 @@ const aiService = {
    */
   async getNutritionRecommendations(userProfile, goals) {
     try {
-      if (!aiConfig.isAvailable()) {
+      if (!aiConfig.isAvailable("nutritionRecommendations")) {
         throw new Error("AI service not available");
       }
 
@@ -203,14 +201,9 @@ const aiService = {
         }
       `;
 
-      // Get recommendations from Gemini
-      const model = aiConfig.getModel("geminiPro");
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      // Parse JSON response
-      const recommendations = this.parseAIResponse(text);
+      // Ask the configured provider for a JSON answer
+      const model = aiConfig.getModel("nutritionRecommendations");
+      const recommendations = await model.generateJSON(prompt);
 
       logger.info("✅ Nutrition recommendations generated", {
         userId: userProfile.userId,
@@ -232,7 +225,7 @@ const aiService = {
    */
   async getWorkoutRecommendations(userProfile, preferences) {
     try {
-      if (!aiConfig.isAvailable()) {
+      if (!aiConfig.isAvailable("workoutRecommendations")) {
         throw new Error("AI service not available");
       }
 
@@ -279,14 +272,9 @@ const aiService = {
         }
       `;
 
-      // Get recommendations from Gemini
-      const model = aiConfig.getModel("geminiPro");
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      // Parse JSON response
-      const recommendations = this.parseAIResponse(text);
+      // Ask the configured provider for a JSON answer
+      const model = aiConfig.getModel("workoutRecommendations");
+      const recommendations = await model.generateJSON(prompt);
 
       logger.info("✅ Workout recommendations generated", {
         userId: userProfile.userId,
@@ -308,7 +296,7 @@ const aiService = {
    */
   async getProgressInsights(userData, timeRange = "30 days") {
     try {
-      if (!aiConfig.isAvailable()) {
+      if (!aiConfig.isAvailable("progressInsights")) {
         throw new Error("AI service not available");
       }
 
@@ -339,14 +327,9 @@ const aiService = {
         }
       `;
 
-      // Get insights from Gemini
-      const model = aiConfig.getModel("geminiPro");
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      // Parse JSON response
-      const insights = this.parseAIResponse(text);
+      // Ask the configured provider for a JSON answer
+      const model = aiConfig.getModel("progressInsights");
+      const insights = await model.generateJSON(prompt);
 
       logger.info("✅ Progress insights generated", {
         userId: userData.userId,
@@ -364,330 +347,57 @@ const aiService = {
   },
 
   /**
-   * Helper: Read image file
+   * Get a coaching workout recommendation for a prompt built by the coach
    */
-  async readImageFile(filePath) {
-    try {
-      const fs = require("fs").promises;
-      const imageBuffer = await fs.readFile(filePath);
-      return imageBuffer;
-    } catch (error) {
-      logger.error("❌ Failed to read image file", {
-        error: error.message,
-        filePath,
-      });
-      return null;
-    }
+  getWorkoutRecommendation(prompt) {
+    return aiConfig.getModel("coaching").generateText(prompt);
   },
 
   /**
-   * Helper: Parse AI response
+   * Get a coaching nutrition recommendation for a prompt built by the coach
    */
-  parseAIResponse(text) {
-    try {
-      // Extract JSON from response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-
-      // Fallback: return raw text
-      return { rawResponse: text };
-    } catch (error) {
-      logger.error("❌ Failed to parse AI response", {
-        error: error.message,
-        text,
-      });
-      return { error: "Failed to parse AI response", rawResponse: text };
-    }
-  },
-
-  /**
-   * Get AI service status
-   */
-  // ... existing code ...
-
-  /**
-   * Get AI service status
-   */
-  getStatus() {
-    return aiConfig.getStatus();
+  getNutritionRecommendation(prompt) {
+    return aiConfig.getModel("coaching").generateText(prompt);
   },
 
   /**
-   * Create AI analysis job (Async processing)
+   * Get motivational content as { content, context }
    */
-  async createAnalysisJob(photoId, userId, analysisType) {
-    try {
-      if (!aiConfig.isAvailable()) {
-        throw new Error("AI service not available");
-      }
-
-      // Generate unique job ID
-      const jobId = `ai_job_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
-
-      // Create job record in memory (in production, use Redis/database)
-      const job = {
-        id: jobId,
-        photoId,
-        userId,
-        type: analysisType,
-        status: "pending",
-        createdAt: new Date(),
-        startedAt: null,
-        completedAt: null,
-        result: null,
-        error: null,
-        retryCount: 0,
-        maxRetries: 3,
-      };
-
-      // Store job (in production, save to database)
-      this.jobs = this.jobs || new Map();
-      this.jobs.set(jobId, job);
-
-      // Process job asynchronously
-      this.processJobAsync(jobId);
-
-      logger.info("✅ AI analysis job created", {
-        jobId,
-        photoId,
-        userId,
-        analysisType,
-      });
-
-      return { jobId, status: "pending" };
-    } catch (error) {
-      logger.error("❌ Failed to create AI analysis job", {
-        error: error.message,
-        photoId,
-        userId,
-        analysisType,
-      });
-      throw error;
-    }
+  async getMotivationalContent(prompt) {
+    const response = await aiConfig.getModel("coaching").generateJSON(
+      `${prompt}\n\nRespond as JSON: { "content": "message", "context": "situation" }`,
+    );
+
+    return {
+      content: response.content,
+      context: response.context || "general",
+    };
   },
 
   /**
-   * Get job status and result
+   * Helper: Read the full-size JPEG of a photo with its content type
    */
-  async getJobStatus(jobId) {
+  async readImageFile(photo) {
     try {
-      const job = this.jobs?.get(jobId);
-      if (!job) {
-        throw new Error("Job not found");
-      }
-
-      const response = {
-        jobId: job.id,
-        status: job.status,
-        type: job.type,
-        createdAt: job.createdAt,
-        startedAt: job.startedAt,
-        completedAt: job.completedAt,
+      const { contentType } = storageService.getPhotoFile(photo, "full", "jpeg");
+      return {
+        data: await storageService.readPhotoFile(photo, "full", "jpeg"),
+        mimeType: contentType,
       };
-
-      if (job.status === "completed") {
-        response.result = job.result;
-      } else if (job.status === "failed") {
-        response.error = job.error;
-      }
-
-      return response;
     } catch (error) {
-      logger.error("❌ Failed to get job status", {
-        error: error.message,
-        jobId,
-      });
-      throw error;
-    }
-  },
-
-  /**
-   * Process job asynchronously
-   */
-  async processJobAsync(jobId) {
-    try {
-      const job = this.jobs.get(jobId);
-      if (!job) return;
-
-      // Update job status
-      job.status = "processing";
-      job.startedAt = new Date();
-      this.jobs.set(jobId, job);
-
-      let result;
-      if (job.type === "meal") {
-        result = await this.analyzeMealPhoto(job.photoId, job.userId);
-      } else if (job.type === "body") {
-        result = await this.analyzeBodyPhoto(job.photoId, job.userId);
-      } else {
-        throw new Error(`Unknown analysis type: ${job.type}`);
-      }
-
-      // Validate AI confidence
-      if (result.confidence && result.confidence < 0.7) {
-        throw new Error(`AI confidence too low: ${result.confidence}`);
-      }
-
-      // Update job as completed
-      job.status = "completed";
-      job.completedAt = new Date();
-      job.result = result;
-      this.jobs.set(jobId, job);
-
-      logger.info("✅ AI analysis job completed", {
-        jobId,
-        photoId: job.photoId,
-        userId: job.userId,
-        type: job.type,
-        confidence: result.confidence,
-      });
-    } catch (error) {
-      // Handle job failure
-      const job = this.jobs.get(jobId);
-      if (job) {
-        job.status = "failed";
-        job.error = error.message;
-        job.completedAt = new Date();
-
-        // Retry logic
-        if (job.retryCount < job.maxRetries) {
-          job.retryCount++;
-          job.status = "pending";
-          job.error = null;
-          job.startedAt = null;
-          job.completedAt = null;
-
-          // Retry after delay
-          setTimeout(() => this.processJobAsync(jobId), 5000 * job.retryCount);
-        }
-
-        this.jobs.set(jobId, job);
-      }
-
-      logger.error("❌ AI analysis job failed", {
-        error: error.message,
-        jobId,
-        photoId: job?.photoId,
-        userId: job?.userId,
-        type: job?.type,
-        retryCount: job?.retryCount,
-      });
-    }
-  },
-
-  /**
-   * Get all jobs for a user
-   */
-  async getUserJobs(userId, limit = 20) {
-    try {
-      const userJobs = [];
-      for (const [jobId, job] of this.jobs || []) {
-        if (job.userId === userId) {
-          userJobs.push({
-            jobId: job.id,
-            status: job.status,
-            type: job.type,
-            createdAt: job.createdAt,
-            completedAt: job.completedAt,
-          });
-        }
-      }
-
-      // Sort by creation date (newest first)
-      userJobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-      return userJobs.slice(0, limit);
-    } catch (error) {
-      logger.error("❌ Failed to get user jobs", {
-        error: error.message,
-        userId,
-      });
-      throw error;
-    }
-  },
-
-  /**
-   * Clean up old completed jobs
-   */
-  async cleanupOldJobs(daysToKeep = 7) {
-    try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-      let cleanedCount = 0;
-      for (const [jobId, job] of this.jobs || []) {
-        if (job.status === "completed" && job.completedAt < cutoffDate) {
-          this.jobs.delete(jobId);
-          cleanedCount++;
-        }
-      }
-
-      if (cleanedCount > 0) {
-        logger.info(`✅ Cleaned up ${cleanedCount} old AI analysis jobs`);
-      }
-
-      return cleanedCount;
-    } catch (error) {
-      logger.error("❌ Failed to cleanup old jobs", {
+      logger.error("❌ Failed to read image file", {
         error: error.message,
+        photoId: photo._id,
       });
-      return 0;
+      return null;
     }
   },
 
   /**
-   * Get AI service statistics
+   * Get AI service status
    */
-  async getServiceStats() {
-    try {
-      const stats = {
-        totalJobs: 0,
-        pendingJobs: 0,
-        processingJobs: 0,
-        completedJobs: 0,
-        failedJobs: 0,
-        averageProcessingTime: 0,
-        successRate: 0,
-      };
-
-      if (this.jobs) {
-        let totalTime = 0;
-        let completedCount = 0;
-
-        for (const [jobId, job] of this.jobs) {
-          stats.totalJobs++;
-
-          if (job.status === "pending") stats.pendingJobs++;
-          else if (job.status === "processing") stats.processingJobs++;
-          else if (job.status === "completed") {
-            stats.completedJobs++;
-            if (job.startedAt && job.completedAt) {
-              totalTime += job.completedAt - job.startedAt;
-              completedCount++;
-            }
-          } else if (job.status === "failed") stats.failedJobs++;
-        }
-
-        if (completedCount > 0) {
-          stats.averageProcessingTime = totalTime / completedCount;
-        }
-
-        if (stats.totalJobs > 0) {
-          stats.successRate = (stats.completedJobs / stats.totalJobs) * 100;
-        }
-      }
-
-      return stats;
-    } catch (error) {
-      logger.error("❌ Failed to get service stats", {
-        error: error.message,
-      });
-      return null;
-    }
+  getStatus() {
+    return aiConfig.getStatus();
   },
 };
 
@@ -0,0 +1,431 @@
+const os = require("os");
+const mongoose = require("mongoose");
+const AiJob = require("../models/aiJob.model");
+const aiConfig = require("../config/ai.config");
+const aiService = require("./ai.service");
+const mealService = require("./meal.service");
+const websocketService = require("./websocket.service");
+const helpers = require("../utils/helpers.util");
+const { TIME } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+// AI feature used by each analysis type
+const FEATURES = { meal: "mealAnalysis", body: "bodyAnalysis" };
+
+// Errors that will not go away on retry
+const PERMANENT_ERRORS = ["Photo not found", "Unknown analysis type"];
+
+/**
+ * Durable AI analysis job queue
+ * Jobs live in MongoDB; every API instance runs a worker that leases jobs,
+ * retries failures with exponential backoff and dead-letters exhausted jobs
+ */
+const aiJobQueue = {
+  workerId: `${os.hostname()}:${process.pid}:${helpers.generateRandomString(4)}`,
+
+  settings: {
+    concurrency: parseInt(process.env.AI_JOB_CONCURRENCY) || 2,
+    pollIntervalMs: parseInt(process.env.AI_JOB_POLL_INTERVAL_MS) || 2000,
+    leaseMs: parseInt(process.env.AI_JOB_LEASE_MS) || 2 * 60 * 1000,
+  },
+
+  // Analysis handlers per job type
+  handlers: {
+    meal: (job) => aiService.analyzeMealPhoto(job.photoId, job.userId),
+    body: (job) => aiService.analyzeBodyPhoto(job.photoId, job.userId),
+  },
+
+  // Follow-up work once a job's result is stored
+  completionHooks: {
+    meal: async (job, result) => ({
+      drafts: await mealService.createDraftsFromAnalysis(job.userId, {
+        analysis: result,
+        photoId: job.photoId,
+        jobId: job.jobId,
+        loggedAt: job.createdAt,
+      }),
+    }),
+  },
+
+  timer: null,
+  polling: false,
+  running: new Set(),
+
+  /**
+   * Queue a photo analysis
+   */
+  async enqueue(photoId, userId, analysisType) {
+    try {
+      if (!aiConfig.isAvailable(FEATURES[analysisType])) {
+        throw new Error("AI service not available");
+      }
+      if (!mongoose.Types.ObjectId.isValid(photoId)) {
+        throw new Error("Photo not found");
+      }
+
+      const job = await AiJob.create({
+        jobId: helpers.generateId("ai_job"),
+        userId,
+        photoId,
+        type: analysisType,
+        maxAttempts: aiConfig.thresholds.maxRetries + 1,
+      });
+
+      logger.info("✅ AI analysis job created", {
+        jobId: job.jobId,
+        photoId,
+        userId,
+        analysisType,
+      });
+
+      // Pick it up right away if this worker has a free slot
+      setImmediate(() => this.poll());
+
+      return { jobId: job.jobId, status: job.status };
+    } catch (error) {
+      logger.error("❌ Failed to create AI analysis job", {
+        error: error.message,
+        photoId,
+        userId,
+        analysisType,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's job status
+   */
+  async getJob(jobId, userId) {
+    const job = await AiJob.findOne({ jobId, userId });
+    if (!job) {
+      throw new Error("Job not found");
+    }
+
+    return job.toStatus();
+  },
+
+  /**
+   * Get a user's jobs, newest first
+   */
+  async getUserJobs(userId, limit = 20) {
+    const jobs = await AiJob.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return jobs.map((job) => job.toStatus());
+  },
+
+  /**
+   * Cancel a pending or running job
+   * A running analysis finishes but its result is discarded
+   */
+  async cancel(jobId, userId) {
+    try {
+      const job = await AiJob.findOneAndUpdate(
+        { jobId, userId, status: { $in: ["pending", "processing"] } },
+        {
+          $set: { status: "cancelled", completedAt: new Date() },
+          $unset: { lockedBy: 1, lockedUntil: 1 },
+        },
+        { new: true },
+      );
+
+      if (!job) {
+        const exists = await AiJob.exists({ jobId, userId });
+        throw new Error(exists ? "Job already finished" : "Job not found");
+      }
+
+      logger.info("✅ AI analysis job cancelled", { jobId, userId });
+
+      return job.toStatus();
+    } catch (error) {
+      logger.error("❌ Failed to cancel AI analysis job", {
+        error: error.message,
+        jobId,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), this.settings.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info("✅ AI job worker started", {
+      workerId: this.workerId,
+      ...this.settings,
+    });
+  },
+
+  /**
+   * Stop polling; running jobs keep their lease until it expires
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+
+  /**
+   * Lease jobs until every concurrency slot is busy
+   */
+  async poll() {
+    if (this.polling || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      while (this.running.size < this.settings.concurrency) {
+        const job = await AiJob.claimNext(this.workerId, this.settings.leaseMs);
+        if (!job) {
+          break;
+        }
+
+        const run = this.runJob(job).finally(() => this.running.delete(run));
+        this.running.add(run);
+      }
+    } catch (error) {
+      logger.error("❌ AI job poll failed", { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  },
+
+  /**
+   * Process one leased job
+   */
+  async runJob(job) {
+    // Keep the lease alive while the analysis runs
+    const heartbeat = setInterval(
+      () =>
+        AiJob.extendLease(job._id, this.workerId, this.settings.leaseMs).catch(
+          () => null,
+        ),
+      this.settings.leaseMs / 2,
+    );
+
+    try {
+      if (job.attempts > job.maxAttempts) {
+        throw new Error("Job lease expired too many times");
+      }
+
+      const handler = this.handlers[job.type];
+      if (!handler) {
+        throw new Error(`Unknown analysis type: ${job.type}`);
+      }
+
+      const result = await handler(job);
+
+      // Validate AI confidence; low-confidence meal items become drafts
+      // flagged for review instead of failing the job
+      if (job.type !== "meal" && result.confidence !== undefined) {
+        aiConfig.validateConfidence(result.confidence);
+      }
+
+      const { modifiedCount } = await AiJob.finishLeased(job._id, this.workerId, {
+        $set: { status: "completed", completedAt: new Date(), result },
+        $unset: { lockedBy: 1, lockedUntil: 1, error: 1 },
+      });
+
+      if (modifiedCount === 0) {
+        logger.warn("⚠️ AI job result discarded, job no longer leased", {
+          jobId: job.jobId,
+        });
+        return;
+      }
+
+      const extras = await this.runCompletionHook(job, result);
+
+      await websocketService.sendToUser(job.userId, "ai.job_completed", {
+        type: "ai_job_completed",
+        jobId: job.jobId,
+        analysisType: job.type,
+        photoId: job.photoId,
+        result,
+        ...extras,
+        timestamp: new Date().toISOString(),
+      });
+
+      logger.info("✅ AI analysis job completed", {
+        jobId: job.jobId,
+        userId: job.userId,
+        type: job.type,
+        attempts: job.attempts,
+        confidence: result.confidence,
+      });
+    } catch (error) {
+      await this.handleFailure(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  },
+
+  /**
+   * Run the completion hook of a job type
+   * The job stays completed when the hook fails
+   */
+  async runCompletionHook(job, result) {
+    const hook = this.completionHooks[job.type];
+    if (!hook) {
+      return {};
+    }
+
+    try {
+      return await hook(job, result);
+    } catch (error) {
+      logger.warn("⚠️ AI job completion hook failed", {
+        error: error.message,
+        jobId: job.jobId,
+        type: job.type,
+      });
+      return {};
+    }
+  },
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job
+   */
+  async handleFailure(job, error) {
+    const permanent = PERMANENT_ERRORS.some((message) =>
+      error.message.startsWith(message),
+    );
+    const exhausted = job.attempts >= job.maxAttempts;
+    const failure = {
+      attempt: job.attempts,
+      error: error.message,
+      failedAt: new Date(),
+    };
+
+    try {
+      if (permanent || exhausted) {
+        await AiJob.finishLeased(job._id, this.workerId, {
+          $set: {
+            status: "dead_letter",
+            completedAt: new Date(),
+            error: error.message,
+          },
+          $unset: { lockedBy: 1, lockedUntil: 1 },
+          $push: { errorHistory: failure },
+        });
+
+        await websocketService.sendToUser(job.userId, "ai.job_failed", {
+          type: "ai_job_failed",
+          jobId: job.jobId,
+          analysisType: job.type,
+          photoId: job.photoId,
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        });
+
+        logger.error("❌ AI analysis job dead-lettered", {
+          error: error.message,
+          jobId: job.jobId,
+          attempts: job.attempts,
+          permanent,
+        });
+        return;
+      }
+
+      const delayMs =
+        aiConfig.thresholds.retryDelayMs * Math.pow(2, job.attempts - 1);
+      await AiJob.finishLeased(job._id, this.workerId, {
+        $set: {
+          status: "pending",
+          runAt: new Date(Date.now() + delayMs),
+          error: error.message,
+        },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+        $push: { errorHistory: failure },
+      });
+
+      logger.warn("⚠️ AI analysis job failed, retry scheduled", {
+        error: error.message,
+        jobId: job.jobId,
+        attempts: job.attempts,
+        delayMs,
+      });
+    } catch (updateError) {
+      // The lease expires and another worker picks the job up again
+      logger.error("❌ Failed to record AI job failure", {
+        error: updateError.message,
+        jobId: job.jobId,
+      });
+    }
+  },
+
+  /**
+   * Delete finished jobs older than the given number of days
+   */
+  async cleanupOldJobs(daysToKeep = 7) {
+    const { deletedCount } = await AiJob.deleteMany({
+      status: { $in: ["completed", "cancelled"] },
+      completedAt: {
+        $lt: new Date(Date.now() - daysToKeep * TIME.MILLISECONDS.DAY),
+      },
+    });
+
+    if (deletedCount > 0) {
+      logger.info(`✅ Cleaned up ${deletedCount} old AI analysis jobs`);
+    }
+
+    return deletedCount;
+  },
+
+  /**
+   * Get queue statistics
+   */
+  async getStats() {
+    try {
+      const [byStatus, timing] = await Promise.all([
+        AiJob.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+        AiJob.aggregate([
+          { $match: { status: "completed" } },
+          {
+            $group: {
+              _id: null,
+              averageProcessingTime: {
+                $avg: { $subtract: ["$completedAt", "$startedAt"] },
+              },
+            },
+          },
+        ]),
+      ]);
+
+      const counts = Object.fromEntries(byStatus.map((s) => [s._id, s.count]));
+      const totalJobs = byStatus.reduce((sum, s) => sum + s.count, 0);
+
+      return {
+        totalJobs,
+        pendingJobs: counts.pending || 0,
+        processingJobs: counts.processing || 0,
+        completedJobs: counts.completed || 0,
+        cancelledJobs: counts.cancelled || 0,
+        deadLetterJobs: counts.dead_letter || 0,
+        averageProcessingTime: timing[0]?.averageProcessingTime || 0,
+        successRate:
+          totalJobs > 0 ? ((counts.completed || 0) / totalJobs) * 100 : 0,
+        worker: {
+          workerId: this.workerId,
+          running: this.running.size,
+          concurrency: this.settings.concurrency,
+        },
+      };
+    } catch (error) {
+      logger.error("❌ Failed to get service stats", {
+        error: error.message,
+      });
+      return null;
+    }
+  },
+};
+
+module.exports = aiJobQueue;
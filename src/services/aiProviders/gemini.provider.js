@@ -0,0 +1,66 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+/**
+ * Google Gemini provider
+ * Uses multimodal models, so the same model serves text and vision features
+ */
+const geminiProvider = {
+  name: "gemini",
+  defaultModel: process.env.GEMINI_MODEL || "gemini-1.5-flash",
+  client: null,
+
+  /**
+   * Gemini needs an API key
+   */
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  /**
+   * Lazily create the API client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+    return this.client;
+  },
+
+  /**
+   * Create a model for a feature
+   */
+  createModel({ model }) {
+    const name = model || this.defaultModel;
+    const client = this.getClient();
+    const textModel = client.getGenerativeModel({ model: name });
+    const jsonModel = client.getGenerativeModel({
+      model: name,
+      generationConfig: { responseMimeType: "application/json" },
+    });
+
+    return {
+      name,
+
+      async generate(prompt, { image, json }) {
+        const parts = image
+          ? [
+            prompt,
+            {
+              inlineData: {
+                data: image.data.toString("base64"),
+                mimeType: image.mimeType,
+              },
+            },
+          ]
+          : prompt;
+
+        const result = await (json ? jsonModel : textModel).generateContent(
+          parts,
+        );
+        return result.response.text();
+      },
+    };
+  },
+};
+
+module.exports = geminiProvider;
@@ -0,0 +1,99 @@
+const geminiProvider = require("./gemini.provider");
+const stubProvider = require("./stub.provider");
+
+/**
+ * AI provider registry
+ *
+ * A provider implements:
+ * - isConfigured() -> whether the provider can be used in this environment
+ * - createModel({ feature, model }) -> { name, generate(prompt, { image, json }) }
+ *   where image is { data: Buffer, mimeType } and json asks for a JSON answer
+ *
+ * Models handed out by the registry expose generateText() and generateJSON()
+ */
+const aiProviders = {
+  // Map of lowercase provider name -> provider
+  providers: new Map([
+    ["gemini", geminiProvider],
+    ["stub", stubProvider],
+  ]),
+
+  /**
+   * Register a provider under a name
+   */
+  register(name, provider) {
+    for (const method of ["isConfigured", "createModel"]) {
+      if (typeof provider[method] !== "function") {
+        throw new Error(`AI provider must implement ${method}()`);
+      }
+    }
+
+    this.providers.set(name.toLowerCase(), provider);
+  },
+
+  /**
+   * Get a provider by name, or null
+   */
+  get(name) {
+    return this.providers.get(String(name).toLowerCase()) || null;
+  },
+
+  /**
+   * List registered provider names
+   */
+  list() {
+    return [...this.providers.keys()];
+  },
+
+  /**
+   * Create a feature model with text and JSON-mode helpers
+   */
+  createModel(providerName, { feature, model }) {
+    const provider = this.get(providerName);
+    if (!provider) {
+      throw new Error(`Unknown AI provider: ${providerName}`);
+    }
+
+    const instance = provider.createModel({ feature, model });
+
+    return {
+      provider: provider.name,
+      name: instance.name,
+      feature,
+
+      generateText(prompt, { image } = {}) {
+        return instance.generate(prompt, { image, json: false });
+      },
+
+      async generateJSON(prompt, { image } = {}) {
+        const text = await instance.generate(prompt, { image, json: true });
+        return aiProviders.parseJSON(text);
+      },
+    };
+  },
+
+  /**
+   * Parse a JSON answer, tolerating markdown fences and surrounding prose
+   */
+  parseJSON(text) {
+    const cleaned = String(text)
+      .replace(/```(?:json)?/gi, "")
+      .trim();
+
+    try {
+      return JSON.parse(cleaned);
+    } catch (error) {
+      const match = cleaned.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+      if (match) {
+        try {
+          return JSON.parse(match[0]);
+        } catch (innerError) {
+          // Fall through to the error below
+        }
+      }
+      throw new Error("AI response is not valid JSON");
+    }
+  },
+};
+
+module.exports = aiProviders;
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+
+/**
+ * Deterministic offline AI provider
+ * Answers are derived from a hash of the feature, prompt and image, so the
+ * same input always gives the same answer and no network is needed
+ */
+
+// Vietnamese dishes with nutrition per portion
+const MEAL_ITEMS = [
+  { name: "Cơm trắng", grams: 200, kcal: 260, protein: 5, carb: 57, fat: 1 },
+  { name: "Phở bò", grams: 450, kcal: 430, protein: 28, carb: 55, fat: 10 },
+  { name: "Ức gà nướng", grams: 150, kcal: 240, protein: 45, carb: 0, fat: 5 },
+  { name: "Rau muống xào", grams: 120, kcal: 90, protein: 3, carb: 6, fat: 6 },
+  { name: "Trứng chiên", grams: 60, kcal: 120, protein: 8, carb: 1, fat: 9 },
+  { name: "Bánh mì thịt", grams: 180, kcal: 420, protein: 18, carb: 48, fat: 16 },
+  { name: "Cá kho tộ", grams: 150, kcal: 250, protein: 26, carb: 8, fat: 12 },
+  { name: "Canh chua", grams: 300, kcal: 110, protein: 9, carb: 12, fat: 3 },
+];
+
+const LEVELS = ["beginner", "intermediate", "advanced"];
+
+const TIPS = [
+  "Uống đủ nước trước và sau khi tập luyện.",
+  "Ưu tiên protein trong mỗi bữa ăn chính.",
+  "Ngủ đủ 7-8 tiếng để cơ bắp phục hồi.",
+  "Khởi động 5-10 phút trước mỗi buổi tập.",
+  "Tăng cường độ tập từ từ để tránh chấn thương.",
+  "Ăn nhiều rau xanh để bổ sung chất xơ.",
+];
+
+const EXERCISES = [
+  { name: "Push-ups", sets: 3, reps: "8-12", rest: "60 seconds" },
+  { name: "Squats", sets: 3, reps: "12-15", rest: "60 seconds" },
+  { name: "Plank", sets: 3, reps: "30-45 seconds", rest: "45 seconds" },
+  { name: "Lunges", sets: 3, reps: "10 each leg", rest: "60 seconds" },
+  { name: "Dumbbell rows", sets: 3, reps: "10-12", rest: "60 seconds" },
+];
+
+/**
+ * Pick `count` consecutive entries of a list starting at a seeded offset
+ */
+const pickMany = (list, seed, count) =>
+  Array.from({ length: count }, (_, i) => list[(seed + i) % list.length]);
+
+// JSON answers per feature
+const JSON_RESPONSES = {
+  mealAnalysis(seed) {
+    const foodItems = pickMany(MEAL_ITEMS, seed, 1 + (seed % 3)).map(
+      (item, i) => ({
+        ...item,
+        confidence: (60 + ((seed >>> (i + 2)) % 36)) / 100,
+      }),
+    );
+    const total = (key) => foodItems.reduce((sum, item) => sum + item[key], 0);
+
+    return {
+      foodItems,
+      estimatedCalories: total("kcal"),
+      protein: total("protein"),
+      carbohydrates: total("carb"),
+      fat: total("fat"),
+      confidence: (75 + (seed % 20)) / 100,
+      warnings: [],
+      recommendations: pickMany(TIPS, seed, 2),
+    };
+  },
+
+  bodyAnalysis(seed) {
+    return {
+      muscleDefinition: ["low", "medium", "high"][seed % 3],
+      bodyComposition: ["lean", "muscular", "balanced"][(seed >>> 2) % 3],
+      posture: ["good", "fair"][seed % 2],
+      fitnessLevel: LEVELS[seed % 3],
+      observations: ["Tư thế đứng cân đối", "Vùng bụng có tiến bộ"],
+      recommendations: pickMany(TIPS, seed, 2),
+      confidence: (80 + (seed % 15)) / 100,
+    };
+  },
+
+  nutritionRecommendations(seed) {
+    const dailyCalories = 1800 + (seed % 8) * 50;
+
+    return {
+      dailyCalories,
+      macros: {
+        protein: Math.round((dailyCalories * 0.3) / 4),
+        carbs: Math.round((dailyCalories * 0.45) / 4),
+        fat: Math.round((dailyCalories * 0.25) / 9),
+      },
+      mealTiming: ["7:00 AM", "12:00 PM", "4:00 PM", "7:00 PM"],
+      foodSuggestions: {
+        breakfast: pickMany(MEAL_ITEMS, seed, 2).map((item) => item.name),
+        lunch: pickMany(MEAL_ITEMS, seed + 2, 2).map((item) => item.name),
+        dinner: pickMany(MEAL_ITEMS, seed + 4, 2).map((item) => item.name),
+        snacks: ["Sữa chua không đường", "Chuối"],
+      },
+      supplements: [],
+      hydration: "2-3 liters per day",
+      tips: pickMany(TIPS, seed, 3),
+    };
+  },
+
+  workoutRecommendations(seed) {
+    return {
+      frequency: `${3 + (seed % 2)} times per week`,
+      workouts: [
+        { day: "Day 1 - Full Body", exercises: pickMany(EXERCISES, seed, 3) },
+        {
+          day: "Day 2 - Full Body",
+          exercises: pickMany(EXERCISES, seed + 3, 3),
+        },
+      ],
+      progression: "Increase reps by 2 every week",
+      safetyTips: pickMany(TIPS, seed, 2),
+      estimatedDuration: 30 + (seed % 4) * 5,
+    };
+  },
+
+  progressInsights(seed) {
+    return {
+      progressAssessment: ["positive", "neutral"][seed % 2],
+      workingWell: ["Duy trì lịch tập đều đặn"],
+      improvements: ["Tăng lượng protein mỗi ngày"],
+      recommendations: pickMany(TIPS, seed, 2),
+      motivation: "Bạn đang đi đúng hướng, hãy tiếp tục cố gắng!",
+      nextSteps: pickMany(TIPS, seed + 2, 2),
+    };
+  },
+
+  coaching(seed) {
+    return { content: TIPS[seed % TIPS.length], context: "general" };
+  },
+};
+
+const stubProvider = {
+  name: "stub",
+
+  /**
+   * The stub needs no configuration
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Create a model for a feature
+   */
+  createModel({ feature, model }) {
+    const name = model || "stub-1";
+
+    return {
+      name,
+
+      generate(prompt, { image, json }) {
+        const hash = crypto
+          .createHash("sha256")
+          .update(`${feature}:${prompt}`)
+          .update(image?.data || "");
+        const seed = hash.digest().readUInt32BE(0);
+
+        if (!json) {
+          return Promise.resolve(pickMany(TIPS, seed, 3).join("\n"));
+        }
+
+        const respond = JSON_RESPONSES[feature];
+        return Promise.resolve(JSON.stringify(respond ? respond(seed) : {}));
+      },
+    };
+  },
+};
+
+module.exports = stubProvider;
@@ -1,9 +1,17 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const bcrypt = require("bcryptjs");
+const moment = require("moment");
+const mongoose = require("mongoose");
 const User = require("../models/user.model");
 const Profile = require("../models/profile.model");
 const Gamification = require("../models/gamification.model");
 const Event = require("../models/event.model");
+const Session = require("../models/session.model");
+const mailService = require("./mail.service");
+const notificationService = require("./notification.service");
+const twoFactorService = require("./twoFactor.service");
+const oauthProviders = require("./oauthProviders");
+const { AUTH } = require("../utils/constants.util");
 const logger = require("../utils/logger.util");
 
 /**
@@ -13,8 +21,9 @@ const logger = require("../utils/logger.util");
 const authService = {
   /**
    * Register new user
+   * context: { ipAddress, userAgent } of the device signing up
    */
-  async registerUser(userData) {
+  async registerUser(userData, context = {}) {
     try {
       const { email, password, name, ...otherData } = userData;
 
@@ -24,16 +33,14 @@ const authService = {
         throw new Error("Email đã được sử dụng");
       }
 
-      // Hash password
-      const passwordHash = await bcrypt.hash(password, 12);
-
-      // Create user
+      // Create user; the model hashes the password on save
       const user = new User({
         email,
-        passwordHash,
+        passwordHash: password,
         name,
         ...otherData,
       });
+      user.trackDevice(context, AUTH.KNOWN_DEVICES_LIMIT);
 
       await user.save();
 
@@ -64,8 +71,16 @@ const authService = {
         { userId: user._id }
       );
 
+      // A mail outage must not block sign-up; the user can ask for a resend
+      await this.sendVerificationEmail(user).catch((error) =>
+        logger.warn("⚠️ Verification email not sent", {
+          error: error.message,
+          userId: user._id,
+        }),
+      );
+
       // Generate tokens
-      const tokens = await this.generateTokens(user._id);
+      const tokens = await this.generateTokens(user._id, context);
 
       logger.info("✅ User registered successfully", {
         userId: user._id,
@@ -76,7 +91,7 @@ const authService = {
         user: user.getPublicProfile(),
         profile,
         gamification,
-        ...tokens,
+        tokens,
       };
     } catch (error) {
       logger.error("❌ User registration failed", {
@@ -88,29 +103,89 @@ const authService = {
   },
 
   /**
-   * Authenticate user login
+   * Authenticate user login and open a session for the device
+   * Accounts with two-factor (or a role that requires it) get a challenge token
+   * instead of a session, to be completed with verifyTwoFactorLogin()
    */
-  async loginUser(email, password) {
+  async authenticateUser(email, password, context = {}) {
     try {
       // Find user by email
       const user = await User.findByEmail(email);
       if (!user) {
-        throw new Error("Email hoặc mật khẩu không đúng");
+        throw new Error("Invalid credentials");
       }
 
       // Check if user is active
       if (!user.isActive) {
-        throw new Error("Tài khoản đã bị khóa");
+        throw new Error("Account locked");
+      }
+
+      // Passwords are not checked at all while the account is locked out
+      if (user.isLocked()) {
+        throw new Error("Account temporarily locked");
       }
 
       // Verify password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
-        throw new Error("Email hoặc mật khẩu không đúng");
+        const lockUntil = await this.recordFailedLogin(user, context);
+        throw new Error(
+          lockUntil ? "Account temporarily locked" : "Invalid credentials",
+        );
       }
 
-      // Update last login
+      return await this.continueLogin(user, context);
+    } catch (error) {
+      logger.error("❌ User login failed", { error: error.message, email });
+      throw error;
+    }
+  },
+
+  /**
+   * Next step after the first factor (password or identity provider):
+   * a two-factor challenge, or the session itself
+   */
+  async continueLogin(user, context = {}) {
+    try {
+      if (user.requiresTwoFactor()) {
+        const challengeToken = jwt.sign(
+          { userId: user._id, type: "2fa_challenge" },
+          process.env.JWT_SECRET,
+          { expiresIn: AUTH.TWO_FACTOR.CHALLENGE_TTL },
+        );
+
+        logger.info("✅ Password accepted, second factor required", {
+          userId: user._id,
+        });
+
+        return {
+          twoFactorRequired: true,
+          setupRequired: !user.twoFactor?.enabled,
+          challengeToken,
+        };
+      }
+
+      return await this.completeLogin(user, context);
+    } catch (error) {
+      logger.error("❌ Continue login failed", {
+        error: error.message,
+        userId: user._id,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Finish a login: reset failed attempts, remember the device and open a session
+   */
+  async completeLogin(user, context = {}) {
+    try {
+      // Update last login and clear failed attempts
       user.lastLoginAt = new Date();
+      user.loginAttempts = 0;
+      user.lockCount = 0;
+      user.lockUntil = undefined;
+      const isNewDevice = user.trackDevice(context, AUTH.KNOWN_DEVICES_LIMIT);
       await user.save();
 
       // Log event
@@ -119,80 +194,589 @@ const authService = {
         "user.login",
         "User logged in",
         `User ${user.name} logged in`,
-        { email, ip: "unknown" },
+        { email: user.email, ip: context.ipAddress || "unknown", isNewDevice },
         { userId: user._id }
       );
 
+      if (isNewDevice) {
+        await this.sendNewLoginAlert(user, context).catch((error) =>
+          logger.warn("⚠️ New login alert not sent", {
+            error: error.message,
+            userId: user._id,
+          }),
+        );
+      }
+
       // Generate tokens
-      const tokens = await this.generateTokens(user._id);
+      const tokens = await this.generateTokens(user._id, context);
 
-      logger.info("✅ User login successful", { userId: user._id, email });
+      logger.info("✅ User login successful", {
+        userId: user._id,
+        email: user.email,
+      });
 
       return {
         user: user.getPublicProfile(),
-        ...tokens,
+        tokens,
       };
     } catch (error) {
-      logger.error("❌ User login failed", { error: error.message, email });
+      logger.error("❌ Complete login failed", {
+        error: error.message,
+        userId: user._id,
+      });
       throw error;
     }
   },
 
   /**
-   * Generate JWT tokens
+   * Load the user of a login challenge token
    */
-  async generateTokens(userId) {
+  async getChallengeUser(challengeToken) {
+    let decoded;
     try {
-      const accessToken = jwt.sign(
-        { userId, type: "access" },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_ACCESS_TTL || "15m" }
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error("Invalid or expired challenge");
+    }
+    if (decoded.type !== "2fa_challenge") {
+      throw new Error("Invalid or expired challenge");
+    }
+
+    const user = await User.findById(decoded.userId).select(
+      twoFactorService.SECRET_FIELDS,
+    );
+    if (!user || !user.isActive) {
+      throw new Error("Invalid or expired challenge");
+    }
+    if (user.isLocked()) {
+      throw new Error("Account temporarily locked");
+    }
+
+    return user;
+  },
+
+  /**
+   * Start the enrollment an account must complete before it can sign in
+   */
+  async startTwoFactorLoginSetup(challengeToken) {
+    try {
+      const user = await this.getChallengeUser(challengeToken);
+      return await twoFactorService.startSetup(user._id);
+    } catch (error) {
+      logger.error("❌ Two-factor login setup failed", {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Second login step: check the code and open a session
+   * During required enrollment the first valid code also enables two-factor,
+   * and the recovery codes are returned with the tokens
+   */
+  async verifyTwoFactorLogin(challengeToken, code, context = {}) {
+    try {
+      const user = await this.getChallengeUser(challengeToken);
+
+      let recoveryCodes;
+      try {
+        if (user.twoFactor?.enabled) {
+          if (!(await twoFactorService.verifyCode(user, code))) {
+            throw new Error("Invalid two-factor code");
+          }
+        } else {
+          ({ recoveryCodes } = await twoFactorService.enable(user._id, code));
+          user.twoFactor.enabled = true;
+        }
+      } catch (error) {
+        // Wrong codes count towards the lockout like wrong passwords
+        if (error.message === "Invalid two-factor code") {
+          const lockUntil = await this.recordFailedLogin(user, context);
+          if (lockUntil) {
+            throw new Error("Account temporarily locked");
+          }
+        }
+        throw error;
+      }
+
+      const result = await this.completeLogin(user, context);
+      return recoveryCodes ? { ...result, recoveryCodes } : result;
+    } catch (error) {
+      logger.error("❌ Two-factor login failed", { error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Resolve and verify an identity provider by name
+   */
+  async verifyProviderToken(providerName, idToken, nonce) {
+    const provider = oauthProviders.get(providerName);
+    if (!provider) {
+      throw new Error("Unknown OAuth provider");
+    }
+    if (!provider.isConfigured()) {
+      throw new Error("OAuth provider not configured");
+    }
+
+    const identity = await provider.verifyIdToken(idToken, { nonce });
+    return { provider, identity };
+  },
+
+  /**
+   * Sign in with a Google or Apple ID token
+   * Finds the account linked to the identity, links an account with the same
+   * verified email, or creates a new account without a password
+   */
+  async loginWithProvider(providerName, { idToken, nonce, name }, context = {}) {
+    try {
+      const { provider, identity } = await this.verifyProviderToken(
+        providerName,
+        idToken,
+        nonce,
       );
 
-      const refreshToken = jwt.sign(
-        { userId, type: "refresh" },
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_TTL || "7d" }
+      let user = await User.findOne({ [provider.userField]: identity.sub });
+      let isNewUser = false;
+
+      if (!user) {
+        if (!identity.email || !identity.emailVerified) {
+          throw new Error("Verified email required");
+        }
+
+        user = await User.findByEmail(identity.email);
+        if (user) {
+          // Linking an account whose owner never proved the address would hand it
+          // to whoever registered that email first
+          if (!user.emailVerified) {
+            throw new Error("Email already registered");
+          }
+          user[provider.userField] = identity.sub;
+          await user.save();
+        } else {
+          user = await this.createProviderUser(provider, identity, name, context);
+          isNewUser = true;
+        }
+      }
+
+      if (!user.isActive) {
+        throw new Error("Account locked");
+      }
+      if (user.isLocked()) {
+        throw new Error("Account temporarily locked");
+      }
+
+      logger.info("✅ Identity provider sign-in", {
+        userId: user._id,
+        provider: provider.name,
+        isNewUser,
+      });
+
+      const result = await this.continueLogin(user, context);
+      return { ...result, isNewUser };
+    } catch (error) {
+      logger.error("❌ Identity provider sign-in failed", {
+        error: error.message,
+        provider: providerName,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Create an account for a first identity provider sign-in
+   * The profile is filled in later during onboarding
+   */
+  async createProviderUser(provider, identity, name, context = {}) {
+    const user = new User({
+      email: identity.email,
+      name: name || identity.name || identity.email.split("@")[0],
+      emailVerified: true,
+      [provider.userField]: identity.sub,
+    });
+    user.trackDevice(context, AUTH.KNOWN_DEVICES_LIMIT);
+    await user.save();
+
+    await new Gamification({ userId: user._id }).save();
+
+    // Log event
+    await Event.createEvent(
+      user._id,
+      "user.register",
+      "User registered",
+      `New user ${user.name} registered with ${provider.name}`,
+      { email: user.email, name: user.name, provider: provider.name },
+      { userId: user._id },
+    );
+
+    return user;
+  },
+
+  /**
+   * Sign-in methods of a user
+   */
+  async getLinkedProviders(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error("User not found");
+      }
+
+      return {
+        hasPassword: !!user.passwordHash,
+        providers: oauthProviders.list().map((name) => {
+          const provider = oauthProviders.get(name);
+          return {
+            name,
+            linked: !!user[provider.userField],
+            available: provider.isConfigured(),
+          };
+        }),
+      };
+    } catch (error) {
+      logger.error("❌ Get linked providers failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Link an identity provider to the signed-in account
+   */
+  async linkProvider(userId, providerName, { idToken, nonce }) {
+    try {
+      const { provider, identity } = await this.verifyProviderToken(
+        providerName,
+        idToken,
+        nonce,
       );
 
-      return { accessToken, refreshToken };
+      const owner = await User.findOne({ [provider.userField]: identity.sub });
+      if (owner && owner._id.toString() !== userId.toString()) {
+        throw new Error("Provider account already linked");
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error("User not found");
+      }
+
+      user[provider.userField] = identity.sub;
+      await user.save();
+
+      logger.info("✅ Identity provider linked", {
+        userId,
+        provider: provider.name,
+      });
+
+      return this.getLinkedProviders(userId);
     } catch (error) {
-      logger.error("❌ Token generation failed", {
+      logger.error("❌ Link identity provider failed", {
         error: error.message,
         userId,
+        provider: providerName,
       });
       throw error;
     }
   },
 
   /**
-   * Refresh access token
+   * Unlink an identity provider, keeping at least one way to sign in
    */
-  async refreshAccessToken(refreshToken) {
+  async unlinkProvider(userId, providerName) {
     try {
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+      const provider = oauthProviders.get(providerName);
+      if (!provider) {
+        throw new Error("Unknown OAuth provider");
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error("User not found");
+      }
+      if (!user[provider.userField]) {
+        throw new Error("Provider not linked");
+      }
 
-      if (decoded.type !== "refresh") {
-        throw new Error("Invalid token type");
+      const otherProviders = oauthProviders
+        .list()
+        .map((name) => oauthProviders.get(name))
+        .filter((other) => other !== provider && user[other.userField]);
+      if (!user.passwordHash && otherProviders.length === 0) {
+        throw new Error("Cannot remove last sign-in method");
       }
 
+      user[provider.userField] = undefined;
+      await user.save();
+
+      logger.info("✅ Identity provider unlinked", {
+        userId,
+        provider: provider.name,
+      });
+
+      return this.getLinkedProviders(userId);
+    } catch (error) {
+      logger.error("❌ Unlink identity provider failed", {
+        error: error.message,
+        userId,
+        provider: providerName,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Count a wrong password and lock the account once the limit is reached
+   * Each lockout doubles the next one, up to AUTH.MAX_LOCKOUT_DURATION.
+   * Returns the lock end date when this attempt locked the account
+   */
+  async recordFailedLogin(user, { ipAddress, userAgent } = {}) {
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { loginAttempts: 1 } },
+      { new: true },
+    );
+
+    await Event.createEvent(
+      user._id,
+      "user.login_failed",
+      "Login failed",
+      "Wrong password or two-factor code",
+      { ip: ipAddress || "unknown", userAgent, attempts: updated.loginAttempts },
+      { userId: user._id },
+    );
+
+    if (updated.loginAttempts < AUTH.MAX_LOGIN_ATTEMPTS) {
+      return null;
+    }
+
+    const duration = Math.min(
+      AUTH.LOCKOUT_DURATION * 2 ** updated.lockCount,
+      AUTH.MAX_LOCKOUT_DURATION,
+    );
+    const lockUntil = new Date(Date.now() + duration);
+
+    // Only the attempt that reached the limit applies the lock
+    const locked = await User.findOneAndUpdate(
+      { _id: user._id, loginAttempts: updated.loginAttempts },
+      {
+        $set: { loginAttempts: 0, lockUntil },
+        $inc: { lockCount: 1 },
+      },
+    );
+    if (!locked) {
+      return null;
+    }
+
+    await Event.createEvent(
+      user._id,
+      "user.locked",
+      "Account locked",
+      "Too many failed login attempts",
+      { ip: ipAddress || "unknown", lockUntil, lockCount: updated.lockCount + 1 },
+      { userId: user._id },
+    );
+
+    logger.warn("⚠️ Account locked after failed logins", {
+      userId: user._id,
+      ipAddress,
+      lockUntil,
+    });
+
+    await this.sendAccountLockedAlert(user, {
+      ipAddress,
+      minutes: Math.round(duration / 60000),
+    }).catch((error) =>
+      logger.warn("⚠️ Account locked notification not sent", {
+        error: error.message,
+        userId: user._id,
+      }),
+    );
+
+    return lockUntil;
+  },
+
+  /**
+   * Tell the user their account was locked after repeated failed sign-ins
+   */
+  async sendAccountLockedAlert(user, { ipAddress, minutes }) {
+    const data = {
+      name: user.name,
+      attempts: AUTH.MAX_LOGIN_ATTEMPTS,
+      minutes,
+      ipAddress: ipAddress || "unknown",
+    };
+
+    await notificationService.notify(user._id, "account_locked", data);
+    await mailService.send(
+      user.email,
+      "account_locked",
+      { ...data, link: mailService.buildLink("/forgot-password") },
+      user.language,
+    );
+
+    logger.info("✅ Account locked alert sent", { userId: user._id, ipAddress });
+  },
+
+  /**
+   * Tell the user about a sign-in from a device or IP address not seen before
+   */
+  async sendNewLoginAlert(user, { ipAddress, userAgent } = {}) {
+    const unknownDevice =
+      user.language === "en" ? "an unknown device" : "thiết bị không xác định";
+    const data = {
+      name: user.name,
+      device: userAgent ? userAgent.slice(0, 100) : unknownDevice,
+      ipAddress: ipAddress || "unknown",
+      time: moment.utc().format("YYYY-MM-DD HH:mm [UTC]"),
+    };
+
+    await notificationService.notify(user._id, "new_login", data);
+    await mailService.send(
+      user.email,
+      "new_login",
+      { ...data, link: mailService.buildLink("/settings/sessions") },
+      user.language,
+    );
+
+    logger.info("✅ New login alert sent", { userId: user._id, ipAddress });
+  },
+
+  /**
+   * Open a new session and issue its first token pair
+   */
+  async generateTokens(userId, { ipAddress, userAgent } = {}) {
+    try {
+      const session = new Session({ userId, ipAddress, userAgent });
+      const tokens = this.signTokens(userId, session._id);
+
+      session.tokenHash = this.hashToken(tokens.refreshToken);
+      session.expiresAt = this.getTokenExpiry(tokens.refreshToken);
+      await session.save();
+
+      return tokens;
+    } catch (error) {
+      logger.error("❌ Token generation failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Sign an access and refresh token bound to a session
+   * The random jti makes every refresh token unique, even within one second
+   */
+  signTokens(userId, sessionId) {
+    const sid = sessionId.toString();
+
+    const accessToken = jwt.sign(
+      { userId, sid, type: "access" },
+      process.env.JWT_SECRET,
+      { expiresIn: AUTH.ACCESS_TOKEN_TTL },
+    );
+
+    const refreshToken = jwt.sign(
+      { userId, sid, type: "refresh" },
+      process.env.JWT_REFRESH_SECRET,
+      {
+        expiresIn: AUTH.REFRESH_TOKEN_TTL,
+        jwtid: crypto.randomBytes(16).toString("hex"),
+      },
+    );
+
+    return { accessToken, refreshToken };
+  },
+
+  /**
+   * Expiry date of a signed token
+   */
+  getTokenExpiry(token) {
+    return new Date(jwt.decode(token).exp * 1000);
+  },
+
+  /**
+   * Decode a refresh token, normalising JWT errors
+   */
+  decodeRefreshToken(refreshToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      throw new Error(
+        error.name === "TokenExpiredError"
+          ? "Token expired"
+          : "Invalid refresh token",
+      );
+    }
+
+    if (decoded.type !== "refresh" || !decoded.sid) {
+      throw new Error("Invalid refresh token");
+    }
+
+    return decoded;
+  },
+
+  /**
+   * Rotate a refresh token
+   * Each refresh token can be used once; presenting a rotated token again means
+   * it was copied, so the whole session is revoked
+   */
+  async refreshAccessToken(refreshToken, { ipAddress, userAgent } = {}) {
+    try {
+      const decoded = this.decodeRefreshToken(refreshToken);
+
       // Check if user exists and is active
       const user = await User.findById(decoded.userId);
       if (!user || !user.isActive) {
-        throw new Error("User not found or inactive");
+        throw new Error("Invalid refresh token");
       }
 
-      // Generate new access token
-      const accessToken = jwt.sign(
-        { userId: decoded.userId, type: "access" },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_ACCESS_TTL || "15m" }
+      const tokens = this.signTokens(decoded.userId, decoded.sid);
+      const update = {
+        tokenHash: this.hashToken(tokens.refreshToken),
+        expiresAt: this.getTokenExpiry(tokens.refreshToken),
+        lastUsedAt: new Date(),
+      };
+      if (ipAddress) {
+        update.ipAddress = ipAddress;
+      }
+      if (userAgent) {
+        update.userAgent = userAgent;
+      }
+
+      const session = await Session.findOneAndUpdate(
+        {
+          _id: decoded.sid,
+          userId: decoded.userId,
+          tokenHash: this.hashToken(refreshToken),
+          revokedAt: null,
+        },
+        { $set: update },
       );
 
+      if (!session) {
+        const revoked = await Session.revoke(
+          { _id: decoded.sid, userId: decoded.userId },
+          "reuse_detected",
+        );
+        if (revoked > 0) {
+          logger.warn("⚠️ Refresh token reuse detected, session revoked", {
+            userId: decoded.userId,
+            sessionId: decoded.sid,
+            ipAddress,
+          });
+        }
+        throw new Error("Invalid refresh token");
+      }
+
       logger.info("✅ Access token refreshed", { userId: decoded.userId });
 
-      return { accessToken };
+      return { userId: decoded.userId, ...tokens };
     } catch (error) {
       logger.error("❌ Token refresh failed", { error: error.message });
       throw error;
@@ -201,8 +785,9 @@ const authService = {
 
   /**
    * Change user password
+   * Signs out every other session; the current one stays signed in
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, sessionId) {
     try {
       const user = await User.findById(userId);
       if (!user) {
@@ -214,14 +799,18 @@ const authService = {
         currentPassword
       );
       if (!isCurrentPasswordValid) {
-        throw new Error("Mật khẩu hiện tại không đúng");
+        throw new Error("Current password is incorrect");
       }
 
-      // Hash new password
-      const newPasswordHash = await bcrypt.hash(newPassword, 12);
-      user.passwordHash = newPasswordHash;
+      // The model hashes the new password on save
+      user.passwordHash = newPassword;
       await user.save();
 
+      await Session.revoke(
+        sessionId ? { userId, _id: { $ne: sessionId } } : { userId },
+        "password_change",
+      );
+
       // Log event
       await Event.createEvent(
         userId,
@@ -245,9 +834,96 @@ const authService = {
   },
 
   /**
-   * Reset password (forgot password)
+   * Email a verification link; the token is stored hashed
+   */
+  async sendVerificationEmail(user) {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    user.emailVerificationToken = this.hashToken(token);
+    user.emailVerificationExpires = new Date(
+      Date.now() + AUTH.EMAIL_VERIFICATION_TTL,
+    );
+    await user.save();
+
+    await mailService.send(
+      user.email,
+      "verify_email",
+      {
+        name: user.name,
+        hours: AUTH.EMAIL_VERIFICATION_TTL / 3600000,
+        link: mailService.buildLink("/verify-email", token),
+      },
+      user.language,
+    );
+
+    logger.info("✅ Verification email sent", { userId: user._id });
+    return { success: true };
+  },
+
+  /**
+   * Send a new verification link to a signed-in user
+   */
+  async resendVerification(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error("User not found");
+      }
+      if (user.emailVerified) {
+        throw new Error("Email already verified");
+      }
+
+      return await this.sendVerificationEmail(user);
+    } catch (error) {
+      logger.error("❌ Resend verification failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Mark an email address as verified with a token from the verification link
    */
-  async resetPassword(email) {
+  async verifyEmail(token) {
+    try {
+      const user = await User.findOne({
+        emailVerificationToken: this.hashToken(String(token)),
+        emailVerificationExpires: { $gt: new Date() },
+      });
+      if (!user) {
+        throw new Error("Invalid or expired token");
+      }
+
+      user.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+
+      // Log event
+      await Event.createEvent(
+        user._id,
+        "user.email_verify",
+        "Email verified",
+        "User verified email address",
+        {},
+        { userId: user._id },
+      );
+
+      logger.info("✅ Email verified", { userId: user._id });
+
+      return { success: true };
+    } catch (error) {
+      logger.error("❌ Email verification failed", { error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Request password reset (forgot password); the token is stored hashed
+   */
+  async requestPasswordReset(email) {
     try {
       const user = await User.findByEmail(email);
       if (!user) {
@@ -259,18 +935,39 @@ const authService = {
       const resetToken = jwt.sign(
         { userId: user._id, type: "reset" },
         process.env.JWT_SECRET,
-        { expiresIn: "1h" }
+        { expiresIn: AUTH.PASSWORD_RESET_TTL / 1000 },
       );
 
-      user.passwordResetToken = resetToken;
-      user.passwordResetExpires = new Date(Date.now() + 3600000); // 1 hour
+      user.passwordResetToken = this.hashToken(resetToken);
+      user.passwordResetExpires = new Date(
+        Date.now() + AUTH.PASSWORD_RESET_TTL,
+      );
       await user.save();
 
-      // TODO: Send email with reset link
-      logger.info("✅ Password reset token generated", {
-        userId: user._id,
-        email,
-      });
+      // A failed send must look like an unknown email, or a mail outage
+      // would reveal which addresses have accounts
+      try {
+        await mailService.send(
+          user.email,
+          "password_reset",
+          {
+            name: user.name,
+            hours: AUTH.PASSWORD_RESET_TTL / 3600000,
+            link: mailService.buildLink("/reset-password", resetToken),
+          },
+          user.language,
+        );
+
+        logger.info("✅ Password reset email sent", {
+          userId: user._id,
+          email,
+        });
+      } catch (error) {
+        logger.warn("⚠️ Password reset email not sent", {
+          error: error.message,
+          userId: user._id,
+        });
+      }
 
       return { success: true, message: "Reset link sent if email exists" };
     } catch (error) {
@@ -284,19 +981,24 @@ const authService = {
    */
   async verifyResetToken(token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      let decoded;
+      try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        throw new Error("Invalid or expired token");
+      }
 
       if (decoded.type !== "reset") {
-        throw new Error("Invalid token type");
+        throw new Error("Invalid or expired token");
       }
 
       const user = await User.findById(decoded.userId);
-      if (!user || user.passwordResetToken !== token) {
-        throw new Error("Invalid or expired reset token");
-      }
-
-      if (user.passwordResetExpires < new Date()) {
-        throw new Error("Reset token expired");
+      if (
+        !user ||
+        user.passwordResetToken !== this.hashToken(token) ||
+        user.passwordResetExpires < new Date()
+      ) {
+        throw new Error("Invalid or expired token");
       }
 
       return { userId: decoded.userId, valid: true };
@@ -311,25 +1013,28 @@ const authService = {
   /**
    * Set new password with reset token
    */
-  async setNewPassword(token, newPassword) {
+  async resetPassword(token, newPassword) {
     try {
       const verification = await this.verifyResetToken(token);
-      if (!verification.valid) {
-        throw new Error("Invalid reset token");
-      }
 
       const user = await User.findById(verification.userId);
       if (!user) {
         throw new Error("User not found");
       }
 
-      // Hash new password
-      const newPasswordHash = await bcrypt.hash(newPassword, 12);
-      user.passwordHash = newPasswordHash;
+      // The model hashes the new password on save
+      user.passwordHash = newPassword;
       user.passwordResetToken = undefined;
       user.passwordResetExpires = undefined;
+      // The lockout email points here, so a reset also unlocks the account
+      user.loginAttempts = 0;
+      user.lockCount = 0;
+      user.lockUntil = undefined;
       await user.save();
 
+      // Whoever knew the old password may hold a session
+      await Session.revoke({ userId: user._id }, "password_reset");
+
       // Log event
       await Event.createEvent(
         user._id,
@@ -350,10 +1055,27 @@ const authService = {
   },
 
   /**
-   * Logout user (revoke tokens)
+   * SHA-256 digest of a token, as stored in the database
+   */
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  },
+
+  /**
+   * Logout user (revoke the session of the access or refresh token)
    */
-  async logoutUser(userId) {
+  async logoutUser(userId, { sessionId, refreshToken } = {}) {
     try {
+      let sid = sessionId;
+      if (!sid && refreshToken) {
+        const decoded = jwt.decode(refreshToken);
+        sid = decoded?.type === "refresh" ? decoded.sid : null;
+      }
+
+      if (sid && mongoose.isValidObjectId(sid)) {
+        await Session.revoke({ _id: sid, userId }, "logout");
+      }
+
       // Log event
       await Event.createEvent(
         userId,
@@ -364,7 +1086,7 @@ const authService = {
         { userId }
       );
 
-      logger.info("✅ User logged out", { userId });
+      logger.info("✅ User logged out", { userId, sessionId: sid });
 
       return { success: true };
     } catch (error) {
@@ -373,6 +1095,54 @@ const authService = {
     }
   },
 
+  /**
+   * List the active sessions of a user
+   */
+  async getSessions(userId, currentSessionId) {
+    try {
+      const sessions = await Session.findActive(userId).lean();
+
+      return sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.toString() === String(currentSessionId),
+      }));
+    } catch (error) {
+      logger.error("❌ Get sessions failed", { error: error.message, userId });
+      throw error;
+    }
+  },
+
+  /**
+   * Sign out one session of a user
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      const revoked = await Session.revoke(
+        { _id: sessionId, userId },
+        "user_revoked",
+      );
+      if (revoked === 0) {
+        throw new Error("Session not found");
+      }
+
+      logger.info("✅ Session revoked", { userId, sessionId });
+
+      return { success: true };
+    } catch (error) {
+      logger.error("❌ Revoke session failed", {
+        error: error.message,
+        userId,
+        sessionId,
+      });
+      throw error;
+    }
+  },
+
   /**
    * Get user profile with related data
    */
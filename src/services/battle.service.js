@@ -1,11 +1,18 @@
 const Battle = require("../models/battle.model");
 const User = require("../models/user.model");
 const Gamification = require("../models/gamification.model");
+const battleScoringService = require("./battleScoring.service");
+const gamificationService = require("./gamification.service");
+const rewardRulesService = require("./rewardRules.service");
+const websocketService = require("./websocket.service");
+const notificationService = require("./notification.service");
+const helpers = require("../utils/helpers.util");
+const { BATTLES, GAMIFICATION, TIME } = require("../utils/constants.util");
 const logger = require("../utils/logger.util");
 
 /**
  * Battle service for managing 1-1 battles
- * Handles battle creation, acceptance, and progress tracking
+ * Handles battle creation, acceptance, progress tracking and the battle lifecycle
  */
 const battleService = {
   /**
@@ -58,6 +65,21 @@ const battleService = {
 
       await battle.save();
 
+      // Battles created against a chosen opponent are invitations
+      if (battle.opponentId) {
+        await notificationService
+          .notify(battle.opponentId, "battle_invite", {
+            battleId: battle._id.toString(),
+            title: battle.title,
+          })
+          .catch((error) =>
+            logger.warn("⚠️ Battle invite notification skipped", {
+              error: error.message,
+              battleId: battle._id,
+            }),
+          );
+      }
+
       logger.info("✅ Battle created successfully", {
         battleId: battle._id,
         creatorId,
@@ -189,6 +211,17 @@ const battleService = {
       // Award XP for accepting
       await this.awardAcceptXP(opponentId, battle);
 
+      // Tracked metrics take their baselines from the users' records,
+      // which starts the battle as soon as both are known
+      if (battle.isTracked) {
+        await battleScoringService.recomputeBattle(battle).catch((error) =>
+          logger.warn("⚠️ Battle baseline scoring skipped", {
+            error: error.message,
+            battleId: battle._id,
+          }),
+        );
+      }
+
       logger.info("✅ Battle accepted successfully", {
         battleId,
         opponentId,
@@ -215,6 +248,10 @@ const battleService = {
         throw new Error("Battle not found");
       }
 
+      if (battle.isTracked) {
+        throw new Error("Baseline is computed automatically for this metric");
+      }
+
       // Set baseline
       battle.setBaseline(userId, baselineValue);
       await battle.save();
@@ -247,13 +284,21 @@ const battleService = {
         throw new Error("Battle not found");
       }
 
+      // Tracked metrics are always recomputed from the users' records
+      if (battle.isTracked) {
+        // Throws unless the user is a participant
+        battle.getProgress(userId);
+        return await battleScoringService.recomputeBattle(battle);
+      }
+
+      if (currentValue === undefined || currentValue === null) {
+        throw new Error("Current value is required for this metric");
+      }
+
       // Update progress
       battle.updateProgress(userId, currentValue, note);
       await battle.save();
 
-      // Award XP for progress
-      await this.awardProgressXP(userId, battle);
-
       logger.info("✅ Battle progress updated successfully", {
         battleId,
         userId,
@@ -283,14 +328,17 @@ const battleService = {
         throw new Error("Battle not found");
       }
 
+      // Final scores of tracked metrics come from the users' records
+      if (battle.isTracked) {
+        await battleScoringService.recomputeBattle(battle);
+      }
+
       // Complete battle
       battle.completeBattle();
       await battle.save();
 
-      // Award completion XP
-      if (battle.winner) {
-        await this.awardWinnerXP(battle.winner, battle);
-      }
+      await this.notifyCompleted(battle);
+      await this.payStakes(battle);
 
       logger.info("✅ Battle completed successfully", {
         battleId,
@@ -500,38 +548,212 @@ const battleService = {
     }
   },
 
-  async awardProgressXP(userId, battle) {
-    try {
-      const gamification = await Gamification.findOne({ userId });
-      if (gamification) {
-        const xpAmount = 25; // XP for daily progress
-        gamification.addXP(xpAmount, `Battle progress: ${battle.title}`);
-        await gamification.save();
+  // Battle lifecycle (run by the scheduler)
+
+  /**
+   * Run every lifecycle step: expire, complete and pay out
+   */
+  async runLifecycle(now = new Date()) {
+    const expired = await this.expireStaleBattles(now);
+    const completed = await this.completeDueBattles(now);
+    const paid = await this.payPendingStakes();
+
+    return { expired, completed, paid };
+  },
+
+  /**
+   * Expire battles nobody accepted, or whose baselines never got set
+   */
+  async expireStaleBattles(now = new Date()) {
+    const acceptBefore = new Date(
+      now.getTime() - BATTLES.ACCEPT_WINDOW_DAYS * TIME.MILLISECONDS.DAY,
+    );
+    const baselineBefore = new Date(
+      now.getTime() - BATTLES.BASELINE_WINDOW_DAYS * TIME.MILLISECONDS.DAY,
+    );
+
+    const battles = await Battle.find({
+      status: "pending",
+      $or: [
+        { opponentId: null, createdAt: { $lte: acceptBefore } },
+        { opponentId: { $ne: null }, acceptedAt: { $lte: baselineBefore } },
+      ],
+    });
+
+    let expired = 0;
+    for (const battle of battles) {
+      try {
+        battle.expireBattle();
+        await battle.save();
+        expired++;
+
+        for (const userId of [battle.creatorId, battle.opponentId]) {
+          if (userId) {
+            await websocketService.sendToUser(userId, "battle.expired", {
+              type: "battle_expired",
+              battleId: battle._id,
+              title: battle.title,
+              timestamp: new Date().toISOString(),
+            });
+          }
+        }
+      } catch (error) {
+        logger.error("❌ Failed to expire battle", {
+          error: error.message,
+          battleId: battle._id,
+        });
+      }
+    }
+
+    if (expired > 0) {
+      logger.info("✅ Stale battles expired", { expired });
+    }
+
+    return expired;
+  },
+
+  /**
+   * Complete active battles whose end date has passed
+   */
+  async completeDueBattles(now = new Date()) {
+    const battles = await Battle.getDueBattles(now);
+
+    let completed = 0;
+    for (const battle of battles) {
+      try {
+        if (battle.isTracked) {
+          await battleScoringService.recomputeBattle(battle, battle.endDate);
+        }
+
+        battle.completeBattle();
+        await battle.save();
+        completed++;
+
+        await this.notifyCompleted(battle);
+      } catch (error) {
+        logger.error("❌ Failed to complete due battle", {
+          error: error.message,
+          battleId: battle._id,
+        });
       }
-    } catch (error) {
-      logger.error("❌ Failed to award progress XP", {
-        error: error.message,
-        userId,
-        battleId: battle._id,
-      });
     }
+
+    if (completed > 0) {
+      logger.info("✅ Due battles completed", { completed });
+    }
+
+    return completed;
   },
 
-  async awardWinnerXP(userId, battle) {
-    try {
-      const gamification = await Gamification.findOne({ userId });
-      if (gamification) {
-        const xpAmount = 500; // XP for winning battle
-        gamification.addXP(xpAmount, `Won battle: ${battle.title}`);
-        await gamification.save();
+  /**
+   * Pay stakes of completed battles that have not been paid yet
+   */
+  async payPendingStakes() {
+    const battles = await Battle.getUnpaidBattles();
+
+    let paid = 0;
+    for (const battle of battles) {
+      try {
+        await this.payStakes(battle);
+        paid++;
+      } catch (error) {
+        logger.error("❌ Failed to pay battle stakes", {
+          error: error.message,
+          battleId: battle._id,
+        });
       }
-    } catch (error) {
-      logger.error("❌ Failed to award winner XP", {
-        error: error.message,
-        userId,
-        battleId: battle._id,
+    }
+
+    return paid;
+  },
+
+  /**
+   * Pay the stakes of a completed battle to its winner
+   * The reward ledger makes a payout happen at most once per battle
+   */
+  async payStakes(battle) {
+    if (battle.status !== "completed" || !battle.winner) {
+      return { paid: false, reason: "no_winner" };
+    }
+    if (battle.stakesPaidAt) {
+      return { paid: false, reason: "already_paid" };
+    }
+
+    const { type, value, description } = battle.stakes;
+    const stakeXP = Number(value) || BATTLES.DEFAULT_STAKE_XP;
+    const xp = type === "xp" ? Math.min(stakeXP, BATTLES.MAX_STAKE_XP) : 0;
+
+    const reward = await rewardRulesService.recordAndAward(battle.winner, {
+      action: "battle.stakes",
+      idempotencyKey: `battle.stakes:${battle._id}`,
+      sourceId: battle._id.toString(),
+      dateISO: helpers.formatDateISO(new Date()),
+      xp,
+      coins: 0,
+      note: `Won battle: ${battle.title}`,
+    });
+
+    // Badges and titles are unlocked as achievements keyed by the battle
+    if (reward.awarded && (type === "badge" || type === "title")) {
+      await gamificationService.unlockAchievement(battle.winner, {
+        _id: battle._id,
+        name: typeof value === "string" ? value : battle.title,
+        description: description || `Won battle: ${battle.title}`,
+        icon: type === "badge" ? "🏅" : "👑",
+        category: "battle",
+        rarity: GAMIFICATION.BADGE_RARITIES.RARE,
+        xpReward: 0,
+        target: 1,
       });
     }
+
+    // Real prizes are settled between the users; the winner is only notified
+    battle.stakesPaidAt = new Date();
+    await battle.save();
+
+    await websocketService.sendToUser(battle.winner, "battle.stakes_paid", {
+      type: "battle_stakes_paid",
+      battleId: battle._id,
+      stakes: battle.stakes,
+      xp,
+      timestamp: new Date().toISOString(),
+    });
+
+    logger.info("✅ Battle stakes paid", {
+      battleId: battle._id,
+      winner: battle.winner,
+      stakesType: type,
+      xp,
+      duplicate: !reward.awarded,
+    });
+
+    return { paid: reward.awarded, xp, stakes: battle.stakes };
+  },
+
+  /**
+   * Send the final result to both participants
+   */
+  async notifyCompleted(battle) {
+    const result = {
+      type: "battle_completed",
+      battleId: battle._id,
+      title: battle.title,
+      winner: battle.winner,
+      winnerName: battle.winnerName,
+      results: battle.results,
+      timestamp: new Date().toISOString(),
+    };
+
+    await websocketService.sendToUser(
+      battle.creatorId,
+      "battle.completed",
+      result,
+    );
+    await websocketService.sendToUser(
+      battle.opponentId,
+      "battle.completed",
+      result,
+    );
   },
 };
 
@@ -0,0 +1,237 @@
+const Battle = require("../models/battle.model");
+const challengeScoringService = require("./challengeScoring.service");
+const websocketService = require("./websocket.service");
+const helpers = require("../utils/helpers.util");
+const { BATTLES, TIME } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+/**
+ * Check whether the user logged anything on a day
+ */
+const isActiveDay = (data, dateISO) =>
+  Boolean(
+    data.weightsByDay[dateISO] ||
+      data.nutritionByDay[dateISO]?.mealCount ||
+      data.workoutsByDay[dateISO]?.length,
+  );
+
+/**
+ * Measures for the count-style metrics
+ * Each receives the window days and loaded data and returns { value, dailyLogs }
+ */
+const METRIC_MEASURES = {
+  // Number of days with at least one completed workout
+  workout_frequency: (days, data) => {
+    const dailyLogs = days.map((dateISO) => ({
+      date: new Date(dateISO),
+      value: (data.workoutsByDay[dateISO] || []).length,
+    }));
+
+    return {
+      value: dailyLogs.filter((log) => log.value > 0).length,
+      dailyLogs,
+    };
+  },
+
+  // Longest run of consecutive days with any weight, meal or workout log
+  streak_days: (days, data) => {
+    let streak = 0;
+    let longest = 0;
+
+    const dailyLogs = days.map((dateISO) => {
+      streak = isActiveDay(data, dateISO) ? streak + 1 : 0;
+      longest = Math.max(longest, streak);
+      return { date: new Date(dateISO), value: streak };
+    });
+
+    return { value: longest, dailyLogs };
+  },
+
+  // Average daily nutrition score (0-100) over the elapsed days
+  nutrition_score: (days, data) => {
+    const scores = challengeScoringService.scoreDays("nutrition", days, data);
+    const total = scores.reduce((sum, day) => sum + day.score, 0);
+
+    return {
+      value: helpers.roundToDecimal(total / scores.length, 1),
+      dailyLogs: scores.map((day) => ({
+        date: new Date(day.dateISO),
+        value: day.score,
+      })),
+    };
+  },
+};
+
+/**
+ * Battle scoring engine
+ * Computes baselines, daily logs and scores of tracked metrics from real records
+ */
+const battleScoringService = {
+  /**
+   * List the dateISO days of the battle window up to today
+   */
+  getBattleDays(battle, now = new Date()) {
+    return challengeScoringService.listDays(
+      battle.startDate,
+      battle.endDate,
+      battle.durationDays,
+      now,
+    );
+  },
+
+  /**
+   * Compute one participant's progress for a tracked metric
+   * Returns null when the battle has not started its window yet
+   */
+  async computeProgress(battle, userId, now = new Date()) {
+    const days = this.getBattleDays(battle, now);
+    if (days.length === 0) {
+      return null;
+    }
+
+    const data = await challengeScoringService.loadUserData(
+      userId,
+      days[0],
+      days[days.length - 1],
+    );
+    const progress = battle.getProgress(userId);
+
+    if (battle.metric === "weight_pct") {
+      return this.computeWeightProgress(days, data, progress.baseline);
+    }
+
+    const measure = METRIC_MEASURES[battle.metric];
+    const { value, dailyLogs } = measure(days, data);
+
+    const baseline =
+      progress.baseline ??
+      (await this.computePriorBaseline(battle, userId, days[0]));
+
+    return { baseline, current: value, score: value, dailyLogs };
+  },
+
+  /**
+   * Weight progress: percentage of body weight lost since the baseline
+   */
+  computeWeightProgress(days, data, existingBaseline) {
+    const baseline = existingBaseline ?? data.baselineKg ?? null;
+    const dailyLogs = days
+      .filter((dateISO) => data.weightsByDay[dateISO])
+      .map((dateISO) => ({
+        date: new Date(dateISO),
+        value: data.weightsByDay[dateISO].weightKg,
+      }));
+
+    const current =
+      dailyLogs.length > 0 ? dailyLogs[dailyLogs.length - 1].value : baseline;
+    const score =
+      baseline && current
+        ? helpers.roundToDecimal(((baseline - current) / baseline) * 100, 2)
+        : 0;
+
+    return { baseline, current, score, dailyLogs };
+  },
+
+  /**
+   * Baseline of a count-style metric: its value over the equally long
+   * period right before the battle started
+   */
+  async computePriorBaseline(battle, userId, startISO) {
+    const start = new Date(startISO);
+    const priorStart = new Date(
+      start.getTime() - battle.durationDays * TIME.MILLISECONDS.DAY,
+    );
+    const priorEnd = new Date(start.getTime() - TIME.MILLISECONDS.DAY);
+
+    const days = challengeScoringService.listDays(
+      priorStart,
+      priorEnd,
+      battle.durationDays,
+    );
+    if (days.length === 0) {
+      return 0;
+    }
+
+    const data = await challengeScoringService.loadUserData(
+      userId,
+      days[0],
+      days[days.length - 1],
+    );
+
+    return METRIC_MEASURES[battle.metric](days, data).value;
+  },
+
+  /**
+   * Recompute both participants of a battle and notify them
+   * Saving an accepted battle with both baselines starts it
+   */
+  async recomputeBattle(battle, now = new Date()) {
+    try {
+      if (!battle.isTracked || !battle.opponentId) {
+        return battle;
+      }
+
+      for (const userId of [battle.creatorId, battle.opponentId]) {
+        const computed = await this.computeProgress(battle, userId, now);
+        if (computed) {
+          battle.setComputedProgress(userId, computed);
+        }
+      }
+
+      await battle.save();
+
+      const update = {
+        type: "battle_progress",
+        battleId: battle._id,
+        status: battle.status,
+        creatorProgress: battle.creatorProgress,
+        opponentProgress: battle.opponentProgress,
+        timestamp: new Date().toISOString(),
+      };
+      await websocketService.sendToUser(
+        battle.creatorId,
+        "battle.updated",
+        update,
+      );
+      await websocketService.sendToUser(
+        battle.opponentId,
+        "battle.updated",
+        update,
+      );
+
+      logger.info("✅ Battle progress recomputed", {
+        battleId: battle._id,
+        metric: battle.metric,
+        status: battle.status,
+      });
+
+      return battle;
+    } catch (error) {
+      logger.error("❌ Failed to recompute battle progress", {
+        error: error.message,
+        battleId: battle._id,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Recompute every accepted or running tracked battle of a user
+   */
+  async recomputeForUser(userId) {
+    const battles = await Battle.find({
+      $or: [{ creatorId: userId }, { opponentId: userId }],
+      opponentId: { $ne: null },
+      status: { $in: ["pending", "active"] },
+      metric: { $in: BATTLES.TRACKED_METRICS },
+    });
+
+    for (const battle of battles) {
+      await this.recomputeBattle(battle);
+    }
+
+    return battles.length;
+  },
+};
+
+module.exports = battleScoringService;
@@ -1,7 +1,8 @@
 const Challenge = require("../models/challenge.model");
 const User = require("../models/user.model");
 const Profile = require("../models/profile.model");
-const Gamification = require("../models/gamification.model");
+const challengeScoringService = require("./challengeScoring.service");
+const rewardRulesService = require("./rewardRules.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -245,50 +246,37 @@ const challengeService = {
 
   /**
    * Update challenge progress
+   * Scores are recomputed from the user's logged data, never taken from the client
    */
-  async updateProgress(
-    challengeId,
-    userId,
-    dayNumber,
-    score,
-    completed = true
-  ) {
+  async updateProgress(challengeId, userId) {
     try {
-      const challenge = await Challenge.findById(challengeId);
+      const challenge = await Challenge.findById(challengeId).select(
+        "participants.userId"
+      );
       if (!challenge) {
         throw new Error("Challenge not found");
       }
 
-      // Update participant progress
-      const participant = challenge.updateParticipantProgress(
-        userId,
-        dayNumber,
-        score,
-        completed
-      );
-      await challenge.save();
-
-      // Award XP for progress
-      if (completed) {
-        await this.awardProgressXP(userId, challenge, dayNumber, score);
+      if (!challenge.participants.some((p) => p.userId.equals(userId))) {
+        throw new Error("User is not a participant");
       }
 
+      const updated = await challengeScoringService.recomputeChallenge(
+        challengeId,
+        userId
+      );
+
       logger.info("✅ Challenge progress updated", {
         challengeId,
         userId,
-        dayNumber,
-        score,
-        completed,
       });
 
-      return challenge;
+      return updated;
     } catch (error) {
       logger.error("❌ Failed to update challenge progress", {
         error: error.message,
         challengeId,
         userId,
-        dayNumber,
-        score,
       });
       throw error;
     }
@@ -384,59 +372,20 @@ const challengeService = {
 
   /**
    * Award XP for joining challenge
+   * Keyed by challenge and user, so leaving and rejoining awards nothing
    */
   async awardJoinXP(userId, challenge) {
     try {
-      const gamification = await Gamification.findOne({ userId });
-      if (gamification) {
-        const xpAmount = 50; // Base XP for joining
-        gamification.addXP(xpAmount, `Joined challenge: ${challenge.title}`);
-        await gamification.save();
-      }
-    } catch (error) {
-      logger.error("❌ Failed to award join XP", {
-        error: error.message,
+      await rewardRulesService.applyAction(
         userId,
-        challengeId: challenge._id,
-      });
-    }
-  },
-
-  /**
-   * Award XP for challenge progress
-   */
-  async awardProgressXP(userId, challenge, dayNumber, score) {
-    try {
-      const gamification = await Gamification.findOne({ userId });
-      if (gamification) {
-        // Base XP for completing a day
-        let xpAmount = 25;
-
-        // Bonus XP for high scores
-        if (score > 80) xpAmount += 15;
-        if (score > 90) xpAmount += 10;
-
-        // Streak bonus
-        const participant = challenge.participants.find((p) =>
-          p.userId.equals(userId)
-        );
-        if (participant && participant.progress.streakDays >= 7) {
-          xpAmount += 20; // Weekly streak bonus
-        }
-
-        gamification.addXP(
-          xpAmount,
-          `Challenge progress: ${challenge.title} - Day ${dayNumber}`
-        );
-        await gamification.save();
-      }
+        "challenge.joined",
+        `${challenge._id}:${userId}`,
+      );
     } catch (error) {
-      logger.error("❌ Failed to award progress XP", {
+      logger.error("❌ Failed to award join XP", {
         error: error.message,
         userId,
         challengeId: challenge._id,
-        dayNumber,
-        score,
       });
     }
   },
@@ -490,30 +439,16 @@ const challengeService = {
 
   /**
    * Award XP for challenge completion
+   * Shares its idempotency key with score-based completion, so a participant
+   * is rewarded once whichever path completes the challenge
    */
   async awardCompletionXP(userId, challenge) {
     try {
-      const gamification = await Gamification.findOne({ userId });
-      if (gamification) {
-        // Base completion XP
-        let xpAmount = 500;
-
-        // Bonus XP based on performance
-        const participant = challenge.participants.find((p) =>
-          p.userId.equals(userId)
-        );
-        if (participant) {
-          const completionRate =
-            (participant.progress.completedDays / challenge.durationDays) * 100;
-          if (completionRate >= 90) xpAmount += 200; // High completion bonus
-          if (participant.progress.streakDays >= challenge.durationDays * 0.8) {
-            xpAmount += 300; // Consistency bonus
-          }
-        }
-
-        gamification.addXP(xpAmount, `Challenge completed: ${challenge.title}`);
-        await gamification.save();
-      }
+      await rewardRulesService.applyAction(
+        userId,
+        "challenge.completed",
+        `${challenge._id}:${userId}`,
+      );
     } catch (error) {
       logger.error("❌ Failed to award completion XP", {
         error: error.message,
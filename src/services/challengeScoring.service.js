@@ -0,0 +1,322 @@
+const mongoose = require("mongoose");
+const Challenge = require("../models/challenge.model");
+const Weight = require("../models/weight.model");
+const Meal = require("../models/meal.model");
+const Workout = require("../models/workout.model");
+const Profile = require("../models/profile.model");
+const websocketService = require("./websocket.service");
+const rewardRulesService = require("./rewardRules.service");
+const helpers = require("../utils/helpers.util");
+const { TIME } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+// Workout types that count towards each workout-based category
+const ENDURANCE_TYPES = ["cardio", "sports", "A", "B", "C"];
+const STRENGTH_TYPES = ["strength", "A", "B", "C"];
+
+// Minutes of matching workouts that earn a full daily score
+const FULL_SCORE_MINUTES = 30;
+
+// Weight loss (% of baseline) that earns the full progress part of the score
+const FULL_SCORE_LOSS_PERCENT = 2;
+
+const clampScore = (score) => Math.max(0, Math.min(100, Math.round(score)));
+
+/**
+ * Score workout minutes of the given types for a day
+ */
+const scoreWorkoutDay = (workouts, types) => {
+  const minutes = workouts
+    .filter((workout) => types.includes(workout.type))
+    .reduce((sum, workout) => sum + (workout.duration?.minutes || 0), 0);
+
+  return {
+    score: clampScore((minutes / FULL_SCORE_MINUTES) * 100),
+    completed: minutes > 0,
+  };
+};
+
+/**
+ * Daily scorers per challenge category
+ * Each receives the day's data and returns { score: 0-100, completed }
+ */
+const CATEGORY_SCORERS = {
+  // 50 points for weighing in, up to 50 more for loss versus the baseline
+  weight_loss: ({ weight, baselineKg }) => {
+    if (!weight) {
+      return { score: 0, completed: false };
+    }
+    if (!baselineKg) {
+      return { score: 50, completed: true };
+    }
+
+    const lossPercent = ((baselineKg - weight.weightKg) / baselineKg) * 100;
+    return {
+      score: clampScore(
+        50 + Math.max(0, lossPercent / FULL_SCORE_LOSS_PERCENT) * 50,
+      ),
+      completed: true,
+    };
+  },
+
+  // 70 points for calories close to target, 30 points for reaching protein
+  nutrition: ({ nutrition, profile }) => {
+    if (!nutrition || nutrition.mealCount === 0) {
+      return { score: 0, completed: false };
+    }
+
+    const kcalTarget = profile?.kcalTarget || 2000;
+    const proteinTarget = profile?.proteinTarget || 120;
+    const kcalDeviation = Math.abs(nutrition.kcal - kcalTarget) / kcalTarget;
+
+    return {
+      score: clampScore(
+        Math.max(0, 1 - kcalDeviation) * 70 +
+          Math.min(1, nutrition.protein / proteinTarget) * 30,
+      ),
+      completed: true,
+    };
+  },
+
+  endurance: ({ workouts }) => scoreWorkoutDay(workouts, ENDURANCE_TYPES),
+
+  strength: ({ workouts }) => scoreWorkoutDay(workouts, STRENGTH_TYPES),
+
+  // Muscle gain rewards both strength work and hitting protein
+  muscle_gain: (day) => {
+    const training = scoreWorkoutDay(day.workouts, STRENGTH_TYPES);
+    const protein = day.nutrition
+      ? Math.min(1, day.nutrition.protein / (day.profile?.proteinTarget || 120))
+      : 0;
+
+    return {
+      score: clampScore(training.score * 0.6 + protein * 40),
+      completed: training.completed || protein > 0,
+    };
+  },
+
+  // Any tracked activity counts; score is the best of the other scorers
+  general: (day) => {
+    const results = [
+      CATEGORY_SCORERS.weight_loss(day),
+      CATEGORY_SCORERS.nutrition(day),
+      scoreWorkoutDay(day.workouts, [...ENDURANCE_TYPES, "strength"]),
+    ];
+
+    return {
+      score: Math.max(...results.map((result) => result.score)),
+      completed: results.some((result) => result.completed),
+    };
+  },
+};
+
+/**
+ * Challenge scoring engine
+ * Computes participant scores from logged Weight, Meal and Workout documents
+ */
+const challengeScoringService = {
+  /**
+   * List the dateISO days of a participant's window up to today
+   */
+  getScoringDays(challenge, participant, now = new Date()) {
+    return this.listDays(
+      participant.startDate || challenge.startDate,
+      participant.endDate || challenge.endDate,
+      challenge.durationDays,
+      now,
+    );
+  },
+
+  /**
+   * List dateISO days from start to min(end, now), capped at maxDays
+   */
+  listDays(start, end, maxDays, now = new Date()) {
+    if (!start) {
+      return [];
+    }
+
+    const last = end && end < now ? end : now;
+    const days = [];
+    const cursor = new Date(start);
+
+    while (cursor <= last && days.length < maxDays) {
+      days.push(helpers.formatDateISO(cursor));
+      cursor.setTime(cursor.getTime() + TIME.MILLISECONDS.DAY);
+    }
+
+    return days;
+  },
+
+  /**
+   * Load the user's tracked data for a date range, grouped by day
+   */
+  async loadUserData(userId, startISO, endISO) {
+    const range = { $gte: startISO, $lte: endISO };
+
+    const [weights, baseline, nutrition, workouts, profile] =
+      await Promise.all([
+        Weight.find({ userId, dateISO: range }).lean(),
+        Weight.findOne({ userId, dateISO: { $lte: startISO } })
+          .sort({ dateISO: -1 })
+          .lean(),
+        Meal.aggregate([
+          {
+            $match: {
+              userId: new mongoose.Types.ObjectId(userId),
+              dateISO: range,
+              status: { $ne: "draft" },
+            },
+          },
+          {
+            $group: {
+              _id: "$dateISO",
+              kcal: { $sum: "$kcal" },
+              protein: { $sum: "$protein" },
+              mealCount: { $sum: 1 },
+            },
+          },
+        ]),
+        Workout.find({ userId, dateISO: range, isCompleted: true }).lean(),
+        Profile.findOne({ userId }).lean(),
+      ]);
+
+    const workoutsByDay = {};
+    for (const workout of workouts) {
+      (workoutsByDay[workout.dateISO] ||= []).push(workout);
+    }
+
+    return {
+      weightsByDay: Object.fromEntries(weights.map((w) => [w.dateISO, w])),
+      nutritionByDay: Object.fromEntries(nutrition.map((n) => [n._id, n])),
+      workoutsByDay,
+      // Without a prior weigh-in, the first weigh-in of the window is the baseline
+      baselineKg:
+        baseline?.weightKg ||
+        weights.sort((a, b) => a.dateISO.localeCompare(b.dateISO))[0]
+          ?.weightKg,
+      profile,
+    };
+  },
+
+  /**
+   * Compute the daily scores of one participant
+   */
+  async scoreParticipant(challenge, participant) {
+    const days = this.getScoringDays(challenge, participant);
+    if (days.length === 0) {
+      return [];
+    }
+
+    const data = await this.loadUserData(
+      participant.userId,
+      days[0],
+      days[days.length - 1],
+    );
+
+    return this.scoreDays(challenge.category, days, data);
+  },
+
+  /**
+   * Score each day with the category scorer, using data from loadUserData
+   */
+  scoreDays(category, days, data) {
+    const scorer = CATEGORY_SCORERS[category] || CATEGORY_SCORERS.general;
+
+    return days.map((dateISO, index) => {
+      const { score, completed } = scorer({
+        weight: data.weightsByDay[dateISO],
+        nutrition: data.nutritionByDay[dateISO],
+        workouts: data.workoutsByDay[dateISO] || [],
+        baselineKg: data.baselineKg,
+        profile: data.profile,
+      });
+
+      return { dayNumber: index + 1, dateISO, score, completed };
+    });
+  },
+
+  /**
+   * Rescore participants of a challenge and broadcast the new leaderboard
+   * Pass userId to rescore a single participant. Scores are written with
+   * targeted updates, never by saving the whole challenge
+   */
+  async recomputeChallenge(challengeId, userId = null) {
+    try {
+      const challenge = await Challenge.findById(challengeId)
+        .select("category durationDays startDate endDate participants")
+        .lean();
+      if (!challenge) {
+        throw new Error("Challenge not found");
+      }
+
+      const participants = challenge.participants.filter(
+        (p) =>
+          (p.status === "active" || p.status === "completed") &&
+          (!userId || p.userId.equals(userId)),
+      );
+
+      const newlyCompleted = [];
+      for (const participant of participants) {
+        const dailyScores = await this.scoreParticipant(challenge, participant);
+        const completed = await Challenge.applyParticipantScores(
+          challenge,
+          participant.userId,
+          dailyScores,
+        );
+
+        if (completed) {
+          newlyCompleted.push(participant.userId);
+        }
+      }
+
+      await Challenge.refreshMetrics(challengeId);
+
+      for (const participantId of newlyCompleted) {
+        await rewardRulesService.applyAction(
+          participantId,
+          "challenge.completed",
+          `${challenge._id}:${participantId}`,
+        );
+      }
+
+      const updated = await Challenge.findById(challengeId);
+      await websocketService.sendLeaderboardUpdate(challenge._id, {
+        participants: updated.getLeaderboard(),
+      });
+
+      logger.info("✅ Challenge scores recomputed", {
+        challengeId,
+        userId,
+        participants: participants.length,
+        newlyCompleted: newlyCompleted.length,
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error("❌ Failed to recompute challenge scores", {
+        error: error.message,
+        challengeId,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Rescore a user in every running challenge they take part in
+   */
+  async recomputeForUser(userId) {
+    const challenges = await Challenge.find({
+      status: "active",
+      participants: { $elemMatch: { userId, status: "active" } },
+    }).select("_id");
+
+    for (const challenge of challenges) {
+      await this.recomputeChallenge(challenge._id, userId);
+    }
+
+    return challenges.length;
+  },
+};
+
+module.exports = challengeScoringService;
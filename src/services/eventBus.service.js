@@ -0,0 +1,138 @@
+const logger = require("../utils/logger.util");
+
+/**
+ * In-process domain event bus
+ * Services publish typed events (weight.logged, meal.logged, workout.completed...)
+ * and subscribers react to them without blocking the original request
+ */
+const eventBus = {
+  // Map of event type -> array of subscribers
+  subscribers: new Map(),
+
+  // Default retry policy for failing subscribers
+  retryConfig: {
+    maxRetries: 3,
+    initialDelayMs: 500,
+    backoffMultiplier: 2,
+  },
+
+  /**
+   * Subscribe a named handler to an event type
+   */
+  subscribe(type, name, handler, options = {}) {
+    if (typeof handler !== "function") {
+      throw new Error("Event handler must be a function");
+    }
+
+    const handlers = this.subscribers.get(type) || [];
+
+    if (handlers.some((subscriber) => subscriber.name === name)) {
+      throw new Error(`Subscriber '${name}' already registered for '${type}'`);
+    }
+
+    handlers.push({
+      name,
+      handler,
+      retry: { ...this.retryConfig, ...options.retry },
+    });
+    this.subscribers.set(type, handlers);
+
+    logger.debug("📬 Event subscriber registered", { type, name });
+
+    return () => this.unsubscribe(type, name);
+  },
+
+  /**
+   * Remove a named handler from an event type
+   */
+  unsubscribe(type, name) {
+    const handlers = this.subscribers.get(type) || [];
+    this.subscribers.set(
+      type,
+      handlers.filter((subscriber) => subscriber.name !== name),
+    );
+  },
+
+  /**
+   * Publish an event to every subscriber of its type
+   * Handlers run after the current tick so publishers never wait on them
+   */
+  publish(type, userId, payload = {}) {
+    const event = {
+      type,
+      userId,
+      payload,
+      occurredAt: new Date(),
+    };
+
+    const handlers = this.subscribers.get(type) || [];
+    if (handlers.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    logger.debug("📣 Event published", {
+      type,
+      userId,
+      subscribers: handlers.length,
+    });
+
+    return new Promise((resolve) => {
+      setImmediate(() => {
+        Promise.all(
+          handlers.map((subscriber) => this.dispatch(subscriber, event)),
+        ).then(resolve);
+      });
+    });
+  },
+
+  /**
+   * Run a single subscriber, retrying with exponential backoff on failure
+   */
+  async dispatch(subscriber, event) {
+    const { name, handler, retry } = subscriber;
+    let delay = retry.initialDelayMs;
+
+    for (let attempt = 1; attempt <= retry.maxRetries + 1; attempt++) {
+      try {
+        const result = await handler(event);
+        return { subscriber: name, success: true, attempts: attempt, result };
+      } catch (error) {
+        if (attempt > retry.maxRetries) {
+          logger.error("❌ Event subscriber failed permanently", {
+            type: event.type,
+            subscriber: name,
+            userId: event.userId,
+            attempts: attempt,
+            error: error.message,
+          });
+          return {
+            subscriber: name,
+            success: false,
+            attempts: attempt,
+            error: error.message,
+          };
+        }
+
+        logger.warn("⚠️ Event subscriber failed, retrying", {
+          type: event.type,
+          subscriber: name,
+          attempt,
+          nextRetryInMs: delay,
+          error: error.message,
+        });
+
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        delay *= retry.backoffMultiplier;
+      }
+    }
+  },
+
+  /**
+   * Remove every subscriber (used on shutdown and in tests)
+   */
+  clear() {
+    this.subscribers.clear();
+  },
+};
+
+module.exports = eventBus;
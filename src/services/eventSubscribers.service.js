@@ -0,0 +1,221 @@
+const eventBus = require("./eventBus.service");
+const gamificationService = require("./gamification.service");
+const websocketService = require("./websocket.service");
+const notificationService = require("./notification.service");
+const rewardRulesService = require("./rewardRules.service");
+const challengeScoringService = require("./challengeScoring.service");
+const battleScoringService = require("./battleScoring.service");
+const userService = require("./user.service");
+const Event = require("../models/event.model");
+const helpers = require("../utils/helpers.util");
+const { GAMIFICATION } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+/**
+ * Per-event settings for the fitness tracking events
+ */
+const FITNESS_EVENTS = {
+  "weight.logged": {
+    streakType: "weight",
+    title: "Weight logged",
+    relatedKey: "weightId",
+    payloadKey: "weight",
+    pushUpdate: (userId, doc) => websocketService.sendWeightUpdate(userId, doc),
+  },
+  "meal.logged": {
+    streakType: "nutrition",
+    title: "Meal logged",
+    relatedKey: "mealId",
+    payloadKey: "meal",
+    pushUpdate: (userId, doc) => websocketService.sendMealUpdate(userId, doc),
+  },
+  "workout.completed": {
+    streakType: "workout",
+    title: "Workout completed",
+    relatedKey: "workoutId",
+    payloadKey: "workout",
+    pushUpdate: (userId, doc) =>
+      websocketService.sendWorkoutUpdate(userId, doc),
+  },
+};
+
+// Edits and deletions of logged entries and plan completion only change the
+// cached statistics
+const ENTRY_CHANGE_EVENTS = [
+  "weight.updated",
+  "weight.deleted",
+  "meal.updated",
+  "meal.deleted",
+  "workout.updated",
+  "workout.deleted",
+  "plan.completed",
+];
+
+/**
+ * Domain event subscribers
+ * Fans fitness events out to gamification, websockets, notifications, Event
+ * persistence and the user statistics cache
+ */
+const eventSubscribers = {
+  /**
+   * Register all subscribers on the event bus
+   */
+  register() {
+    for (const type of Object.keys(FITNESS_EVENTS)) {
+      eventBus.subscribe(type, "persistence", (event) =>
+        this.persistEvent(event),
+      );
+      eventBus.subscribe(type, "xp", (event) => this.awardXP(event));
+      eventBus.subscribe(type, "streak", (event) => this.updateStreak(event));
+      eventBus.subscribe(type, "websocket", (event) =>
+        this.pushLiveUpdate(event),
+      );
+      eventBus.subscribe(type, "challenges", (event) =>
+        challengeScoringService.recomputeForUser(event.userId),
+      );
+      eventBus.subscribe(type, "battles", (event) =>
+        battleScoringService.recomputeForUser(event.userId),
+      );
+      eventBus.subscribe(type, "stats", (event) =>
+        userService.invalidateStats(event.userId),
+      );
+    }
+
+    for (const type of ENTRY_CHANGE_EVENTS) {
+      eventBus.subscribe(type, "stats", (event) =>
+        userService.invalidateStats(event.userId),
+      );
+    }
+
+    // Daily habit goals only feed the streak and the activity log
+    eventBus.subscribe("habit.goal_met", "persistence", (event) =>
+      Event.createEvent(
+        event.userId,
+        event.type,
+        "Habit goal met",
+        "",
+        { habit: event.payload.habit, dateISO: event.payload.dateISO },
+        {},
+      ),
+    );
+    eventBus.subscribe("habit.goal_met", "streak", (event) =>
+      this.updateStreak(event),
+    );
+
+    eventBus.subscribe("workout.completed", "notification", (event) =>
+      notificationService.sendPushNotification(
+        event.userId,
+        "workout_completed",
+      ),
+    );
+
+    logger.info("✅ Domain event subscribers registered", {
+      events: Object.keys(FITNESS_EVENTS),
+    });
+  },
+
+  /**
+   * Store the event in the Event collection
+   */
+  persistEvent(event) {
+    const { title, relatedKey, payloadKey } = FITNESS_EVENTS[event.type];
+    const doc = event.payload[payloadKey];
+
+    return Event.createEvent(
+      event.userId,
+      event.type,
+      title,
+      "",
+      { occurredAt: event.occurredAt },
+      doc ? { [relatedKey]: doc._id } : {},
+    );
+  },
+
+  /**
+   * Award XP for the logged activity through the reward rules engine
+   */
+  awardXP(event) {
+    const { payloadKey } = FITNESS_EVENTS[event.type];
+
+    return this.applyReward(
+      event.userId,
+      event.type,
+      event.payload[payloadKey]._id,
+    );
+  },
+
+  /**
+   * Apply a reward rule and announce XP changes and level ups
+   */
+  async applyReward(userId, action, sourceId) {
+    const result = await rewardRulesService.applyAction(
+      userId,
+      action,
+      sourceId,
+    );
+    if (!result.awarded) {
+      return result;
+    }
+
+    await websocketService.sendXPUpdate(userId, result);
+
+    if (result.leveledUp) {
+      // XP is already saved, so a push failure must not trigger a retry
+      await notificationService
+        .sendLevelUpNotification(userId, result.newLevel)
+        .catch((error) =>
+          logger.warn("⚠️ Level up notification skipped", {
+            userId,
+            error: error.message,
+          }),
+        );
+    }
+
+    return result;
+  },
+
+  /**
+   * Extend the user's streak and notify on milestones
+   */
+  async updateStreak(event) {
+    const streakType =
+      FITNESS_EVENTS[event.type]?.streakType || event.payload.streakType;
+
+    const streak = await gamificationService.updateStreak(
+      event.userId,
+      streakType,
+    );
+
+    if (
+      streak.increased &&
+      GAMIFICATION.STREAK_MILESTONES.includes(streak.currentStreak)
+    ) {
+      await this.applyReward(
+        event.userId,
+        "streak.milestone",
+        `${event.userId}:${helpers.formatDateISO(event.occurredAt)}`,
+      );
+
+      await notificationService
+        .sendStreakMilestone(event.userId, streak.currentStreak)
+        .catch((error) =>
+          logger.warn("⚠️ Streak milestone notification skipped", {
+            userId: event.userId,
+            error: error.message,
+          }),
+        );
+    }
+
+    return streak;
+  },
+
+  /**
+   * Push the new record to the user's socket room
+   */
+  pushLiveUpdate(event) {
+    const { payloadKey, pushUpdate } = FITNESS_EVENTS[event.type];
+    return pushUpdate(event.userId, event.payload[payloadKey]);
+  },
+};
+
+module.exports = eventSubscribers;
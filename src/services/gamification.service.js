@@ -1,5 +1,6 @@
 const Gamification = require("../models/gamification.model");
 const User = require("../models/user.model");
+const notificationService = require("./notification.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -68,6 +69,7 @@ const gamificationService = {
       }
 
       // Add XP
+      const previousLevel = gamification.currentLevel;
       gamification.addXP(amount, source, description, category);
       await gamification.save();
 
@@ -83,10 +85,7 @@ const gamificationService = {
         newXP: gamification.currentXP,
         newLevel: gamification.currentLevel,
         levelProgress: gamification.levelProgress,
-        leveledUp:
-          gamification.levelHistory.length > 0 &&
-          gamification.levelHistory[gamification.levelHistory.length - 1]
-            .level === gamification.currentLevel,
+        leveledUp: gamification.currentLevel > previousLevel,
       };
     } catch (error) {
       logger.error("❌ Failed to award XP", {
@@ -109,28 +108,26 @@ const gamificationService = {
         gamification = await this.initializeGamification(userId);
       }
 
+      const previousStreak = gamification.currentStreak;
+      const previousActivity = gamification.lastActivityDate;
       const newStreak = gamification.updateStreak(activityType);
+      const increased =
+        !previousActivity ||
+        gamification.lastActivityDate.getTime() !== previousActivity.getTime();
       await gamification.save();
 
-      // Award streak XP
-      if (newStreak > 0) {
-        const streakXP = Math.floor(newStreak * 10); // 10 XP per day in streak
-        await this.awardXP(
-          userId,
-          streakXP,
-          "streak",
-          `Streak: ${newStreak} days`
-        );
-      }
+      // Streak XP is awarded by the reward rules engine on milestones
 
       logger.info("✅ Streak updated successfully", {
         userId,
+        previousStreak,
         newStreak,
         longestStreak: gamification.longestStreak,
         activityType,
       });
 
       return {
+        increased,
         currentStreak: gamification.currentStreak,
         longestStreak: gamification.longestStreak,
         streakType: gamification.streakType,
@@ -165,6 +162,15 @@ const gamificationService = {
           rarity: achievement.rarity,
         });
 
+        await notificationService
+          .sendBadgeEarnedNotification(userId, achievement.name)
+          .catch((error) =>
+            logger.warn("⚠️ Badge notification skipped", {
+              error: error.message,
+              userId,
+            }),
+          );
+
         return {
           unlocked: true,
           achievement: achievement.name,
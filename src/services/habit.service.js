@@ -0,0 +1,362 @@
+const moment = require("moment");
+const HabitLog = require("../models/habitLog.model");
+const HabitGoal = require("../models/habitGoal.model");
+const eventBus = require("./eventBus.service");
+const helpers = require("../utils/helpers.util");
+const { FITNESS } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+// Goal field of each habit
+const GOAL_FIELDS = { water: "waterMl", sleep: "sleepHours", steps: "steps" };
+
+/**
+ * Habit service for daily water, sleep and step logs
+ * Handles logging, goals, daily and weekly summaries and goal streaks
+ */
+const habitService = {
+  /**
+   * Normalise a date or default to today
+   */
+  resolveDate(dateISO, fallback = new Date()) {
+    return dateISO
+      ? String(dateISO).split("T")[0]
+      : helpers.formatDateISO(fallback);
+  },
+
+  /**
+   * Update the log of a day, creating it when missing
+   */
+  updateLog(userId, dateISO, update) {
+    return HabitLog.findOneAndUpdate({ userId, dateISO }, update, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true,
+    });
+  },
+
+  /**
+   * Add a drink to the day it was logged
+   */
+  async addWater(userId, data) {
+    try {
+      const loggedAt = data.loggedAt ? new Date(data.loggedAt) : new Date();
+      const dateISO = this.resolveDate(data.dateISO, loggedAt);
+
+      const log = await this.updateLog(userId, dateISO, {
+        $push: { waterEntries: { amountMl: data.amountMl, loggedAt } },
+      });
+      await this.checkGoals(userId, log);
+
+      logger.info("✅ Water logged", {
+        userId,
+        dateISO,
+        amountMl: data.amountMl,
+      });
+      return log;
+    } catch (error) {
+      logger.error("❌ Log water failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Remove one drink
+   */
+  async removeWater(userId, entryId) {
+    try {
+      const log = await HabitLog.findOneAndUpdate(
+        { userId, "waterEntries._id": entryId },
+        { $pull: { waterEntries: { _id: entryId } } },
+        { new: true },
+      );
+      if (!log) {
+        throw new Error("Water entry not found");
+      }
+
+      logger.info("✅ Water entry removed", { userId, entryId });
+      return log;
+    } catch (error) {
+      logger.error("❌ Remove water entry failed", {
+        error: error.message,
+        userId,
+        entryId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Log a night of sleep on the day it ended, replacing any earlier entry
+   */
+  async logSleep(userId, data) {
+    try {
+      const startAt = new Date(data.startAt);
+      const endAt = new Date(data.endAt);
+      const durationHours = helpers.roundToDecimal(
+        (endAt - startAt) / (1000 * 60 * 60),
+        2,
+      );
+      if (!(durationHours > 0 && durationHours <= 24)) {
+        throw new Error("Invalid sleep duration");
+      }
+
+      const dateISO = this.resolveDate(data.dateISO, endAt);
+      const log = await this.updateLog(userId, dateISO, {
+        $set: {
+          sleep: { startAt, endAt, durationHours, quality: data.quality },
+        },
+      });
+      await this.checkGoals(userId, log);
+
+      logger.info("✅ Sleep logged", { userId, dateISO, durationHours });
+      return log;
+    } catch (error) {
+      logger.error("❌ Log sleep failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Remove the sleep entry of a day
+   */
+  async deleteSleep(userId, dateISO) {
+    try {
+      const log = await HabitLog.findOneAndUpdate(
+        { userId, dateISO, "sleep.startAt": { $exists: true } },
+        { $unset: { sleep: 1 } },
+        { new: true },
+      );
+      if (!log) {
+        throw new Error("Sleep entry not found");
+      }
+
+      logger.info("✅ Sleep entry removed", { userId, dateISO });
+      return log;
+    } catch (error) {
+      logger.error("❌ Remove sleep entry failed", {
+        error: error.message,
+        userId,
+        dateISO,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Set the step count of a day
+   */
+  async logSteps(userId, data) {
+    try {
+      const dateISO = this.resolveDate(data.dateISO);
+
+      const log = await this.updateLog(userId, dateISO, {
+        $set: { steps: data.count },
+      });
+      await this.checkGoals(userId, log);
+
+      logger.info("✅ Steps logged", { userId, dateISO, steps: data.count });
+      return log;
+    } catch (error) {
+      logger.error("❌ Log steps failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Get habit goals
+   */
+  getGoals(userId) {
+    return HabitGoal.getForUser(userId);
+  },
+
+  /**
+   * Update habit goals
+   */
+  async updateGoals(userId, updates) {
+    try {
+      const fields = Object.fromEntries(
+        Object.entries(updates).filter(([field]) =>
+          Object.values(GOAL_FIELDS).includes(field),
+        ),
+      );
+
+      await HabitGoal.findOneAndUpdate(
+        { userId },
+        { $set: fields },
+        { new: true, upsert: true, runValidators: true },
+      );
+
+      logger.info("✅ Habit goals updated", { userId, fields });
+      return HabitGoal.getForUser(userId);
+    } catch (error) {
+      logger.error("❌ Update habit goals failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Record goals newly reached in a log and extend the streak
+   * Each goal counts once per day; only today's log moves the streak
+   */
+  async checkGoals(userId, log) {
+    const goals = await HabitGoal.getForUser(userId);
+    const progress = this.getProgress(log, goals);
+    const isToday = log.dateISO === helpers.formatDateISO(new Date());
+
+    const reached = [];
+    for (const habit of Object.keys(GOAL_FIELDS)) {
+      if (!progress[habit].met || log.goalsMet?.[habit]) {
+        continue;
+      }
+
+      // Claim the goal atomically so concurrent logs announce it once
+      const { modifiedCount } = await HabitLog.updateOne(
+        { _id: log._id, [`goalsMet.${habit}`]: null },
+        { $set: { [`goalsMet.${habit}`]: new Date() } },
+      );
+      if (modifiedCount !== 1) {
+        continue;
+      }
+
+      reached.push(habit);
+      if (isToday) {
+        eventBus.publish("habit.goal_met", userId, {
+          habit,
+          streakType: FITNESS.HABIT_STREAK_TYPES[habit],
+          dateISO: log.dateISO,
+          log,
+        });
+      }
+    }
+
+    return reached;
+  },
+
+  /**
+   * Value, goal and completion of each habit in a log (or an empty day)
+   */
+  getProgress(log, goals) {
+    const waterMl = log?.waterMl || 0;
+    const sleepHours = log?.sleep?.durationHours || 0;
+    const steps = log?.steps || 0;
+
+    return {
+      water: {
+        value: waterMl,
+        goal: goals.waterMl,
+        percent: helpers.calculatePercentage(waterMl, goals.waterMl),
+        met: waterMl >= goals.waterMl,
+      },
+      sleep: {
+        value: sleepHours,
+        goal: goals.sleepHours,
+        percent: helpers.calculatePercentage(sleepHours, goals.sleepHours),
+        met: sleepHours >= goals.sleepHours,
+      },
+      steps: {
+        value: steps,
+        goal: goals.steps,
+        percent: helpers.calculatePercentage(steps, goals.steps),
+        met: steps >= goals.steps,
+      },
+    };
+  },
+
+  /**
+   * Summary of one day: entries plus progress towards each goal
+   */
+  async getDailySummary(userId, dateISO) {
+    try {
+      const date = this.resolveDate(dateISO);
+      const [log, goals] = await Promise.all([
+        HabitLog.findOne({ userId, dateISO: date }),
+        HabitGoal.getForUser(userId),
+      ]);
+
+      return {
+        dateISO: date,
+        goals,
+        progress: this.getProgress(log, goals),
+        waterEntries: log?.waterEntries || [],
+        sleep: log?.sleep?.startAt ? log.sleep : null,
+      };
+    } catch (error) {
+      logger.error("❌ Get daily habit summary failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Summary of the week ending on a date: per-day progress, averages and
+   * the number of days each goal was met
+   */
+  async getWeeklySummary(userId, dateISO) {
+    try {
+      const to = this.resolveDate(dateISO);
+      const from = moment(to)
+        .subtract(FITNESS.HABIT_SUMMARY_DAYS - 1, "days")
+        .format("YYYY-MM-DD");
+
+      const [logs, goals] = await Promise.all([
+        HabitLog.findRange(userId, from, to),
+        HabitGoal.getForUser(userId),
+      ]);
+      const logsByDate = new Map(logs.map((log) => [log.dateISO, log]));
+
+      const days = [];
+      for (let i = 0; i < FITNESS.HABIT_SUMMARY_DAYS; i++) {
+        const day = moment(from).add(i, "days").format("YYYY-MM-DD");
+        days.push({
+          dateISO: day,
+          progress: this.getProgress(logsByDate.get(day), goals),
+        });
+      }
+
+      const habits = {};
+      for (const habit of Object.keys(GOAL_FIELDS)) {
+        const logged = days.filter((day) => day.progress[habit].value > 0);
+        const total = logged.reduce(
+          (sum, day) => sum + day.progress[habit].value,
+          0,
+        );
+
+        habits[habit] = {
+          goal: goals[GOAL_FIELDS[habit]],
+          total: helpers.roundToDecimal(total, 2),
+          average:
+            logged.length > 0
+              ? helpers.roundToDecimal(total / logged.length, 2)
+              : 0,
+          daysLogged: logged.length,
+          daysMet: days.filter((day) => day.progress[habit].met).length,
+        };
+      }
+
+      return { from, to, goals, habits, days };
+    } catch (error) {
+      logger.error("❌ Get weekly habit summary failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+};
+
+module.exports = habitService;
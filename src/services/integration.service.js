@@ -1,5 +1,8 @@
 const Integration = require("../models/integration.model");
 const User = require("../models/user.model");
+const trackerProviders = require("./trackerProviders");
+const trackerSyncService = require("./trackerSync.service");
+const webhookDeliveryService = require("./webhookDelivery.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -191,7 +194,8 @@ const integrationService = {
     try {
       const integration = await this.getIntegrationById(integrationId, userId);
 
-      const result = await integration.testConnection();
+      const check = await trackerSyncService.testConnection(integration);
+      const result = integration.recordHealthCheck(check);
       await integration.save();
 
       logger.info("✅ Integration connection tested successfully", {
@@ -222,14 +226,20 @@ const integrationService = {
         throw new Error("Integration is not active");
       }
 
-      const result = await integration.syncData(dataType);
+      const result = await trackerSyncService.sync(integration, dataType);
+      integration.recordSync(result);
       await integration.save();
 
+      if (result.status === "error") {
+        throw new Error(`Sync failed: ${result.errorMessage}`);
+      }
+
       logger.info("✅ Integration data synced successfully", {
         userId,
         integrationId,
         dataType,
         recordsProcessed: result.recordsProcessed,
+        recordsCreated: result.recordsCreated,
       });
 
       return result;
@@ -244,6 +254,42 @@ const integrationService = {
     }
   },
 
+  /**
+   * Sync every active auto-sync integration whose sync interval has passed
+   */
+  async syncDueIntegrations(now = new Date()) {
+    const integrations = await Integration.find({
+      status: "active",
+      "config.autoSync": true,
+    });
+
+    let synced = 0;
+    for (const integration of integrations) {
+      const intervalMs = (integration.config.syncInterval || 3600) * 1000;
+      const lastSyncAt = integration.lastSync?.timestamp;
+      if (
+        !trackerSyncService.isSupported(integration.provider) ||
+        (lastSyncAt && now - lastSyncAt < intervalMs)
+      ) {
+        continue;
+      }
+
+      try {
+        const result = await trackerSyncService.sync(integration);
+        integration.recordSync(result);
+        await integration.save();
+        synced++;
+      } catch (error) {
+        logger.error("❌ Auto sync failed", {
+          error: error.message,
+          integrationId: integration._id,
+        });
+      }
+    }
+
+    return synced;
+  },
+
   /**
    * Trigger webhook
    */
@@ -251,10 +297,13 @@ const integrationService = {
     try {
       const integration = await this.getIntegrationById(integrationId, userId);
 
-      const results = await integration.triggerWebhook(event, data);
-      await integration.save();
+      const results = await webhookDeliveryService.triggerEvent(
+        integration,
+        event,
+        data,
+      );
 
-      logger.info("✅ Webhook triggered successfully", {
+      logger.info("✅ Webhook deliveries queued", {
         userId,
         integrationId,
         event,
@@ -273,11 +322,73 @@ const integrationService = {
     }
   },
 
+  /**
+   * Queue a logged webhook delivery again
+   */
+  async redeliverWebhook(integrationId, userId, webhookId, deliveryId = null) {
+    try {
+      const integration = await this.getIntegrationById(integrationId, userId);
+
+      const result = await webhookDeliveryService.redeliver(
+        integration,
+        webhookId,
+        deliveryId,
+      );
+
+      logger.info("✅ Webhook redelivery queued", {
+        userId,
+        integrationId,
+        webhookId,
+        deliveryId: result.deliveryId,
+        redeliveryOf: result.redeliveryOf,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error("❌ Failed to redeliver webhook", {
+        error: error.message,
+        integrationId,
+        userId,
+        webhookId,
+        deliveryId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Get the delivery log of a webhook
+   */
+  async getWebhookDeliveries(integrationId, userId, webhookId, options = {}) {
+    try {
+      const integration = await this.getIntegrationById(integrationId, userId);
+      if (!integration.webhooks.id(webhookId)) {
+        throw new Error("Webhook not found");
+      }
+
+      return await webhookDeliveryService.getDeliveries(
+        integration,
+        webhookId,
+        options,
+      );
+    } catch (error) {
+      logger.error("❌ Failed to get webhook deliveries", {
+        error: error.message,
+        integrationId,
+        userId,
+        webhookId,
+      });
+      throw error;
+    }
+  },
+
   /**
    * Add webhook to integration
    */
   async addWebhook(integrationId, userId, webhookData) {
     try {
+      await webhookDeliveryService.assertPublicUrl(webhookData.url);
+
       const integration = await this.getIntegrationById(integrationId, userId);
 
       const webhook = integration.addWebhook(webhookData);
@@ -489,7 +600,8 @@ const integrationService = {
           type: "fitness_tracker",
           name: "Fitness Tracker",
           description: "Connect to fitness devices and apps",
-          providers: ["Fitbit", "Garmin", "Apple Health", "Google Fit"],
+          // Only providers with a registered sync adapter can be connected
+          providers: trackerProviders.list(),
           icon: "🏃‍♂️",
         },
         {
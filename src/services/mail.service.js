@@ -0,0 +1,215 @@
+const mailTransports = require("./mailTransports");
+const { ENV } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Mail service
+ * Renders localized templates and hands them to the configured transport
+ */
+const mailService = {
+  defaultLocale: "vi",
+
+  /**
+   * Email templates per locale
+   * Each message is a list of paragraphs followed by an action link
+   */
+  templates: {
+    verify_email: {
+      vi: {
+        subject: "Xác nhận địa chỉ email BreakFit",
+        paragraphs: [
+          "Xin chào {name},",
+          "Cảm ơn bạn đã đăng ký BreakFit. Vui lòng xác nhận địa chỉ email của bạn. Liên kết có hiệu lực trong {hours} giờ.",
+          "Nếu bạn không tạo tài khoản BreakFit, hãy bỏ qua email này.",
+        ],
+        action: "Xác nhận email",
+      },
+      en: {
+        subject: "Confirm your BreakFit email address",
+        paragraphs: [
+          "Hi {name},",
+          "Thanks for signing up for BreakFit. Please confirm your email address. The link is valid for {hours} hours.",
+          "If you did not create a BreakFit account, you can ignore this email.",
+        ],
+        action: "Confirm email",
+      },
+    },
+    password_reset: {
+      vi: {
+        subject: "Đặt lại mật khẩu BreakFit",
+        paragraphs: [
+          "Xin chào {name},",
+          "Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn. Liên kết có hiệu lực trong {hours} giờ.",
+          "Nếu bạn không yêu cầu đặt lại mật khẩu, hãy bỏ qua email này. Mật khẩu của bạn sẽ không thay đổi.",
+        ],
+        action: "Đặt lại mật khẩu",
+      },
+      en: {
+        subject: "Reset your BreakFit password",
+        paragraphs: [
+          "Hi {name},",
+          "We received a request to reset the password of your account. The link is valid for {hours} hours.",
+          "If you did not ask for a password reset, you can ignore this email. Your password will not change.",
+        ],
+        action: "Reset password",
+      },
+    },
+    new_login: {
+      vi: {
+        subject: "Đăng nhập mới vào tài khoản BreakFit",
+        paragraphs: [
+          "Xin chào {name},",
+          "Tài khoản của bạn vừa được đăng nhập từ một thiết bị hoặc địa chỉ IP mới: {device} (IP {ipAddress}) lúc {time}.",
+          "Nếu đó là bạn, bạn không cần làm gì thêm. Nếu không, hãy đổi mật khẩu ngay và đăng xuất các phiên đăng nhập lạ.",
+        ],
+        action: "Xem phiên đăng nhập",
+      },
+      en: {
+        subject: "New sign-in to your BreakFit account",
+        paragraphs: [
+          "Hi {name},",
+          "Your account was just signed in from a new device or IP address: {device} (IP {ipAddress}) at {time}.",
+          "If this was you, there is nothing to do. If not, change your password right away and sign out the sessions you do not recognise.",
+        ],
+        action: "Review sessions",
+      },
+    },
+    account_locked: {
+      vi: {
+        subject: "Tài khoản BreakFit tạm thời bị khóa",
+        paragraphs: [
+          "Xin chào {name},",
+          "Có {attempts} lần đăng nhập sai liên tiếp vào tài khoản của bạn, lần cuối từ IP {ipAddress}. Đăng nhập bị chặn trong {minutes} phút.",
+          "Nếu đó không phải là bạn, hãy đặt lại mật khẩu ngay khi có thể.",
+        ],
+        action: "Đặt lại mật khẩu",
+      },
+      en: {
+        subject: "Your BreakFit account is temporarily locked",
+        paragraphs: [
+          "Hi {name},",
+          "There were {attempts} failed sign-in attempts in a row on your account, the last one from IP {ipAddress}. Sign-in is blocked for {minutes} minutes.",
+          "If this was not you, reset your password as soon as you can.",
+        ],
+        action: "Reset password",
+      },
+    },
+  },
+
+  /**
+   * Resolve the transport from MAIL_TRANSPORT
+   * Defaults to SMTP when configured, otherwise to the console transport
+   * outside production
+   */
+  getTransport() {
+    let name = process.env.MAIL_TRANSPORT;
+    if (!name) {
+      const useConsole =
+        !mailTransports.get("smtp").isConfigured() &&
+        process.env.NODE_ENV !== ENV.TYPES.PRODUCTION;
+      name = useConsole ? "console" : "smtp";
+    }
+
+    const transport = mailTransports.get(name);
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    if (!transport.isConfigured()) {
+      throw new Error(`Mail transport '${name}' is not configured`);
+    }
+    return transport;
+  },
+
+  /**
+   * Render a template in a locale, falling back to the default locale
+   */
+  render(templateKey, locale, data = {}) {
+    const localized = this.templates[templateKey];
+    if (!localized) {
+      throw new Error(`Mail template '${templateKey}' not found`);
+    }
+
+    const template = localized[locale] || localized[this.defaultLocale];
+    const paragraphs = template.paragraphs.map((paragraph) =>
+      this.interpolate(paragraph, data),
+    );
+
+    const text = [...paragraphs, `${template.action}: ${data.link}`].join(
+      "\n\n",
+    );
+    const html = [
+      ...paragraphs.map((paragraph) => `<p>${this.escapeHtml(paragraph)}</p>`),
+      `<p><a href="${this.escapeHtml(data.link)}">${this.escapeHtml(template.action)}</a></p>`,
+    ].join("\n");
+
+    return {
+      subject: this.interpolate(template.subject, data),
+      text,
+      html,
+    };
+  },
+
+  /**
+   * Render and send a template to one recipient
+   */
+  async send(to, templateKey, data = {}, locale = this.defaultLocale) {
+    try {
+      const message = {
+        from: process.env.MAIL_FROM || "BreakFit <no-reply@breakfit.app>",
+        to,
+        ...this.render(templateKey, locale, data),
+      };
+
+      const transport = this.getTransport();
+      const result = await transport.send(message);
+
+      logger.info("✅ Email sent", {
+        templateKey,
+        transport: transport.name,
+        messageId: result.messageId,
+      });
+      return result;
+    } catch (error) {
+      logger.error("❌ Send email failed", {
+        error: error.message,
+        templateKey,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Build a link into the app, optionally carrying a token
+   */
+  buildLink(pathname, token) {
+    const baseUrl = process.env.APP_URL || "http://localhost:3000";
+    const query = token ? `?token=${encodeURIComponent(token)}` : "";
+    return `${baseUrl.replace(/\/$/, "")}${pathname}${query}`;
+  },
+
+  /**
+   * Replace {placeholders} with data values
+   */
+  interpolate(template, data) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      data[key] !== undefined ? String(data[key]) : match,
+    );
+  },
+
+  /**
+   * Escape text for HTML output
+   */
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+  },
+};
+
+module.exports = mailService;
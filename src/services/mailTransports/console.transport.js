@@ -0,0 +1,35 @@
+const helpers = require("../../utils/helpers.util");
+const logger = require("../../utils/logger.util");
+
+/**
+ * Console mail transport
+ * Logs messages instead of sending them; the default outside production
+ */
+const consoleTransport = {
+  name: "console",
+
+  /**
+   * Always available
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Log a rendered message
+   */
+  send(message) {
+    const messageId = helpers.generateId("mail");
+
+    logger.info("📧 Email (console transport)", {
+      messageId,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+
+    return Promise.resolve({ messageId });
+  },
+};
+
+module.exports = consoleTransport;
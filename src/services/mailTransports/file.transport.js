@@ -0,0 +1,43 @@
+const path = require("path");
+const fs = require("fs-extra");
+const helpers = require("../../utils/helpers.util");
+
+/**
+ * File mail transport for local development and tests
+ * Writes each message as JSON to MAIL_FILE_PATH instead of sending it
+ */
+const fileTransport = {
+  name: "file",
+
+  /**
+   * Always available
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Directory messages are written to
+   */
+  getDirectory() {
+    return path.resolve(process.env.MAIL_FILE_PATH || "./data/mail");
+  },
+
+  /**
+   * Write a rendered message to disk
+   */
+  async send(message) {
+    const messageId = helpers.generateId("mail");
+    const filePath = path.join(this.getDirectory(), `${messageId}.json`);
+
+    await fs.outputJson(
+      filePath,
+      { messageId, sentAt: new Date().toISOString(), ...message },
+      { spaces: 2 },
+    );
+
+    return { messageId, filePath };
+  },
+};
+
+module.exports = fileTransport;
@@ -0,0 +1,48 @@
+const smtpTransport = require("./smtp.transport");
+const fileTransport = require("./file.transport");
+const consoleTransport = require("./console.transport");
+
+/**
+ * Mail transport registry
+ *
+ * A transport implements:
+ * - isConfigured() -> whether the transport can be used in this environment
+ * - send({ from, to, subject, text, html }) -> { messageId }
+ */
+const mailTransports = {
+  // Map of lowercase transport name -> transport
+  transports: new Map([
+    ["smtp", smtpTransport],
+    ["file", fileTransport],
+    ["console", consoleTransport],
+  ]),
+
+  /**
+   * Register a transport under a name
+   */
+  register(name, transport) {
+    for (const method of ["isConfigured", "send"]) {
+      if (typeof transport[method] !== "function") {
+        throw new Error(`Mail transport must implement ${method}()`);
+      }
+    }
+
+    this.transports.set(name.toLowerCase(), transport);
+  },
+
+  /**
+   * Get a transport by name, or null
+   */
+  get(name) {
+    return this.transports.get(String(name).toLowerCase()) || null;
+  },
+
+  /**
+   * List registered transport names
+   */
+  list() {
+    return [...this.transports.keys()];
+  },
+};
+
+module.exports = mailTransports;
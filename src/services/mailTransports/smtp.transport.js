@@ -0,0 +1,43 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP mail transport
+ */
+const smtpTransport = {
+  name: "smtp",
+  client: null,
+
+  /**
+   * SMTP needs a host
+   */
+  isConfigured() {
+    return !!process.env.SMTP_HOST;
+  },
+
+  /**
+   * Lazily create the nodemailer client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    return this.client;
+  },
+
+  /**
+   * Send a rendered message
+   */
+  async send(message) {
+    const info = await this.getClient().sendMail(message);
+    return { messageId: info.messageId };
+  },
+};
+
+module.exports = smtpTransport;
@@ -1,6 +1,26 @@
 const Meal = require("../models/meal.model");
+const AiJob = require("../models/aiJob.model");
+const aiConfig = require("../config/ai.config");
+const eventBus = require("./eventBus.service");
+const helpers = require("../utils/helpers.util");
 const logger = require("../utils/logger.util");
 
+// Portion assumed when the analysis gives no weight for a food item
+const DEFAULT_PORTION_GRAMS = 100;
+
+// Fields a user may change when confirming a draft
+const DRAFT_EDITABLE_FIELDS = [
+  "name",
+  "mealType",
+  "dateISO",
+  "grams",
+  "kcal",
+  "protein",
+  "carb",
+  "fat",
+  "note",
+];
+
 /**
  * Meal service for meal tracking operations
  * Handles meal entries, nutrition, and statistics
@@ -40,6 +60,8 @@ const mealService = {
 
       await meal.save();
 
+      eventBus.publish("meal.logged", userId, { meal });
+
       logger.info("✅ Meal entry added", {
         userId,
         mealId: meal._id,
@@ -65,7 +87,7 @@ const mealService = {
       const { startDate, endDate, mealType, limit = 30, page = 1 } = options;
       const skip = (page - 1) * limit;
 
-      const query = { userId };
+      const query = { userId, status: { $ne: "draft" } };
 
       if (startDate && endDate) {
         query.dateISO = { $gte: startDate, $lte: endDate };
@@ -121,6 +143,8 @@ const mealService = {
         throw new Error("Meal entry not found");
       }
 
+      eventBus.publish("meal.updated", userId, { meal });
+
       logger.info("✅ Meal entry updated", {
         userId,
         mealId,
@@ -148,6 +172,8 @@ const mealService = {
         throw new Error("Meal entry not found");
       }
 
+      eventBus.publish("meal.deleted", userId, { meal });
+
       logger.info("✅ Meal entry deleted", { userId, mealId });
       return true;
     } catch (error) {
@@ -168,6 +194,7 @@ const mealService = {
       const meals = await Meal.find({
         userId,
         dateISO: dateISO.split("T")[0],
+        status: { $ne: "draft" },
       });
 
       const summary = {
@@ -209,6 +236,7 @@ const mealService = {
       const meals = await Meal.find({
         userId,
         dateISO: { $gte: startDate.toISOString().split("T")[0] },
+        status: { $ne: "draft" },
       });
 
       const stats = {
@@ -263,6 +291,231 @@ const mealService = {
       throw error;
     }
   },
+
+  /**
+   * Create draft meal entries from a meal photo analysis, one per food item
+   * Items below the AI confidence threshold are flagged for review
+   * Calling again for the same job returns the drafts already created; the
+   * unique { aiJobId, aiItemIndex } index settles concurrent calls
+   */
+  async createDraftsFromAnalysis(
+    userId,
+    { analysis, photoId, jobId, mealType, dateISO, loggedAt = new Date() },
+  ) {
+    try {
+      const findDrafts = () =>
+        Meal.find({ userId, aiJobId: jobId }).sort({ aiItemIndex: 1 });
+
+      if (jobId) {
+        const existing = await findDrafts();
+        if (existing.length > 0) {
+          return existing;
+        }
+      }
+
+      const items = this.splitAnalysisItems(analysis);
+      if (items.length === 0) {
+        throw new Error("No food items in analysis");
+      }
+
+      let drafts;
+      try {
+        drafts = await Meal.insertMany(
+          items.map((item, index) => ({
+            userId,
+            dateISO: dateISO || helpers.formatDateISO(loggedAt),
+            mealType: mealType || this.inferMealType(loggedAt),
+            name: item.name,
+            grams: item.grams,
+            kcal: item.kcal,
+            protein: item.protein,
+            carb: item.carb,
+            fat: item.fat,
+            photoIds: photoId ? [photoId] : [],
+            source: "ai_analysis",
+            confidence: item.confidence,
+            status: "draft",
+            needsReview:
+              item.confidence === undefined ||
+              item.confidence < aiConfig.thresholds.confidenceMin,
+            estimatedPortion: item.estimatedPortion,
+            aiJobId: jobId,
+            aiItemIndex: jobId ? index : undefined,
+          })),
+          { ordered: false },
+        );
+      } catch (error) {
+        // Another request created the drafts for this job first
+        if (error.code !== 11000 || !jobId) {
+          throw error;
+        }
+        drafts = await findDrafts();
+      }
+
+      logger.info("✅ Draft meal entries created", {
+        userId,
+        jobId,
+        count: drafts.length,
+        needsReview: drafts.filter((draft) => draft.needsReview).length,
+        estimatedPortions: drafts.filter((draft) => draft.estimatedPortion).length,
+      });
+      return drafts;
+    } catch (error) {
+      logger.error("❌ Create draft meal entries failed", {
+        error: error.message,
+        userId,
+        jobId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Create drafts from a completed meal analysis job of the user
+   */
+  async createDraftsFromJob(userId, jobId, { mealType, dateISO } = {}) {
+    const job = await AiJob.findOne({ jobId, userId });
+    if (!job) {
+      throw new Error("Job not found");
+    }
+    if (job.type !== "meal" || job.status !== "completed") {
+      throw new Error("Job has no completed meal analysis");
+    }
+
+    return this.createDraftsFromAnalysis(userId, {
+      analysis: job.result,
+      photoId: job.photoId,
+      jobId: job.jobId,
+      mealType,
+      dateISO,
+      loggedAt: job.createdAt,
+    });
+  },
+
+  /**
+   * Get draft meal entries awaiting review
+   */
+  getDraftEntries(userId) {
+    return Meal.find({ userId, status: "draft" }).sort({ createdAt: -1 });
+  },
+
+  /**
+   * Confirm, edit or reject drafts in one call
+   * Edited drafts are confirmed with the edits applied; nothing is written
+   * unless every referenced draft exists and every edit is valid
+   */
+  async reviewDrafts(userId, { confirm = [], edit = [], reject = [] }) {
+    try {
+      const editsById = new Map(edit.map((entry) => [String(entry.id), entry]));
+      const ids = [...new Set([...confirm, ...editsById.keys(), ...reject])];
+
+      const drafts = await Meal.find({
+        _id: { $in: ids },
+        userId,
+        status: "draft",
+      });
+      if (drafts.length !== ids.length) {
+        throw new Error("Draft meal entry not found");
+      }
+
+      const rejectIds = reject.map(String);
+      const toConfirm = drafts.filter(
+        (draft) => !rejectIds.includes(draft._id.toString()),
+      );
+
+      for (const draft of toConfirm) {
+        const changes = editsById.get(draft._id.toString());
+        if (changes) {
+          for (const field of DRAFT_EDITABLE_FIELDS) {
+            if (changes[field] !== undefined) {
+              draft[field] = changes[field];
+            }
+          }
+          // A portion weighed by the user is no longer an estimate
+          if (changes.grams !== undefined) {
+            draft.estimatedPortion = false;
+          }
+        }
+
+        draft.status = "confirmed";
+        draft.needsReview = false;
+        draft.isVerified = true;
+
+        const validationError = draft.validateSync();
+        if (validationError) {
+          throw validationError;
+        }
+      }
+
+      for (const draft of toConfirm) {
+        await draft.save();
+        eventBus.publish("meal.logged", userId, { meal: draft });
+      }
+
+      if (rejectIds.length > 0) {
+        await Meal.deleteMany({ _id: { $in: rejectIds }, userId });
+      }
+
+      logger.info("✅ Draft meal entries reviewed", {
+        userId,
+        confirmed: toConfirm.length,
+        edited: editsById.size,
+        rejected: rejectIds.length,
+      });
+      return { confirmed: toConfirm, rejected: rejectIds };
+    } catch (error) {
+      logger.error("❌ Review draft meal entries failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Normalize analysis food items to per-item nutrition
+   * Items given only by name share the meal totals evenly
+   */
+  splitAnalysisItems(analysis = {}) {
+    const items = (analysis.foodItems || []).filter(Boolean);
+    const share = items.length > 0 ? 1 / items.length : 0;
+
+    return items.map((item) => {
+      const detail = typeof item === "string" ? { name: item } : item;
+      const pick = (value, total) =>
+        Math.max(0, helpers.roundToDecimal(value ?? (total || 0) * share, 1));
+
+      return {
+        name: String(detail.name || "Món ăn").slice(0, 200),
+        grams: Math.max(1, Math.round(detail.grams || DEFAULT_PORTION_GRAMS)),
+        kcal: Math.round(
+          pick(detail.kcal ?? detail.calories, analysis.estimatedCalories),
+        ),
+        protein: pick(detail.protein, analysis.protein),
+        carb: pick(detail.carb ?? detail.carbohydrates, analysis.carbohydrates),
+        fat: pick(detail.fat, analysis.fat),
+        confidence: detail.confidence ?? analysis.confidence,
+        estimatedPortion: !detail.grams,
+      };
+    });
+  },
+
+  /**
+   * Guess the meal type from the time of day
+   */
+  inferMealType(date) {
+    const hour = date.getHours();
+    if (hour >= 5 && hour < 10) {
+      return "breakfast";
+    }
+    if (hour >= 11 && hour < 14) {
+      return "lunch";
+    }
+    if (hour >= 17 && hour < 21) {
+      return "dinner";
+    }
+    return "snack";
+  },
 };
 
 module.exports = mealService;
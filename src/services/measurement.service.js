@@ -0,0 +1,346 @@
+const moment = require("moment");
+const Measurement = require("../models/measurement.model");
+const Profile = require("../models/profile.model");
+const Weight = require("../models/weight.model");
+const { FITNESS } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+// Fields a client may set on an entry
+const EDITABLE_FIELDS = [...FITNESS.MEASUREMENT_FIELDS, "dateISO", "note"];
+
+/**
+ * Round to two decimals
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Measurement service for body circumference tracking
+ * Handles entries, derived ratios and progress between two dates
+ */
+const measurementService = {
+  /**
+   * Waist-to-hip and waist-to-height ratios with a risk flag each
+   * Flags are null when the ratio or the sex-specific threshold is unknown
+   */
+  computeRatios({ waistCm, hipCm }, profile) {
+    const waistToHip = waistCm && hipCm ? round2(waistCm / hipCm) : null;
+    const waistToHeight =
+      waistCm && profile?.heightCm ? round2(waistCm / profile.heightCm) : null;
+    const hipThreshold = FITNESS.WAIST_TO_HIP_RISK[profile?.sex];
+
+    return {
+      waistToHip,
+      waistToHeight,
+      waistToHipElevated:
+        waistToHip !== null && hipThreshold ? waistToHip > hipThreshold : null,
+      waistToHeightElevated:
+        waistToHeight !== null
+          ? waistToHeight > FITNESS.WAIST_TO_HEIGHT_RISK
+          : null,
+    };
+  },
+
+  /**
+   * Serialize an entry with its ratios
+   */
+  withRatios(measurement, profile) {
+    const data = measurement.toJSON ? measurement.toJSON() : measurement;
+    return { ...data, ratios: this.computeRatios(data, profile) };
+  },
+
+  /**
+   * Keep only editable fields, normalising the date
+   */
+  pickFields(data) {
+    const fields = Object.fromEntries(
+      Object.entries(data).filter(([field]) => EDITABLE_FIELDS.includes(field)),
+    );
+    if (fields.dateISO) {
+      [fields.dateISO] = String(fields.dateISO).split("T");
+    }
+    return fields;
+  },
+
+  /**
+   * Add measurement entry
+   */
+  async addMeasurement(userId, data) {
+    try {
+      const fields = this.pickFields(data);
+      if (!fields.dateISO) {
+        fields.dateISO = moment().format("YYYY-MM-DD");
+      }
+
+      // The unique { userId, dateISO } index rejects a second entry
+      const measurement = new Measurement({ userId, ...fields });
+      try {
+        await measurement.save();
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error("Measurement already exists for this date");
+        }
+        throw error;
+      }
+
+      const profile = await Profile.findOne({ userId }).lean();
+
+      logger.info("✅ Measurement added", {
+        userId,
+        measurementId: measurement._id,
+        dateISO: measurement.dateISO,
+      });
+      return this.withRatios(measurement, profile);
+    } catch (error) {
+      logger.error("❌ Add measurement failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Get measurement entries with pagination, newest first
+   */
+  async getMeasurements(userId, options = {}) {
+    try {
+      const { from, to, limit = 30, page = 1 } = options;
+      const skip = (page - 1) * limit;
+
+      const query = { userId };
+      if (from || to) {
+        query.dateISO = {};
+        if (from) {
+          query.dateISO.$gte = from;
+        }
+        if (to) {
+          query.dateISO.$lte = to;
+        }
+      }
+
+      const [entries, total, profile] = await Promise.all([
+        Measurement.find(query).sort({ dateISO: -1 }).skip(skip).limit(limit),
+        Measurement.countDocuments(query),
+        Profile.findOne({ userId }).lean(),
+      ]);
+
+      const pagination = {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      };
+
+      return {
+        entries: entries.map((entry) => this.withRatios(entry, profile)),
+        pagination,
+      };
+    } catch (error) {
+      logger.error("❌ Get measurements failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Get one measurement entry
+   */
+  async getMeasurement(userId, measurementId) {
+    try {
+      const measurement = await Measurement.findOne({
+        _id: measurementId,
+        userId,
+      });
+      if (!measurement) {
+        throw new Error("Measurement not found");
+      }
+
+      const profile = await Profile.findOne({ userId }).lean();
+      return this.withRatios(measurement, profile);
+    } catch (error) {
+      logger.error("❌ Get measurement failed", {
+        error: error.message,
+        userId,
+        measurementId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Update measurement entry; null clears a measurement
+   */
+  async updateMeasurement(userId, measurementId, updates) {
+    try {
+      const measurement = await Measurement.findOne({
+        _id: measurementId,
+        userId,
+      });
+      if (!measurement) {
+        throw new Error("Measurement not found");
+      }
+
+      for (const [field, value] of Object.entries(this.pickFields(updates))) {
+        measurement[field] = value === null ? undefined : value;
+      }
+
+      try {
+        await measurement.save();
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error("Measurement already exists for this date");
+        }
+        throw error;
+      }
+
+      const profile = await Profile.findOne({ userId }).lean();
+
+      logger.info("✅ Measurement updated", { userId, measurementId });
+      return this.withRatios(measurement, profile);
+    } catch (error) {
+      logger.error("❌ Update measurement failed", {
+        error: error.message,
+        userId,
+        measurementId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Delete measurement entry
+   */
+  async deleteMeasurement(userId, measurementId) {
+    try {
+      const measurement = await Measurement.findOneAndDelete({
+        _id: measurementId,
+        userId,
+      });
+      if (!measurement) {
+        throw new Error("Measurement not found");
+      }
+
+      logger.info("✅ Measurement deleted", { userId, measurementId });
+      return true;
+    } catch (error) {
+      logger.error("❌ Delete measurement failed", {
+        error: error.message,
+        userId,
+        measurementId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Compare measurements, ratios and weight between two dates
+   * Each value is taken from the latest entry on or before the date; for the
+   * start date, the first later entry is used when nothing was logged before it.
+   * Entries are not logged every day, so each field is resolved on its own
+   */
+  async getProgress(userId, options = {}) {
+    try {
+      const to = options.to || moment().format("YYYY-MM-DD");
+      const from =
+        options.from ||
+        moment(to)
+          .subtract(FITNESS.MEASUREMENT_PROGRESS_DEFAULT_DAYS, "days")
+          .format("YYYY-MM-DD");
+      if (from > to) {
+        throw new Error("Invalid date range");
+      }
+
+      const [entries, weights, profile] = await Promise.all([
+        Measurement.findUntil(userId, to),
+        Weight.find({ userId, dateISO: { $lte: to } })
+          .select("dateISO weightKg")
+          .sort({ dateISO: 1 })
+          .lean(),
+        Profile.findOne({ userId }).lean(),
+      ]);
+
+      const fields = {};
+      let totalChangeCm = 0;
+      for (const field of FITNESS.MEASUREMENT_FIELDS) {
+        const change = this.compareValues(entries, field, from);
+        if (change) {
+          fields[field] = change;
+          totalChangeCm += change.change;
+        }
+      }
+
+      const startRatios = this.computeRatios(
+        {
+          waistCm: fields.waistCm?.start.value,
+          hipCm: fields.hipCm?.start.value,
+        },
+        profile,
+      );
+      const endRatios = this.computeRatios(
+        {
+          waistCm: fields.waistCm?.end.value,
+          hipCm: fields.hipCm?.end.value,
+        },
+        profile,
+      );
+
+      const ratios = {};
+      for (const ratio of ["waistToHip", "waistToHeight"]) {
+        if (startRatios[ratio] !== null && endRatios[ratio] !== null) {
+          ratios[ratio] = {
+            start: startRatios[ratio],
+            end: endRatios[ratio],
+            change: round2(endRatios[ratio] - startRatios[ratio]),
+          };
+        }
+      }
+
+      logger.info("✅ Measurement progress retrieved", { userId, from, to });
+
+      return {
+        from,
+        to,
+        fields,
+        totalChangeCm: round2(totalChangeCm),
+        ratios,
+        weight: this.compareValues(weights, "weightKg", from),
+      };
+    } catch (error) {
+      logger.error("❌ Get measurement progress failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Start and end value of one field in date-sorted entries, or null
+   */
+  compareValues(entries, field, from) {
+    const withValue = entries.filter(
+      (entry) => entry[field] !== undefined && entry[field] !== null,
+    );
+    if (withValue.length === 0) {
+      return null;
+    }
+
+    const before = withValue.filter((entry) => entry.dateISO <= from);
+    const startEntry = before.length > 0 ? before[before.length - 1] : withValue[0];
+    const endEntry = withValue[withValue.length - 1];
+
+    const change = endEntry[field] - startEntry[field];
+    return {
+      start: { dateISO: startEntry.dateISO, value: startEntry[field] },
+      end: { dateISO: endEntry.dateISO, value: endEntry[field] },
+      change: round2(change),
+      changePercent: round2((change / startEntry[field]) * 100),
+    };
+  },
+};
+
+module.exports = measurementService;
@@ -1,18 +1,27 @@
 const { Expo } = require("expo-server-sdk");
 const User = require("../models/user.model");
 const Event = require("../models/event.model");
+const Device = require("../models/device.model");
+const PushTicket = require("../models/pushTicket.model");
+const NotificationPreference = require("../models/notificationPreference.model");
+const Notification = require("../models/notification.model");
+const websocketService = require("./websocket.service");
 const logger = require("../utils/logger.util");
 
 /**
- * Notification service for push notifications and reminders
- * Handles Expo push notifications and local reminders
+ * Notification service for push notifications, reminders and the in-app inbox
+ * Handles Expo push notifications, local reminders and inbox entries
  */
 const notificationService = {
   /**
    * Initialize Expo SDK
+   * EXPO_BASE_URL can point the SDK at a local stand-in of the push service
    */
   expo: new Expo({ accessToken: process.env.EXPO_PUSH_ACCESS_TOKEN }),
 
+  // Expo advises waiting before fetching delivery receipts
+  receiptDelayMs: 15 * 60 * 1000,
+
   /**
    * Notification templates
    */
@@ -47,6 +56,11 @@ const notificationService = {
       body: "Bạn đã duy trì được {days} ngày liên tiếp!",
       data: { type: "streak_milestone" },
     },
+    streak_risk: {
+      title: "🔥 Streak sắp bị gián đoạn",
+      body: "Bạn đang có chuỗi {days} ngày. Hãy ghi nhận hoạt động hôm nay để giữ streak!",
+      data: { type: "streak_risk" },
+    },
     streak_broken: {
       title: "💔 Streak bị gián đoạn",
       body: "Đừng bỏ cuộc! Hãy bắt đầu lại streak mới.",
@@ -79,6 +93,37 @@ const notificationService = {
       data: { type: "challenge_completed" },
     },
 
+    // Social notifications
+    friend_request: {
+      title: "👋 Lời mời kết bạn",
+      body: "{name} muốn kết bạn với bạn",
+      data: { type: "friend_request" },
+    },
+    comment_reply: {
+      title: "💬 Phản hồi mới",
+      body: "Bình luận của bạn vừa có phản hồi mới",
+      data: { type: "comment_reply" },
+    },
+    battle_invite: {
+      title: "⚔️ Lời mời thách đấu",
+      body: "Bạn nhận được lời mời tham gia battle: {title}",
+      data: { type: "battle_invite" },
+    },
+
+    // Account security; delivered regardless of opt-outs and quiet hours
+    new_login: {
+      title: "🔐 Đăng nhập từ thiết bị mới",
+      body: "Tài khoản của bạn vừa được đăng nhập từ {device} (IP {ipAddress})",
+      data: { type: "new_login" },
+      security: true,
+    },
+    account_locked: {
+      title: "🔒 Tài khoản tạm thời bị khóa",
+      body: "Có {attempts} lần đăng nhập sai liên tiếp. Đăng nhập bị chặn trong {minutes} phút",
+      data: { type: "account_locked" },
+      security: true,
+    },
+
     // General motivation
     daily_motivation: {
       title: "�� Lời nhắn động viên",
@@ -98,9 +143,16 @@ const notificationService = {
         throw new Error("User not found");
       }
 
-      // TODO: Get user's push tokens from device collection
-      // For now, we'll use a placeholder
-      const pushTokens = []; // await this.getUserPushTokens(userId);
+      // Honour channel, opt-out and quiet hour settings
+      if (!(await this.shouldSendReminder(userId, templateKey))) {
+        logger.debug("🔕 Push notification skipped by preferences", {
+          userId,
+          templateKey,
+        });
+        return { sent: 0, skipped: true, errors: [] };
+      }
+
+      const pushTokens = await this.getUserPushTokens(userId);
 
       if (pushTokens.length === 0) {
         logger.warn("⚠️ No push tokens found for user", { userId });
@@ -135,21 +187,48 @@ const notificationService = {
         return { sent: 0, errors: [] };
       }
 
-      // Send notifications
+      // Send notifications; tickets come back in message order
       const chunks = this.expo.chunkPushNotifications(messages);
       const tickets = [];
+      const errors = [];
+      const staleTokens = [];
 
       for (const chunk of chunks) {
         try {
           const ticketChunk = await this.expo.sendPushNotificationsAsync(chunk);
-          tickets.push(...ticketChunk);
+          ticketChunk.forEach((ticket, index) => {
+            const token = chunk[index].to;
+            if (ticket.status === "ok") {
+              tickets.push({ ticketId: ticket.id, token });
+              return;
+            }
+
+            errors.push({
+              token,
+              error: ticket.details?.error,
+              message: ticket.message,
+            });
+            if (ticket.details?.error === "DeviceNotRegistered") {
+              staleTokens.push(token);
+            }
+          });
         } catch (error) {
           logger.error("❌ Failed to send push notification chunk", {
             error: error.message,
           });
+          errors.push({ error: error.message });
         }
       }
 
+      // Keep tickets until their receipts are checked
+      if (tickets.length > 0) {
+        await PushTicket.insertMany(
+          tickets.map((ticket) => ({ ...ticket, userId, templateKey })),
+          { ordered: false },
+        );
+      }
+      await this.pruneTokens(staleTokens);
+
       // Log event
       await Event.createEvent(
         userId,
@@ -164,9 +243,10 @@ const notificationService = {
         userId,
         templateKey,
         sent: tickets.length,
+        failed: errors.length,
       });
 
-      return { sent: tickets.length, tickets };
+      return { sent: tickets.length, tickets, errors };
     } catch (error) {
       logger.error("❌ Push notification failed", {
         error: error.message,
@@ -177,6 +257,169 @@ const notificationService = {
     }
   },
 
+  /**
+   * Add a notification to the user's inbox, push it live to their socket
+   * room and send it as a push notification
+   */
+  async notify(userId, templateKey, data = {}) {
+    try {
+      const template = this.templates[templateKey];
+      if (!template) {
+        throw new Error(`Notification template '${templateKey}' not found`);
+      }
+
+      let notification = null;
+      const preference = await NotificationPreference.getForUser(userId);
+      if (template.security || preference.allows(templateKey, "inApp")) {
+        notification = await Notification.create({
+          userId,
+          type: templateKey,
+          title: this.interpolateTemplate(template.title, data),
+          body: this.interpolateTemplate(template.body, data),
+          data: { ...template.data, ...data },
+        });
+
+        const unreadCount = await Notification.countUnread(userId);
+        await websocketService.sendToUser(userId, "notification.new", {
+          notification,
+          unreadCount,
+        });
+      }
+
+      // The inbox entry is kept even when the push fails
+      const push = await this.sendPushNotification(
+        userId,
+        templateKey,
+        data,
+      ).catch((error) => {
+        logger.warn("⚠️ Push notification skipped", {
+          error: error.message,
+          userId,
+          templateKey,
+        });
+        return { sent: 0, errors: [{ error: error.message }] };
+      });
+
+      return { notification, push };
+    } catch (error) {
+      logger.error("❌ Notify user failed", {
+        error: error.message,
+        userId,
+        templateKey,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Get inbox notifications of a user, newest first
+   */
+  async getInbox(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    try {
+      const query = { userId };
+      if (unreadOnly) {
+        query.readAt = null;
+      }
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Notification.countDocuments(query),
+        Notification.countUnread(userId),
+      ]);
+
+      return {
+        notifications,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error("❌ Get notification inbox failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Count unread inbox notifications
+   */
+  getUnreadCount(userId) {
+    return Notification.countUnread(userId);
+  },
+
+  /**
+   * Mark one inbox notification as read
+   */
+  async markAsRead(userId, notificationId) {
+    try {
+      const notification = await Notification.findOne({
+        _id: notificationId,
+        userId,
+      });
+      if (!notification) {
+        throw new Error("Notification not found");
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      const unreadCount = await Notification.countUnread(userId);
+      await websocketService.sendToUser(userId, "notification.read", {
+        notificationIds: [notification._id],
+        unreadCount,
+      });
+
+      return { notification, unreadCount };
+    } catch (error) {
+      logger.error("❌ Mark notification as read failed", {
+        error: error.message,
+        userId,
+        notificationId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Mark every inbox notification of the user as read
+   */
+  async markAllAsRead(userId) {
+    try {
+      const { modifiedCount } = await Notification.updateMany(
+        { userId, readAt: null },
+        { $set: { readAt: new Date() } },
+      );
+
+      await websocketService.sendToUser(userId, "notification.read", {
+        all: true,
+        unreadCount: 0,
+      });
+
+      logger.info("✅ Notifications marked as read", {
+        userId,
+        count: modifiedCount,
+      });
+      return { updated: modifiedCount, unreadCount: 0 };
+    } catch (error) {
+      logger.error("❌ Mark all notifications as read failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
   /**
    * Send notification to multiple users
    */
@@ -225,7 +468,10 @@ const notificationService = {
       for (const user of users) {
         try {
           // Check user's reminder preferences
-          const shouldSend = await this.shouldSendReminder(user._id, "daily");
+          const shouldSend = await this.shouldSendReminder(
+            user._id,
+            "daily_motivation",
+          );
           if (shouldSend) {
             reminderUsers.push(user._id);
           }
@@ -292,7 +538,7 @@ const notificationService = {
    */
   async sendStreakMilestone(userId, streakDays) {
     try {
-      await this.sendPushNotification(userId, "streak_milestone", {
+      await this.notify(userId, "streak_milestone", {
         days: streakDays,
       });
 
@@ -316,7 +562,7 @@ const notificationService = {
    */
   async sendLevelUpNotification(userId, newLevel) {
     try {
-      await this.sendPushNotification(userId, "level_up", { level: newLevel });
+      await this.notify(userId, "level_up", { level: newLevel });
 
       logger.info("✅ Level up notification sent", { userId, newLevel });
 
@@ -335,7 +581,7 @@ const notificationService = {
    */
   async sendBadgeEarnedNotification(userId, badgeName) {
     try {
-      await this.sendPushNotification(userId, "badge_earned", {
+      await this.notify(userId, "badge_earned", {
         badge_name: badgeName,
       });
 
@@ -353,19 +599,25 @@ const notificationService = {
 
   /**
    * Check receipt status
+   * Devices whose receipts report DeviceNotRegistered are removed, and the
+   * checked tickets are dropped
    */
   async checkReceiptStatus(receiptIds) {
     try {
       const receiptIdChunks =
         this.expo.chunkPushNotificationReceiptIds(receiptIds);
       const receipts = [];
+      const checkedIds = [];
 
       for (const chunk of receiptIdChunks) {
         try {
           const receiptChunk = await this.expo.getPushNotificationReceiptsAsync(
             chunk
           );
-          receipts.push(...Object.values(receiptChunk));
+          for (const [id, receipt] of Object.entries(receiptChunk)) {
+            receipts.push({ id, ...receipt });
+            checkedIds.push(id);
+          }
         } catch (error) {
           logger.error("❌ Failed to check receipt chunk", {
             error: error.message,
@@ -373,6 +625,18 @@ const notificationService = {
         }
       }
 
+      const unregisteredIds = receipts
+        .filter((receipt) => receipt.details?.error === "DeviceNotRegistered")
+        .map((receipt) => receipt.id);
+      if (unregisteredIds.length > 0) {
+        const stale = await PushTicket.find({
+          ticketId: { $in: unregisteredIds },
+        }).distinct("token");
+        await this.pruneTokens(stale);
+      }
+
+      await PushTicket.deleteMany({ ticketId: { $in: checkedIds } });
+
       return receipts;
     } catch (error) {
       logger.error("❌ Receipt status check failed", { error: error.message });
@@ -380,6 +644,131 @@ const notificationService = {
     }
   },
 
+  /**
+   * Check receipts of tickets that are old enough to have one
+   */
+  async pollPushReceipts(limit = 1000) {
+    const tickets = await PushTicket.find({
+      createdAt: { $lte: new Date(Date.now() - this.receiptDelayMs) },
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .select("ticketId")
+      .lean();
+
+    if (tickets.length === 0) {
+      return { checked: 0, failed: 0 };
+    }
+
+    const receipts = await this.checkReceiptStatus(
+      tickets.map((ticket) => ticket.ticketId),
+    );
+    const failed = receipts.filter((receipt) => receipt.status === "error");
+
+    logger.info("✅ Push receipts checked", {
+      checked: receipts.length,
+      failed: failed.length,
+    });
+    return { checked: receipts.length, failed: failed.length };
+  },
+
+  /**
+   * Register a device for push notifications, or refresh its last-seen time
+   */
+  async registerDevice(userId, { token, platform, appVersion, deviceName }) {
+    try {
+      if (!Expo.isExpoPushToken(token)) {
+        throw new Error("Invalid push token");
+      }
+
+      // A token belongs to whoever signed in on the device last
+      const upsert = () =>
+        Device.findOneAndUpdate(
+          { token },
+          {
+            $set: {
+              userId,
+              platform,
+              appVersion,
+              deviceName,
+              lastSeenAt: new Date(),
+            },
+          },
+          { upsert: true, new: true, runValidators: true },
+        );
+
+      let device;
+      try {
+        device = await upsert();
+      } catch (error) {
+        // A concurrent registration inserted the token first; update it now
+        if (error.code !== 11000) {
+          throw error;
+        }
+        device = await upsert();
+      }
+
+      logger.info("✅ Device registered", {
+        userId,
+        deviceId: device._id,
+        platform,
+      });
+      return device;
+    } catch (error) {
+      logger.error("❌ Register device failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Unregister a device of the user
+   */
+  async unregisterDevice(userId, token) {
+    try {
+      const { deletedCount } = await Device.deleteOne({ userId, token });
+      if (deletedCount === 0) {
+        throw new Error("Device not found");
+      }
+
+      logger.info("✅ Device unregistered", { userId });
+      return true;
+    } catch (error) {
+      logger.error("❌ Unregister device failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Get registered devices of a user
+   */
+  getUserDevices(userId) {
+    return Device.find({ userId }).sort({ lastSeenAt: -1 });
+  },
+
+  /**
+   * Get push tokens of a user's devices
+   */
+  getUserPushTokens(userId) {
+    return Device.getTokens(userId);
+  },
+
+  /**
+   * Remove devices Expo reported as no longer registered
+   */
+  async pruneTokens(tokens) {
+    const removed = await Device.pruneTokens(tokens);
+    if (removed > 0) {
+      logger.info("✅ Unregistered push tokens pruned", { removed });
+    }
+    return removed;
+  },
+
   /**
    * Interpolate template with data
    */
@@ -390,13 +779,21 @@ const notificationService = {
   },
 
   /**
-   * Check if user should receive reminder
+   * Check if user should receive a push notification now
    */
-  async shouldSendReminder(userId, reminderType) {
+  async shouldSendReminder(userId, templateKey, date = new Date()) {
     try {
-      // TODO: Implement reminder preference checking
-      // This would check user's reminder settings and last notification time
-      return true; // Placeholder
+      const preference = await NotificationPreference.getForUser(userId);
+
+      // Security alerts ignore opt-outs and quiet hours; only a disabled
+      // push channel stops them
+      if (this.templates[templateKey]?.security) {
+        return preference.channels?.push !== false;
+      }
+
+      return (
+        preference.allows(templateKey, "push") && !preference.isQuietAt(date)
+      );
     } catch (error) {
       logger.error("❌ Reminder preference check failed", {
         error: error.message,
@@ -406,6 +803,65 @@ const notificationService = {
     }
   },
 
+  /**
+   * Get notification preferences of a user
+   */
+  getPreferences(userId) {
+    return NotificationPreference.getForUser(userId);
+  },
+
+  /**
+   * Update notification preferences; nested settings are merged
+   */
+  async updatePreferences(userId, updates) {
+    try {
+      const unknown = (updates.optOuts || []).filter(
+        (templateKey) => !this.templates[templateKey],
+      );
+      if (unknown.length > 0) {
+        throw new Error("Unknown notification template");
+      }
+
+      const $set = {};
+      const fields = [
+        "timezone",
+        "optOuts",
+        "weighInTime",
+        "workoutReminderTime",
+      ];
+      for (const field of fields) {
+        if (updates[field] !== undefined) {
+          $set[field] = updates[field];
+        }
+      }
+      for (const group of ["channels", "quietHours"]) {
+        for (const [key, value] of Object.entries(updates[group] || {})) {
+          $set[`${group}.${key}`] = value;
+        }
+      }
+
+      const preference = await NotificationPreference.findOneAndUpdate(
+        { userId },
+        { $set },
+        {
+          new: true,
+          upsert: true,
+          runValidators: true,
+          setDefaultsOnInsert: true,
+        },
+      );
+
+      logger.info("✅ Notification preferences updated", { userId });
+      return preference;
+    } catch (error) {
+      logger.error("❌ Update notification preferences failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
   /**
    * Get notification statistics
    */
@@ -0,0 +1,41 @@
+const idToken = require("./idToken");
+
+/**
+ * Sign in with Apple
+ * APPLE_CLIENT_IDS lists the accepted audiences (app bundle IDs and service IDs).
+ * Apple never puts the user's name in the token; the app sends it on first sign-in
+ */
+const appleProvider = {
+  name: "apple",
+  userField: "appleUserId",
+  issuers: ["https://appleid.apple.com"],
+
+  /**
+   * Apple needs at least one client ID
+   */
+  isConfigured() {
+    return idToken.parseClientIds(process.env.APPLE_CLIENT_IDS).length > 0;
+  },
+
+  /**
+   * Verify an ID token and return the identity it asserts
+   */
+  async verifyIdToken(token, { nonce } = {}) {
+    const claims = await idToken.verify(token, {
+      keysUrl: process.env.APPLE_JWKS_URL || "https://appleid.apple.com/auth/keys",
+      issuers: this.issuers,
+      audience: idToken.parseClientIds(process.env.APPLE_CLIENT_IDS),
+      nonce,
+    });
+
+    return {
+      sub: claims.sub,
+      email: claims.email,
+      // Apple sends booleans as strings in some token versions
+      emailVerified: String(claims.email_verified) === "true",
+      name: undefined,
+    };
+  },
+};
+
+module.exports = appleProvider;
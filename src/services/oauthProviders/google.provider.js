@@ -0,0 +1,41 @@
+const idToken = require("./idToken");
+
+/**
+ * Google Sign-In
+ * GOOGLE_CLIENT_IDS lists the accepted audiences (iOS, Android and web client IDs)
+ */
+const googleProvider = {
+  name: "google",
+  userField: "googleSub",
+  issuers: ["https://accounts.google.com", "accounts.google.com"],
+
+  /**
+   * Google needs at least one client ID
+   */
+  isConfigured() {
+    return idToken.parseClientIds(process.env.GOOGLE_CLIENT_IDS).length > 0;
+  },
+
+  /**
+   * Verify an ID token and return the identity it asserts
+   */
+  async verifyIdToken(token, { nonce } = {}) {
+    const claims = await idToken.verify(token, {
+      keysUrl:
+        process.env.GOOGLE_JWKS_URL ||
+        "https://www.googleapis.com/oauth2/v3/certs",
+      issuers: this.issuers,
+      audience: idToken.parseClientIds(process.env.GOOGLE_CLIENT_IDS),
+      nonce,
+    });
+
+    return {
+      sub: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified === true,
+      name: claims.name,
+    };
+  },
+};
+
+module.exports = googleProvider;
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const jwt = require("jsonwebtoken");
+
+// How long fetched signing keys are trusted before they are fetched again
+const KEYS_TTL_MS = 60 * 60 * 1000;
+// Unknown key IDs trigger a refetch at most this often
+const MIN_REFRESH_MS = 60 * 1000;
+
+/**
+ * ID token verification against an identity provider's published keys
+ * Key sets are read from an https URL, or from a local JSON file (plain path
+ * or file:// URL) so tests and offline setups can sign tokens with their own keys
+ */
+const idToken = {
+  // Map of key set location -> { keys: Map of kid -> KeyObject, fetchedAt }
+  keyCache: new Map(),
+
+  /**
+   * Read a JWKS document
+   */
+  async fetchJwks(location) {
+    if (/^https?:\/\//.test(location)) {
+      const response = await fetch(location);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch signing keys: HTTP ${response.status}`);
+      }
+      return response.json();
+    }
+
+    return fs.readJson(location.replace(/^file:\/\//, ""));
+  },
+
+  /**
+   * Signing keys of a key set, cached for KEYS_TTL_MS
+   */
+  async getKeys(location, { refresh = false } = {}) {
+    const cached = this.keyCache.get(location);
+    const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+    if (cached && age < KEYS_TTL_MS && (!refresh || age < MIN_REFRESH_MS)) {
+      return cached.keys;
+    }
+
+    const { keys = [] } = await this.fetchJwks(location);
+    const keyMap = new Map(
+      keys
+        .filter((jwk) => jwk.kid && (!jwk.use || jwk.use === "sig"))
+        .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })]),
+    );
+
+    this.keyCache.set(location, { keys: keyMap, fetchedAt: Date.now() });
+    return keyMap;
+  },
+
+  /**
+   * Verify signature, issuer, audience, expiry and optional nonce of an ID token
+   * The nonce may be embedded raw or as its SHA-256 hex digest (Apple)
+   */
+  async verify(token, { keysUrl, issuers, audience, nonce }) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw new Error("Invalid ID token");
+    }
+
+    // Providers rotate keys; an unknown key ID refreshes the cached set once
+    let key = (await this.getKeys(keysUrl)).get(decoded.header.kid);
+    if (!key) {
+      key = (await this.getKeys(keysUrl, { refresh: true })).get(
+        decoded.header.kid,
+      );
+    }
+    if (!key) {
+      throw new Error("Invalid ID token");
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, key, {
+        algorithms: ["RS256", "ES256"],
+        issuer: issuers,
+        audience,
+      });
+    } catch (error) {
+      throw new Error("Invalid ID token");
+    }
+
+    // A token issued for a nonce only counts with that nonce, so a captured
+    // token cannot be replayed by leaving the nonce out
+    if (claims.nonce !== undefined && !nonce) {
+      throw new Error("Invalid ID token");
+    }
+    if (nonce) {
+      const hashed = crypto.createHash("sha256").update(nonce).digest("hex");
+      if (claims.nonce !== nonce && claims.nonce !== hashed) {
+        throw new Error("Invalid ID token");
+      }
+    }
+
+    return claims;
+  },
+
+  /**
+   * Client IDs from a comma-separated environment variable
+   */
+  parseClientIds(value) {
+    return String(value || "")
+      .split(",")
+      .map((clientId) => clientId.trim())
+      .filter(Boolean);
+  },
+};
+
+module.exports = idToken;
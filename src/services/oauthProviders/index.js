@@ -0,0 +1,50 @@
+const googleProvider = require("./google.provider");
+const appleProvider = require("./apple.provider");
+
+/**
+ * OAuth identity provider registry
+ *
+ * A provider implements:
+ * - userField -> User path that stores the provider's subject ID
+ * - isConfigured() -> whether the provider can be used in this environment
+ * - verifyIdToken(token, { nonce }) -> { sub, email, emailVerified, name }
+ */
+const oauthProviders = {
+  // Map of lowercase provider name -> provider
+  providers: new Map([
+    ["google", googleProvider],
+    ["apple", appleProvider],
+  ]),
+
+  /**
+   * Register a provider under a name
+   */
+  register(name, provider) {
+    for (const method of ["isConfigured", "verifyIdToken"]) {
+      if (typeof provider[method] !== "function") {
+        throw new Error(`OAuth provider must implement ${method}()`);
+      }
+    }
+    if (!provider.userField) {
+      throw new Error("OAuth provider must define userField");
+    }
+
+    this.providers.set(name.toLowerCase(), provider);
+  },
+
+  /**
+   * Get a provider by name, or null
+   */
+  get(name) {
+    return this.providers.get(String(name).toLowerCase()) || null;
+  },
+
+  /**
+   * List registered provider names
+   */
+  list() {
+    return [...this.providers.keys()];
+  },
+};
+
+module.exports = oauthProviders;
@@ -1,10 +1,59 @@
 const Photo = require("../models/photo.model");
 const Event = require("../models/event.model");
+const photoAccessService = require("./photoAccess.service");
+const storageService = require("./storage.service");
 const multerConfig = require("../config/multer.config");
+const { UPLOAD } = require("../utils/constants.util");
 const logger = require("../utils/logger.util");
-const path = require("path");
-const fs = require("fs-extra");
 const sharp = require("sharp");
+const exifReader = require("exif-reader");
+
+// Encoder quality of each rendition format
+const FORMAT_QUALITY = { webp: UPLOAD.WEBP_QUALITY, jpeg: UPLOAD.JPEG_QUALITY };
+
+// Earlier EXIF dates are unset camera clocks rather than real capture times
+const MIN_TAKEN_AT = new Date("1990-01-01T00:00:00Z");
+
+/**
+ * Capture time from raw EXIF data, or null when missing or implausible
+ * EXIF dates have no time zone; the offset tag is applied when present
+ */
+const readTakenAt = (exif) => {
+  if (!exif) {
+    return null;
+  }
+
+  let tags;
+  try {
+    tags = exifReader(exif);
+  } catch (error) {
+    return null;
+  }
+
+  const { Photo: photoTags = {}, Image: imageTags = {} } = tags;
+  const date =
+    photoTags.DateTimeOriginal ||
+    photoTags.DateTimeDigitized ||
+    imageTags.DateTime;
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    return null;
+  }
+
+  let takenAt = date;
+  const offset = /^([+-])(\d{2}):(\d{2})$/.exec(
+    photoTags.OffsetTimeOriginal || photoTags.OffsetTime || "",
+  );
+  if (offset) {
+    const sign = offset[1] === "-" ? -1 : 1;
+    const minutes = sign * (parseInt(offset[2]) * 60 + parseInt(offset[3]));
+    takenAt = new Date(date.getTime() - minutes * 60 * 1000);
+  }
+
+  if (takenAt < MIN_TAKEN_AT || takenAt > new Date()) {
+    return null;
+  }
+  return takenAt;
+};
 
 /**
  * Photo service for image upload, processing, and management
@@ -22,14 +71,14 @@ const photoService = {
       }
 
       // Get file info
-      const fileInfo = await this.getFileInfo(file.path);
+      const fileInfo = await this.getFileInfo(file.buffer);
 
       // Create photo record
       const photo = new Photo({
         userId,
         contextType,
         contextId,
-        fileKey: file.filename,
+        fileKey: multerConfig.generateFileKey(userId, file.originalname),
         originalName: file.originalname,
         mimeType: file.mimetype,
         size: file.size,
@@ -37,17 +86,21 @@ const photoService = {
           width: fileInfo.width,
           height: fileInfo.height,
         },
-        takenAt: metadata.takenAt || new Date(),
+        takenAt: fileInfo.takenAt || metadata.takenAt || new Date(),
         location: metadata.location,
         tags: metadata.tags || [],
         description: metadata.description,
         isPublic: metadata.isPublic || false,
       });
 
-      await photo.save();
-
-      // Process image (create thumbnails, optimize)
-      await this.processImage(photo);
+      // Create the renditions and store them; the upload itself is not kept
+      try {
+        await this.processImage(photo, file.buffer);
+        await photo.save();
+      } catch (error) {
+        await storageService.deletePhotoFiles(photo);
+        throw error;
+      }
 
       // Log event
       await Event.createEvent(
@@ -80,15 +133,19 @@ const photoService = {
 
   /**
    * Get file information
+   * Dimensions are as displayed, after applying the EXIF orientation
    */
-  async getFileInfo(filePath) {
+  async getFileInfo(input) {
     try {
-      const image = sharp(filePath);
+      const image = sharp(input);
       const metadata = await image.metadata();
+      const rotated = metadata.orientation >= 5;
 
       return {
-        width: metadata.width,
-        height: metadata.height,
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height,
+        orientation: metadata.orientation,
+        takenAt: readTakenAt(metadata.exif),
         format: metadata.format,
         size: metadata.size,
         hasAlpha: metadata.hasAlpha,
@@ -98,66 +155,45 @@ const photoService = {
     } catch (error) {
       logger.error("❌ File info extraction failed", {
         error: error.message,
-        filePath,
       });
       throw error;
     }
   },
 
   /**
-   * Process uploaded image
+   * Create every rendition of an uploaded image and write it through the
+   * storage service
+   * Renditions are rotated upright and carry no metadata (EXIF, GPS)
    */
-  async processImage(photo) {
+  async processImage(photo, buffer) {
     try {
-      const sourcePath = path.join(
-        multerConfig.uploadPath,
-        photo.contextType,
-        photo.fileKey
-      );
-      const thumbnailPath = path.join(
-        multerConfig.uploadPath,
-        photo.contextType,
-        "thumbnails",
-        photo.fileKey
-      );
-
-      // Ensure thumbnail directory exists
-      await fs.ensureDir(path.dirname(thumbnailPath));
-
-      // Create thumbnail (300x300, maintain aspect ratio)
-      await sharp(sourcePath)
-        .resize(300, 300, {
-          fit: "inside",
-          withoutEnlargement: true,
-        })
-        .jpeg({ quality: 80 })
-        .toFile(thumbnailPath);
-
-      // Optimize original image if too large
-      if (photo.dimensions.width > 1920 || photo.dimensions.height > 1920) {
-        const optimizedPath = sourcePath.replace(/\.[^/.]+$/, "_optimized.jpg");
+      const image = sharp(buffer).rotate();
 
-        await sharp(sourcePath)
-          .resize(1920, 1920, {
+      for (const [name, size] of Object.entries(UPLOAD.RENDITIONS)) {
+        for (const format of UPLOAD.RENDITION_FORMATS) {
+          const resized = image.clone().resize(size.width, size.height, {
             fit: "inside",
             withoutEnlargement: true,
-          })
-          .jpeg({ quality: 85 })
-          .toFile(optimizedPath);
-
-        // Replace original with optimized
-        await fs.remove(sourcePath);
-        await fs.move(optimizedPath, sourcePath);
-
-        // Update photo dimensions
-        const optimizedInfo = await this.getFileInfo(sourcePath);
-        photo.dimensions = {
-          width: optimizedInfo.width,
-          height: optimizedInfo.height,
-        };
-        await photo.save();
+          });
+          const rendition = await resized[format]({
+            quality: FORMAT_QUALITY[format],
+          }).toBuffer({ resolveWithObject: true });
+
+          await storageService.putPhotoRendition(
+            photo,
+            name,
+            format,
+            rendition,
+          );
+        }
       }
 
+      // Dimensions of what is actually served
+      const full = photo.renditions.find(
+        (rendition) => rendition.name === "full",
+      );
+      photo.dimensions = { width: full.width, height: full.height };
+
       logger.info("✅ Image processing completed", { photoId: photo._id });
     } catch (error) {
       logger.error("❌ Image processing failed", {
@@ -225,15 +261,8 @@ const photoService = {
    */
   async getPhotoById(photoId, userId = null) {
     try {
-      const photo = await Photo.findById(photoId);
-      if (!photo) {
-        throw new Error("Photo not found");
-      }
-
-      // Check privacy
-      if (!photo.isPublic && photo.userId.toString() !== userId?.toString()) {
-        throw new Error("Access denied");
-      }
+      // Owner, public photo or shared through a visible post
+      const photo = await photoAccessService.getViewablePhoto(photoId, userId);
 
       return photo;
     } catch (error) {
@@ -383,25 +412,10 @@ const photoService = {
       }
 
       // Delete files
-      const sourcePath = path.join(
-        multerConfig.uploadPath,
-        photo.contextType,
-        photo.fileKey
-      );
-      const thumbnailPath = path.join(
-        multerConfig.uploadPath,
-        photo.contextType,
-        "thumbnails",
-        photo.fileKey
-      );
-
-      await Promise.all([
-        fs.remove(sourcePath).catch(() => {}),
-        fs.remove(thumbnailPath).catch(() => {}),
-      ]);
+      await storageService.deletePhotoFiles(photo);
 
       // Delete database record
-      await photo.remove();
+      await photo.deleteOne();
 
       // Log event
       await Event.createEvent(
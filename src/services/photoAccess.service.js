@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const Photo = require("../models/photo.model");
+const Post = require("../models/post.model");
+const SocialFeed = require("../models/socialFeed.model");
+const Friend = require("../models/friend.model");
+const { UPLOAD } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Photo access service
+ * Decides who may see a photo and issues short-lived signed download URLs
+ */
+const photoAccessService = {
+  /**
+   * Secret used to sign download URLs
+   */
+  getSecret() {
+    const secret = process.env.PHOTO_URL_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error("Photo URL secret not configured");
+    }
+    return secret;
+  },
+
+  /**
+   * Load a photo the viewer may see
+   */
+  async getViewablePhoto(photoId, viewerId) {
+    const photo = await Photo.findById(photoId);
+    if (!photo) {
+      throw new Error("Photo not found");
+    }
+    if (!(await this.canView(photo, viewerId))) {
+      throw new Error("Access denied");
+    }
+    return photo;
+  },
+
+  /**
+   * Whether a user may see a photo: the owner, anyone for public photos, and
+   * viewers of a post that shares it (friends only for friends-only posts)
+   */
+  async canView(photo, viewerId) {
+    if (viewerId && photo.userId.toString() === viewerId.toString()) {
+      return true;
+    }
+    if (photo.isPublic) {
+      return true;
+    }
+    if (!viewerId) {
+      return false;
+    }
+
+    // Posts reference photos by URL, which contains the photo ID or file key
+    const mediaUrl = {
+      $regex: `${escapeRegex(photo._id.toString())}|${escapeRegex(photo.fileKey)}`,
+    };
+    const [posts, feedPosts] = await Promise.all([
+      Post.find({
+        authorId: photo.userId,
+        isDeleted: { $ne: true },
+        "media.url": mediaUrl,
+      })
+        .select("privacy")
+        .lean(),
+      SocialFeed.find({ authorId: photo.userId, "media.url": mediaUrl })
+        .select("visibility")
+        .lean(),
+    ]);
+
+    const audiences = [
+      ...posts.map((post) => post.privacy),
+      ...feedPosts.map((post) => post.visibility),
+    ];
+    if (audiences.includes("public")) {
+      return true;
+    }
+    if (audiences.includes("friends")) {
+      return this.areFriends(photo.userId, viewerId);
+    }
+    return false;
+  },
+
+  /**
+   * Whether two users have an accepted friendship
+   */
+  async areFriends(userId, otherUserId) {
+    const friendship = await Friend.exists({
+      status: "accepted",
+      $or: [
+        { requesterId: userId, recipientId: otherUserId },
+        { requesterId: otherUserId, recipientId: userId },
+      ],
+    });
+    return !!friendship;
+  },
+
+  /**
+   * HMAC signature of a photo rendition and expiry
+   */
+  sign(photoId, rendition, expires) {
+    return crypto
+      .createHmac("sha256", this.getSecret())
+      .update(`${photoId}:${rendition}:${expires}`)
+      .digest("base64url");
+  },
+
+  /**
+   * Check a signature and that it has not expired
+   */
+  verify(photoId, rendition, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || expiresAt * 1000 < Date.now() || !signature) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(photoId, rendition, expiresAt));
+    const actual = Buffer.from(String(signature));
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  },
+
+  /**
+   * Signed URL of one rendition by size name and format
+   * The expiry is rounded up to a fixed bucket so repeated requests get the
+   * same URL and clients can cache the image under it
+   */
+  getSignedUrl(
+    photo,
+    size = "full",
+    format = UPLOAD.DEFAULT_RENDITION_FORMAT,
+  ) {
+    const bucket = UPLOAD.SIGNED_URL_BUCKET;
+    const expires =
+      Math.ceil((Date.now() / 1000 + UPLOAD.SIGNED_URL_TTL) / bucket) * bucket;
+    const params = new URLSearchParams({
+      format,
+      expires: String(expires),
+      signature: this.sign(photo._id.toString(), `${size}.${format}`, expires),
+    });
+
+    return {
+      url: `${photo.getFileUrl(size)}?${params}`,
+      expiresAt: new Date(expires * 1000),
+    };
+  },
+
+  /**
+   * Photo data with signed URLs for every size in every format
+   */
+  withUrls(photo) {
+    const urls = {};
+    for (const size of Object.keys(UPLOAD.RENDITIONS)) {
+      urls[size] = Object.fromEntries(
+        UPLOAD.RENDITION_FORMATS.map((format) => [
+          format,
+          this.getSignedUrl(photo, size, format).url,
+        ]),
+      );
+    }
+    const { expiresAt } = this.getSignedUrl(photo);
+
+    return { ...photo.toJSON(), urls: { ...urls, expiresAt } };
+  },
+
+  /**
+   * Resolve a signed download to its photo, format and remaining lifetime
+   */
+  async resolveSignedFile(
+    photoId,
+    size,
+    { format = UPLOAD.DEFAULT_RENDITION_FORMAT, expires, signature },
+  ) {
+    try {
+      if (
+        !Object.hasOwn(UPLOAD.RENDITIONS, size) ||
+        !UPLOAD.RENDITION_FORMATS.includes(format)
+      ) {
+        throw new Error("Invalid photo rendition");
+      }
+      if (!this.verify(photoId, `${size}.${format}`, expires, signature)) {
+        throw new Error("Invalid or expired signature");
+      }
+
+      const photo = await Photo.findById(photoId);
+      if (!photo) {
+        throw new Error("Photo not found");
+      }
+
+      return {
+        photo,
+        format,
+        maxAge: Math.max(parseInt(expires) - Math.floor(Date.now() / 1000), 0),
+      };
+    } catch (error) {
+      logger.warn("⚠️ Signed photo download rejected", {
+        error: error.message,
+        photoId,
+        size,
+        format,
+      });
+      throw error;
+    }
+  },
+};
+
+module.exports = photoAccessService;
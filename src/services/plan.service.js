@@ -1,4 +1,5 @@
 const Plan = require("../models/plan.model");
+const eventBus = require("./eventBus.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -201,6 +202,8 @@ const planService = {
 
       await plan.save();
 
+      eventBus.publish("plan.completed", userId, { plan });
+
       logger.info("✅ Plan completed", {
         userId,
         planId,
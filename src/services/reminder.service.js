@@ -0,0 +1,250 @@
+const User = require("../models/user.model");
+const Weight = require("../models/weight.model");
+const Workout = require("../models/workout.model");
+const Gamification = require("../models/gamification.model");
+const Challenge = require("../models/challenge.model");
+const NotificationPreference = require("../models/notificationPreference.model");
+const ReminderLog = require("../models/reminderLog.model");
+const notificationService = require("./notification.service");
+const helpers = require("../utils/helpers.util");
+const { NOTIFICATIONS, TIME } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+// Daily reminders sent at a user-chosen local time unless already done today
+const DAILY_REMINDERS = [
+  {
+    templateKey: "weight_reminder",
+    getTime: (preference) => preference.weighInTime,
+    isDone: (userId, dateISO) => Weight.exists({ userId, dateISO }),
+  },
+  {
+    templateKey: "workout_reminder",
+    getTime: (preference) => preference.workoutReminderTime,
+    isDone: (userId, dateISO) =>
+      Workout.exists({ userId, dateISO, isCompleted: true }),
+  },
+];
+
+/**
+ * Reminder service
+ * Sends weight, workout, streak-risk and challenge-ending reminders in each
+ * user's time zone, honouring their notification preferences. Every reminder
+ * is claimed in ReminderLog first, so concurrent instances never send twice
+ */
+const reminderService = {
+  batchSize: 500,
+
+  /**
+   * Send every reminder that is due now
+   */
+  async runDueReminders(now = new Date()) {
+    const sent = {};
+    const count = (templateKey) => {
+      sent[templateKey] = (sent[templateKey] || 0) + 1;
+    };
+
+    await this.sendDailyReminders(now, count);
+    await this.sendStreakRiskReminders(now, count);
+    await this.sendChallengeEndingReminders(now, count);
+
+    return sent;
+  },
+
+  /**
+   * Weight and workout reminders at the user's preferred times
+   */
+  sendDailyReminders(now, count) {
+    return this.forEachBatch(
+      User,
+      { isActive: true },
+      "_id",
+      async (users) => {
+        const preferences = await NotificationPreference.getForUsers(
+          users.map((user) => user._id),
+        );
+
+        for (const [userId, preference] of preferences) {
+          for (const reminder of DAILY_REMINDERS) {
+            const delivered = await this.deliver(
+              userId,
+              preference,
+              reminder.templateKey,
+              {
+                time: reminder.getTime(preference),
+                isDone: reminder.isDone,
+              },
+              now,
+            );
+            if (delivered) {
+              count(reminder.templateKey);
+            }
+          }
+        }
+      },
+    );
+  },
+
+  /**
+   * Evening reminder for users whose streak ends unless they log today
+   */
+  sendStreakRiskReminders(now, count) {
+    // Streak dates are stored at server-local midnight
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const yesterday = new Date(today.getTime() - TIME.MILLISECONDS.DAY);
+
+    return this.forEachBatch(
+      Gamification,
+      {
+        currentStreak: { $gt: 0 },
+        lastActivityDate: { $gte: yesterday, $lt: today },
+      },
+      "userId currentStreak",
+      async (records) => {
+        const preferences = await NotificationPreference.getForUsers(
+          records.map((record) => record.userId),
+        );
+
+        for (const record of records) {
+          const delivered = await this.deliver(
+            record.userId,
+            preferences.get(record.userId.toString()),
+            "streak_risk",
+            {
+              time: NOTIFICATIONS.STREAK_RISK_TIME,
+              data: { days: record.currentStreak },
+            },
+            now,
+          );
+          if (delivered) {
+            count("streak_risk");
+          }
+        }
+      },
+    );
+  },
+
+  /**
+   * One reminder per participant when their challenge ends soon
+   */
+  async sendChallengeEndingReminders(now, count) {
+    const endsBefore = new Date(
+      now.getTime() +
+        NOTIFICATIONS.CHALLENGE_ENDING_HOURS * TIME.MILLISECONDS.HOUR,
+    );
+    const endingSoon = (participant) =>
+      participant.status === "active" &&
+      participant.endDate > now &&
+      participant.endDate <= endsBefore;
+
+    const challenges = await Challenge.find({
+      status: "active",
+      participants: {
+        $elemMatch: {
+          status: "active",
+          endDate: { $gt: now, $lte: endsBefore },
+        },
+      },
+    })
+      .select("title participants.userId participants.status participants.endDate")
+      .lean();
+
+    for (const challenge of challenges) {
+      const participants = challenge.participants.filter(endingSoon);
+      const preferences = await NotificationPreference.getForUsers(
+        participants.map((participant) => participant.userId),
+      );
+
+      for (const participant of participants) {
+        const delivered = await this.deliver(
+          participant.userId,
+          preferences.get(participant.userId.toString()),
+          "challenge_reminder",
+          {
+            key: `challenge_reminder:${challenge._id}`,
+            dateISO: helpers.formatDateISO(participant.endDate),
+            data: {
+              challengeId: challenge._id.toString(),
+              title: challenge.title,
+            },
+          },
+          now,
+        );
+        if (delivered) {
+          count("challenge_reminder");
+        }
+      }
+    }
+  },
+
+  /**
+   * Send a reminder if the user's preferences allow it now, it is inside its
+   * time window, it is still relevant and no instance has sent it yet
+   */
+  async deliver(userId, preference, templateKey, options, now) {
+    const { time, isDone, data = {} } = options;
+
+    if (!preference.allows(templateKey, "push") || preference.isQuietAt(now)) {
+      return false;
+    }
+
+    const local = preference.getLocalTime(now);
+    if (time) {
+      const start = helpers.parseTimeOfDay(time);
+      const end = start + NOTIFICATIONS.REMINDER_WINDOW_MINUTES;
+      if (local.minutes < start || local.minutes >= end) {
+        return false;
+      }
+    }
+
+    if (isDone && (await isDone(userId, local.dateISO))) {
+      return false;
+    }
+
+    const claimed = await ReminderLog.claim(
+      userId,
+      options.key || templateKey,
+      options.dateISO || local.dateISO,
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      await notificationService.sendPushNotification(userId, templateKey, data);
+      return true;
+    } catch (error) {
+      logger.warn("⚠️ Reminder not delivered", {
+        error: error.message,
+        userId,
+        templateKey,
+      });
+      return false;
+    }
+  },
+
+  /**
+   * Walk a collection in _id order, one batch of lean documents at a time
+   */
+  async forEachBatch(model, filter, select, handler) {
+    let lastId = null;
+
+    for (;;) {
+      const query = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+      const batch = await model
+        .find(query)
+        .sort({ _id: 1 })
+        .limit(this.batchSize)
+        .select(select)
+        .lean();
+      if (batch.length === 0) {
+        return;
+      }
+
+      await handler(batch);
+      lastId = batch[batch.length - 1]._id;
+    }
+  },
+};
+
+module.exports = reminderService;
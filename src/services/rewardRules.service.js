@@ -0,0 +1,221 @@
+const RewardLedger = require("../models/rewardLedger.model");
+const gamificationService = require("./gamification.service");
+const helpers = require("../utils/helpers.util");
+const { GAMIFICATION } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+/**
+ * Verified domain actions mapped to their reward table key
+ */
+const ACTION_KEYS = {
+  "weight.logged": "WEIGHT_LOGGED",
+  "meal.logged": "MEAL_LOGGED",
+  "workout.completed": "WORKOUT_COMPLETED",
+  "plan.completed": "PLAN_COMPLETED",
+  "streak.milestone": "STREAK_MILESTONE",
+  "badge.earned": "BADGE_EARNED",
+  "challenge.joined": "CHALLENGE_JOINED",
+  "challenge.completed": "CHALLENGE_COMPLETED",
+};
+
+/**
+ * Reward rules engine
+ * Derives XP and coin awards from verified actions with daily caps and idempotency
+ */
+const rewardRulesService = {
+  /**
+   * Get the reward rule for an action
+   */
+  getRule(action) {
+    const key = ACTION_KEYS[action];
+    if (!key) {
+      return null;
+    }
+
+    return {
+      action,
+      xp: GAMIFICATION.XP_REWARDS[key] || 0,
+      coins: GAMIFICATION.COIN_REWARDS[key] || 0,
+      dailyCap: GAMIFICATION.DAILY_CAPS[key] || null,
+    };
+  },
+
+  /**
+   * Get all reward rules
+   */
+  getRules() {
+    return Object.keys(ACTION_KEYS).map((action) => this.getRule(action));
+  },
+
+  /**
+   * Apply the rule for a verified action on a source record
+   * Returns { awarded: false, reason } when capped or already rewarded
+   */
+  async applyAction(userId, action, sourceId) {
+    try {
+      const rule = this.getRule(action);
+      if (!rule) {
+        throw new Error(`Unknown reward action '${action}'`);
+      }
+
+      if (!sourceId) {
+        throw new Error("Source ID is required for reward idempotency");
+      }
+
+      const result = await this.recordAndAward(
+        userId,
+        {
+          action,
+          idempotencyKey: `${action}:${sourceId}`,
+          sourceId: sourceId.toString(),
+          dateISO: helpers.formatDateISO(new Date()),
+          xp: rule.xp,
+          coins: rule.coins,
+        },
+        { dailyCap: rule.dailyCap },
+      );
+
+      if (result.reason === "daily_cap") {
+        logger.info("ℹ️ Reward skipped, daily cap reached", {
+          userId,
+          action,
+          dailyCap: rule.dailyCap,
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error("❌ Apply reward action failed", {
+        error: error.message,
+        userId,
+        action,
+        sourceId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Manually grant XP/coins (admin only)
+   */
+  async grantManual(adminId, userId, grant) {
+    try {
+      const { xp = 0, coins = 0, note, idempotencyKey } = grant;
+
+      if (xp <= 0 && coins <= 0) {
+        throw new Error("XP or coin amount must be positive");
+      }
+
+      return await this.recordAndAward(userId, {
+        action: "admin.grant",
+        idempotencyKey: idempotencyKey
+          ? `admin.grant:${adminId}:${userId}:${idempotencyKey}`
+          : `admin.grant:${helpers.generateUUID()}`,
+        dateISO: helpers.formatDateISO(new Date()),
+        xp,
+        coins,
+        grantedBy: adminId,
+        note,
+      });
+    } catch (error) {
+      logger.error("❌ Manual reward grant failed", {
+        error: error.message,
+        adminId,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Write the ledger entry, then apply XP/coins
+   * Capped actions take one of the day's slots; none left means no award.
+   * The ledger entry is kept when awarding fails; a retry with the same
+   * idempotency key applies only the parts that were not awarded yet
+   */
+  async recordAndAward(userId, entry, { dailyCap = null } = {}) {
+    let ledger;
+    let resumed = false;
+    try {
+      ledger = await RewardLedger.record({ userId, ...entry }, dailyCap);
+      if (!ledger) {
+        return { awarded: false, reason: "daily_cap", action: entry.action };
+      }
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Only resume the caller's own entry; a key taken by another user
+      // must never pay this one
+      ledger = await RewardLedger.findOne({
+        userId,
+        idempotencyKey: entry.idempotencyKey,
+      });
+      if (!ledger) {
+        return { awarded: false, reason: "duplicate", action: entry.action };
+      }
+      resumed = true;
+    }
+
+    const result = { awarded: true, action: entry.action, xp: 0, coins: 0 };
+
+    const xp = await this.awardPart(ledger, "xp", () =>
+      gamificationService.awardXP(
+        userId,
+        ledger.xp,
+        ledger.action,
+        ledger.note || ledger.action,
+        "reward",
+      ),
+    );
+    if (xp) {
+      Object.assign(result, xp);
+      result.xp = ledger.xp;
+    }
+
+    const coins = await this.awardPart(ledger, "coins", () =>
+      gamificationService.awardCoins(userId, ledger.coins, ledger.action),
+    );
+    if (coins) {
+      result.coins = ledger.coins;
+      result.newBalance = coins.newBalance;
+    }
+
+    if (resumed && !xp && !coins) {
+      return { awarded: false, reason: "duplicate", action: entry.action };
+    }
+
+    logger.info("✅ Reward applied", {
+      userId,
+      action: entry.action,
+      idempotencyKey: entry.idempotencyKey,
+      xp: result.xp,
+      coins: result.coins,
+      resumed,
+    });
+
+    return result;
+  },
+
+  /**
+   * Apply one part ("xp" or "coins") of a ledger entry unless it was already
+   * awarded; the claim is released when the award fails so it can be retried
+   */
+  async awardPart(ledger, part, award) {
+    if (!(ledger[part] > 0)) {
+      return null;
+    }
+    if (!(await RewardLedger.claimPart(ledger._id, part))) {
+      return null;
+    }
+
+    try {
+      return await award();
+    } catch (error) {
+      await RewardLedger.releasePart(ledger._id, part);
+      throw error;
+    }
+  },
+};
+
+module.exports = rewardRulesService;
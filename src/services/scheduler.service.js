@@ -0,0 +1,174 @@
+const os = require("os");
+const ScheduledJob = require("../models/scheduledJob.model");
+const helpers = require("../utils/helpers.util");
+const logger = require("../utils/logger.util");
+
+/**
+ * Persistent job scheduler
+ * Runs registered jobs on fixed intervals; a job never overlaps with itself.
+ * Schedules live in MongoDB, so with several API instances each run happens
+ * on exactly one of them and restarts do not reset the interval
+ */
+const schedulerService = {
+  // Identifies this process in job leases
+  instanceId: `${os.hostname()}:${process.pid}:${helpers.generateRandomString(4)}`,
+
+  // How often instances check for due jobs
+  pollIntervalMs: 60 * 1000,
+
+  // Default time another instance waits before taking over a crashed run
+  defaultLeaseMs: 15 * 60 * 1000,
+
+  // Map of job name -> { intervalMs, leaseMs, task, timer, running, lastRunAt, lastError }
+  jobs: new Map(),
+
+  /**
+   * Register a named job
+   */
+  register(name, intervalMs, task, { leaseMs } = {}) {
+    if (typeof task !== "function") {
+      throw new Error("Scheduled task must be a function");
+    }
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      throw new Error("Job interval must be a positive number");
+    }
+    if (this.jobs.has(name)) {
+      throw new Error(`Job '${name}' already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      leaseMs: leaseMs || this.defaultLeaseMs,
+      task,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastError: null,
+    });
+
+    logger.debug("⏰ Scheduled job registered", { name, intervalMs });
+  },
+
+  /**
+   * Start every registered job
+   */
+  start() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) {
+        continue;
+      }
+
+      job.timer = setInterval(
+        () => this.tick(job.name),
+        Math.min(job.intervalMs, this.pollIntervalMs),
+      );
+      // Do not keep the process alive only for scheduled jobs
+      job.timer.unref();
+    }
+
+    logger.info("✅ Scheduler started", {
+      jobs: [...this.jobs.keys()],
+      instanceId: this.instanceId,
+    });
+  },
+
+  /**
+   * Stop every running job timer
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+
+    logger.info("✅ Scheduler stopped");
+  },
+
+  /**
+   * Run a job if it is due and no other instance is running it
+   */
+  async tick(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) {
+      return null;
+    }
+
+    let claimed;
+    try {
+      claimed = await ScheduledJob.claim(
+        name,
+        job.intervalMs,
+        this.instanceId,
+        job.leaseMs,
+      );
+    } catch (error) {
+      logger.warn("⚠️ Could not claim scheduled job", {
+        error: error.message,
+        name,
+      });
+      return null;
+    }
+    if (!claimed) {
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const result = await this.runJob(name);
+
+    await ScheduledJob.release(name, this.instanceId, {
+      durationMs: Date.now() - startedAt,
+      error: job.lastError,
+    }).catch((error) =>
+      logger.warn("⚠️ Could not release scheduled job", {
+        error: error.message,
+        name,
+      }),
+    );
+
+    return result;
+  },
+
+  /**
+   * Run a job now on this instance, skipping if the previous run is still
+   * in progress
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job '${name}' not found`);
+    }
+    if (job.running) {
+      logger.warn("⚠️ Scheduled job still running, skipping", { name });
+      return null;
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.task();
+      job.lastRunAt = new Date();
+      job.lastError = null;
+
+      logger.info("✅ Scheduled job finished", {
+        name,
+        durationMs: Date.now() - startedAt,
+        result,
+      });
+
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error("❌ Scheduled job failed", {
+        error: error.message,
+        name,
+      });
+      return null;
+    } finally {
+      job.running = false;
+    }
+  },
+};
+
+module.exports = schedulerService;
@@ -2,6 +2,7 @@ const Friend = require("../models/friend.model");
 const Post = require("../models/post.model");
 const User = require("../models/user.model");
 const Profile = require("../models/profile.model");
+const notificationService = require("./notification.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -55,6 +56,18 @@ const socialService = {
 
       await friendRequest.save();
 
+      await notificationService
+        .notify(recipientId, "friend_request", {
+          name: requester.name,
+          requestId: friendRequest._id.toString(),
+        })
+        .catch((error) =>
+          logger.warn("⚠️ Friend request notification skipped", {
+            error: error.message,
+            recipientId,
+          }),
+        );
+
       logger.info("Friend request sent", {
         requesterId,
         recipientId,
@@ -1,6 +1,7 @@
 const SocialFeed = require("../models/socialFeed.model");
 const User = require("../models/user.model");
 const aiService = require("./ai.service");
+const notificationService = require("./notification.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -305,6 +306,22 @@ const socialFeedService = {
       post.addReply(commentIndex, userId, user.fullName, content);
       await post.save();
 
+      // Let the comment author know, unless they replied to themselves
+      const commentAuthorId = post.comments[commentIndex].userId;
+      if (!commentAuthorId.equals(userId)) {
+        await notificationService
+          .notify(commentAuthorId, "comment_reply", {
+            postId: post._id.toString(),
+            commentIndex,
+          })
+          .catch((error) =>
+            logger.warn("⚠️ Comment reply notification skipped", {
+              error: error.message,
+              postId,
+            }),
+          );
+      }
+
       logger.info("✅ Reply added successfully", {
         postId,
         userId,
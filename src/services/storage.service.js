@@ -0,0 +1,264 @@
+const Photo = require("../models/photo.model");
+const storageDrivers = require("./storageDrivers");
+const { UPLOAD } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+// Content type and file extension of each rendition format
+const FORMAT_TYPES = { webp: "image/webp", jpeg: "image/jpeg" };
+const FORMAT_EXTENSIONS = { webp: "webp", jpeg: "jpg" };
+
+/**
+ * Storage service for photo files
+ * Resolves the driver and object key of each photo rendition and moves photos
+ * between drivers
+ */
+const storageService = {
+  /**
+   * Name of the driver new files are written to
+   */
+  getDefaultDriverName() {
+    return process.env.STORAGE_DRIVER || "local";
+  },
+
+  /**
+   * Get a configured driver by name
+   */
+  getDriver(name = this.getDefaultDriverName()) {
+    const driver = storageDrivers.get(name);
+    if (!driver) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    if (!driver.isConfigured()) {
+      throw new Error(`Storage driver '${name}' is not configured`);
+    }
+    return driver;
+  },
+
+  /**
+   * Object key of a rendition
+   */
+  buildRenditionKey(photo, name, format) {
+    const baseName = photo.fileKey.replace(/\.[^/.]+$/, "");
+    return `photos/${photo.userId}/${name}/${baseName}.${FORMAT_EXTENSIONS[format]}`;
+  },
+
+  /**
+   * Key of a file of a photo uploaded before renditions
+   * Photos from before storage drivers use the legacy local disk layout
+   */
+  getLegacyKey(photo, variant) {
+    if (photo.storage?.keys?.[variant]) {
+      return photo.storage.keys[variant];
+    }
+    return variant === "thumbnail"
+      ? `${photo.contextType}/thumbnails/${photo.fileKey}`
+      : `${photo.contextType}/${photo.fileKey}`;
+  },
+
+  /**
+   * Key and content type of the file that serves a rendition
+   * Falls back to the other format, and for photos uploaded before renditions
+   * to the thumbnail or the original. Works with documents and lean objects
+   */
+  getPhotoFile(photo, name = "full", format = UPLOAD.DEFAULT_RENDITION_FORMAT) {
+    const renditions = photo.renditions || [];
+    if (renditions.length > 0) {
+      const rendition =
+        renditions.find(
+          (candidate) =>
+            candidate.name === name && candidate.format === format,
+        ) || renditions.find((candidate) => candidate.name === name);
+      if (!rendition) {
+        throw new Error("Photo rendition not found");
+      }
+      return {
+        key: rendition.key,
+        contentType: FORMAT_TYPES[rendition.format],
+      };
+    }
+
+    return name === "thumb"
+      ? { key: this.getLegacyKey(photo, "thumbnail"), contentType: "image/jpeg" }
+      : { key: this.getLegacyKey(photo, "original"), contentType: photo.mimeType };
+  },
+
+  /**
+   * Driver of a photo
+   */
+  getPhotoDriver(photo) {
+    return this.getDriver(photo.storage?.driver || "local");
+  },
+
+  /**
+   * Every stored file of a photo, with the document path holding its key
+   * and the key it gets under the current layout
+   */
+  listPhotoFiles(photo) {
+    const renditions = photo.renditions || [];
+    if (renditions.length > 0) {
+      return renditions.map((rendition, index) => ({
+        path: `renditions.${index}.key`,
+        key: rendition.key,
+        targetKey: this.buildRenditionKey(
+          photo,
+          rendition.name,
+          rendition.format,
+        ),
+        contentType: FORMAT_TYPES[rendition.format],
+        required: true,
+      }));
+    }
+
+    return ["original", "thumbnail"].map((variant) => ({
+      path: `storage.keys.${variant}`,
+      key: this.getLegacyKey(photo, variant),
+      targetKey: `photos/${photo.userId}/${variant}/${photo.fileKey}`,
+      contentType: variant === "original" ? photo.mimeType : "image/jpeg",
+      required: variant === "original",
+    }));
+  },
+
+  /**
+   * Store a rendition on the default driver and record it on the photo
+   */
+  async putPhotoRendition(photo, name, format, { data, info }) {
+    const driverName = this.getDefaultDriverName();
+    const key = this.buildRenditionKey(photo, name, format);
+
+    await this.getDriver(driverName).put(key, data, {
+      contentType: FORMAT_TYPES[format],
+    });
+
+    photo.set("storage.driver", driverName);
+    photo.renditions.push({
+      name,
+      format,
+      key,
+      width: info.width,
+      height: info.height,
+      size: info.size,
+    });
+    return key;
+  },
+
+  /**
+   * Read a rendition into memory
+   */
+  async readPhotoFile(photo, name = "full", format = "jpeg") {
+    return await this.getPhotoDriver(photo).get(
+      this.getPhotoFile(photo, name, format).key,
+    );
+  },
+
+  /**
+   * Metadata of a rendition, or null when the file is missing
+   */
+  async statPhotoFile(photo, name, format) {
+    const { key, contentType } = this.getPhotoFile(photo, name, format);
+    const stat = await this.getPhotoDriver(photo).stat(key);
+    return stat && { ...stat, contentType: stat.contentType || contentType };
+  },
+
+  /**
+   * Stream a rendition, optionally a byte range of it
+   */
+  async streamPhotoFile(photo, name, format, range = {}) {
+    return await this.getPhotoDriver(photo).stream(
+      this.getPhotoFile(photo, name, format).key,
+      range,
+    );
+  },
+
+  /**
+   * Direct download URL of a rendition, or null when the driver has none
+   */
+  presignPhotoFile(photo, name, format, expiresIn = UPLOAD.SIGNED_URL_TTL) {
+    return this.getPhotoDriver(photo).presign(
+      this.getPhotoFile(photo, name, format).key,
+      { expiresIn },
+    );
+  },
+
+  /**
+   * Delete every file of a photo; returns the number of files removed
+   */
+  async deletePhotoFiles(photo) {
+    const driver = this.getPhotoDriver(photo);
+
+    let deleted = 0;
+    for (const { key } of this.listPhotoFiles(photo)) {
+      try {
+        if (await driver.delete(key)) {
+          deleted++;
+        }
+      } catch (error) {
+        logger.warn("⚠️ Photo file delete failed", {
+          error: error.message,
+          photoId: photo._id,
+          key,
+        });
+      }
+    }
+    return deleted;
+  },
+
+  /**
+   * Copy a photo to another driver, switch the record to the new keys and
+   * optionally delete the old files
+   * Missing legacy thumbnails are skipped
+   */
+  async migratePhoto(photo, targetName, { deleteSource = false } = {}) {
+    try {
+      const source = this.getPhotoDriver(photo);
+      const target = this.getDriver(targetName);
+      const update = { "storage.driver": targetName };
+      const copied = [];
+
+      for (const file of this.listPhotoFiles(photo)) {
+        let body;
+        try {
+          body = await source.get(file.key);
+        } catch (error) {
+          if (!file.required && error.message === "Storage object not found") {
+            continue;
+          }
+          throw error;
+        }
+
+        await target.put(file.targetKey, body, {
+          contentType: file.contentType,
+        });
+        update[file.path] = file.targetKey;
+        copied.push(file);
+      }
+
+      // updateOne skips validation so legacy records can always be moved
+      await Photo.updateOne({ _id: photo._id }, { $set: update });
+
+      if (deleteSource) {
+        for (const file of copied) {
+          const sameObject = source === target && file.key === file.targetKey;
+          if (!sameObject) {
+            await source.delete(file.key);
+          }
+        }
+      }
+
+      logger.info("✅ Photo storage migrated", {
+        photoId: photo._id,
+        driver: targetName,
+        files: copied.length,
+      });
+      return { driver: targetName, keys: copied.map((file) => file.targetKey) };
+    } catch (error) {
+      logger.error("❌ Photo storage migration failed", {
+        error: error.message,
+        photoId: photo._id,
+        driver: targetName,
+      });
+      throw error;
+    }
+  },
+};
+
+module.exports = storageService;
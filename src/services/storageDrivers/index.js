@@ -0,0 +1,59 @@
+const localDriver = require("./local.driver");
+const s3Driver = require("./s3.driver");
+
+/**
+ * Storage driver registry
+ *
+ * A driver implements:
+ * - isConfigured() -> whether the driver can be used in this environment
+ * - put(key, body, { contentType }) -> { key, size }
+ * - get(key) -> Buffer
+ * - stat(key) -> { size, etag, lastModified, contentType } or null
+ * - stream(key, { start, end }) -> Readable
+ * - delete(key) -> boolean
+ * - presign(key, { expiresIn }) -> direct download URL, or null when unsupported
+ */
+const storageDrivers = {
+  // Map of lowercase driver name -> driver
+  drivers: new Map([
+    ["local", localDriver],
+    ["s3", s3Driver],
+  ]),
+
+  /**
+   * Register a driver under a name
+   */
+  register(name, driver) {
+    for (const method of [
+      "isConfigured",
+      "put",
+      "get",
+      "stat",
+      "stream",
+      "delete",
+      "presign",
+    ]) {
+      if (typeof driver[method] !== "function") {
+        throw new Error(`Storage driver must implement ${method}()`);
+      }
+    }
+
+    this.drivers.set(name.toLowerCase(), driver);
+  },
+
+  /**
+   * Get a driver by name, or null
+   */
+  get(name) {
+    return this.drivers.get(String(name).toLowerCase()) || null;
+  },
+
+  /**
+   * List registered driver names
+   */
+  list() {
+    return [...this.drivers.keys()];
+  },
+};
+
+module.exports = storageDrivers;
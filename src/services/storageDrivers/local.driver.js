@@ -0,0 +1,111 @@
+const path = require("path");
+const fs = require("fs-extra");
+
+/**
+ * Local filesystem storage driver
+ * Stores objects as files under UPLOAD_PATH; only suitable for a single API instance
+ */
+const localDriver = {
+  name: "local",
+
+  /**
+   * Always available
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Root directory of stored objects
+   */
+  getRoot() {
+    return path.resolve(process.env.UPLOAD_PATH || "./src/uploads");
+  },
+
+  /**
+   * Absolute path of a key, refusing keys that escape the root
+   */
+  resolve(key) {
+    const root = this.getRoot();
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  },
+
+  /**
+   * Write an object
+   */
+  async put(key, body) {
+    await fs.outputFile(this.resolve(key), body);
+    return { key, size: body.length };
+  },
+
+  /**
+   * Read a whole object
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error("Storage object not found");
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Size, ETag and modification time of an object, or null when missing
+   * The ETag follows the size-mtime form Express uses for static files
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      return {
+        size: stats.size,
+        lastModified: stats.mtime,
+        etag: `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`,
+        contentType: null,
+      };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Readable stream of an object, optionally limited to an inclusive byte range
+   */
+  async stream(key, { start, end } = {}) {
+    const filePath = this.resolve(key);
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error("Storage object not found");
+    }
+    return fs.createReadStream(filePath, { start, end });
+  },
+
+  /**
+   * Delete an object; returns whether it existed
+   */
+  async delete(key) {
+    const filePath = this.resolve(key);
+    if (!(await fs.pathExists(filePath))) {
+      return false;
+    }
+    await fs.remove(filePath);
+    return true;
+  },
+
+  /**
+   * Local files have no direct URL; they are served by the API
+   */
+  presign() {
+    return null;
+  },
+};
+
+module.exports = localDriver;
@@ -0,0 +1,165 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+/**
+ * Whether an S3 error means the object does not exist
+ */
+const isNotFound = (error) =>
+  error.name === "NoSuchKey" ||
+  error.name === "NotFound" ||
+  error.$metadata?.httpStatusCode === 404;
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2...)
+ * Configured through the STORAGE_S3_* environment variables; setting
+ * STORAGE_S3_ENDPOINT targets a non-AWS service such as a local MinIO
+ */
+const s3Driver = {
+  name: "s3",
+
+  // Lazily created client
+  client: null,
+
+  /**
+   * Bucket and credentials are set
+   */
+  isConfigured() {
+    return Boolean(
+      process.env.STORAGE_S3_BUCKET &&
+        process.env.STORAGE_S3_ACCESS_KEY_ID &&
+        process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+    );
+  },
+
+  /**
+   * Get the S3 client
+   * Custom endpoints use path-style URLs unless STORAGE_S3_FORCE_PATH_STYLE=false
+   */
+  getClient() {
+    if (!this.client) {
+      const endpoint = process.env.STORAGE_S3_ENDPOINT || undefined;
+      this.client = new S3Client({
+        region: process.env.STORAGE_S3_REGION || "us-east-1",
+        endpoint,
+        forcePathStyle: endpoint
+          ? process.env.STORAGE_S3_FORCE_PATH_STYLE !== "false"
+          : process.env.STORAGE_S3_FORCE_PATH_STYLE === "true",
+        credentials: {
+          accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+        },
+      });
+    }
+    return this.client;
+  },
+
+  /**
+   * Bucket name and full object key
+   */
+  getLocation(key) {
+    const prefix = process.env.STORAGE_S3_PREFIX || "";
+    return { Bucket: process.env.STORAGE_S3_BUCKET, Key: `${prefix}${key}` };
+  },
+
+  /**
+   * Write an object
+   */
+  async put(key, body, { contentType } = {}) {
+    await this.getClient().send(
+      new PutObjectCommand({
+        ...this.getLocation(key),
+        Body: body,
+        ContentType: contentType,
+      }),
+    );
+    return { key, size: body.length };
+  },
+
+  /**
+   * Read a whole object
+   */
+  async get(key) {
+    try {
+      const { Body } = await this.getClient().send(
+        new GetObjectCommand(this.getLocation(key)),
+      );
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw new Error("Storage object not found");
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Size, ETag, modification time and content type, or null when missing
+   */
+  async stat(key) {
+    try {
+      const head = await this.getClient().send(
+        new HeadObjectCommand(this.getLocation(key)),
+      );
+      return {
+        size: head.ContentLength,
+        lastModified: head.LastModified,
+        etag: head.ETag,
+        contentType: head.ContentType || null,
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Readable stream of an object, optionally limited to an inclusive byte range
+   */
+  async stream(key, { start, end } = {}) {
+    try {
+      const { Body } = await this.getClient().send(
+        new GetObjectCommand({
+          ...this.getLocation(key),
+          Range:
+            start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined,
+        }),
+      );
+      return Body;
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw new Error("Storage object not found");
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Delete an object
+   * S3 does not report whether the object existed, so this always returns true
+   */
+  async delete(key) {
+    await this.getClient().send(new DeleteObjectCommand(this.getLocation(key)));
+    return true;
+  },
+
+  /**
+   * Time-limited GET URL of an object
+   */
+  presign(key, { expiresIn = 900 } = {}) {
+    return getSignedUrl(
+      this.getClient(),
+      new GetObjectCommand(this.getLocation(key)),
+      { expiresIn },
+    );
+  },
+};
+
+module.exports = s3Driver;
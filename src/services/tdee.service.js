@@ -1,9 +1,23 @@
+const mongoose = require("mongoose");
 const Profile = require("../models/profile.model");
+const Weight = require("../models/weight.model");
+const Meal = require("../models/meal.model");
+const helpers = require("../utils/helpers.util");
+const { FITNESS } = require("../utils/constants.util");
 const logger = require("../utils/logger.util");
 
+const {
+  WINDOW_DAYS,
+  KCAL_PER_KG,
+  DRIFT_THRESHOLD_PERCENT,
+  MIN_MEALS_PER_DAY,
+  CONFIDENCE_LEVELS,
+} = FITNESS.ADAPTIVE_TDEE;
+
 /**
  * TDEE calculation service
- * Handles BMR, TDEE, and macro calculations using various formulas
+ * Handles BMR, TDEE, and macro calculations using various formulas, and
+ * adaptive TDEE estimation from logged intake and weight trend
  */
 const tdeeService = {
   /**
@@ -353,6 +367,246 @@ const tdeeService = {
       throw error;
     }
   },
+
+  /**
+   * Formula TDEE of a profile, ignoring any applied adaptive estimate
+   */
+  getFormulaTDEE(profile) {
+    const bmr = this.calculateBMR(
+      profile.currentWeightKg,
+      profile.heightCm,
+      new Date().getFullYear() - profile.birthYear,
+      profile.sex,
+    );
+    return this.calculateTDEE(bmr, profile.activity);
+  },
+
+  /**
+   * Estimate actual expenditure over a rolling window
+   * TDEE = average intake - trend weight change * kcal per kg. Today and days
+   * with fewer than MIN_MEALS_PER_DAY logged meals are left out because their
+   * intake is usually incomplete. Nothing is stored; applyTDEESource saves
+   * the estimate it applies.
+   */
+  async estimateAdaptiveTDEE(userId, { windowDays = WINDOW_DAYS } = {}) {
+    try {
+      const profile = await Profile.findOne({ userId });
+      if (!profile) {
+        throw new Error("Profile not found");
+      }
+
+      const end = new Date();
+      end.setDate(end.getDate() - 1);
+      const start = new Date(end);
+      start.setDate(start.getDate() - (windowDays - 1));
+      const range = {
+        $gte: helpers.formatDateISO(start),
+        $lte: helpers.formatDateISO(end),
+      };
+
+      const [weights, intake] = await Promise.all([
+        Weight.find({ userId, dateISO: range }).sort({ dateISO: 1 }).lean(),
+        Meal.aggregate([
+          {
+            $match: {
+              userId: new mongoose.Types.ObjectId(userId),
+              dateISO: range,
+              status: { $ne: "draft" },
+            },
+          },
+          {
+            $group: {
+              _id: "$dateISO",
+              kcal: { $sum: "$kcal" },
+              meals: { $sum: 1 },
+            },
+          },
+          { $match: { meals: { $gte: MIN_MEALS_PER_DAY } } },
+        ]),
+      ]);
+
+      const formulaKcal = this.getFormulaTDEE(profile);
+      const intakeDays = intake.length;
+      const avgIntakeKcal =
+        intakeDays > 0
+          ? Math.round(intake.reduce((sum, day) => sum + day.kcal, 0) / intakeDays)
+          : null;
+      const trendKgPerWeek =
+        weights.length >= 2
+          ? helpers.roundToDecimal(this.getTrendSlope(weights) * 7, 2)
+          : null;
+      const confidence = this.getConfidence(intakeDays, weights.length);
+
+      let kcal = null;
+      if (confidence !== "insufficient") {
+        const measured =
+          avgIntakeKcal - (trendKgPerWeek / 7) * KCAL_PER_KG;
+        const { formulaWeight } = CONFIDENCE_LEVELS[confidence];
+
+        // Lean on the formula while data is sparse
+        kcal = Math.round(
+          measured * (1 - formulaWeight) + formulaKcal * formulaWeight,
+        );
+      }
+
+      const estimate = {
+        kcal,
+        formulaKcal,
+        confidence,
+        trendKgPerWeek,
+        avgIntakeKcal,
+        intakeDays,
+        weighIns: weights.length,
+        windowDays,
+        estimatedAt: new Date(),
+      };
+
+      logger.info("✅ Adaptive TDEE estimated", {
+        userId,
+        kcal,
+        formulaKcal,
+        confidence,
+      });
+
+      return { estimate, suggestion: this.suggestTargets(profile, estimate) };
+    } catch (error) {
+      logger.error("❌ Adaptive TDEE estimation failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Slope of the weight trend in kg per day
+   * A least-squares line through the weigh-ins smooths out day-to-day water
+   * swings and copes with missing days
+   */
+  getTrendSlope(weights) {
+    const firstDay = new Date(weights[0].dateISO).getTime();
+    const points = weights.map((entry) => ({
+      x: (new Date(entry.dateISO).getTime() - firstDay) / 86400000,
+      y: entry.weightKg,
+    }));
+
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const covariance = points.reduce(
+      (sum, p) => sum + (p.x - meanX) * (p.y - meanY),
+      0,
+    );
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+    return variance > 0 ? covariance / variance : 0;
+  },
+
+  /**
+   * Confidence level from the amount of logged data
+   */
+  getConfidence(intakeDays, weighIns) {
+    const level = ["high", "medium", "low"].find(
+      (name) =>
+        intakeDays >= CONFIDENCE_LEVELS[name].intakeDays &&
+        weighIns >= CONFIDENCE_LEVELS[name].weighIns,
+    );
+    return level || "insufficient";
+  },
+
+  /**
+   * Suggest new targets when the estimate drifts from the formula value
+   */
+  suggestTargets(profile, estimate) {
+    if (!estimate.kcal) {
+      return null;
+    }
+
+    const driftPercent = helpers.roundToDecimal(
+      ((estimate.kcal - estimate.formulaKcal) / estimate.formulaKcal) * 100,
+      1,
+    );
+    if (Math.abs(driftPercent) < DRIFT_THRESHOLD_PERCENT) {
+      return null;
+    }
+
+    const kcalTarget = profile.getKcalTargetFor(estimate.kcal);
+    const macros = this.calculateAutoMacroTargets(
+      kcalTarget,
+      profile.goal,
+      profile.activity,
+    );
+
+    return {
+      driftPercent,
+      tdee: estimate.kcal,
+      kcalTarget,
+      proteinTarget: macros.protein,
+      carbTarget: macros.carb,
+      fatTarget: macros.fat,
+      current: {
+        tdee: profile.tdee,
+        kcalTarget: profile.kcalTarget,
+        proteinTarget: profile.proteinTarget,
+        carbTarget: profile.carbTarget,
+        fatTarget: profile.fatTarget,
+      },
+    };
+  },
+
+  /**
+   * Switch the profile between formula and adaptive targets
+   * Adaptive targets use a fresh estimate, which is stored with the profile
+   */
+  async applyTDEESource(userId, source, { windowDays } = {}) {
+    try {
+      const profile = await Profile.findOne({ userId });
+      if (!profile) {
+        throw new Error("Profile not found");
+      }
+
+      if (source === "adaptive") {
+        const { estimate } = await this.estimateAdaptiveTDEE(userId, {
+          windowDays,
+        });
+        if (!estimate.kcal) {
+          throw new Error("No adaptive TDEE estimate available");
+        }
+        profile.adaptiveTdee = estimate;
+        profile.appliedAdaptiveKcal = estimate.kcal;
+      }
+
+      profile.tdeeSource = source;
+      profile.calculateTDEE();
+
+      const macros = this.calculateAutoMacroTargets(
+        profile.kcalTarget,
+        profile.goal,
+        profile.activity,
+      );
+      profile.proteinTarget = macros.protein;
+      profile.carbTarget = macros.carb;
+      profile.fatTarget = macros.fat;
+
+      await profile.save();
+
+      logger.info("✅ TDEE source applied", {
+        userId,
+        source,
+        tdee: profile.tdee,
+        kcalTarget: profile.kcalTarget,
+      });
+
+      return profile;
+    } catch (error) {
+      logger.error("❌ Apply TDEE source failed", {
+        error: error.message,
+        userId,
+        source,
+      });
+      throw error;
+    }
+  },
 };
 
 module.exports = tdeeService;
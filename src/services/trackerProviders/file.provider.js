@@ -0,0 +1,113 @@
+const fs = require("fs").promises;
+const path = require("path");
+const helpers = require("../../utils/helpers.util");
+
+/**
+ * File-based fitness tracker provider
+ * Reads provider exports from JSON files so the sync pipeline runs offline
+ *
+ * File format: { "records": [
+ *   { "id": "w-1", "type": "weight", "date": "2025-01-01", "weightKg": 72.4 },
+ *   { "id": "a-1", "type": "workout", "date": "2025-01-01", "activity": "running",
+ *     "durationMinutes": 30, "calories": 280 }
+ * ] }
+ */
+
+// Tracker activity names mapped to Workout types
+const ACTIVITY_TYPES = {
+  running: "cardio",
+  walking: "cardio",
+  cycling: "cardio",
+  swimming: "cardio",
+  rowing: "cardio",
+  hiit: "cardio",
+  strength: "strength",
+  weights: "strength",
+  yoga: "flexibility",
+  stretching: "flexibility",
+  pilates: "flexibility",
+};
+
+const fileProvider = {
+  name: "file",
+  dataTypes: ["weight", "workout"],
+
+  // Directory holding one export file per user, named <userId>.json
+  importPath: process.env.TRACKER_IMPORT_PATH || "./data/tracker-imports",
+
+  /**
+   * Resolve the export file of an integration's owner
+   * The name is never taken from integration config, so users can only
+   * import their own export
+   */
+  getFilePath(integration) {
+    return path.join(this.importPath, `${integration.userId}.json`);
+  },
+
+  /**
+   * Check that the export file exists and is readable
+   */
+  async testConnection(integration) {
+    try {
+      await fs.access(this.getFilePath(integration));
+      return { success: true };
+    } catch (error) {
+      return { success: false, errorMessage: "Export file not found" };
+    }
+  },
+
+  /**
+   * Read raw records of the requested data types
+   */
+  async fetch(integration, { dataTypes }) {
+    const content = await fs.readFile(this.getFilePath(integration), "utf8");
+    const { records = [] } = JSON.parse(content);
+
+    return records.filter((record) => dataTypes.includes(record.type));
+  },
+
+  /**
+   * Map a raw record to { dataType, recordId, fields }
+   */
+  map(record) {
+    const dateISO = record.date?.slice(0, 10);
+
+    if (record.type === "weight") {
+      return {
+        dataType: "weight",
+        recordId: String(record.id),
+        fields: {
+          dateISO,
+          weightKg: helpers.roundToDecimal(record.weightKg, 1),
+          bodyFatPercent: record.bodyFatPercent,
+          muscleMassKg: record.muscleMassKg,
+          waterPercent: record.waterPercent,
+        },
+      };
+    }
+
+    if (record.type === "workout") {
+      const activity = String(record.activity || "").toLowerCase();
+
+      return {
+        dataType: "workout",
+        recordId: String(record.id),
+        fields: {
+          dateISO,
+          type: ACTIVITY_TYPES[activity] || "sports",
+          name: record.name || record.activity,
+          duration: { minutes: Math.round(record.durationMinutes) },
+          kcal: Math.round(record.calories || 0),
+          heartRate: {
+            average: record.avgHeartRate,
+            max: record.maxHeartRate,
+          },
+        },
+      };
+    }
+
+    return null;
+  },
+};
+
+module.exports = fileProvider;
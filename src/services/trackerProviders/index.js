@@ -0,0 +1,50 @@
+const fileProvider = require("./file.provider");
+
+/**
+ * Fitness tracker provider registry
+ *
+ * A provider adapter implements:
+ * - fetch(integration, { dataTypes, since }) -> raw provider records
+ * - map(record) -> { dataType: "weight" | "workout", recordId, fields } or null
+ * - testConnection(integration) -> { success, errorMessage }
+ * and may implement upsert(integration, mapped) to replace the default upsert
+ */
+const trackerProviders = {
+  // Map of lowercase provider name -> adapter
+  adapters: new Map(),
+
+  /**
+   * Register an adapter for a provider name
+   */
+  register(provider, adapter) {
+    for (const method of ["fetch", "map", "testConnection"]) {
+      if (typeof adapter[method] !== "function") {
+        throw new Error(`Tracker adapter must implement ${method}()`);
+      }
+    }
+
+    this.adapters.set(provider.toLowerCase(), adapter);
+  },
+
+  /**
+   * Get the adapter for an integration provider, or null
+   */
+  get(provider) {
+    return this.adapters.get(String(provider).toLowerCase()) || null;
+  },
+
+  /**
+   * List the provider names that can be synced
+   */
+  list() {
+    return [...this.adapters.keys()];
+  },
+};
+
+// The file-based provider is an offline seam for development and tests
+if (process.env.NODE_ENV !== "production") {
+  trackerProviders.register("file", fileProvider);
+  trackerProviders.register("mock", fileProvider);
+}
+
+module.exports = trackerProviders;
@@ -0,0 +1,363 @@
+const Weight = require("../models/weight.model");
+const Workout = require("../models/workout.model");
+const trackerProviders = require("./trackerProviders");
+const eventBus = require("./eventBus.service");
+const logger = require("../utils/logger.util");
+
+// Unit conversion factors for "convert" transformations
+const UNIT_FACTORS = {
+  "lb:kg": 0.45359237,
+  "kg:lb": 2.20462262,
+  "mi:km": 1.609344,
+  "km:mi": 0.62137119,
+  "km:m": 1000,
+  "m:km": 0.001,
+  "s:min": 1 / 60,
+  "min:s": 60,
+  "kj:kcal": 0.239005736,
+  "kcal:kj": 4.184,
+};
+
+// Data types that can be written by the pipeline
+const SYNCABLE_TYPES = ["weight", "workout"];
+
+/**
+ * Read a dot-separated path from a record
+ */
+const getField = (record, field) =>
+  field
+    .split(".")
+    .reduce(
+      (value, key) => (value === null || value === undefined ? value : value[key]),
+      record,
+    );
+
+/**
+ * Write a dot-separated path on a record
+ */
+const setField = (record, field, value) => {
+  const keys = field.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => (obj[key] ||= {}), record);
+  target[last] = value;
+};
+
+/**
+ * Filter operators from integration.dataMapping.filters
+ */
+const FILTER_OPERATORS = {
+  equals: (value, expected) => value === expected,
+  not_equals: (value, expected) => value !== expected,
+  greater_than: (value, expected) => Number(value) > Number(expected),
+  less_than: (value, expected) => Number(value) < Number(expected),
+  contains: (value, expected) =>
+    Array.isArray(value)
+      ? value.includes(expected)
+      : String(value ?? "").includes(String(expected)),
+};
+
+// Operations for "calculate" transformations
+const CALCULATIONS = {
+  add: (value, operand) => value + operand,
+  subtract: (value, operand) => value - operand,
+  multiply: (value, operand) => value * operand,
+  divide: (value, operand) => (operand === 0 ? null : value / operand),
+};
+
+// Formatters for "format" transformations
+const FORMATS = {
+  date: (value) => new Date(value).toISOString().slice(0, 10),
+  number: (value) => parseFloat(value),
+  integer: (value) => Math.round(Number(value)),
+  lowercase: (value) => String(value).toLowerCase(),
+  uppercase: (value) => String(value).toUpperCase(),
+  trim: (value) => String(value).trim(),
+};
+
+/**
+ * Transformers from integration.dataMapping.transformations
+ * Each receives the source value and transformConfig and returns the target value
+ */
+const TRANSFORMERS = {
+  copy: (value) => value,
+
+  // { from: "lb", to: "kg" } or { factor, offset }
+  convert: (value, config = {}) => {
+    const factor =
+      config.factor ?? UNIT_FACTORS[`${config.from}:${config.to}`];
+    if (factor === undefined) {
+      throw new Error(`Unsupported unit conversion ${config.from}->${config.to}`);
+    }
+    return Number(value) * factor + (config.offset || 0);
+  },
+
+  // { operation: "add" | "subtract" | "multiply" | "divide", operand | field }
+  calculate: (value, config = {}, record) => {
+    const operation = CALCULATIONS[config.operation];
+    if (!operation) {
+      throw new Error(`Unsupported calculation '${config.operation}'`);
+    }
+
+    const operand =
+      config.field !== undefined
+        ? Number(getField(record, config.field))
+        : Number(config.operand);
+    return operation(Number(value), operand);
+  },
+
+  // { format: "date" | "number" | "integer" | "lowercase" | "uppercase" | "trim" }
+  format: (value, config = {}) => {
+    const formatter = FORMATS[config.format];
+    if (!formatter) {
+      throw new Error(`Unsupported format '${config.format}'`);
+    }
+    return formatter(value);
+  },
+};
+
+/**
+ * Fitness tracker sync pipeline
+ * fetch (adapter) -> filters -> transformations -> map (adapter) -> upsert
+ */
+const trackerSyncService = {
+  /**
+   * Check whether a provider has a sync adapter
+   */
+  isSupported(provider) {
+    return Boolean(trackerProviders.get(provider));
+  },
+
+  /**
+   * Test the provider connection of an integration
+   */
+  async testConnection(integration) {
+    const adapter = this.getAdapter(integration);
+    const startTime = Date.now();
+
+    try {
+      const result = await adapter.testConnection(integration);
+      return { ...result, responseTime: Date.now() - startTime };
+    } catch (error) {
+      return {
+        success: false,
+        responseTime: Date.now() - startTime,
+        errorMessage: error.message,
+      };
+    }
+  },
+
+  /**
+   * Run one sync of an integration and return the sync result
+   * The caller records the result on the integration and saves it
+   */
+  async sync(integration, dataType = null) {
+    const startTime = Date.now();
+    const dataTypes = this.getDataTypes(integration, dataType);
+    const counts = {
+      recordsProcessed: 0,
+      recordsCreated: 0,
+      recordsUpdated: 0,
+      recordsSkipped: 0,
+      recordsFailed: 0,
+    };
+    const failures = [];
+
+    try {
+      const adapter = this.getAdapter(integration);
+      const rawRecords = await adapter.fetch(integration, {
+        dataTypes,
+        since: integration.lastSync?.timestamp || null,
+      });
+
+      for (const raw of rawRecords) {
+        counts.recordsProcessed++;
+
+        try {
+          if (!this.passesFilters(raw, integration.dataMapping?.filters)) {
+            counts.recordsSkipped++;
+            continue;
+          }
+
+          const record = this.applyTransformations(
+            raw,
+            integration.dataMapping?.transformations,
+          );
+          const mapped = adapter.map(record);
+          if (!mapped || !dataTypes.includes(mapped.dataType)) {
+            counts.recordsSkipped++;
+            continue;
+          }
+
+          const outcome = adapter.upsert
+            ? await adapter.upsert(integration, mapped)
+            : await this.upsertRecord(integration, mapped);
+          counts[`records${outcome}`]++;
+        } catch (error) {
+          counts.recordsFailed++;
+          failures.push({ recordId: raw.id, error: error.message });
+        }
+      }
+
+      const result = {
+        timestamp: new Date(startTime),
+        status: counts.recordsFailed === 0 ? "success" : "partial",
+        ...counts,
+        errorMessage:
+          counts.recordsFailed > 0 ? "Some records failed to sync" : null,
+        duration: Date.now() - startTime,
+        metadata: {
+          dataTypes,
+          syncMethod: "adapter",
+          failures: failures.slice(0, 20),
+        },
+      };
+
+      logger.info("✅ Tracker sync finished", {
+        integrationId: integration._id,
+        provider: integration.provider,
+        ...counts,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error("❌ Tracker sync failed", {
+        error: error.message,
+        integrationId: integration._id,
+        provider: integration.provider,
+      });
+
+      return {
+        timestamp: new Date(startTime),
+        status: "error",
+        ...counts,
+        errorMessage: error.message,
+        duration: Date.now() - startTime,
+        metadata: { dataTypes, syncMethod: "adapter" },
+      };
+    }
+  },
+
+  /**
+   * Get the adapter of an integration or fail
+   */
+  getAdapter(integration) {
+    const adapter = trackerProviders.get(integration.provider);
+    if (!adapter) {
+      throw new Error(
+        `Sync is not supported for provider '${integration.provider}'`,
+      );
+    }
+    return adapter;
+  },
+
+  /**
+   * Resolve which data types a sync covers
+   */
+  getDataTypes(integration, dataType) {
+    if (dataType) {
+      if (!SYNCABLE_TYPES.includes(dataType)) {
+        throw new Error(`Unsupported data type '${dataType}'`);
+      }
+      return [dataType];
+    }
+
+    const configured = (integration.config?.dataTypes || []).filter((type) =>
+      SYNCABLE_TYPES.includes(type),
+    );
+    return configured.length > 0 ? configured : SYNCABLE_TYPES;
+  },
+
+  /**
+   * Check a raw record against every configured filter
+   */
+  passesFilters(record, filters = []) {
+    return filters.every(({ field, operator, value }) => {
+      const test = FILTER_OPERATORS[operator];
+      return test ? test(getField(record, field), value) : true;
+    });
+  },
+
+  /**
+   * Apply the configured transformations to a copy of the record
+   */
+  applyTransformations(record, transformations = []) {
+    const result = JSON.parse(JSON.stringify(record));
+
+    for (const transformation of transformations) {
+      const { sourceField, targetField, transformType, transformConfig } =
+        transformation;
+      const value = getField(record, sourceField);
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      const transform = TRANSFORMERS[transformType] || TRANSFORMERS.copy;
+      setField(
+        result,
+        targetField || sourceField,
+        transform(value, transformConfig, record),
+      );
+    }
+
+    return result;
+  },
+
+  /**
+   * Create or update the document of a mapped record
+   * Returns "Created", "Updated" or "Skipped"
+   */
+  async upsertRecord(integration, mapped) {
+    const Model = mapped.dataType === "weight" ? Weight : Workout;
+    const externalRef = {
+      provider: integration.provider.toLowerCase(),
+      recordId: mapped.recordId,
+      integrationId: integration._id,
+    };
+
+    const existing = await Model.findOne({
+      userId: integration.userId,
+      "externalRef.provider": externalRef.provider,
+      "externalRef.recordId": externalRef.recordId,
+    });
+
+    if (existing) {
+      existing.set(mapped.fields);
+      if (!existing.isModified()) {
+        return "Skipped";
+      }
+      await existing.save();
+      return "Updated";
+    }
+
+    // Weight is one entry per day; an entry the user already has wins
+    if (mapped.dataType === "weight") {
+      const sameDay = await Weight.exists({
+        userId: integration.userId,
+        dateISO: mapped.fields.dateISO,
+      });
+      if (sameDay) {
+        return "Skipped";
+      }
+    }
+
+    const doc = await Model.create({
+      ...mapped.fields,
+      userId: integration.userId,
+      source: mapped.dataType === "weight" ? "scale" : "device",
+      externalRef,
+      ...(mapped.dataType === "workout" && { isCompleted: true }),
+    });
+
+    if (mapped.dataType === "weight") {
+      eventBus.publish("weight.logged", integration.userId, { weight: doc });
+    } else {
+      eventBus.publish("workout.completed", integration.userId, {
+        workout: doc,
+      });
+    }
+
+    return "Created";
+  },
+};
+
+module.exports = trackerSyncService;
@@ -0,0 +1,266 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const Event = require("../models/event.model");
+const totp = require("../utils/totp.util");
+const { AUTH } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+// Two-factor fields excluded from user queries by default
+const SECRET_FIELDS = [
+  "+twoFactor.secret",
+  "+twoFactor.pendingSecret",
+  "+twoFactor.recoveryCodes",
+  "+twoFactor.lastUsedStep",
+].join(" ");
+
+/**
+ * Two-factor authentication service
+ * Handles TOTP enrollment, recovery codes and second-factor checks
+ */
+const twoFactorService = {
+  SECRET_FIELDS,
+
+  /**
+   * Load a user together with the two-factor secrets
+   */
+  async findUser(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      throw new Error("User not found");
+    }
+    return user;
+  },
+
+  /**
+   * Start enrollment: create a secret and the URI for the authenticator QR code
+   * The secret only becomes active once enable() confirms a code
+   */
+  async startSetup(userId) {
+    try {
+      const user = await this.findUser(userId);
+      if (user.twoFactor?.enabled) {
+        throw new Error("Two-factor already enabled");
+      }
+
+      const secret = totp.generateSecret();
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+
+      logger.info("✅ Two-factor setup started", { userId });
+
+      return {
+        secret,
+        otpauthUrl: totp.buildUri({
+          secret,
+          account: user.email,
+          issuer: AUTH.TWO_FACTOR.ISSUER,
+        }),
+      };
+    } catch (error) {
+      logger.error("❌ Two-factor setup failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm enrollment with a first code and hand out recovery codes
+   * Recovery codes are returned only here and when regenerated
+   */
+  async enable(userId, code) {
+    try {
+      const user = await this.findUser(userId);
+      if (user.twoFactor?.enabled) {
+        throw new Error("Two-factor already enabled");
+      }
+      if (!user.twoFactor?.pendingSecret) {
+        throw new Error("Two-factor setup not started");
+      }
+
+      const step = totp.verify(user.twoFactor.pendingSecret, code);
+      if (step === null) {
+        throw new Error("Invalid two-factor code");
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      user.twoFactor = {
+        enabled: true,
+        enabledAt: new Date(),
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodes: recoveryCodes.map((recoveryCode) =>
+          this.hashRecoveryCode(recoveryCode),
+        ),
+        lastUsedStep: step,
+      };
+      await user.save();
+
+      // Log event
+      await Event.createEvent(
+        userId,
+        "user.two_factor_enable",
+        "Two-factor enabled",
+        "User enabled two-factor authentication",
+        {},
+        { userId },
+      );
+
+      logger.info("✅ Two-factor enabled", { userId });
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error("❌ Two-factor enable failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Turn two-factor off; needs the password and a current code
+   */
+  async disable(userId, password, code) {
+    try {
+      const user = await this.findUser(userId);
+      if (!user.twoFactor?.enabled) {
+        throw new Error("Two-factor not enabled");
+      }
+      if (user.roles.some((role) => AUTH.TWO_FACTOR.REQUIRED_ROLES.includes(role))) {
+        throw new Error("Two-factor required for role");
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        throw new Error("Current password is incorrect");
+      }
+      if (!(await this.verifyCode(user, code))) {
+        throw new Error("Invalid two-factor code");
+      }
+
+      user.twoFactor = { enabled: false };
+      await user.save();
+
+      // Log event
+      await Event.createEvent(
+        userId,
+        "user.two_factor_disable",
+        "Two-factor disabled",
+        "User disabled two-factor authentication",
+        {},
+        { userId },
+      );
+
+      logger.info("✅ Two-factor disabled", { userId });
+
+      return { success: true };
+    } catch (error) {
+      logger.error("❌ Two-factor disable failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Replace all recovery codes after checking a current code
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const user = await this.findUser(userId);
+      if (!user.twoFactor?.enabled) {
+        throw new Error("Two-factor not enabled");
+      }
+      if (!(await this.verifyCode(user, code))) {
+        throw new Error("Invalid two-factor code");
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            "twoFactor.recoveryCodes": recoveryCodes.map((recoveryCode) =>
+              this.hashRecoveryCode(recoveryCode),
+            ),
+          },
+        },
+      );
+
+      logger.info("✅ Recovery codes regenerated", { userId });
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error("❌ Regenerate recovery codes failed", {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Check an authenticator or recovery code of a user loaded with SECRET_FIELDS
+   * Accepted codes are consumed: a TOTP step is never accepted twice and each
+   * recovery code works once. Returns "totp", "recovery" or null
+   */
+  async verifyCode(user, code) {
+    const value = String(code || "").trim();
+    if (!value || !user.twoFactor?.secret) {
+      return null;
+    }
+
+    const step = totp.verify(user.twoFactor.secret, value);
+    if (step !== null) {
+      const { modifiedCount } = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { "twoFactor.lastUsedStep": { $lt: step } },
+            { "twoFactor.lastUsedStep": null },
+          ],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } },
+      );
+      return modifiedCount === 1 ? "totp" : null;
+    }
+
+    const hash = this.hashRecoveryCode(value);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } },
+    );
+    if (modifiedCount === 1) {
+      logger.warn("⚠️ Recovery code used", {
+        userId: user._id,
+        remaining: Math.max((user.twoFactor.recoveryCodes?.length || 0) - 1, 0),
+      });
+      return "recovery";
+    }
+
+    return null;
+  },
+
+  /**
+   * Random recovery codes like "3f9a1-c07be"
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: AUTH.TWO_FACTOR.RECOVERY_CODES }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  },
+
+  /**
+   * SHA-256 of a recovery code, ignoring case, spaces and dashes
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, "");
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  },
+};
+
+module.exports = twoFactorService;
@@ -1,5 +1,13 @@
+const mongoose = require("mongoose");
+const moment = require("moment");
 const User = require("../models/user.model");
 const Profile = require("../models/profile.model");
+const Weight = require("../models/weight.model");
+const Meal = require("../models/meal.model");
+const Workout = require("../models/workout.model");
+const Plan = require("../models/plan.model");
+const helpers = require("../utils/helpers.util");
+const { FITNESS } = require("../utils/constants.util");
 const logger = require("../utils/logger.util");
 
 /**
@@ -7,6 +15,11 @@ const logger = require("../utils/logger.util");
  * Handles user profiles, settings, and preferences
  */
 const userService = {
+  // Map of `${userId}:${statsVersion}:${days}:${dateISO}` -> { timestamp, data }
+  statsCache: new Map(),
+  statsCacheTTL: 15 * 60 * 1000, // 15 minutes
+  statsCacheMax: 1000,
+
   /**
    * Get user profile with complete information
    */
@@ -80,26 +93,27 @@ const userService = {
    */
   async getUserStatistics(userId, days = 30) {
     try {
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-
       // Get basic user info
       const user = await User.findById(userId).select("-passwordHash");
       const profile = await Profile.findOne({ userId });
 
-      // Get activity statistics (placeholder - will be implemented with actual models)
+      const activity = await this.getActivityStats(userId, days, profile);
       const stats = {
         totalDays: days,
-        activeDays: 0, // Will be calculated from actual data
-        totalWeightEntries: 0,
-        totalMealEntries: 0,
-        totalWorkoutEntries: 0,
-        averageWeight: 0,
-        weightChange: 0,
-        totalCalories: 0,
-        averageCalories: 0,
-        totalWorkoutMinutes: 0,
-        averageWorkoutMinutes: 0,
+        activeDays: activity.activeDays,
+        totalWeightEntries: activity.weight.entries,
+        totalMealEntries: activity.nutrition.entries,
+        totalWorkoutEntries: activity.workouts.entries,
+        averageWeight: activity.weight.average,
+        weightChange: activity.weight.change,
+        totalCalories: activity.nutrition.totalCalories,
+        averageCalories: activity.nutrition.averageCalories,
+        averageProtein: activity.nutrition.averageProtein,
+        totalWorkoutMinutes: activity.workouts.totalMinutes,
+        averageWorkoutMinutes: activity.workouts.averageMinutes,
+        streakDays: activity.streakDays,
+        goalsMet: activity.goals.met,
+        totalGoals: activity.goals.total,
       };
 
       logger.info("✅ User statistics retrieved", { userId, days });
@@ -135,59 +149,25 @@ const userService = {
     }
   },
 
-  /**
-   * Delete user account
-   */
-  async deleteUserAccount(userId, password) {
-    try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error("User not found");
-      }
-
-      // Verify password
-      const isPasswordValid = await user.comparePassword(password);
-      if (!isPasswordValid) {
-        throw new Error("Invalid password");
-      }
-
-      // Delete user and related data
-      await User.findByIdAndDelete(userId);
-      await Profile.findOneAndDelete({ userId });
-
-      // TODO: Delete related data (weights, meals, workouts, etc.)
-
-      logger.info("✅ User account deleted", { userId });
-      return true;
-    } catch (error) {
-      logger.error("❌ Delete user account failed", {
-        error: error.message,
-        userId,
-      });
-      throw error;
-    }
-  },
-
   /**
    * Get user activity summary
    */
   async getUserActivitySummary(userId, days = 7) {
     try {
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
+      const profile = await Profile.findOne({ userId });
+      const activity = await this.getActivityStats(userId, days, profile);
 
-      // Placeholder for activity summary
       const summary = {
         period: days,
-        weightEntries: 0,
-        mealEntries: 0,
-        workoutEntries: 0,
-        averageWeight: 0,
-        totalCalories: 0,
-        totalWorkoutMinutes: 0,
-        streakDays: 0,
-        goalsMet: 0,
-        totalGoals: 0,
+        weightEntries: activity.weight.entries,
+        mealEntries: activity.nutrition.entries,
+        workoutEntries: activity.workouts.entries,
+        averageWeight: activity.weight.average,
+        totalCalories: activity.nutrition.totalCalories,
+        totalWorkoutMinutes: activity.workouts.totalMinutes,
+        streakDays: activity.streakDays,
+        goalsMet: activity.goals.met,
+        totalGoals: activity.goals.total,
       };
 
       logger.info("✅ User activity summary retrieved", { userId, days });
@@ -200,6 +180,220 @@ const userService = {
       throw error;
     }
   },
+
+  /**
+   * Aggregate weight, meal, workout and plan activity over the last `days`
+   * days (today included), cached per user until an entry is logged, edited
+   * or deleted or a plan is completed
+   */
+  async getActivityStats(userId, days, profile) {
+    const endDate = helpers.formatDateISO(new Date());
+    const user = await User.findById(userId).select("statsVersion").lean();
+    const cacheKey = `${userId}:${user?.statsVersion || 0}:${days}:${endDate}`;
+
+    const cached = this.statsCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.statsCacheTTL) {
+      return cached.data;
+    }
+
+    const startDate = helpers.formatDateISO(
+      moment().subtract(days - 1, "days"),
+    );
+    const match = {
+      userId: new mongoose.Types.ObjectId(userId),
+      dateISO: { $gte: startDate, $lte: endDate },
+    };
+
+    const [weights, mealDays, workoutDays, plans] = await Promise.all([
+      Weight.aggregate([
+        { $match: match },
+        { $sort: { dateISO: 1 } },
+        {
+          $group: {
+            _id: null,
+            entries: { $sum: 1 },
+            average: { $avg: "$weightKg" },
+            first: { $first: "$weightKg" },
+            last: { $last: "$weightKg" },
+            dates: { $addToSet: "$dateISO" },
+          },
+        },
+      ]),
+      Meal.aggregate([
+        { $match: { ...match, status: { $ne: "draft" } } },
+        {
+          $group: {
+            _id: "$dateISO",
+            entries: { $sum: 1 },
+            kcal: { $sum: "$kcal" },
+            protein: { $sum: "$protein" },
+          },
+        },
+      ]),
+      Workout.aggregate([
+        { $match: { ...match, isCompleted: true } },
+        {
+          $group: {
+            _id: "$dateISO",
+            entries: { $sum: 1 },
+            minutes: {
+              $sum: {
+                $add: [
+                  "$duration.minutes",
+                  { $divide: [{ $ifNull: ["$duration.seconds", 0] }, 60] },
+                ],
+              },
+            },
+          },
+        },
+      ]),
+      Plan.aggregate([
+        {
+          $match: {
+            userId: match.userId,
+            $or: [
+              { isCompleted: true, completedAt: { $gte: new Date(startDate) } },
+              { skipped: true, updatedAt: { $gte: new Date(startDate) } },
+            ],
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            completed: { $sum: { $cond: ["$isCompleted", 1, 0] } },
+            total: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    const [weight] = weights;
+    const plan = plans[0] || { completed: 0, total: 0 };
+    const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+    // Nutrition goals: calories within tolerance and protein target reached
+    const goals = { met: plan.completed, total: plan.total };
+    const kcalTarget = profile?.kcalTarget;
+    const proteinTarget = profile?.proteinTarget;
+    for (const day of mealDays) {
+      if (kcalTarget) {
+        const deviation = (Math.abs(day.kcal - kcalTarget) / kcalTarget) * 100;
+        goals.total++;
+        if (deviation <= FITNESS.KCAL_GOAL_TOLERANCE_PERCENT) {
+          goals.met++;
+        }
+      }
+      if (proteinTarget) {
+        goals.total++;
+        if (day.protein >= proteinTarget) {
+          goals.met++;
+        }
+      }
+    }
+
+    const activeDates = new Set([
+      ...(weight?.dates || []),
+      ...mealDays.map((day) => day._id),
+      ...workoutDays.map((day) => day._id),
+    ]);
+
+    const mealEntries = sum(mealDays, "entries");
+    const workoutEntries = sum(workoutDays, "entries");
+    const totalCalories = sum(mealDays, "kcal");
+    const totalMinutes = sum(workoutDays, "minutes");
+
+    const data = {
+      activeDays: activeDates.size,
+      streakDays: this.countStreak(activeDates, endDate),
+      weight: {
+        entries: weight?.entries || 0,
+        average: weight ? helpers.roundToDecimal(weight.average) : 0,
+        change: weight ? helpers.roundToDecimal(weight.last - weight.first) : 0,
+      },
+      nutrition: {
+        entries: mealEntries,
+        daysLogged: mealDays.length,
+        totalCalories: Math.round(totalCalories),
+        averageCalories: mealDays.length
+          ? Math.round(totalCalories / mealDays.length)
+          : 0,
+        averageProtein: mealDays.length
+          ? helpers.roundToDecimal(sum(mealDays, "protein") / mealDays.length)
+          : 0,
+      },
+      workouts: {
+        entries: workoutEntries,
+        totalMinutes: Math.round(totalMinutes),
+        averageMinutes: workoutEntries
+          ? Math.round(totalMinutes / workoutEntries)
+          : 0,
+      },
+      goals,
+    };
+
+    this.cacheStats(cacheKey, data);
+    return data;
+  },
+
+  /**
+   * Store statistics in the cache
+   * A full cache drops expired entries first, then the oldest ones
+   */
+  cacheStats(cacheKey, data) {
+    const now = Date.now();
+    this.statsCache.delete(cacheKey);
+
+    if (this.statsCache.size >= this.statsCacheMax) {
+      for (const [key, entry] of this.statsCache) {
+        if (now - entry.timestamp >= this.statsCacheTTL) {
+          this.statsCache.delete(key);
+        }
+      }
+    }
+
+    // Maps keep insertion order, so the first keys are the oldest
+    for (const key of this.statsCache.keys()) {
+      if (this.statsCache.size < this.statsCacheMax) {
+        break;
+      }
+      this.statsCache.delete(key);
+    }
+
+    this.statsCache.set(cacheKey, { timestamp: now, data });
+  },
+
+  /**
+   * Consecutive active days ending today, or yesterday when nothing has
+   * been logged yet today
+   */
+  countStreak(activeDates, endDate) {
+    const day = moment(endDate, "YYYY-MM-DD");
+    if (!activeDates.has(endDate)) {
+      day.subtract(1, "day");
+    }
+
+    let streak = 0;
+    while (activeDates.has(day.format("YYYY-MM-DD"))) {
+      streak++;
+      day.subtract(1, "day");
+    }
+    return streak;
+  },
+
+  /**
+   * Drop cached statistics of a user
+   * The version bump reaches the caches of the other API instances too
+   */
+  async invalidateStats(userId) {
+    await User.updateOne({ _id: userId }, { $inc: { statsVersion: 1 } });
+
+    const prefix = `${userId}:`;
+    for (const key of this.statsCache.keys()) {
+      if (key.startsWith(prefix)) {
+        this.statsCache.delete(key);
+      }
+    }
+  },
 };
 
 module.exports = userService;
@@ -0,0 +1,541 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const os = require("os");
+const mongoose = require("mongoose");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+const Integration = require("../models/integration.model");
+const User = require("../models/user.model");
+const helpers = require("../utils/helpers.util");
+const { API } = require("../utils/constants.util");
+const logger = require("../utils/logger.util");
+
+// Response codes worth retrying; other 4xx responses are final
+const RETRYABLE_CLIENT_CODES = [408, 409, 425, 429];
+
+// Longest response body kept in the delivery log (admin integrations only)
+const MAX_LOGGED_RESPONSE = 1000;
+
+// Addresses webhooks may not reach: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are matched against the IPv4 rules
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Outbound webhook delivery
+ * Deliveries are queued in MongoDB and sent by a background worker on every
+ * API instance. Payloads are signed with the integration's webhook secret,
+ * retried with the integration's backoff settings and every attempt is logged
+ */
+const webhookDeliveryService = {
+  workerId: `${os.hostname()}:${process.pid}:${helpers.generateRandomString(4)}`,
+
+  settings: {
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 4,
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000,
+    // A lease outlives one attempt, including the DNS check
+    leaseMs: API.WEBHOOK_TIMEOUT * 3,
+  },
+
+  timer: null,
+  polling: false,
+  running: new Set(),
+
+  /**
+   * Compute the signature header value for a payload
+   * Partners verify HMAC-SHA256(secret, `${timestamp}.${body}`)
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    return `sha256=${digest}`;
+  },
+
+  /**
+   * Queue an event for every active webhook of an integration subscribed to it
+   */
+  async triggerEvent(integration, event, data) {
+    const webhooks = integration.webhooks.filter(
+      (webhook) => webhook.event === event && webhook.active,
+    );
+
+    const results = [];
+    for (const webhook of webhooks) {
+      const payload = {
+        id: helpers.generateUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        data: data ?? webhook.body ?? {},
+      };
+
+      const delivery = await this.enqueue(integration, webhook, {
+        deliveryId: payload.id,
+        event,
+        body: JSON.stringify(payload),
+      });
+      results.push(this.summarize(delivery));
+    }
+
+    return results;
+  },
+
+  /**
+   * Queue a stored delivery again as a new delivery
+   * Without a deliveryId the latest delivery of the webhook is resent
+   */
+  async redeliver(integration, webhookId, deliveryId = null) {
+    const webhook = integration.webhooks.id(webhookId);
+    if (!webhook) {
+      throw new Error("Webhook not found");
+    }
+
+    const query = { integrationId: integration._id, webhookId };
+    if (deliveryId) {
+      query.deliveryId = deliveryId;
+    }
+
+    const original = await WebhookDelivery.findOne(query).sort({
+      createdAt: -1,
+    });
+    if (!original) {
+      throw new Error("Delivery not found");
+    }
+
+    const delivery = await this.enqueue(integration, webhook, {
+      deliveryId: helpers.generateUUID(),
+      event: original.event,
+      body: original.request.body,
+      redeliveryOf: original.deliveryId,
+    });
+
+    return this.summarize(delivery);
+  },
+
+  /**
+   * Get the delivery log of a webhook
+   * Response bodies are only returned to admins
+   */
+  getDeliveries(
+    integration,
+    webhookId,
+    { limit = 20, page = 1, includeResponseBody = false } = {},
+  ) {
+    return WebhookDelivery.find({ integrationId: integration._id, webhookId })
+      .select(includeResponseBody ? {} : { "attempts.responseBody": 0 })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+  },
+
+  /**
+   * Check that a webhook URL is an absolute http(s) URL
+   */
+  isValidUrl(url) {
+    try {
+      return ["http:", "https:"].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Whether an IP address is in a blocked range
+   */
+  isBlockedAddress(address) {
+    const family = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+    return BLOCKED_ADDRESSES.check(address, family);
+  },
+
+  /**
+   * Resolve a webhook URL's host and reject private or internal targets
+   */
+  async assertPublicUrl(url) {
+    if (!this.isValidUrl(url)) {
+      throw new Error("Invalid webhook URL");
+    }
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+
+    if (addresses.some(({ address }) => this.isBlockedAddress(address))) {
+      throw new Error("Webhook URL resolves to a private address");
+    }
+  },
+
+  /**
+   * DNS lookup for outgoing requests that refuses blocked addresses
+   * Checked again at connect time so a host cannot rebind to a private
+   * address after assertPublicUrl
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      if (
+        addresses.some(({ address }) =>
+          webhookDeliveryService.isBlockedAddress(address),
+        )
+      ) {
+        return callback(
+          new Error("Webhook URL resolves to a private address"),
+        );
+      }
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  },
+
+  /**
+   * Store a pending delivery and wake the worker
+   */
+  async enqueue(integration, webhook, { deliveryId, event, body, redeliveryOf }) {
+    if (!this.isValidUrl(webhook.url)) {
+      throw new Error("Invalid webhook URL");
+    }
+
+    const method = webhook.method || "POST";
+    const headers = {
+      ...(webhook.headers || {}),
+      "Content-Type": "application/json",
+      "User-Agent": "BreakFit-Webhooks/1.0",
+      "X-BreakFit-Event": event,
+      "X-BreakFit-Delivery": deliveryId,
+    };
+
+    const delivery = await WebhookDelivery.create({
+      deliveryId,
+      integrationId: integration._id,
+      userId: integration.userId,
+      webhookId: webhook._id,
+      event,
+      request: { url: webhook.url, method, headers, body },
+      maxAttempts: (integration.config?.retryConfig?.maxRetries ?? 3) + 1,
+      redeliveryOf,
+    });
+
+    // Send it right away if this worker has a free slot
+    setImmediate(() => this.poll());
+
+    return delivery;
+  },
+
+  /**
+   * Start polling for due deliveries
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), this.settings.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info("✅ Webhook worker started", {
+      workerId: this.workerId,
+      ...this.settings,
+    });
+  },
+
+  /**
+   * Stop polling; leased deliveries are picked up again when the lease expires
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+
+  /**
+   * Lease deliveries until every concurrency slot is busy
+   */
+  async poll() {
+    if (this.polling || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      while (this.running.size < this.settings.concurrency) {
+        const delivery = await WebhookDelivery.claimNext(
+          this.workerId,
+          this.settings.leaseMs,
+        );
+        if (!delivery) {
+          break;
+        }
+
+        const run = this.runDelivery(delivery).finally(() =>
+          this.running.delete(run),
+        );
+        this.running.add(run);
+      }
+    } catch (error) {
+      logger.error("❌ Webhook poll failed", { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  },
+
+  /**
+   * Make one attempt of a leased delivery, then schedule the next attempt or
+   * finish it
+   */
+  async runDelivery(delivery) {
+    try {
+      const integration = await Integration.findById(delivery.integrationId);
+      const webhook = integration?.webhooks.id(delivery.webhookId);
+
+      // Deliveries to removed webhooks, or that keep crashing workers, stop
+      let stopReason = null;
+      if (!webhook?.active) {
+        stopReason = "Webhook no longer active";
+      } else if (delivery.leaseCount > delivery.maxAttempts) {
+        stopReason = "Delivery lease expired too many times";
+      }
+
+      let result;
+      if (stopReason) {
+        result = { responseCode: null, error: stopReason };
+      } else {
+        const { url, method, headers, body } = delivery.request;
+        const hasBody = method !== "GET";
+        result = await this.attempt(url, method, {
+          headers: this.signHeaders(integration, headers, hasBody ? body : ""),
+          body: hasBody ? body : undefined,
+          keepResponseBody: await this.keepsResponseBody(integration),
+        });
+      }
+
+      const attempt = delivery.attempts.length + 1;
+      const success = result.responseCode >= 200 && result.responseCode < 300;
+      const final =
+        success ||
+        !!stopReason ||
+        !this.isRetryable(result) ||
+        attempt >= delivery.maxAttempts;
+
+      const update = {
+        $push: {
+          attempts: { attempt, attemptedAt: new Date(), ...result },
+        },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      };
+      if (final) {
+        update.$set = {
+          status: success ? "success" : "failed",
+          completedAt: new Date(),
+        };
+      } else {
+        const retry = integration.config?.retryConfig || {};
+        const delayMs =
+          (retry.initialDelay ?? 1000) *
+          Math.pow(retry.backoffMultiplier ?? 2, attempt - 1);
+        update.$set = {
+          status: "pending",
+          runAt: new Date(Date.now() + delayMs),
+        };
+      }
+
+      const { modifiedCount } = await WebhookDelivery.finishLeased(
+        delivery._id,
+        this.workerId,
+        update,
+      );
+      if (modifiedCount === 0 || !final) {
+        return;
+      }
+
+      if (webhook) {
+        await Integration.updateOne(
+          { _id: integration._id, "webhooks._id": webhook._id },
+          {
+            $set: { "webhooks.$.lastTriggered": new Date() },
+            $inc: {
+              [`webhooks.$.${success ? "successCount" : "failureCount"}`]: 1,
+            },
+          },
+        );
+      }
+
+      const logMeta = {
+        integrationId: delivery.integrationId,
+        webhookId: delivery.webhookId,
+        deliveryId: delivery.deliveryId,
+        event: delivery.event,
+        attempts: attempt,
+      };
+      if (success) {
+        logger.info("✅ Webhook delivered", logMeta);
+      } else {
+        logger.warn("⚠️ Webhook delivery failed", logMeta);
+      }
+    } catch (error) {
+      // The lease expires and another worker picks the delivery up again
+      logger.error("❌ Webhook delivery attempt failed", {
+        error: error.message,
+        deliveryId: delivery.deliveryId,
+      });
+    }
+  },
+
+  /**
+   * Only admins may read response bodies, so only theirs are kept
+   */
+  async keepsResponseBody(integration) {
+    const owner = await User.findById(integration.userId).select("roles");
+    return !!owner?.isAdmin();
+  },
+
+  /**
+   * Add timestamp and signature headers for one attempt
+   */
+  signHeaders(integration, headers, body) {
+    const secret = integration.config?.webhookSecret;
+    if (!secret) {
+      return headers;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    return {
+      ...headers,
+      "X-BreakFit-Timestamp": timestamp,
+      "X-BreakFit-Signature": this.sign(secret, timestamp, body),
+    };
+  },
+
+  /**
+   * Make a single HTTP request and describe the outcome
+   * The target is checked on every attempt and redirects are not followed
+   */
+  async attempt(url, method, { headers, body, keepResponseBody = false }) {
+    const startTime = Date.now();
+
+    try {
+      await this.assertPublicUrl(url);
+      const response = await this.request(url, method, { headers, body });
+
+      return {
+        responseCode: response.statusCode,
+        latencyMs: Date.now() - startTime,
+        responseBody: keepResponseBody ? response.body : undefined,
+      };
+    } catch (error) {
+      return {
+        responseCode: null,
+        latencyMs: Date.now() - startTime,
+        error: error.message,
+      };
+    }
+  },
+
+  /**
+   * HTTP request through the blocking DNS lookup
+   * Reads at most MAX_LOGGED_RESPONSE characters of the response
+   */
+  request(url, method, { headers, body }) {
+    const client = new URL(url).protocol === "https:" ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(
+        url,
+        {
+          method,
+          headers: body
+            ? { ...headers, "Content-Length": Buffer.byteLength(body) }
+            : headers,
+          lookup: this.lookup,
+          signal: AbortSignal.timeout(API.WEBHOOK_TIMEOUT),
+        },
+        (res) => {
+          let responseBody = "";
+          const finish = () => {
+            resolve({
+              statusCode: res.statusCode,
+              body: responseBody.slice(0, MAX_LOGGED_RESPONSE),
+            });
+            res.destroy();
+          };
+
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            responseBody += chunk;
+            if (responseBody.length >= MAX_LOGGED_RESPONSE) {
+              finish();
+            }
+          });
+          res.on("end", finish);
+          res.on("error", reject);
+        },
+      );
+
+      req.on("error", reject);
+      req.end(body);
+    });
+  },
+
+  /**
+   * Network errors, timeouts and 5xx responses are retried
+   */
+  isRetryable({ responseCode }) {
+    return (
+      !responseCode ||
+      responseCode >= 500 ||
+      RETRYABLE_CLIENT_CODES.includes(responseCode)
+    );
+  },
+
+  /**
+   * Shape a delivery for API responses
+   */
+  summarize(delivery) {
+    const last = delivery.attempts[delivery.attempts.length - 1];
+
+    return {
+      webhookId: delivery.webhookId,
+      deliveryId: delivery.deliveryId,
+      status: delivery.status,
+      attempts: delivery.attempts.length,
+      responseCode: last?.responseCode ?? null,
+      latencyMs: last?.latencyMs ?? null,
+      error: last?.error,
+      redeliveryOf: delivery.redeliveryOf,
+      nextAttemptAt: delivery.status === "pending" ? delivery.runAt : undefined,
+      timestamp: delivery.completedAt,
+    };
+  },
+};
+
+module.exports = webhookDeliveryService;
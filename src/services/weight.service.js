@@ -1,4 +1,5 @@
 const Weight = require("../models/weight.model");
+const eventBus = require("./eventBus.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -32,6 +33,8 @@ const weightService = {
 
       await weight.save();
 
+      eventBus.publish("weight.logged", userId, { weight });
+
       logger.info("✅ Weight entry added", {
         userId,
         weightId: weight._id,
@@ -107,6 +110,8 @@ const weightService = {
         throw new Error("Weight entry not found");
       }
 
+      eventBus.publish("weight.updated", userId, { weight });
+
       logger.info("✅ Weight entry updated", {
         userId,
         weightId,
@@ -134,6 +139,8 @@ const weightService = {
         throw new Error("Weight entry not found");
       }
 
+      eventBus.publish("weight.deleted", userId, { weight });
+
       logger.info("✅ Weight entry deleted", { userId, weightId });
       return true;
     } catch (error) {
@@ -1,4 +1,5 @@
 const Workout = require("../models/workout.model");
+const eventBus = require("./eventBus.service");
 const logger = require("../utils/logger.util");
 
 /**
@@ -67,6 +68,8 @@ const workoutService = {
 
       await workout.save();
 
+      eventBus.publish("workout.completed", userId, { workout });
+
       logger.info("✅ Workout session ended", {
         userId,
         workoutId,
@@ -222,6 +225,8 @@ const workoutService = {
       Object.assign(workout, updates);
       await workout.save();
 
+      eventBus.publish("workout.updated", userId, { workout });
+
       logger.info("✅ Workout updated", {
         userId,
         workoutId,
@@ -252,6 +257,8 @@ const workoutService = {
         throw new Error("Workout not found");
       }
 
+      eventBus.publish("workout.deleted", userId, { workout });
+
       logger.info("✅ Workout deleted", { userId, workoutId });
       return true;
     } catch (error) {
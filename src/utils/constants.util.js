@@ -13,9 +13,25 @@ const AUTH = {
   MIN_PASSWORD_LENGTH: 8,
   PASSWORD_REGEX: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
 
+  // Email verification and password reset links
+  EMAIL_VERIFICATION_TTL: 24 * 60 * 60 * 1000, // 24 hours
+  PASSWORD_RESET_TTL: 60 * 60 * 1000, // 1 hour
+
   // Login attempts
   MAX_LOGIN_ATTEMPTS: 5,
-  LOCKOUT_DURATION: 15 * 60 * 1000, // 15 minutes
+  LOCKOUT_DURATION: 15 * 60 * 1000, // 15 minutes, doubled for each repeated lockout
+  MAX_LOCKOUT_DURATION: 24 * 60 * 60 * 1000, // 24 hours
+
+  // Devices remembered for new-login alerts
+  KNOWN_DEVICES_LIMIT: 10,
+
+  // Two-factor authentication
+  TWO_FACTOR: {
+    ISSUER: "BreakFit",
+    CHALLENGE_TTL: "5m", // between password and second factor
+    RECOVERY_CODES: 10,
+    REQUIRED_ROLES: ["admin"],
+  },
 
   // Session timeout
   SESSION_TIMEOUT: 30 * 60 * 1000, // 30 minutes
@@ -66,6 +82,34 @@ const FITNESS = {
     MUSCLE_GAIN: "muscle_gain",
     MAINTENANCE: "maintenance",
   },
+
+  // A day meets its calorie goal within this distance of the target
+  KCAL_GOAL_TOLERANCE_PERCENT: 10,
+
+  // Adaptive TDEE estimation
+  ADAPTIVE_TDEE: {
+    WINDOW_DAYS: 28,
+    KCAL_PER_KG: 7700,
+    DRIFT_THRESHOLD_PERCENT: 5, // Suggest new targets beyond this drift
+    MIN_MEALS_PER_DAY: 2, // Days with fewer logged meals are left out of the intake average
+    // Minimum logged intake days and weigh-ins per confidence level
+    CONFIDENCE_LEVELS: {
+      high: { intakeDays: 21, weighIns: 10, formulaWeight: 0 },
+      medium: { intakeDays: 14, weighIns: 6, formulaWeight: 0.25 },
+      low: { intakeDays: 7, weighIns: 3, formulaWeight: 0.5 },
+    },
+  },
+
+  // Body measurements (cm) and the ratios above which health risk rises
+  MEASUREMENT_FIELDS: ["waistCm", "hipCm", "chestCm", "armCm", "thighCm"],
+  WAIST_TO_HEIGHT_RISK: 0.5,
+  WAIST_TO_HIP_RISK: { male: 0.9, female: 0.85 },
+  MEASUREMENT_PROGRESS_DEFAULT_DAYS: 30,
+
+  // Daily habits (water, sleep, steps)
+  HABIT_DEFAULT_GOALS: { waterMl: 2000, sleepHours: 8, steps: 8000 },
+  HABIT_STREAK_TYPES: { water: "hydration", sleep: "sleep", steps: "steps" },
+  HABIT_SUMMARY_DAYS: 7,
 };
 
 // ===== GAMIFICATION CONSTANTS =====
@@ -78,9 +122,28 @@ const GAMIFICATION = {
     PLAN_COMPLETED: 20,
     STREAK_MILESTONE: 50,
     BADGE_EARNED: 100,
+    CHALLENGE_JOINED: 50,
     CHALLENGE_COMPLETED: 200,
   },
 
+  // Coin rewards (actions without an entry award no coins)
+  COIN_REWARDS: {
+    WORKOUT_COMPLETED: 2,
+    PLAN_COMPLETED: 5,
+    STREAK_MILESTONE: 10,
+    BADGE_EARNED: 20,
+    CHALLENGE_COMPLETED: 50,
+  },
+
+  // Maximum rewarded occurrences per action per day
+  DAILY_CAPS: {
+    WEIGHT_LOGGED: 1,
+    MEAL_LOGGED: 6,
+    WORKOUT_COMPLETED: 3,
+    PLAN_COMPLETED: 1,
+    STREAK_MILESTONE: 1,
+  },
+
   // Level thresholds
   XP_PER_LEVEL: 1000,
   MAX_LEVEL: 100,
@@ -136,6 +199,19 @@ const UPLOAD = {
   // Compression quality
   JPEG_QUALITY: 85,
   WEBP_QUALITY: 80,
+
+  // Photo renditions by name, each stored in every rendition format
+  RENDITIONS: {
+    thumb: { width: 300, height: 300 },
+    medium: { width: 960, height: 960 },
+    full: { width: 1920, height: 1920 },
+  },
+  RENDITION_FORMATS: ["webp", "jpeg"],
+  DEFAULT_RENDITION_FORMAT: "webp",
+
+  // Signed photo download URLs
+  SIGNED_URL_TTL: 15 * 60, // seconds
+  SIGNED_URL_BUCKET: 5 * 60, // expiry rounding so URLs stay cacheable
 };
 
 // ===== API CONSTANTS =====
@@ -160,6 +236,7 @@ const API = {
   // Timeouts
   REQUEST_TIMEOUT: 30000, // 30 seconds
   UPLOAD_TIMEOUT: 300000, // 5 minutes
+  WEBHOOK_TIMEOUT: 10000, // 10 seconds per delivery attempt
 };
 
 // ===== NOTIFICATION CONSTANTS =====
@@ -179,6 +256,15 @@ const NOTIFICATIONS = {
   // Reminder times
   DEFAULT_REMINDER_TIME: "07:00",
   WORKOUT_REMINDER_TIME: "19:00",
+  STREAK_RISK_TIME: "20:00",
+  // A reminder missed for longer than this is skipped for the day
+  REMINDER_WINDOW_MINUTES: 120,
+  CHALLENGE_ENDING_HOURS: 24,
+  INBOX_RETENTION_DAYS: 90,
+  QUIET_HOURS: {
+    START: "22:00",
+    END: "07:00",
+  },
 
   // Notification priorities
   PRIORITIES: {
@@ -225,6 +311,27 @@ const CHALLENGES = {
   MAX_PARTICIPANTS: 10000,
 };
 
+// ===== BATTLE CONSTANTS =====
+const BATTLES = {
+  // Metrics computed from the users' logged records
+  TRACKED_METRICS: [
+    "weight_pct",
+    "workout_frequency",
+    "streak_days",
+    "nutrition_score",
+  ],
+
+  // Pending battles without an opponent expire after this many days
+  ACCEPT_WINDOW_DAYS: 7,
+
+  // Accepted battles expire if baselines are still missing after this many days
+  BASELINE_WINDOW_DAYS: 3,
+
+  // XP paid to the winner of an "xp" stake
+  DEFAULT_STAKE_XP: 500,
+  MAX_STAKE_XP: 1000,
+};
+
 // ===== TIME CONSTANTS =====
 const TIME = {
   // Time units in milliseconds
@@ -315,6 +422,7 @@ module.exports = {
   API,
   NOTIFICATIONS,
   CHALLENGES,
+  BATTLES,
   TIME,
   ERRORS,
   ENV,
@@ -37,6 +37,38 @@ const helpers = {
     return moment(date).format("YYYY-MM-DD");
   },
 
+  /**
+   * Local calendar date and minutes since midnight of an instant in a time zone
+   */
+  getLocalTime(date, timezone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+        .formatToParts(date)
+        .map((part) => [part.type, part.value]),
+    );
+
+    return {
+      dateISO: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    };
+  },
+
+  /**
+   * Convert an HH:MM time of day to minutes since midnight
+   */
+  parseTimeOfDay(time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  },
+
   /**
    * Format date to display format
    */
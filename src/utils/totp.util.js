@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ * Secrets are exchanged as base32 strings, codes use HMAC-SHA1
+ */
+const totp = {
+  digits: 6,
+  period: 30, // seconds
+
+  /**
+   * Generate a random base32 secret
+   */
+  generateSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  },
+
+  /**
+   * Encode a buffer as unpadded base32
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  },
+
+  /**
+   * Decode a base32 string, ignoring case, spaces and padding
+   */
+  base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, "");
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error("Invalid base32 secret");
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  },
+
+  /**
+   * Time step of a date
+   */
+  getStep(date = new Date()) {
+    return Math.floor(date.getTime() / 1000 / this.period);
+  },
+
+  /**
+   * Code of a secret for a time step
+   */
+  generate(secret, step = this.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+      .createHmac("sha1", this.base32Decode(secret))
+      .update(counter)
+      .digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, "0");
+  },
+
+  /**
+   * Check a code against the current step and `window` steps on each side
+   * Returns the matching step, or null
+   */
+  verify(secret, code, { window = 1, date = new Date() } = {}) {
+    const candidate = String(code).replace(/\s/g, "");
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(candidate)) {
+      return null;
+    }
+
+    const current = this.getStep(date);
+    for (let step = current - window; step <= current + window; step++) {
+      const expected = Buffer.from(this.generate(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+        return step;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * otpauth:// URI that authenticator apps read from a QR code
+   */
+  buildUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: "SHA1",
+      digits: String(this.digits),
+      period: String(this.period),
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+  },
+};
+
+module.exports = totp;
@@ -154,6 +154,22 @@ const validators = {
     return timeRegex.test(time);
   },
 
+  /**
+   * Validate IANA time zone name (e.g. Asia/Ho_Chi_Minh)
+   */
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== "string") {
+      return false;
+    }
+
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
   /**
    * Validate URL format
    */
@@ -1,6 +1,7 @@
 const { Server } = require("socket.io");
 const jwt = require("jsonwebtoken");
 const User = require("./models/user.model");
+const Session = require("./models/session.model");
 const logger = require("./utils/logger.util");
 const websocketController = require("./controllers/websocket.controller");
 
@@ -120,7 +121,15 @@ class WebSocketServer {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select("-passwordHash");
 
-      if (!user || !user.isActive) {
+      const sessionActive =
+        !decoded.sid || (await Session.isActive(decoded.sid));
+
+      if (
+        decoded.type !== "access" ||
+        !user ||
+        !user.isActive ||
+        !sessionActive
+      ) {
         socket.emit("auth_error", {
           message: "Token không hợp lệ hoặc tài khoản đã bị khóa",
           code: "AUTH_ERROR",
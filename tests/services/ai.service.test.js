@@ -0,0 +1,151 @@
+const aiConfig = require("../../src/config/ai.config");
+const aiProviders = require("../../src/services/aiProviders");
+const Photo = require("../../src/models/photo.model");
+const storageService = require("../../src/services/storage.service");
+const aiService = require("../../src/services/ai.service");
+
+const userId = "64b000000000000000000009";
+
+const ENV_KEYS = [
+  "NODE_ENV",
+  "AI_PROVIDER",
+  "GEMINI_API_KEY",
+  "AI_MEAL_ANALYSIS_PROVIDER",
+  "AI_MEAL_ANALYSIS_MODEL",
+];
+
+const buildPhoto = (id) => ({
+  _id: id,
+  userId,
+  renditions: [{ name: "full", format: "jpeg", key: `${id}/full.jpeg` }],
+});
+
+describe("aiService with the stub provider", () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(
+      ENV_KEYS.map((key) => [key, process.env[key]]),
+    );
+    for (const key of ENV_KEYS) {
+      delete process.env[key];
+    }
+    process.env.NODE_ENV = "test";
+
+    jest
+      .spyOn(Photo, "findOne")
+      .mockImplementation(({ _id }) => Promise.resolve(buildPhoto(_id)));
+    jest
+      .spyOn(storageService, "readPhotoFile")
+      .mockImplementation((photo) =>
+        Promise.resolve(Buffer.from(`image:${photo._id}`)),
+      );
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+    jest.restoreAllMocks();
+    aiConfig.models.clear();
+    clearInterval(aiConfig.cleanupTimer);
+    aiConfig.cleanupTimer = null;
+  });
+
+  it("falls back to the stub for every feature outside production", () => {
+    expect(aiConfig.initialize()).toBe(true);
+
+    const status = aiConfig.getFeatureStatus();
+    for (const feature of Object.keys(status)) {
+      expect(status[feature]).toEqual({ provider: "stub", model: "stub-1" });
+    }
+  });
+
+  it("disables AI in production when no provider is configured", () => {
+    process.env.NODE_ENV = "production";
+
+    expect(aiConfig.initialize()).toBe(false);
+    expect(aiConfig.isAvailable()).toBe(false);
+    expect(() => aiConfig.getModel("mealAnalysis")).toThrow(
+      "AI service not available",
+    );
+  });
+
+  it("uses the per-feature provider and model", () => {
+    process.env.NODE_ENV = "production";
+    process.env.AI_MEAL_ANALYSIS_PROVIDER = "STUB";
+    process.env.AI_MEAL_ANALYSIS_MODEL = "stub-meals";
+
+    aiConfig.initialize();
+
+    expect(aiConfig.isAvailable("mealAnalysis")).toBe(true);
+    expect(aiConfig.isAvailable("bodyAnalysis")).toBe(false);
+    expect(aiConfig.getModel("mealAnalysis").name).toBe("stub-meals");
+  });
+
+  it("analyzes a meal photo with consistent totals", async () => {
+    aiConfig.initialize();
+
+    const analysis = await aiService.analyzeMealPhoto("photo-1", userId);
+
+    expect(Photo.findOne).toHaveBeenCalledWith({ _id: "photo-1", userId });
+    expect(analysis.foodItems.length).toBeGreaterThan(0);
+    expect(analysis.estimatedCalories).toBe(
+      analysis.foodItems.reduce((sum, item) => sum + item.kcal, 0),
+    );
+    expect(analysis.confidence).toBeGreaterThanOrEqual(0);
+    expect(analysis.confidence).toBeLessThanOrEqual(1);
+    for (const item of analysis.foodItems) {
+      expect(item.confidence).toBeGreaterThanOrEqual(0);
+      expect(item.confidence).toBeLessThanOrEqual(1);
+    }
+  });
+
+  it("answers the same image the same way", async () => {
+    aiConfig.initialize();
+
+    const first = await aiService.analyzeMealPhoto("photo-1", userId);
+    const again = await aiService.analyzeMealPhoto("photo-1", userId);
+    const answers = await Promise.all(
+      ["photo-2", "photo-3", "photo-4", "photo-5"].map((id) =>
+        aiService.analyzeMealPhoto(id, userId),
+      ),
+    );
+
+    expect(again).toEqual(first);
+    const distinct = new Set(
+      [first, ...answers].map((answer) => JSON.stringify(answer)),
+    );
+    expect(distinct.size).toBeGreaterThan(1);
+  });
+
+  it("fails when the image cannot be read", async () => {
+    aiConfig.initialize();
+    storageService.readPhotoFile.mockRejectedValue(new Error("ENOENT"));
+
+    await expect(aiService.analyzeMealPhoto("photo-1", userId)).rejects.toThrow(
+      "Could not read image file",
+    );
+  });
+});
+
+describe("aiProviders.parseJSON", () => {
+  it("reads JSON wrapped in a markdown fence or prose", () => {
+    expect(aiProviders.parseJSON("```json\n{\"kcal\": 120}\n```")).toEqual({
+      kcal: 120,
+    });
+    expect(
+      aiProviders.parseJSON("Here is the result: {\"kcal\": 120} Enjoy!"),
+    ).toEqual({ kcal: 120 });
+  });
+
+  it("rejects text without JSON", () => {
+    expect(() => aiProviders.parseJSON("No food found")).toThrow(
+      "AI response is not valid JSON",
+    );
+  });
+});
@@ -0,0 +1,243 @@
+const http = require("http");
+const zlib = require("zlib");
+const User = require("../../src/models/user.model");
+const Device = require("../../src/models/device.model");
+const PushTicket = require("../../src/models/pushTicket.model");
+const Event = require("../../src/models/event.model");
+const NotificationPreference = require("../../src/models/notificationPreference.model");
+
+/**
+ * Local stand-in for the Expo push service
+ * Tokens in `unregistered` get DeviceNotRegistered tickets; receipt IDs in
+ * `failedReceipts` get DeviceNotRegistered receipts
+ */
+const createExpoStub = () => {
+  const stub = {
+    sendRequests: [],
+    receiptRequests: [],
+    unregistered: new Set(),
+    failedReceipts: new Set(),
+  };
+
+  stub.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      let body = Buffer.concat(chunks);
+      if (req.headers["content-encoding"] === "gzip") {
+        body = zlib.gunzipSync(body);
+      }
+      const payload = JSON.parse(body.toString());
+
+      let data;
+      if (req.url.startsWith("/--/api/v2/push/send")) {
+        stub.sendRequests.push(payload);
+        data = payload.map((message) =>
+          stub.unregistered.has(message.to)
+            ? {
+              status: "error",
+              message: `"${message.to}" is not a registered push notification recipient`,
+              details: { error: "DeviceNotRegistered" },
+            }
+            : { status: "ok", id: `ticket:${message.to}` },
+        );
+      } else if (req.url.startsWith("/--/api/v2/push/getReceipts")) {
+        stub.receiptRequests.push(payload.ids);
+        data = Object.fromEntries(
+          payload.ids.map((id) => [
+            id,
+            stub.failedReceipts.has(id)
+              ? { status: "error", details: { error: "DeviceNotRegistered" } }
+              : { status: "ok" },
+          ]),
+        );
+      } else {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ data }));
+    });
+  });
+
+  return stub;
+};
+
+const pushToken = (index) => `ExponentPushToken[device-${index}]`;
+
+describe("notificationService push delivery", () => {
+  const userId = "64b000000000000000000001";
+  let stub;
+  let notificationService;
+
+  beforeAll(async () => {
+    stub = createExpoStub();
+    await new Promise((resolve) => stub.server.listen(0, "127.0.0.1", resolve));
+
+    // The Expo SDK reads EXPO_BASE_URL when it is first loaded
+    process.env.EXPO_BASE_URL = `http://127.0.0.1:${stub.server.address().port}`;
+    notificationService = require("../../src/services/notification.service");
+  });
+
+  afterAll(async () => {
+    delete process.env.EXPO_BASE_URL;
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    stub.sendRequests = [];
+    stub.receiptRequests = [];
+    stub.unregistered.clear();
+    stub.failedReceipts.clear();
+
+    jest.spyOn(User, "findById").mockResolvedValue({ _id: userId });
+    jest.spyOn(NotificationPreference, "getForUser").mockResolvedValue({
+      allows: () => true,
+      isQuietAt: () => false,
+    });
+    jest.spyOn(Event, "createEvent").mockResolvedValue(null);
+    jest.spyOn(PushTicket, "insertMany").mockResolvedValue([]);
+    jest.spyOn(PushTicket, "deleteMany").mockResolvedValue({ deletedCount: 0 });
+    jest
+      .spyOn(Device, "deleteMany")
+      .mockImplementation(({ token }) =>
+        Promise.resolve({ deletedCount: token.$in.length }),
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("sends messages in chunks of at most 100 and stores every ticket", async () => {
+    const tokens = Array.from({ length: 150 }, (_, index) => pushToken(index));
+    jest.spyOn(Device, "getTokens").mockResolvedValue(tokens);
+
+    const result = await notificationService.sendPushNotification(
+      userId,
+      "weight_reminder",
+    );
+
+    expect(stub.sendRequests.map((messages) => messages.length)).toEqual([
+      100, 50,
+    ]);
+    expect(stub.sendRequests.flat().map((message) => message.to)).toEqual(
+      tokens,
+    );
+    expect(result.sent).toBe(150);
+    expect(result.errors).toEqual([]);
+
+    const [[stored]] = PushTicket.insertMany.mock.calls;
+    expect(stored).toHaveLength(150);
+    expect(stored[0]).toMatchObject({
+      ticketId: `ticket:${tokens[0]}`,
+      token: tokens[0],
+      userId,
+      templateKey: "weight_reminder",
+    });
+    expect(Device.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it("prunes devices whose tickets report DeviceNotRegistered", async () => {
+    const tokens = [pushToken(1), pushToken(2), pushToken(3)];
+    stub.unregistered.add(pushToken(2));
+    jest.spyOn(Device, "getTokens").mockResolvedValue(tokens);
+
+    const result = await notificationService.sendPushNotification(
+      userId,
+      "weight_reminder",
+    );
+
+    expect(result.sent).toBe(2);
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        token: pushToken(2),
+        error: "DeviceNotRegistered",
+      }),
+    ]);
+    expect(Device.deleteMany).toHaveBeenCalledWith({
+      token: { $in: [pushToken(2)] },
+    });
+  });
+
+  it("skips invalid tokens without calling Expo", async () => {
+    jest.spyOn(Device, "getTokens").mockResolvedValue(["not-a-token"]);
+
+    const result = await notificationService.sendPushNotification(
+      userId,
+      "weight_reminder",
+    );
+
+    expect(result.sent).toBe(0);
+    expect(stub.sendRequests).toHaveLength(0);
+  });
+
+  it("sends security alerts despite opt-outs and quiet hours", async () => {
+    NotificationPreference.getForUser.mockResolvedValue(
+      new NotificationPreference({
+        userId,
+        optOuts: ["weight_reminder", "account_locked"],
+        quietHours: { enabled: true, start: "00:00", end: "23:59" },
+      }),
+    );
+    jest.spyOn(Device, "getTokens").mockResolvedValue([pushToken(1)]);
+
+    const reminder = await notificationService.sendPushNotification(
+      userId,
+      "weight_reminder",
+    );
+    const alert = await notificationService.sendPushNotification(
+      userId,
+      "account_locked",
+      { attempts: 5, minutes: 15 },
+    );
+
+    expect(reminder.skipped).toBe(true);
+    expect(alert.sent).toBe(1);
+    expect(stub.sendRequests.flat()).toEqual([
+      expect.objectContaining({
+        to: pushToken(1),
+        data: expect.objectContaining({ type: "account_locked" }),
+      }),
+    ]);
+  });
+
+  it("retries a device registration that lost the race for its token", async () => {
+    const device = { _id: "64b0000000000000000000d1", token: pushToken(3) };
+    jest
+      .spyOn(Device, "findOneAndUpdate")
+      .mockRejectedValueOnce(Object.assign(new Error("E11000"), { code: 11000 }))
+      .mockResolvedValueOnce(device);
+
+    await expect(
+      notificationService.registerDevice(userId, {
+        token: pushToken(3),
+        platform: "ios",
+      }),
+    ).resolves.toBe(device);
+    expect(Device.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it("prunes devices whose receipts report DeviceNotRegistered", async () => {
+    const receiptIds = ["receipt-1", "receipt-2"];
+    stub.failedReceipts.add("receipt-2");
+    const distinct = jest.fn().mockResolvedValue([pushToken(7)]);
+    jest.spyOn(PushTicket, "find").mockReturnValue({ distinct });
+
+    const receipts = await notificationService.checkReceiptStatus(receiptIds);
+
+    expect(stub.receiptRequests).toEqual([receiptIds]);
+    expect(receipts.map((receipt) => receipt.status)).toEqual(["ok", "error"]);
+    expect(PushTicket.find).toHaveBeenCalledWith({
+      ticketId: { $in: ["receipt-2"] },
+    });
+    expect(distinct).toHaveBeenCalledWith("token");
+    expect(Device.deleteMany).toHaveBeenCalledWith({
+      token: { $in: [pushToken(7)] },
+    });
+    expect(PushTicket.deleteMany).toHaveBeenCalledWith({
+      ticketId: { $in: receiptIds },
+    });
+  });
+});
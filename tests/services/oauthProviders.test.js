@@ -0,0 +1,282 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const authService = require("../../src/services/auth.service");
+const oauthProviders = require("../../src/services/oauthProviders");
+const idToken = require("../../src/services/oauthProviders/idToken");
+
+const GOOGLE_CLIENT_ID = "web.apps.googleusercontent.com";
+const APPLE_CLIENT_ID = "com.breakfit.app";
+
+const ENV_KEYS = [
+  "GOOGLE_CLIENT_IDS",
+  "GOOGLE_JWKS_URL",
+  "APPLE_CLIENT_IDS",
+  "APPLE_JWKS_URL",
+];
+
+/**
+ * RSA signing key with its public JWK
+ */
+const createSigningKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  return {
+    kid,
+    privateKey,
+    jwk: {
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      use: "sig",
+      alg: "RS256",
+    },
+  };
+};
+
+const sign = (key, claims, options = {}) =>
+  jwt.sign(claims, key.privateKey, {
+    algorithm: "RS256",
+    keyid: key.kid,
+    expiresIn: "10m",
+    ...options,
+  });
+
+/**
+ * Local JWKS endpoint serving whatever keys the test puts in `keys`
+ */
+const createJwksServer = () => {
+  const jwks = { keys: [], requests: 0 };
+  const server = http.createServer((req, res) => {
+    jwks.requests++;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ keys: jwks.keys }));
+  });
+  return { server, jwks };
+};
+
+describe("oauthProviders with local signing keys", () => {
+  let keysDir;
+  let jwksFile;
+  let savedEnv;
+  let googleKey;
+  let appleKey;
+
+  beforeAll(() => {
+    googleKey = createSigningKey("google-1");
+    appleKey = createSigningKey("apple-1");
+
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), "oauth-keys-"));
+    jwksFile = path.join(keysDir, "jwks.json");
+    fs.writeFileSync(
+      jwksFile,
+      JSON.stringify({ keys: [googleKey.jwk, appleKey.jwk] }),
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(
+      ENV_KEYS.map((key) => [key, process.env[key]]),
+    );
+    process.env.GOOGLE_CLIENT_IDS = `ios.apps.googleusercontent.com, ${GOOGLE_CLIENT_ID}`;
+    process.env.GOOGLE_JWKS_URL = jwksFile;
+    process.env.APPLE_CLIENT_IDS = APPLE_CLIENT_ID;
+    process.env.APPLE_JWKS_URL = `file://${jwksFile}`;
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+    idToken.keyCache.clear();
+  });
+
+  describe("google", () => {
+    const google = () => oauthProviders.get("google");
+
+    it("verifies a token signed with a published key", async () => {
+      const token = sign(googleKey, {
+        iss: "https://accounts.google.com",
+        aud: GOOGLE_CLIENT_ID,
+        sub: "google-sub-1",
+        email: "an@example.com",
+        email_verified: true,
+        name: "An Nguyen",
+      });
+
+      await expect(google().verifyIdToken(token)).resolves.toEqual({
+        sub: "google-sub-1",
+        email: "an@example.com",
+        emailVerified: true,
+        name: "An Nguyen",
+      });
+    });
+
+    it("rejects another audience, issuer or an expired token", async () => {
+      const claims = {
+        iss: "accounts.google.com",
+        aud: GOOGLE_CLIENT_ID,
+        sub: "google-sub-1",
+      };
+      const tokens = [
+        sign(googleKey, { ...claims, aud: "someone-else" }),
+        sign(googleKey, { ...claims, iss: "https://evil.example.com" }),
+        sign(googleKey, claims, { expiresIn: -60 }),
+      ];
+
+      for (const token of tokens) {
+        await expect(google().verifyIdToken(token)).rejects.toThrow(
+          "Invalid ID token",
+        );
+      }
+    });
+
+    it("rejects a token signed with an unpublished key", async () => {
+      const forged = createSigningKey(googleKey.kid);
+      const token = sign(forged, {
+        iss: "https://accounts.google.com",
+        aud: GOOGLE_CLIENT_ID,
+        sub: "google-sub-1",
+      });
+
+      await expect(google().verifyIdToken(token)).rejects.toThrow(
+        "Invalid ID token",
+      );
+    });
+
+    it("requires a matching nonce when the token has one", async () => {
+      const token = sign(googleKey, {
+        iss: "https://accounts.google.com",
+        aud: GOOGLE_CLIENT_ID,
+        sub: "google-sub-1",
+        nonce: "nonce-1",
+      });
+
+      await expect(
+        google().verifyIdToken(token, { nonce: "nonce-1" }),
+      ).resolves.toMatchObject({ sub: "google-sub-1" });
+      await expect(
+        google().verifyIdToken(token, { nonce: "nonce-2" }),
+      ).rejects.toThrow("Invalid ID token");
+      // A captured token cannot be replayed without its nonce
+      await expect(google().verifyIdToken(token)).rejects.toThrow(
+        "Invalid ID token",
+      );
+    });
+  });
+
+  describe("apple", () => {
+    const apple = () => oauthProviders.get("apple");
+
+    it("accepts a hashed nonce and string email_verified", async () => {
+      const token = sign(appleKey, {
+        iss: "https://appleid.apple.com",
+        aud: APPLE_CLIENT_ID,
+        sub: "apple-sub-1",
+        email: "relay@privaterelay.appleid.com",
+        email_verified: "true",
+        nonce: crypto.createHash("sha256").update("nonce-1").digest("hex"),
+      });
+
+      await expect(
+        apple().verifyIdToken(token, { nonce: "nonce-1" }),
+      ).resolves.toEqual({
+        sub: "apple-sub-1",
+        email: "relay@privaterelay.appleid.com",
+        emailVerified: true,
+        name: undefined,
+      });
+    });
+
+    it("rejects a Google token", async () => {
+      const token = sign(googleKey, {
+        iss: "https://accounts.google.com",
+        aud: APPLE_CLIENT_ID,
+        sub: "google-sub-1",
+      });
+
+      await expect(apple().verifyIdToken(token)).rejects.toThrow(
+        "Invalid ID token",
+      );
+    });
+  });
+
+  describe("key rotation", () => {
+    let server;
+    let jwks;
+
+    beforeEach(async () => {
+      ({ server, jwks } = createJwksServer());
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      process.env.GOOGLE_JWKS_URL = `http://127.0.0.1:${server.address().port}/certs`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("refetches the key set for an unknown key ID", async () => {
+      const rotatedKey = createSigningKey("google-2");
+      jwks.keys = [googleKey.jwk];
+      const claims = {
+        iss: "https://accounts.google.com",
+        aud: GOOGLE_CLIENT_ID,
+        sub: "google-sub-1",
+      };
+
+      await oauthProviders.get("google").verifyIdToken(sign(googleKey, claims));
+      expect(jwks.requests).toBe(1);
+
+      // The provider publishes a new key after the refresh throttle has passed
+      jwks.keys = [googleKey.jwk, rotatedKey.jwk];
+      const cached = idToken.keyCache.get(process.env.GOOGLE_JWKS_URL);
+      cached.fetchedAt -= 2 * 60 * 1000;
+
+      await expect(
+        oauthProviders.get("google").verifyIdToken(sign(rotatedKey, claims)),
+      ).resolves.toMatchObject({ sub: "google-sub-1" });
+      expect(jwks.requests).toBe(2);
+    });
+
+    it("does not refetch more than once a minute", async () => {
+      jwks.keys = [googleKey.jwk];
+      const claims = {
+        iss: "https://accounts.google.com",
+        aud: GOOGLE_CLIENT_ID,
+        sub: "google-sub-1",
+      };
+
+      await oauthProviders.get("google").verifyIdToken(sign(googleKey, claims));
+      await expect(
+        oauthProviders
+          .get("google")
+          .verifyIdToken(sign(createSigningKey("unknown"), claims)),
+      ).rejects.toThrow("Invalid ID token");
+      expect(jwks.requests).toBe(1);
+    });
+  });
+
+  describe("authService.verifyProviderToken", () => {
+    it("rejects unknown and unconfigured providers", async () => {
+      delete process.env.APPLE_CLIENT_IDS;
+
+      await expect(
+        authService.verifyProviderToken("facebook", "token"),
+      ).rejects.toThrow("Unknown OAuth provider");
+      await expect(
+        authService.verifyProviderToken("apple", "token"),
+      ).rejects.toThrow("OAuth provider not configured");
+    });
+  });
+});
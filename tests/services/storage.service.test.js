@@ -0,0 +1,315 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const Photo = require("../../src/models/photo.model");
+const storageDrivers = require("../../src/services/storageDrivers");
+const storageService = require("../../src/services/storage.service");
+
+const BUCKET = "breakfit-test";
+const userId = "64b000000000000000000024";
+
+const ENV_KEYS = [
+  "UPLOAD_PATH",
+  "STORAGE_DRIVER",
+  "STORAGE_S3_BUCKET",
+  "STORAGE_S3_REGION",
+  "STORAGE_S3_ENDPOINT",
+  "STORAGE_S3_ACCESS_KEY_ID",
+  "STORAGE_S3_SECRET_ACCESS_KEY",
+  "STORAGE_S3_FORCE_PATH_STYLE",
+  "STORAGE_S3_PREFIX",
+];
+
+/**
+ * Minimal path-style S3 endpoint standing in for MinIO
+ * Objects live in `objects`, keyed by "<bucket>/<key>"
+ */
+const createS3Stub = () => {
+  const objects = new Map();
+  const requests = [];
+
+  const notFound = (req, res) => {
+    res.writeHead(404, { "Content-Type": "application/xml" });
+    // HEAD responses have no body; the SDK maps them to NotFound
+    res.end(
+      req.method === "HEAD"
+        ? undefined
+        : "<?xml version=\"1.0\" encoding=\"UTF-8\"?><Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>",
+    );
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const objectPath = decodeURIComponent(url.pathname.slice(1));
+      const object = objects.get(objectPath);
+      requests.push({ method: req.method, path: objectPath, headers: req.headers });
+
+      if (req.method === "PUT") {
+        const body = Buffer.concat(chunks);
+        const etag = `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+        objects.set(objectPath, {
+          body,
+          etag,
+          contentType: req.headers["content-type"],
+          lastModified: new Date(),
+        });
+        res.writeHead(200, { ETag: etag });
+        res.end();
+        return;
+      }
+
+      if (req.method === "DELETE") {
+        objects.delete(objectPath);
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      if (!object) {
+        notFound(req, res);
+        return;
+      }
+
+      const headers = {
+        "Content-Type": object.contentType,
+        ETag: object.etag,
+        "Last-Modified": object.lastModified.toUTCString(),
+        "Accept-Ranges": "bytes",
+      };
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+      let { body } = object;
+      let status = 200;
+      if (range) {
+        const start = Number(range[1]);
+        const end = range[2] ? Number(range[2]) : body.length - 1;
+        headers["Content-Range"] = `bytes ${start}-${end}/${body.length}`;
+        body = body.subarray(start, end + 1);
+        status = 206;
+      }
+      headers["Content-Length"] = body.length;
+
+      res.writeHead(status, headers);
+      res.end(req.method === "HEAD" ? undefined : body);
+    });
+  });
+
+  return { server, objects, requests };
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+const buildPhoto = (driver, fileKey = "meal-1.jpg") => ({
+  _id: "64b0000000000000000000bb",
+  userId,
+  fileKey,
+  storage: { driver },
+  renditions: [
+    {
+      name: "full",
+      format: "jpeg",
+      key: `photos/${userId}/full/meal-1.jpg`,
+    },
+    {
+      name: "thumb",
+      format: "webp",
+      key: `photos/${userId}/thumb/meal-1.webp`,
+    },
+  ],
+});
+
+describe("storage drivers", () => {
+  let uploadDir;
+  let savedEnv;
+  let s3;
+
+  beforeAll(async () => {
+    s3 = createS3Stub();
+    await new Promise((resolve) => s3.server.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => s3.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(
+      ENV_KEYS.map((key) => [key, process.env[key]]),
+    );
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-uploads-"));
+
+    process.env.UPLOAD_PATH = uploadDir;
+    process.env.STORAGE_S3_BUCKET = BUCKET;
+    process.env.STORAGE_S3_REGION = "us-east-1";
+    process.env.STORAGE_S3_ENDPOINT = `http://127.0.0.1:${s3.server.address().port}`;
+    process.env.STORAGE_S3_ACCESS_KEY_ID = "minioadmin";
+    process.env.STORAGE_S3_SECRET_ACCESS_KEY = "minioadmin";
+    delete process.env.STORAGE_S3_FORCE_PATH_STYLE;
+    process.env.STORAGE_S3_PREFIX = "test/";
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    storageDrivers.get("s3").client = null;
+    s3.objects.clear();
+    s3.requests.length = 0;
+    jest.restoreAllMocks();
+  });
+
+  describe.each(["local", "s3"])("%s driver", (name) => {
+    const driver = () => storageService.getDriver(name);
+    const body = Buffer.from("0123456789abcdef");
+
+    it("stores, reads and deletes an object", async () => {
+      await expect(
+        driver().put("photos/a/full/x.jpg", body, { contentType: "image/jpeg" }),
+      ).resolves.toEqual({ key: "photos/a/full/x.jpg", size: body.length });
+
+      await expect(driver().get("photos/a/full/x.jpg")).resolves.toEqual(body);
+
+      const stat = await driver().stat("photos/a/full/x.jpg");
+      expect(stat.size).toBe(body.length);
+      expect(stat.etag).toEqual(expect.any(String));
+      expect(stat.lastModified.getTime()).toEqual(expect.any(Number));
+
+      await expect(driver().delete("photos/a/full/x.jpg")).resolves.toBe(true);
+      await expect(driver().stat("photos/a/full/x.jpg")).resolves.toBeNull();
+    });
+
+    it("streams an inclusive byte range", async () => {
+      await driver().put("photos/a/full/x.jpg", body);
+
+      const stream = await driver().stream("photos/a/full/x.jpg", {
+        start: 2,
+        end: 5,
+      });
+      await expect(readStream(stream)).resolves.toEqual(Buffer.from("2345"));
+    });
+
+    it("reports missing objects", async () => {
+      await expect(driver().get("photos/a/full/missing.jpg")).rejects.toThrow(
+        "Storage object not found",
+      );
+      await expect(
+        driver().stream("photos/a/full/missing.jpg"),
+      ).rejects.toThrow("Storage object not found");
+      await expect(driver().stat("photos/a/full/missing.jpg")).resolves.toBeNull();
+    });
+  });
+
+  describe("local driver", () => {
+    it("refuses keys outside the upload directory", async () => {
+      await expect(
+        storageService.getDriver("local").put("../escape.txt", Buffer.from("x")),
+      ).rejects.toThrow("Invalid storage key");
+    });
+
+    it("has no direct download URL", () => {
+      expect(storageService.getDriver("local").presign("photos/x.jpg")).toBeNull();
+    });
+  });
+
+  describe("s3 driver", () => {
+    it("uses path-style keys under the prefix with the content type", async () => {
+      await storageService
+        .getDriver("s3")
+        .put("photos/a/full/x.jpg", Buffer.from("jpeg"), {
+          contentType: "image/jpeg",
+        });
+
+      const stored = s3.objects.get(`${BUCKET}/test/photos/a/full/x.jpg`);
+      expect(stored.body).toEqual(Buffer.from("jpeg"));
+      expect(stored.contentType).toBe("image/jpeg");
+      expect(s3.requests[0].headers.authorization).toMatch(/^AWS4-HMAC-SHA256 /);
+    });
+
+    it("presigns a download URL the endpoint serves", async () => {
+      await storageService
+        .getDriver("s3")
+        .put("photos/a/full/x.jpg", Buffer.from("jpeg"));
+
+      const url = await storageService
+        .getDriver("s3")
+        .presign("photos/a/full/x.jpg", { expiresIn: 60 });
+      expect(url).toContain(
+        `${process.env.STORAGE_S3_ENDPOINT}/${BUCKET}/test/photos/a/full/x.jpg?`,
+      );
+      expect(url).toContain("X-Amz-Expires=60");
+
+      const response = await fetch(url);
+      expect(Buffer.from(await response.arrayBuffer())).toEqual(
+        Buffer.from("jpeg"),
+      );
+    });
+
+    it("is not configured without credentials", () => {
+      delete process.env.STORAGE_S3_SECRET_ACCESS_KEY;
+
+      expect(() => storageService.getDriver("s3")).toThrow(
+        "Storage driver 's3' is not configured",
+      );
+    });
+  });
+
+  describe("storageService.migratePhoto", () => {
+    it("copies every rendition to S3 and switches the record", async () => {
+      const photo = buildPhoto("local");
+      const local = storageService.getDriver("local");
+      await local.put(photo.renditions[0].key, Buffer.from("full"));
+      await local.put(photo.renditions[1].key, Buffer.from("thumb"));
+      jest.spyOn(Photo, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await storageService.migratePhoto(photo, "s3", {
+        deleteSource: true,
+      });
+
+      expect(result.driver).toBe("s3");
+      expect(Photo.updateOne).toHaveBeenCalledWith(
+        { _id: photo._id },
+        {
+          $set: {
+            "storage.driver": "s3",
+            "renditions.0.key": photo.renditions[0].key,
+            "renditions.1.key": photo.renditions[1].key,
+          },
+        },
+      );
+      expect(
+        s3.objects.get(`${BUCKET}/test/${photo.renditions[0].key}`).body,
+      ).toEqual(Buffer.from("full"));
+      await expect(local.stat(photo.renditions[0].key)).resolves.toBeNull();
+
+      // The migrated photo is now served from S3
+      await expect(
+        storageService.readPhotoFile({ ...photo, storage: { driver: "s3" } }),
+      ).resolves.toEqual(Buffer.from("full"));
+    });
+
+    it("keeps the record on the old driver when a copy fails", async () => {
+      const photo = buildPhoto("local");
+      jest.spyOn(Photo, "updateOne");
+
+      await expect(storageService.migratePhoto(photo, "s3")).rejects.toThrow(
+        "Storage object not found",
+      );
+      expect(Photo.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Weight = require("../../src/models/weight.model");
+const Workout = require("../../src/models/workout.model");
+const eventBus = require("../../src/services/eventBus.service");
+const fileProvider = require("../../src/services/trackerProviders/file.provider");
+const trackerSyncService = require("../../src/services/trackerSync.service");
+
+const userId = "64b000000000000000000005";
+const otherUserId = "64b000000000000000000006";
+
+const writeExport = (dir, ownerId, records) =>
+  fs.writeFileSync(
+    path.join(dir, `${ownerId}.json`),
+    JSON.stringify({ records }),
+  );
+
+const buildIntegration = (overrides = {}) => ({
+  _id: "64b0000000000000000000aa",
+  userId,
+  provider: "file",
+  config: {},
+  dataMapping: {},
+  ...overrides,
+});
+
+describe("trackerSyncService with the file provider", () => {
+  let importDir;
+  let originalImportPath;
+
+  beforeAll(() => {
+    importDir = fs.mkdtempSync(path.join(os.tmpdir(), "tracker-imports-"));
+    originalImportPath = fileProvider.importPath;
+    fileProvider.importPath = importDir;
+  });
+
+  afterAll(() => {
+    fileProvider.importPath = originalImportPath;
+    fs.rmSync(importDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(eventBus, "publish").mockReturnValue(undefined);
+    jest.spyOn(Weight, "findOne").mockResolvedValue(null);
+    jest.spyOn(Weight, "exists").mockResolvedValue(null);
+    jest.spyOn(Workout, "findOne").mockResolvedValue(null);
+    jest
+      .spyOn(Weight, "create")
+      .mockImplementation((doc) => Promise.resolve({ _id: "w", ...doc }));
+    jest
+      .spyOn(Workout, "create")
+      .mockImplementation((doc) => Promise.resolve({ _id: "a", ...doc }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("imports weights and workouts from the owner's export", async () => {
+    writeExport(importDir, userId, [
+      { id: "w-1", type: "weight", date: "2025-01-01", weightKg: 72.44 },
+      {
+        id: "a-1",
+        type: "workout",
+        date: "2025-01-01T07:00:00Z",
+        activity: "Running",
+        durationMinutes: 30.4,
+        calories: 280.6,
+      },
+    ]);
+
+    const result = await trackerSyncService.sync(buildIntegration());
+
+    expect(result).toMatchObject({
+      status: "success",
+      recordsProcessed: 2,
+      recordsCreated: 2,
+    });
+    expect(Weight.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId,
+        dateISO: "2025-01-01",
+        weightKg: 72.4,
+        source: "scale",
+        externalRef: expect.objectContaining({
+          provider: "file",
+          recordId: "w-1",
+        }),
+      }),
+    );
+    expect(Workout.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "cardio",
+        duration: { minutes: 30 },
+        kcal: 281,
+        isCompleted: true,
+      }),
+    );
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      "weight.logged",
+      userId,
+      expect.any(Object),
+    );
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      "workout.completed",
+      userId,
+      expect.any(Object),
+    );
+  });
+
+  it("never reads another user's export, whatever the integration config says", async () => {
+    writeExport(importDir, userId, []);
+    writeExport(importDir, otherUserId, [
+      { id: "w-9", type: "weight", date: "2025-01-02", weightKg: 90 },
+    ]);
+
+    const result = await trackerSyncService.sync(
+      buildIntegration({ config: { sourceFile: `${otherUserId}.json` } }),
+    );
+
+    expect(result.recordsProcessed).toBe(0);
+    expect(Weight.create).not.toHaveBeenCalled();
+  });
+
+  it("applies filters and unit conversions before mapping", async () => {
+    writeExport(importDir, userId, [
+      { id: "w-1", type: "weight", date: "2025-01-01", weightKg: 160 },
+      { id: "w-2", type: "weight", date: "2025-01-02", weightKg: 0 },
+    ]);
+
+    const result = await trackerSyncService.sync(
+      buildIntegration({
+        dataMapping: {
+          filters: [{ field: "weightKg", operator: "greater_than", value: 0 }],
+          transformations: [
+            {
+              sourceField: "weightKg",
+              transformType: "convert",
+              transformConfig: { from: "lb", to: "kg" },
+            },
+          ],
+        },
+      }),
+    );
+
+    expect(result).toMatchObject({ recordsCreated: 1, recordsSkipped: 1 });
+    expect(Weight.create).toHaveBeenCalledWith(
+      expect.objectContaining({ weightKg: 72.6 }),
+    );
+  });
+
+  it("skips weights on days the user already logged", async () => {
+    writeExport(importDir, userId, [
+      { id: "w-1", type: "weight", date: "2025-01-01", weightKg: 72 },
+    ]);
+    Weight.exists.mockResolvedValue({ _id: "existing" });
+
+    const result = await trackerSyncService.sync(buildIntegration());
+
+    expect(result).toMatchObject({ recordsSkipped: 1, recordsCreated: 0 });
+    expect(Weight.create).not.toHaveBeenCalled();
+  });
+
+  it("reports a missing export as a failed sync", async () => {
+    const result = await trackerSyncService.sync(
+      buildIntegration({ userId: "64b0000000000000000000ff" }),
+    );
+
+    expect(result.status).toBe("error");
+  });
+});